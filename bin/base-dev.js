@@ -0,0 +1,713 @@
+#!/usr/bin/env node
+/**
+ * base-dev - Command-line interface over the Base Dev Toolkit
+ * Subcommands wrap BaseTokenFactory (token create / upgrade / verify), BaseMigrationRunner and
+ * BaseDeploymentManifest (migrate run, manifest diff / check), BaseGasMonitor
+ * (gas watch / estimate / history) and BaseNameResolver (name resolve). Every command
+ * accepts --network, --rpc-url and --json; with --json the result is printed to stdout as JSON and progress logs go
+ * to stderr, so output can be piped. Failures exit with a non-zero code.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { getNetworkConfig } = require('../lib/BaseNetworkUtils');
+
+const EXIT_CODES = { OK: 0, FAILURE: 1, USAGE: 2 };
+
+const DEFAULT_HISTORY_PATH = 'data/gas-history.jsonl';
+
+const GLOBAL_OPTIONS = {
+  network: { type: 'string', short: 'n' },
+  'rpc-url': { type: 'string' },
+  json: { type: 'boolean', default: false },
+  'basename-registry': { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const HISTORY_OPTIONS = {
+  'history-type': { type: 'string', default: 'jsonl' },
+  'history-path': { type: 'string', default: DEFAULT_HISTORY_PATH }
+};
+
+class UsageError extends Error {}
+
+/**
+ * Parses durations such as "90s", "15m", "24h" or "7d" into milliseconds
+ * @param {string} value - Duration
+ * @returns {number} Milliseconds
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/.exec(String(value).trim());
+  if (!match) {
+    throw new UsageError(`Invalid duration "${value}". Use e.g. 30s, 15m, 24h or 7d`);
+  }
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return Math.round(parseFloat(match[1]) * units[match[2] || 'ms']);
+}
+
+function parseCount(value, flag) {
+  if (!/^[1-9]\d*$/.test(String(value).trim())) {
+    throw new UsageError(`${flag} must be a positive whole number, got "${value}"`);
+  }
+  return parseInt(value, 10);
+}
+
+function parsePositiveNumber(value, flag) {
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(String(value).trim()) || !(parseFloat(value) > 0)) {
+    throw new UsageError(`${flag} must be a positive number, got "${value}"`);
+  }
+  return parseFloat(value);
+}
+
+const toJson = (value) => JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v), 2);
+
+/**
+ * Resolves the network config and RPC endpoint from --network / --rpc-url / BASE_RPC_URL
+ * @param {Object} options - Parsed options
+ * @returns {Object} { network, config, rpcUrl }
+ */
+function resolveNetwork(options) {
+  const network = options.network || 'base';
+  let config;
+  try {
+    config = getNetworkConfig(network);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  // BASE_RPC_URL only overrides mainnet, so it never points a testnet command at mainnet
+  const envUrl = config.chainId === getNetworkConfig('base').chainId ? process.env.BASE_RPC_URL : null;
+  return { network, config, rpcUrl: options['rpc-url'] || envUrl || config.rpcUrl };
+}
+
+function historyStoreOptions(options) {
+  const type = options['history-type'];
+  if (!['memory', 'jsonl', 'sqlite'].includes(type)) {
+    throw new UsageError(`--history-type must be memory, jsonl or sqlite`);
+  }
+  return type === 'memory' ? { type } : { type, path: options['history-path'] };
+}
+
+// Basenames by default; --basename-registry switches to a BaseContractUtils registry (e.g. on a local node)
+function nameResolverOptions(options) {
+  const { network } = resolveNetwork(options);
+  return options['basename-registry'] ? { contractUtils: options['basename-registry'] } : { network };
+}
+
+function createNameResolver(options) {
+  const { ethers } = require('ethers');
+  const { BaseNameResolver } = require('../lib/BaseNameResolver');
+  const { rpcUrl } = resolveNetwork(options);
+  return new BaseNameResolver(new ethers.JsonRpcProvider(rpcUrl), nameResolverOptions(options));
+}
+
+function createMonitor(options, extra = {}) {
+  const BaseGasMonitor = require('../utils/BaseGasMonitor');
+  const { rpcUrl } = resolveNetwork(options);
+  return new BaseGasMonitor(rpcUrl, {
+    historyStore: historyStoreOptions(options),
+    currency: options.currency,
+    nameResolver: nameResolverOptions(options),
+    ...extra
+  });
+}
+
+function createSigner(rpcUrl) {
+  const { ethers } = require('ethers');
+  if (!process.env.PRIVATE_KEY) {
+    throw new UsageError('PRIVATE_KEY must be set to deploy contracts');
+  }
+  return new ethers.Wallet(process.env.PRIVATE_KEY, new ethers.JsonRpcProvider(rpcUrl));
+}
+
+function readJsonFile(filePath, label) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Could not read ${label} ${filePath}: ${error.message}`);
+  }
+}
+
+// Token config from --preset or --config, with --name / --symbol / --upgradeable applied on top
+function loadTokenConfig(options) {
+  const { TOKEN_PRESETS, NFT_PRESETS } = require('../scripts/BaseTokenFactory');
+  const presets = { ...TOKEN_PRESETS, ...NFT_PRESETS };
+
+  if (Boolean(options.preset) === Boolean(options.config)) {
+    throw new UsageError('Pass exactly one of --preset or --config');
+  }
+  let config;
+  if (options.preset) {
+    config = presets[options.preset.toUpperCase()];
+    if (!config) {
+      throw new UsageError(`Unknown preset "${options.preset}". Expected one of: ${Object.keys(presets).join(', ')}`);
+    }
+  } else {
+    config = readJsonFile(options.config, 'token config');
+  }
+  if (options.upgradeable && !['uups', 'transparent'].includes(options.upgradeable)) {
+    throw new UsageError('--upgradeable must be uups or transparent');
+  }
+  return {
+    ...config,
+    ...(options.name && { name: options.name }),
+    ...(options.symbol && { symbol: options.symbol }),
+    ...(options.upgradeable && { upgradeable: options.upgradeable })
+  };
+}
+
+// Subcommands: options are merged with GLOBAL_OPTIONS; run(options, positionals, io) returns the result
+const COMMANDS = {
+  'token create': {
+    summary: 'Deploy a token from a preset or a JSON config',
+    usage: 'token create (--preset NAME | --config file.json) [--name N] [--symbol S] [--upgradeable uups|transparent] [--salt S] [--registry ADDRESS] [--out file.json] [--manifest [--manifest-key KEY]]',
+    options: {
+      preset: { type: 'string' },
+      config: { type: 'string' },
+      name: { type: 'string' },
+      symbol: { type: 'string' },
+      upgradeable: { type: 'string' },
+      'proxy-admin': { type: 'string' },
+      salt: { type: 'string' },
+      registry: { type: 'string' },
+      out: { type: 'string' },
+      manifest: { type: 'boolean', default: false },
+      'manifest-key': { type: 'string' },
+      'manifest-dir': { type: 'string', default: 'deployments' },
+      confirmations: { type: 'string', default: '1' }
+    },
+    async run(options) {
+      const { BaseTokenFactory } = require('../scripts/BaseTokenFactory');
+      const config = loadTokenConfig(options);
+
+      const { network, rpcUrl } = resolveNetwork(options);
+      const factory = new BaseTokenFactory({
+        signer: createSigner(rpcUrl),
+        confirmations: parseCount(options.confirmations, '--confirmations'),
+        registry: options.registry,
+        nameResolver: nameResolverOptions(options),
+        manifest: options.manifest ? { dir: options['manifest-dir'] } : null
+      });
+      const deployment = await factory.deployToken(config, network, {
+        salt: options.salt,
+        manifestKey: options['manifest-key'],
+        proxyAdmin: options['proxy-admin']
+      });
+
+      if (options.out) {
+        // Keeps the compiler input so `token verify --deployment` works from another process
+        const record = { deployment, verification: factory.verificationInputs.get(deployment.address.toLowerCase()) };
+        await fs.promises.mkdir(path.dirname(path.resolve(options.out)), { recursive: true });
+        await fs.promises.writeFile(options.out, toJson(record));
+      }
+      return deployment;
+    },
+    format(deployment) {
+      const lines = [
+        `${deployment.standard} ${deployment.name} (${deployment.symbol}) deployed on ${deployment.network}`,
+        `  address:  ${deployment.address}`,
+        `  tx:       ${deployment.txHash} (block ${deployment.blockNumber})`,
+        `  gas used: ${deployment.gasUsed}, cost ${deployment.costEth} ETH (L1 fee ${deployment.l1FeeEth} ETH)`
+      ];
+      if (deployment.proxy) {
+        const { proxy } = deployment;
+        lines.push(`  proxy:    ${proxy.kind}, implementation ${proxy.implementation}${proxy.admin ? `, ProxyAdmin ${proxy.admin}` : ''}`);
+      }
+      if (deployment.registry) {
+        const { registry } = deployment;
+        lines.push(`  registry: ${registry.error ? `not recorded (${registry.error})` : `${registry.address} #${registry.index}`}`);
+      }
+      if (deployment.manifest) {
+        const { manifest } = deployment;
+        lines.push(`  manifest: ${manifest.error ? `not recorded (${manifest.error})` : `${manifest.path} as "${manifest.key}" (revision ${manifest.revision})`}`);
+      }
+      return lines.join('\n');
+    }
+  },
+
+  'token upgrade': {
+    summary: 'Upgrade a token deployed with --upgradeable to a new config, refusing unsafe upgrades',
+    usage: 'token upgrade <proxy | basename> (--preset NAME | --config file.json) [--name N] [--symbol S] [--check] [--allow-initializer-changes] [--previous-config file.json] [--salt S] [--manifest [--manifest-key KEY]]',
+    options: {
+      preset: { type: 'string' },
+      config: { type: 'string' },
+      name: { type: 'string' },
+      symbol: { type: 'string' },
+      check: { type: 'boolean', default: false },
+      'allow-initializer-changes': { type: 'boolean', default: false },
+      'previous-config': { type: 'string' },
+      salt: { type: 'string' },
+      manifest: { type: 'boolean', default: false },
+      'manifest-key': { type: 'string' },
+      'manifest-dir': { type: 'string', default: 'deployments' },
+      confirmations: { type: 'string', default: '1' }
+    },
+    async run(options, positionals) {
+      const { ethers } = require('ethers');
+      const { BaseTokenFactory } = require('../scripts/BaseTokenFactory');
+      if (positionals.length !== 1) {
+        throw new UsageError('Pass the proxy address (or Basename) of the token to upgrade');
+      }
+      const config = loadTokenConfig(options);
+      // Accepts a bare config or the file written by `token create --out`
+      let previousConfig;
+      if (options['previous-config']) {
+        const previous = readJsonFile(options['previous-config'], 'previous config');
+        previousConfig = previous.deployment ? previous.deployment.config : previous;
+      }
+
+      const { network, rpcUrl } = resolveNetwork(options);
+      // --check only reads the chain, so it needs no key
+      const signer = options.check
+        ? new ethers.VoidSigner(ethers.ZeroAddress, new ethers.JsonRpcProvider(rpcUrl))
+        : createSigner(rpcUrl);
+      const factory = new BaseTokenFactory({
+        signer,
+        confirmations: parseCount(options.confirmations, '--confirmations'),
+        nameResolver: nameResolverOptions(options),
+        manifest: options.manifest ? { dir: options['manifest-dir'] } : null
+      });
+      const upgradeOptions = {
+        previousConfig,
+        allowInitializerChanges: options['allow-initializer-changes'],
+        salt: options.salt,
+        manifestKey: options['manifest-key']
+      };
+
+      if (!options.check) {
+        return factory.upgradeToken(positionals[0], config, network, upgradeOptions);
+      }
+      const report = await factory.validateUpgrade(positionals[0], config, network, upgradeOptions);
+      if (!report.compatible) {
+        const error = new Error(`Unsafe upgrade of ${report.proxy}:\n  ${report.problems.join('\n  ')}`);
+        error.result = report;
+        throw error;
+      }
+      return report;
+    },
+    format(result) {
+      const lines = [`${result.kind} proxy ${result.proxy} on ${result.network}: ${result.status || (result.unchanged ? 'unchanged' : 'safe to upgrade')}`];
+      lines.push(`  current implementation: ${result.currentImplementation}`);
+      if (result.newImplementation) lines.push(`  new implementation:     ${result.newImplementation.address}`);
+      if (result.txHash) lines.push(`  tx:                     ${result.txHash} (block ${result.blockNumber})`);
+      for (const variable of result.addedVariables) {
+        lines.push(`  new storage: ${variable.variable} ${variable.type} at slot ${variable.slot}`);
+      }
+      if (result.skippedInitialization.length > 0) {
+        lines.push(`  not initialized on the proxy: ${result.skippedInitialization.join(' ')}`);
+      }
+      if (result.manifest) {
+        const { manifest } = result;
+        lines.push(`  manifest: ${manifest.error ? `not recorded (${manifest.error})` : `${manifest.path} as "${manifest.key}" (revision ${manifest.revision})`}`);
+      }
+      return lines.join('\n');
+    }
+  },
+
+  'token verify': {
+    summary: 'Verify a token deployed with `token create --out` on BaseScan',
+    usage: 'token verify <address | basename> --deployment file.json [--api-key KEY] [--api-url URL]',
+    options: {
+      deployment: { type: 'string' },
+      'api-key': { type: 'string' },
+      'api-url': { type: 'string' },
+      'poll-interval': { type: 'string', default: '5s' }
+    },
+    async run(options, positionals) {
+      const { BaseTokenFactory } = require('../scripts/BaseTokenFactory');
+      if (!options.deployment) {
+        throw new UsageError('--deployment is required: the file written by `token create --out`');
+      }
+      const record = readJsonFile(options.deployment, 'deployment');
+      if (!record.verification || !record.deployment) {
+        throw new UsageError(`${options.deployment} has no verification input; write it with \`token create --out\``);
+      }
+      const address = positionals[0] || record.deployment.address;
+
+      const factory = new BaseTokenFactory();
+      const result = await factory.verifyToken(address, {
+        ...record.verification,
+        nameResolver: createNameResolver(options),
+        network: options.network || record.verification.network,
+        apiKey: options['api-key'],
+        apiUrl: options['api-url'],
+        pollInterval: parseDuration(options['poll-interval'])
+      });
+      if (!['verified', 'already_verified'].includes(result.status)) {
+        const error = new Error(`Verification ${result.status}: ${result.message}`);
+        error.result = result;
+        throw error;
+      }
+      return result;
+    },
+    format(result) {
+      return `${result.address}: ${result.status}${result.explorerUrl ? `\n  ${result.explorerUrl}` : ''}`;
+    }
+  },
+
+  'migrate run': {
+    summary: 'Run numbered deployment steps, recording them in the network manifest',
+    usage: 'migrate run [--dir migrations] [--manifest-dir deployments] [--to N] [--dry-run] [--on-drift error|warn|redeploy]',
+    options: {
+      dir: { type: 'string', default: 'migrations' },
+      'manifest-dir': { type: 'string', default: 'deployments' },
+      to: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'on-drift': { type: 'string', default: 'error' },
+      confirmations: { type: 'string', default: '1' }
+    },
+    async run(options) {
+      const { ethers } = require('ethers');
+      const { BaseMigrationRunner } = require('../scripts/BaseMigrationRunner');
+      if (!['error', 'warn', 'redeploy'].includes(options['on-drift'])) {
+        throw new UsageError('--on-drift must be error, warn or redeploy');
+      }
+      const { network, rpcUrl } = resolveNetwork(options);
+      const dryRun = options['dry-run'];
+      const runner = new BaseMigrationRunner({
+        network,
+        signer: dryRun ? null : createSigner(rpcUrl),
+        provider: new ethers.JsonRpcProvider(rpcUrl),
+        dir: options.dir,
+        manifestDir: options['manifest-dir'],
+        onDrift: options['on-drift'],
+        confirmations: parseCount(options.confirmations, '--confirmations')
+      });
+      return runner.run({ dryRun, to: options.to === undefined ? undefined : parseCount(options.to, '--to') });
+    },
+    format(result) {
+      const lines = [`Migrations on ${result.network}`];
+      for (const id of result.applied) lines.push(`  applied  ${id}`);
+      for (const id of result.skipped) lines.push(`  done     ${id}`);
+      for (const id of result.pending) lines.push(`  pending  ${id}`);
+      for (const drift of result.drift) lines.push(`  drift    ${drift.key} (${drift.kind} ${drift.status})`);
+      return lines.join('\n');
+    }
+  },
+
+  'manifest diff': {
+    summary: 'Compare the deployment manifests of two networks',
+    usage: 'manifest diff <network | file.json> <network | file.json> [--manifest-dir deployments]',
+    options: {
+      'manifest-dir': { type: 'string', default: 'deployments' }
+    },
+    async run(options, positionals) {
+      const { diffManifests } = require('../scripts/BaseDeploymentManifest');
+      if (positionals.length !== 2) {
+        throw new UsageError('Pass two networks or manifest files, e.g. `manifest diff baseSepolia base`');
+      }
+      const [from, to] = positionals.map(source => readJsonFile(
+        source.endsWith('.json') ? source : path.join(options['manifest-dir'], `${source}.json`),
+        'manifest'
+      ));
+      return diffManifests(from, to);
+    },
+    format(diff) {
+      const lines = [`${diff.from.network} (rev ${diff.from.revision}) -> ${diff.to.network} (rev ${diff.to.revision})`];
+      for (const contract of diff.contracts) {
+        lines.push(`  ${contract.status.padEnd(12)} ${contract.key}  ${contract.fromAddress || '-'} -> ${contract.toAddress || '-'}`);
+        for (const difference of contract.differences) {
+          lines.push(`      ${difference.field}: ${JSON.stringify(difference.from)} -> ${JSON.stringify(difference.to)}`);
+        }
+      }
+      if (diff.migrations.onlyInFrom.length > 0) {
+        lines.push(`  migrations not applied on ${diff.to.network}: ${diff.migrations.onlyInFrom.join(', ')}`);
+      }
+      if (diff.migrations.onlyInTo.length > 0) {
+        lines.push(`  migrations not applied on ${diff.from.network}: ${diff.migrations.onlyInTo.join(', ')}`);
+      }
+      return lines.join('\n');
+    }
+  },
+
+  'manifest check': {
+    summary: 'Check manifest contracts for bytecode drift (exits 1 when any drifted)',
+    usage: 'manifest check [--manifest-dir deployments] [--compile]',
+    options: {
+      'manifest-dir': { type: 'string', default: 'deployments' },
+      compile: { type: 'boolean', default: false }
+    },
+    async run(options) {
+      const { ethers } = require('ethers');
+      const { BaseMigrationRunner } = require('../scripts/BaseMigrationRunner');
+      const { network, rpcUrl } = resolveNetwork(options);
+      const runner = new BaseMigrationRunner({
+        network,
+        provider: new ethers.JsonRpcProvider(rpcUrl),
+        manifestDir: options['manifest-dir']
+      });
+      const results = await runner.checkDrift({ compile: options.compile });
+      const drifted = results.filter(result => result.status !== 'ok');
+      if (drifted.length > 0) {
+        const error = new Error(`${drifted.length} contract(s) drifted: ${drifted.map(result => `${result.key} (${result.kind} ${result.status})`).join(', ')}`);
+        error.result = results;
+        throw error;
+      }
+      return results;
+    },
+    format(results) {
+      if (results.length === 0) return 'No contracts in the manifest';
+      return results.map(result => `${result.status.padEnd(8)} ${result.kind.padEnd(6)} ${result.key}  ${result.address}`).join('\n');
+    }
+  },
+
+  'gas watch': {
+    summary: 'Poll gas prices, record them to history and print each sample',
+    usage: 'gas watch [--interval 30s] [--count N] [--max-failures N] [--alert-above GWEI] [--alert-webhook URL]',
+    options: {
+      ...HISTORY_OPTIONS,
+      interval: { type: 'string', default: '30s' },
+      count: { type: 'string' },
+      'max-failures': { type: 'string', default: '5' },
+      'alert-above': { type: 'string' },
+      'alert-webhook': { type: 'string' }
+    },
+    async run(options, positionals, io) {
+      // --count counts ticks, failed ones included; --max-failures consecutive failed ticks end the watch
+      const limit = options.count !== undefined ? parseCount(options.count, '--count') : Infinity;
+      const maxFailures = parseCount(options['max-failures'], '--max-failures');
+      const interval = parseDuration(options.interval);
+      const monitor = createMonitor(options);
+      if (options['alert-above'] !== undefined) {
+        monitor.addAlertRule({ metric: 'gasPrice', above: parsePositiveNumber(options['alert-above'], '--alert-above'), severity: 'critical' });
+      }
+      if (options['alert-webhook']) {
+        monitor.addAlertSink({ type: 'webhook', url: options['alert-webhook'] });
+      }
+
+      let ticks = 0;
+      let samples = 0;
+      let consecutiveFailures = 0;
+      let failure = null;
+      let finish;
+      const done = new Promise(resolve => {
+        finish = () => resolve();
+        monitor.on('sample', (snapshot) => {
+          ticks++;
+          samples++;
+          consecutiveFailures = 0;
+          // One JSON object per line while watching, so the stream can be piped
+          if (io.json) io.stdout.write(JSON.stringify(snapshot) + '\n');
+          if (ticks >= limit) finish();
+        });
+        monitor.on('miss', (error) => {
+          ticks++;
+          consecutiveFailures++;
+          failure = error;
+          if (ticks >= limit || consecutiveFailures >= maxFailures) finish();
+        });
+        monitor.on('alert', event => io.json && io.stdout.write(JSON.stringify(event) + '\n'));
+        monitor.on('error', error => io.stderr.write(`Monitoring error: ${error.message}\n`));
+        process.once('SIGINT', finish);
+        process.once('SIGTERM', finish);
+      });
+
+      try {
+        const handle = await monitor.monitorGasPrices(interval);
+        await done;
+        await handle.stop();
+      } finally {
+        // The signal listeners only end this watch; later commands in the process must not inherit them
+        process.removeListener('SIGINT', finish);
+        process.removeListener('SIGTERM', finish);
+      }
+      await monitor.history.close();
+
+      if (consecutiveFailures >= maxFailures) {
+        throw new Error(`Stopped after ${consecutiveFailures} failed samples in a row: ${failure.message}`);
+      }
+      if (ticks >= limit && samples < limit) {
+        throw new Error(`${limit - samples} of ${limit} samples failed: ${failure.message}`);
+      }
+      // Samples were already streamed
+      return undefined;
+    }
+  },
+
+  'gas estimate': {
+    summary: 'Estimate the cost of a transaction, including the L1 data fee',
+    usage: 'gas estimate --to ADDRESS|BASENAME [--data 0x...] [--value ETH] [--currency usd]',
+    options: {
+      to: { type: 'string' },
+      data: { type: 'string', default: '0x' },
+      value: { type: 'string', default: '0' },
+      currency: { type: 'string', default: 'usd' }
+    },
+    async run(options) {
+      if (!options.to) {
+        throw new UsageError('--to is required');
+      }
+      const monitor = createMonitor({ ...options, 'history-type': 'memory' });
+      return monitor.estimateTransactionCost(options.to, options.data, options.value, { currency: options.currency });
+    },
+    format(cost) {
+      const fiat = cost.estimatedFiat
+        ? ` (~${cost.estimatedFiat.amount.toFixed(4)} ${cost.estimatedFiat.currency.toUpperCase()})`
+        : '';
+      return [
+        `gas limit: ${cost.gasLimit} @ ${cost.gasPrice} gwei`,
+        `L2 cost:   ${cost.l2CostEth} ETH`,
+        `L1 fee:    ${cost.l1FeeEth} ETH`,
+        `total:     ${cost.totalCostEth} ETH${fiat}`
+      ].join('\n');
+    }
+  },
+
+  'gas history': {
+    summary: 'Summarize recorded gas prices: percentiles and OHLC candles',
+    usage: 'gas history [--since 24h] [--interval 1h] [--history-path file]',
+    options: {
+      ...HISTORY_OPTIONS,
+      since: { type: 'string', default: '24h' },
+      interval: { type: 'string', default: '1h' }
+    },
+    async run(options) {
+      const monitor = createMonitor(options);
+      const from = Date.now() - parseDuration(options.since);
+      try {
+        const [stats, candles] = await Promise.all([
+          monitor.getGasPricePercentiles({ from }),
+          monitor.getGasPriceCandles(parseDuration(options.interval), { from })
+        ]);
+        return { since: new Date(from).toISOString(), stats, candles };
+      } finally {
+        await monitor.history.close();
+      }
+    },
+    format({ since, stats, candles }) {
+      if (stats.count === 0) return `No gas samples recorded since ${since}`;
+      const p = stats.percentiles;
+      const lines = [
+        `${stats.count} samples since ${since} (gwei)`,
+        `  min ${stats.min}  p50 ${p.p50}  p90 ${p.p90}  max ${stats.max}  mean ${stats.mean.toFixed(6)}`,
+        '',
+        '  interval start            open        high        low         close       samples'
+      ];
+      for (const candle of candles) {
+        const cells = [candle.open, candle.high, candle.low, candle.close].map(v => String(v).padEnd(11));
+        lines.push(`  ${new Date(candle.start).toISOString().padEnd(25)} ${cells.join(' ')} ${candle.count}`);
+      }
+      return lines.join('\n');
+    }
+  },
+
+  'name resolve': {
+    summary: 'Resolve a Basename to an address, or an address to its Basename',
+    usage: 'name resolve <basename | address> [--text KEY]...',
+    options: {
+      text: { type: 'string', multiple: true }
+    },
+    async run(options, positionals) {
+      const { isBasename } = require('../lib/BaseNameResolver');
+      const input = positionals[0];
+      if (!input) {
+        throw new UsageError('Pass a Basename or an address');
+      }
+      const resolver = createNameResolver(options);
+
+      const name = isBasename(input) ? input : await resolver.lookupAddress(await resolver.resolveAddress(input));
+      const address = isBasename(input) ? await resolver.resolveName(input) : await resolver.resolveAddress(input);
+      const texts = name && options.text ? await resolver.getTextRecords(name, options.text) : {};
+      return { input, name, address, texts };
+    },
+    format({ input, name, address, texts }) {
+      const lines = [
+        `name:    ${name || '(none)'}`,
+        `address: ${address || '(does not resolve)'}`
+      ];
+      for (const [key, value] of Object.entries(texts)) {
+        lines.push(`  ${key}: ${value === null ? '(unset)' : value}`);
+      }
+      return lines.join('\n');
+    }
+  }
+};
+
+function usage() {
+  const lines = [
+    'Usage: base-dev <command> [options]',
+    '',
+    'Commands:'
+  ];
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    lines.push(`  ${name.padEnd(14)} ${command.summary}`);
+  }
+  lines.push(
+    '',
+    'Global options:',
+    '  -n, --network NAME   base (default), baseSepolia or local; aliases and chain ids work too',
+    '  --rpc-url URL        RPC endpoint (defaults to the network\'s public RPC, or BASE_RPC_URL on mainnet)',
+    '  --json               Print results as JSON on stdout; logs go to stderr',
+    '  --basename-registry ADDRESS',
+    '                       Resolve names through a BaseContractUtils registry instead of Basenames',
+    '  -h, --help           Show help for a command',
+    '',
+    'Environment: PRIVATE_KEY (deployments), BASE_RPC_URL, BASESCAN_API_KEY'
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Runs the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} io - { stdout, stderr } streams
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv = process.argv.slice(2), io = { stdout: process.stdout, stderr: process.stderr }) {
+  const name = argv.slice(0, 2).join(' ');
+  const command = COMMANDS[name];
+  const json = argv.includes('--json');
+
+  if (!command) {
+    const wantsHelp = argv.length === 0 || argv[0] === 'help' || argv[0] === '--help' || argv[0] === '-h';
+    io[wantsHelp ? 'stdout' : 'stderr'].write(usage() + '\n');
+    if (!wantsHelp) io.stderr.write(`\nUnknown command "${name}"\n`);
+    return wantsHelp ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+
+  // Library code logs progress with console.log; keep stdout clean for JSON consumers
+  const restoreLog = console.log;
+  if (json) console.log = (...args) => console.error(...args);
+
+  try {
+    const { values: options, positionals } = parseArgs({
+      args: argv.slice(2),
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true
+    });
+
+    if (options.help) {
+      io.stdout.write(`Usage: base-dev ${command.usage}\n\n${command.summary}\n`);
+      return EXIT_CODES.OK;
+    }
+
+    const result = await command.run(options, positionals, { ...io, json });
+    if (result !== undefined) {
+      io.stdout.write((json || !command.format ? toJson(result) : command.format(result)) + '\n');
+    }
+    return EXIT_CODES.OK;
+  } catch (error) {
+    // parseArgs reports unknown or malformed flags with ERR_PARSE_ARGS_* codes
+    const usageError = error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS');
+    if (json) {
+      io.stdout.write(toJson({ error: { code: error.code || null, message: error.message, ...(error.result && { result: error.result }) } }) + '\n');
+    } else {
+      io.stderr.write(`Error: ${error.message}\n`);
+      if (usageError) io.stderr.write(`Usage: base-dev ${command.usage}\n`);
+    }
+    return usageError ? EXIT_CODES.USAGE : EXIT_CODES.FAILURE;
+  } finally {
+    console.log = restoreLog;
+  }
+}
+
+module.exports = { run, COMMANDS, EXIT_CODES, parseDuration };
+
+if (require.main === module) {
+  run().then((code) => {
+    // Providers keep sockets and timers alive; exit explicitly once the command is done
+    process.exit(code);
+  });
+}
@@ -0,0 +1,384 @@
+/**
+ * BaseContractUtilsClient - JavaScript client for the BaseContractUtils contract
+ * Wraps the deployment registry (recordDeployment / getDeployment / getDeploymentCount)
+ * and the basename registry (registerBasename / getBasenameInfo), with paginated
+ * reads over `deployments` and queries for ContractDeployed / BasenameRegistered events.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const { ethers } = require('ethers');
+const { makeError } = require('./BaseNetworkUtils');
+const { BaseMulticall } = require('./BaseMulticall');
+const { createNameResolver } = require('./BaseNameResolver');
+
+const BASE_CONTRACT_UTILS_ABI = [
+  'event BasenameRegistered(address indexed user, string basename)',
+  'event TransactionMonitored(address indexed from, address indexed to, uint256 value)',
+  'event ContractDeployed(address indexed contractAddress, string name)',
+  'function registerBasename(string _basename)',
+  'function recordDeployment(address _contractAddress, string _name)',
+  'function monitorTransaction(address _to) payable',
+  'function getBasenameInfo(address _address) view returns ((string basename, address owner, uint256 registeredAt, bool isActive))',
+  'function getDeploymentCount() view returns (uint256)',
+  'function getDeployment(uint256 _index) view returns ((address contractAddress, string name, uint256 deployedAt, address deployer))',
+  'function basenameToAddress(string) view returns (address)',
+  'function isBaseNetwork() view returns (bool)',
+  'function BASE_CHAIN_ID() view returns (uint256)',
+  'function BASE_BRIDGE() view returns (address)',
+  'function owner() view returns (address)',
+  'function emergencyWithdraw()'
+];
+
+// Default block span per eth_getLogs request; public Base RPCs reject much larger ranges
+const DEFAULT_LOG_BLOCK_RANGE = 10000;
+
+/**
+ * @typedef {Object} DeploymentInfo
+ * @property {number} index - Position in the `deployments` array
+ * @property {string} contractAddress - Deployed contract
+ * @property {string} name - Name it was recorded under
+ * @property {number} deployedAt - Unix time (seconds) the record was written
+ * @property {string} deployer - Account that recorded it
+ */
+
+/**
+ * @typedef {Object} BasenameInfo
+ * @property {string} basename - Registered name, '' when the address has none
+ * @property {string} owner - Owner address
+ * @property {number} registeredAt - Unix time (seconds)
+ * @property {boolean} isActive - Whether the registration is active
+ */
+
+const toDeploymentInfo = (index, raw) => ({
+  index,
+  contractAddress: raw.contractAddress,
+  name: raw.name,
+  deployedAt: Number(raw.deployedAt),
+  deployer: raw.deployer
+});
+
+const toBasenameInfo = (raw) => ({
+  basename: raw.basename,
+  owner: raw.owner,
+  registeredAt: Number(raw.registeredAt),
+  isActive: raw.isActive
+});
+
+class BaseContractUtilsClient {
+  /**
+   * @param {string} address - BaseContractUtils address
+   * @param {Object} runner - ethers v6 provider (reads) or signer (reads and writes)
+   * @param {Object} options - { fromBlock, logBlockRange, confirmations, multicall, nameResolver }
+   *   fromBlock: block the contract was deployed at, the default start for event queries;
+   *   multicall: BaseMulticall options, or false to read deployment pages call by call;
+   *   nameResolver: BaseNameResolver or its options, used where an address argument is a Basename
+   */
+  constructor(address, runner, options = {}) {
+    if (!ethers.isAddress(address)) {
+      throw makeError('INVALID_ARGUMENT', `Invalid BaseContractUtils address: ${address}`);
+    }
+    this.address = ethers.getAddress(address);
+    this.runner = runner;
+    this.provider = runner.provider || runner;
+    this.contract = new ethers.Contract(this.address, BASE_CONTRACT_UTILS_ABI, runner);
+    this.interface = this.contract.interface;
+    this.options = {
+      fromBlock: options.fromBlock || 0,
+      logBlockRange: options.logBlockRange || DEFAULT_LOG_BLOCK_RANGE,
+      confirmations: options.confirmations || 1
+    };
+    this.multicall = options.multicall === false ? null : new BaseMulticall(this.provider, options.multicall);
+    this.names = createNameResolver(this.provider, options.nameResolver);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Deployment registry
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Records a deployed contract in the registry
+   * @param {string} contractAddress - Deployed contract (must have code), or its Basename
+   * @param {string} name - Name to record it under
+   * @returns {Promise<Object>} { hash, blockNumber, contractAddress, name, index }
+   */
+  async recordDeployment(contractAddress, name) {
+    const target = await this.names.resolveAddress(contractAddress);
+    const receipt = await this._send('recordDeployment', [target, name]);
+    const event = this._findEvent(receipt, 'ContractDeployed');
+
+    // Index = records before this block + records earlier in the same block
+    const [countBefore, blockLogs] = await Promise.all([
+      this.contract.getDeploymentCount({ blockTag: receipt.blockNumber - 1 }),
+      this.contract.queryFilter(this.contract.filters.ContractDeployed(), receipt.blockNumber, receipt.blockNumber)
+    ]);
+    const earlierInBlock = blockLogs.filter(log => log.index < event.log.index).length;
+
+    return {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      contractAddress: event.args.contractAddress,
+      name,
+      index: Number(countBefore) + earlierInBlock
+    };
+  }
+
+  /**
+   * @returns {Promise<number>} Number of recorded deployments
+   */
+  async getDeploymentCount() {
+    return Number(await this.contract.getDeploymentCount());
+  }
+
+  /**
+   * Reads one deployment record
+   * @param {number} index - Index into `deployments`
+   * @returns {Promise<DeploymentInfo>} Deployment
+   */
+  async getDeployment(index) {
+    const count = await this.getDeploymentCount();
+    if (!Number.isInteger(index) || index < 0 || index >= count) {
+      throw makeError('INDEX_OUT_OF_BOUNDS', `Deployment index ${index} is out of range (${count} recorded)`, { index, count });
+    }
+    return toDeploymentInfo(index, await this.contract.getDeployment(index));
+  }
+
+  /**
+   * Reads a page of deployment records, through Multicall3 when it is deployed
+   * @param {Object} options - { offset, limit, order: 'asc' | 'desc' } desc starts from the newest
+   * @returns {Promise<Object>} { items: DeploymentInfo[], total, offset, limit, nextOffset } nextOffset is null on the last page
+   */
+  async getDeployments(options = {}) {
+    const offset = options.offset || 0;
+    const limit = options.limit || 50;
+    const order = options.order || 'asc';
+    if (!['asc', 'desc'].includes(order)) {
+      throw makeError('INVALID_ARGUMENT', `order must be "asc" or "desc"`);
+    }
+
+    // Pin the page to one block so the count and the records agree
+    const blockTag = await this.provider.getBlockNumber();
+    const total = Number(await this.contract.getDeploymentCount({ blockTag }));
+    const end = Math.min(offset + limit, total);
+
+    const indexes = [];
+    for (let position = offset; position < end; position++) {
+      indexes.push(order === 'asc' ? position : total - 1 - position);
+    }
+
+    const records = await this._readDeployments(indexes, blockTag);
+    return {
+      items: records,
+      total,
+      offset,
+      limit,
+      nextOffset: end < total ? end : null
+    };
+  }
+
+  /**
+   * Iterates over every deployment record, one page at a time
+   * @param {Object} options - { pageSize, order }
+   * @returns {AsyncGenerator<DeploymentInfo>} Deployments
+   */
+  async *iterateDeployments(options = {}) {
+    let offset = 0;
+    while (offset !== null) {
+      const page = await this.getDeployments({ offset, limit: options.pageSize || 100, order: options.order });
+      yield* page.items;
+      offset = page.nextOffset;
+    }
+  }
+
+  /**
+   * Finds the recorded deployments of a contract address
+   * @param {string} contractAddress - Contract to look up, or its Basename
+   * @returns {Promise<Array<DeploymentInfo>>} Matching records, oldest first
+   */
+  async findDeployments(contractAddress) {
+    const target = await this.names.resolveAddress(contractAddress);
+    const matches = [];
+    for await (const deployment of this.iterateDeployments()) {
+      if (deployment.contractAddress === target) matches.push(deployment);
+    }
+    return matches;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Basename registry
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Registers a basename for the signer's address
+   * @param {string} basename - Name to register
+   * @returns {Promise<Object>} { hash, blockNumber, user, basename }
+   */
+  async registerBasename(basename) {
+    if (!basename) {
+      throw makeError('INVALID_ARGUMENT', 'Basename cannot be empty');
+    }
+    const receipt = await this._send('registerBasename', [basename]);
+    const event = this._findEvent(receipt, 'BasenameRegistered');
+    return {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      user: event ? event.args.user : await this.runner.getAddress(),
+      basename
+    };
+  }
+
+  /**
+   * Reads the basename registered for an address
+   * @param {string} address - Address to look up
+   * @returns {Promise<BasenameInfo|null>} Info, or null when the address has no basename
+   */
+  async getBasenameInfo(address) {
+    const info = toBasenameInfo(await this.contract.getBasenameInfo(await this.names.resolveAddress(address)));
+    return info.basename ? info : null;
+  }
+
+  /**
+   * Looks up the address that registered a basename
+   * @param {string} basename - Registered name
+   * @returns {Promise<string|null>} Address, or null when the name is not registered
+   */
+  async getBasenameAddress(basename) {
+    const address = await this.contract.basenameToAddress(basename);
+    return address === ethers.ZeroAddress ? null : address;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Other contract functions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Sends ETH through the contract so the transfer is logged as TransactionMonitored
+   * @param {string} to - Recipient address or Basename
+   * @param {bigint|string} value - Amount in wei (bigint) or ETH (decimal string)
+   * @returns {Promise<Object>} { hash, blockNumber, from, to, value }
+   */
+  async monitorTransaction(to, value = 0n) {
+    const wei = typeof value === 'bigint' ? value : ethers.parseEther(String(value));
+    const recipient = await this.names.resolveAddress(to);
+    const receipt = await this._send('monitorTransaction', [recipient], { value: wei });
+    return { hash: receipt.hash, blockNumber: receipt.blockNumber, from: receipt.from, to: recipient, value: wei };
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the contract reports running on Base mainnet
+   */
+  async isBaseNetwork() {
+    return this.contract.isBaseNetwork();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Events
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Queries ContractDeployed events
+   * @param {Object} options - { contractAddress, fromBlock, toBlock }
+   * @returns {Promise<Array<Object>>} [{ contractAddress, name, blockNumber, transactionHash, logIndex }]
+   */
+  async getContractDeployedEvents(options = {}) {
+    const logs = await this.queryEvents('ContractDeployed', [options.contractAddress || null], options);
+    return logs.map(log => ({
+      contractAddress: log.args.contractAddress,
+      name: log.args.name,
+      ...this._logPosition(log)
+    }));
+  }
+
+  /**
+   * Queries BasenameRegistered events
+   * @param {Object} options - { user, fromBlock, toBlock }
+   * @returns {Promise<Array<Object>>} [{ user, basename, blockNumber, transactionHash, logIndex }]
+   */
+  async getBasenameRegisteredEvents(options = {}) {
+    const logs = await this.queryEvents('BasenameRegistered', [options.user || null], options);
+    return logs.map(log => ({
+      user: log.args.user,
+      basename: log.args.basename,
+      ...this._logPosition(log)
+    }));
+  }
+
+  /**
+   * Queries any contract event, splitting the block range into logBlockRange chunks
+   * @param {string} eventName - Event name
+   * @param {Array} topics - Indexed argument filters (null matches anything)
+   * @param {Object} options - { fromBlock, toBlock }
+   * @returns {Promise<Array<Object>>} ethers EventLog objects
+   */
+  async queryEvents(eventName, topics = [], options = {}) {
+    const filter = this.contract.filters[eventName](...topics);
+    const fromBlock = options.fromBlock !== undefined ? options.fromBlock : this.options.fromBlock;
+    const toBlock = options.toBlock !== undefined && options.toBlock !== 'latest'
+      ? options.toBlock
+      : await this.provider.getBlockNumber();
+
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += this.options.logBlockRange) {
+      const end = Math.min(start + this.options.logBlockRange - 1, toBlock);
+      logs.push(...await this.contract.queryFilter(filter, start, end));
+    }
+    return logs;
+  }
+
+  async _readDeployments(indexes, blockTag) {
+    if (indexes.length === 0) return [];
+
+    if (this.multicall && await this.multicall.isDeployed()) {
+      const results = await this.multicall.read(indexes.map(index => ({
+        target: this.address,
+        interface: this.interface,
+        method: 'getDeployment',
+        args: [index],
+        allowFailure: false
+      })), { blockTag });
+      return results.map((result, i) => toDeploymentInfo(indexes[i], result.result));
+    }
+
+    return Promise.all(indexes.map(async index =>
+      toDeploymentInfo(index, await this.contract.getDeployment(index, { blockTag }))
+    ));
+  }
+
+  async _send(method, args, overrides = {}) {
+    if (typeof this.runner.sendTransaction !== 'function') {
+      throw new Error(`BaseContractUtilsClient.${method} requires a signer`);
+    }
+    // A transaction to an address without code "succeeds" and records nothing
+    if (!this._deployed) {
+      if ((await this.provider.getCode(this.address)) === '0x') {
+        throw makeError('CONTRACT_NOT_FOUND', `No BaseContractUtils contract at ${this.address}`);
+      }
+      this._deployed = true;
+    }
+    const tx = await this.contract[method](...args, overrides);
+    const receipt = await tx.wait(this.options.confirmations);
+    if (!receipt || receipt.status !== 1) {
+      throw makeError('CALL_EXCEPTION', `${method} transaction ${tx.hash} failed`, { hash: tx.hash });
+    }
+    return receipt;
+  }
+
+  // Returns { args, log } for the first matching event emitted by this contract
+  _findEvent(receipt, eventName) {
+    for (const log of receipt.logs) {
+      if (log.address !== this.address) continue;
+      const parsed = this.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) return { args: parsed.args, log };
+    }
+    return null;
+  }
+
+  _logPosition(log) {
+    return { blockNumber: log.blockNumber, transactionHash: log.transactionHash, logIndex: log.index };
+  }
+}
+
+module.exports = {
+  BaseContractUtilsClient,
+  BASE_CONTRACT_UTILS_ABI
+};
@@ -0,0 +1,214 @@
+/**
+ * BaseL1FeeOracle - L1 data fee estimates for OP Stack chains like Base
+ * Every Base transaction pays L2 execution gas plus a fee for posting its data to L1,
+ * which dominates the cost of calldata-heavy transactions such as deployments.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const { ethers } = require('ethers');
+const { PREDEPLOYS } = require('./BaseNetworkUtils');
+
+const GAS_PRICE_ORACLE_ABI = [
+  'function getL1Fee(bytes _data) view returns (uint256)',
+  'function getL1GasUsed(bytes _data) view returns (uint256)',
+  'function l1BaseFee() view returns (uint256)',
+  'function blobBaseFee() view returns (uint256)',
+  'function baseFeeScalar() view returns (uint32)',
+  'function blobBaseFeeScalar() view returns (uint32)',
+  'function overhead() view returns (uint256)',
+  'function scalar() view returns (uint256)',
+  'function decimals() view returns (uint256)',
+  'function isEcotone() view returns (bool)',
+  'function isFjord() view returns (bool)'
+];
+
+const oracleInterface = new ethers.Interface(GAS_PRICE_ORACLE_ABI);
+
+// Placeholder values for fields a cost estimate does not know yet; non-zero so the
+// serialized length is close to the real signed transaction
+const PLACEHOLDER_TX = {
+  nonce: 1000,
+  gasLimit: 1000000n,
+  maxFeePerGas: ethers.parseUnits('1', 'gwei'),
+  maxPriorityFeePerGas: ethers.parseUnits('0.01', 'gwei')
+};
+
+const toBigInt = (value) => (value === undefined || value === null ? null : BigInt(value.toString()));
+
+class BaseL1FeeOracle {
+  /**
+   * @param {Object} provider - ethers provider (v5 or v6); only `call`, `getCode` and `getNetwork` are used
+   * @param {Object} options - { address } GasPriceOracle address, defaults to the predeploy
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.address = options.address || PREDEPLOYS.GasPriceOracle;
+    this._supported = null;
+    this._chainId = null;
+  }
+
+  /**
+   * Checks whether the connected chain has a GasPriceOracle (false on plain L1s and dev nodes)
+   * @returns {Promise<boolean>} True when L1 fees apply
+   */
+  async isSupported() {
+    if (this._supported === null) {
+      const code = await this.provider.getCode(this.address);
+      this._supported = code !== '0x';
+    }
+    return this._supported;
+  }
+
+  async _call(method, args = []) {
+    const data = oracleInterface.encodeFunctionData(method, args);
+    const result = await this.provider.call({ to: this.address, data });
+    return oracleInterface.decodeFunctionResult(method, result)[0];
+  }
+
+  async _tryCall(method, args = []) {
+    try {
+      return await this._call(method, args);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Reads the oracle's current fee inputs (Ecotone/Fjord scalars, or legacy overhead/scalar)
+   * @returns {Promise<Object>} Fee parameters, all numeric values as bigint
+   */
+  async getFeeParameters() {
+    if (!(await this.isSupported())) {
+      return { supported: false };
+    }
+
+    const [isEcotone, isFjord, l1BaseFee, decimals] = await Promise.all([
+      this._tryCall('isEcotone'),
+      this._tryCall('isFjord'),
+      this._call('l1BaseFee'),
+      this._tryCall('decimals')
+    ]);
+
+    const params = {
+      supported: true,
+      isEcotone: Boolean(isEcotone),
+      isFjord: Boolean(isFjord),
+      l1BaseFee: toBigInt(l1BaseFee),
+      decimals: toBigInt(decimals)
+    };
+
+    if (params.isEcotone) {
+      const [blobBaseFee, baseFeeScalar, blobBaseFeeScalar] = await Promise.all([
+        this._call('blobBaseFee'),
+        this._call('baseFeeScalar'),
+        this._call('blobBaseFeeScalar')
+      ]);
+      Object.assign(params, {
+        blobBaseFee: toBigInt(blobBaseFee),
+        baseFeeScalar: toBigInt(baseFeeScalar),
+        blobBaseFeeScalar: toBigInt(blobBaseFeeScalar)
+      });
+    } else {
+      const [overhead, scalar] = await Promise.all([this._tryCall('overhead'), this._tryCall('scalar')]);
+      Object.assign(params, { overhead: toBigInt(overhead), scalar: toBigInt(scalar) });
+    }
+
+    return params;
+  }
+
+  /**
+   * Serializes a transaction request the way the sequencer posts it to L1 (unsigned; the
+   * oracle accounts for the signature)
+   * @param {Object} tx - { to, data, value, nonce, gasLimit, maxFeePerGas, maxPriorityFeePerGas }
+   * @returns {Promise<string>} RLP-encoded unsigned transaction
+   */
+  async serializeTransaction(tx) {
+    if (this._chainId === null) {
+      const network = await this.provider.getNetwork();
+      this._chainId = BigInt(network.chainId.toString());
+    }
+
+    return ethers.Transaction.from({
+      type: 2,
+      chainId: this._chainId,
+      to: tx.to || null,
+      data: tx.data || '0x',
+      value: toBigInt(tx.value) || 0n,
+      nonce: tx.nonce !== undefined && tx.nonce !== null ? Number(tx.nonce) : PLACEHOLDER_TX.nonce,
+      gasLimit: toBigInt(tx.gasLimit) || PLACEHOLDER_TX.gasLimit,
+      maxFeePerGas: toBigInt(tx.maxFeePerGas) || PLACEHOLDER_TX.maxFeePerGas,
+      maxPriorityFeePerGas: toBigInt(tx.maxPriorityFeePerGas) || PLACEHOLDER_TX.maxPriorityFeePerGas
+    }).unsignedSerialized;
+  }
+
+  /**
+   * Gets the L1 data fee a transaction would pay
+   * @param {Object|string} tx - Transaction request, or an already serialized transaction
+   * @returns {Promise<bigint>} L1 fee in wei (0n on chains without L1 fees)
+   */
+  async getL1Fee(tx) {
+    if (!(await this.isSupported())) return 0n;
+    const serialized = typeof tx === 'string' ? tx : await this.serializeTransaction(tx);
+    return toBigInt(await this._call('getL1Fee', [serialized]));
+  }
+
+  /**
+   * Gets the L1 gas attributed to a transaction's data
+   * @param {Object|string} tx - Transaction request, or an already serialized transaction
+   * @returns {Promise<bigint|null>} L1 gas, null when the oracle no longer reports it
+   */
+  async getL1GasUsed(tx) {
+    if (!(await this.isSupported())) return 0n;
+    const serialized = typeof tx === 'string' ? tx : await this.serializeTransaction(tx);
+    return toBigInt(await this._tryCall('getL1GasUsed', [serialized]));
+  }
+
+  /**
+   * Splits the cost of a transaction into L2 execution and L1 data parts
+   * @param {Object} tx - Transaction request
+   * @param {Object} l2 - { gasLimit, gasPrice } L2 gas and effective gas price
+   * @returns {Promise<Object>} { l2GasLimit, l2GasPrice, l2ExecutionCost, l1DataFee, l1GasUsed, totalCost } as bigint
+   */
+  async estimateCost(tx, { gasLimit, gasPrice }) {
+    const serialized = await this.serializeTransaction({ ...tx, gasLimit });
+    const [l1DataFee, l1GasUsed] = await Promise.all([
+      this.getL1Fee(serialized),
+      this.getL1GasUsed(serialized)
+    ]);
+
+    const l2GasLimit = toBigInt(gasLimit);
+    const l2GasPrice = toBigInt(gasPrice);
+    const l2ExecutionCost = l2GasLimit * l2GasPrice;
+
+    return {
+      l2GasLimit,
+      l2GasPrice,
+      l2ExecutionCost,
+      l1DataFee,
+      l1GasUsed,
+      totalCost: l2ExecutionCost + l1DataFee
+    };
+  }
+}
+
+/**
+ * Reads the L1 fee charged to a mined transaction from its raw receipt (`l1Fee` on OP Stack nodes)
+ * @param {Object} provider - ethers provider (v5 or v6)
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<Object>} { l1Fee, l1GasUsed, l1GasPrice } as bigint, zero when absent
+ */
+async function getReceiptL1Fee(provider, txHash) {
+  const receipt = await provider.send('eth_getTransactionReceipt', [txHash]);
+  return {
+    l1Fee: toBigInt(receipt && receipt.l1Fee) || 0n,
+    l1GasUsed: toBigInt(receipt && receipt.l1GasUsed) || 0n,
+    l1GasPrice: toBigInt(receipt && receipt.l1GasPrice) || 0n
+  };
+}
+
+module.exports = {
+  BaseL1FeeOracle,
+  GAS_PRICE_ORACLE_ABI,
+  getReceiptL1Fee
+};
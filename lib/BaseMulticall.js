@@ -0,0 +1,302 @@
+/**
+ * BaseMulticall - Multicall3 batching for reads and aggregated writes on Base
+ * Reads are bundled into a single eth_call through aggregate3; writes are bundled
+ * into as few transactions as possible through aggregate3Value. Both are split into
+ * chunks that stay under calldata and gas limits.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const { ethers } = require('ethers');
+const { COMMON_CONTRACTS, makeError } = require('./BaseNetworkUtils');
+const { decodeRevertData } = require('./BaseSimulator');
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function aggregate3Value((address target, bool allowFailure, uint256 value, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getBlockNumber() view returns (uint256 blockNumber)',
+  'function getEthBalance(address addr) view returns (uint256 balance)'
+];
+
+// ABI size of one encoded call besides its calldata: array offset, tuple head
+// (target, allowFailure, value, calldata offset) and calldata length
+const CALL_OVERHEAD_BYTES = 32 * 6;
+
+const DEFAULT_CALL_GAS = 100000n;
+
+/**
+ * Decodes revert data into a readable reason
+ * @param {string} data - Revert data
+ * @param {Object} iface - Optional contract interface with custom errors
+ * @returns {string|null} Reason, or null when there is no revert data
+ */
+function decodeRevert(data, iface = null) {
+  const decoded = decodeRevertData(data, [iface]);
+  return decoded ? decoded.message : null;
+}
+
+class BaseMulticall {
+  /**
+   * @param {Object} runner - ethers v6 provider (reads) or signer (reads and writes)
+   * @param {Object} options - { address, maxCalldataBytes, maxGasPerBatch, maxCallsPerBatch, defaultCallGas }
+   */
+  constructor(runner, options = {}) {
+    this.runner = runner;
+    this.provider = runner.provider || runner;
+    this.address = options.address || COMMON_CONTRACTS.Multicall3;
+    this.options = {
+      maxCalldataBytes: options.maxCalldataBytes || 120000, // Base rejects transactions over 128 KB
+      maxGasPerBatch: BigInt(options.maxGasPerBatch || 15000000),
+      maxCallsPerBatch: options.maxCallsPerBatch || 500,
+      defaultCallGas: BigInt(options.defaultCallGas || DEFAULT_CALL_GAS)
+    };
+    this.contract = new ethers.Contract(this.address, MULTICALL3_ABI, runner);
+    this._deployed = null;
+  }
+
+  /**
+   * Checks that Multicall3 is deployed on the connected chain
+   * @returns {Promise<boolean>} True when the contract has code
+   */
+  async isDeployed() {
+    if (this._deployed === null) {
+      this._deployed = (await this.provider.getCode(this.address)) !== '0x';
+    }
+    return this._deployed;
+  }
+
+  /**
+   * Normalizes a call description into Multicall3's call struct
+   * @param {Object} call - { target, abi|interface, method, args, value, allowFailure } or { target, callData }
+   * @returns {Object} { target, allowFailure, value, callData, interface, fragment }
+   */
+  encodeCall(call) {
+    if (!call || !ethers.isAddress(call.target)) {
+      throw makeError('INVALID_ARGUMENT', 'Each call needs a target address', { call });
+    }
+
+    const iface = call.interface || (call.abi ? new ethers.Interface(call.abi) : null);
+    let callData = call.callData;
+    let fragment = null;
+
+    if (call.method) {
+      if (!iface) {
+        throw makeError('INVALID_ARGUMENT', `Call to ${call.method} needs an abi or interface`, { call });
+      }
+      fragment = iface.getFunction(call.method);
+      callData = iface.encodeFunctionData(fragment, call.args || []);
+    }
+
+    if (!callData) {
+      throw makeError('INVALID_ARGUMENT', 'Each call needs callData or a method to encode', { call });
+    }
+
+    return {
+      target: ethers.getAddress(call.target),
+      allowFailure: call.allowFailure !== false,
+      value: BigInt(call.value || 0),
+      callData,
+      interface: iface,
+      fragment
+    };
+  }
+
+  /**
+   * Splits encoded calls into batches below the calldata, gas and count limits
+   * @param {Array} calls - Encoded calls
+   * @param {Array<bigint>} gasEstimates - Optional per-call gas, enables the gas limit
+   * @returns {Array<Array<number>>} Batches of call indexes
+   */
+  chunk(calls, gasEstimates = null) {
+    const batches = [];
+    let current = [];
+    let bytes = 0;
+    let gas = 0n;
+
+    calls.forEach((call, index) => {
+      const callBytes = CALL_OVERHEAD_BYTES + Math.ceil(ethers.dataLength(call.callData) / 32) * 32;
+      const callGas = gasEstimates ? gasEstimates[index] : 0n;
+
+      const full = current.length >= this.options.maxCallsPerBatch ||
+        bytes + callBytes > this.options.maxCalldataBytes ||
+        (gasEstimates && gas + callGas > this.options.maxGasPerBatch);
+
+      if (current.length > 0 && full) {
+        batches.push(current);
+        current = [];
+        bytes = 0;
+        gas = 0n;
+      }
+
+      current.push(index);
+      bytes += callBytes;
+      gas += callGas;
+    });
+
+    if (current.length > 0) batches.push(current);
+    return batches;
+  }
+
+  /**
+   * Executes many read calls through aggregate3, one eth_call per chunk
+   * @param {Array} calls - Call descriptions (see encodeCall)
+   * @param {Object} options - { blockTag }
+   * @returns {Promise<Array>} Per call { success, result, returnData, error }
+   */
+  async read(calls, options = {}) {
+    if (!(await this.isDeployed())) {
+      throw makeError('MULTICALL_UNAVAILABLE', `Multicall3 is not deployed at ${this.address}`);
+    }
+
+    const encoded = calls.map(call => this.encodeCall(call));
+    const batches = this.chunk(encoded);
+    const overrides = options.blockTag !== undefined ? { blockTag: options.blockTag } : {};
+
+    const results = new Array(encoded.length);
+    for (const batch of batches) {
+      const structs = batch.map(index => {
+        const { target, allowFailure, callData } = encoded[index];
+        return { target, allowFailure, callData };
+      });
+      const returned = await this.contract.aggregate3.staticCall(structs, overrides);
+      batch.forEach((callIndex, i) => {
+        results[callIndex] = this._decodeResult(encoded[callIndex], returned[i]);
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Sends many contract calls as aggregate3Value transactions
+   * @param {Array} calls - Call descriptions (see encodeCall); `value` is forwarded per call
+   * @param {Object} options - { confirmations, overrides } overrides apply to every batch transaction
+   * @returns {Promise<Object>} { transactions: [{ hash, receipt, callIndexes, gasLimit }], results }
+   * @throws {Error} When a batch fails; `error.transactions` lists the batches already sent
+   */
+  async write(calls, options = {}) {
+    if (typeof this.runner.sendTransaction !== 'function') {
+      throw new Error('BaseMulticall.write requires a signer');
+    }
+    if (!(await this.isDeployed())) {
+      throw makeError('MULTICALL_UNAVAILABLE', `Multicall3 is not deployed at ${this.address}`);
+    }
+
+    const { batches, encoded, gasEstimates } = await this.planWrite(calls);
+    const transactions = [];
+    const results = new Array(encoded.length);
+    // Nonces are tracked locally across batches. The pending count is read with a raw
+    // request because ethers caches identical provider calls for a short time.
+    let nonce = (options.overrides && options.overrides.nonce !== undefined)
+      ? options.overrides.nonce
+      : Number(await this.provider.send('eth_getTransactionCount', [await this.runner.getAddress(), 'pending']));
+
+    try {
+      for (const batch of batches) {
+        const structs = batch.map(index => this._toValueStruct(encoded[index]));
+        const value = structs.reduce((sum, struct) => sum + struct.value, 0n);
+
+        // Simulate first so per-call outcomes are known and a reverting batch is not sent
+        const simulated = await this.contract.aggregate3Value.staticCall(structs, { value });
+        batch.forEach((callIndex, i) => {
+          results[callIndex] = this._decodeResult(encoded[callIndex], simulated[i]);
+        });
+
+        const gasLimit = await this.contract.aggregate3Value.estimateGas(structs, { value });
+        const response = await this.contract.aggregate3Value(structs, {
+          ...options.overrides,
+          nonce: nonce++,
+          value,
+          gasLimit: (gasLimit * 110n) / 100n
+        });
+        const receipt = await response.wait(options.confirmations || 1);
+
+        transactions.push({
+          hash: response.hash,
+          receipt,
+          callIndexes: batch,
+          gasLimit,
+          estimatedCallGas: batch.reduce((sum, index) => sum + gasEstimates[index], 0n)
+        });
+      }
+    } catch (error) {
+      // Earlier batches are already on chain; callers need them to avoid resending those calls
+      error.transactions = transactions;
+      throw error;
+    }
+
+    return { transactions, results };
+  }
+
+  /**
+   * Encodes calls, estimates their gas as Multicall3 would execute them and chunks them
+   * @param {Array} calls - Call descriptions
+   * @returns {Promise<Object>} { encoded, gasEstimates, batches }
+   */
+  async planWrite(calls) {
+    const encoded = calls.map(call => this.encodeCall(call));
+    // msg.sender of each inner call is Multicall3, so estimate from its address
+    const gasEstimates = await Promise.all(encoded.map(async (call) => {
+      try {
+        return await this.provider.estimateGas({
+          from: this.address,
+          to: call.target,
+          data: call.callData,
+          value: call.value
+        });
+      } catch (error) {
+        if (!call.allowFailure) {
+          throw makeError('CALL_EXCEPTION', `Call to ${call.target} would revert: ${decodeRevert(error.data, call.interface) || error.message}`, { call });
+        }
+        return this.options.defaultCallGas;
+      }
+    }));
+
+    return { encoded, gasEstimates, batches: this.chunk(encoded, gasEstimates) };
+  }
+
+  /**
+   * Builds the unsigned aggregate3Value transactions for a set of calls
+   * @param {Array} calls - Call descriptions
+   * @returns {Promise<Array>} Transaction requests { to, data, value, callIndexes }
+   */
+  async populateWrite(calls) {
+    const { batches, encoded } = await this.planWrite(calls);
+    return batches.map(batch => {
+      const structs = batch.map(index => this._toValueStruct(encoded[index]));
+      return {
+        to: this.address,
+        data: this.contract.interface.encodeFunctionData('aggregate3Value', [structs]),
+        value: structs.reduce((sum, struct) => sum + struct.value, 0n),
+        callIndexes: batch
+      };
+    });
+  }
+
+  _toValueStruct({ target, allowFailure, value, callData }) {
+    return { target, allowFailure, value, callData };
+  }
+
+  _decodeResult(call, { success, returnData }) {
+    if (!success) {
+      return { success, result: null, returnData, error: decodeRevert(returnData, call.interface) };
+    }
+
+    let result = null;
+    if (call.fragment) {
+      try {
+        const decoded = call.interface.decodeFunctionResult(call.fragment, returnData);
+        result = decoded.length === 1 ? decoded[0] : decoded;
+      } catch (error) {
+        return { success: false, result: null, returnData, error: `Could not decode result: ${error.message}` };
+      }
+    }
+    return { success, result, returnData, error: null };
+  }
+}
+
+module.exports = {
+  BaseMulticall,
+  MULTICALL3_ABI,
+  decodeRevert
+};
@@ -0,0 +1,355 @@
+/**
+ * BaseNameResolver - Basename resolution for Base
+ * Forward (name -> address) and reverse (address -> name) resolution plus text
+ * records through the Basenames L2 registry and resolver (ENS-style namehash),
+ * with a TTL cache. The BaseContractUtils basename registry can be used as the
+ * backend instead, which is how names are resolved on a local node.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const { ethers } = require('ethers');
+const { getNetworkConfig, makeError } = require('./BaseNetworkUtils');
+
+const BASENAMES_REGISTRY_ABI = [
+  'function resolver(bytes32 node) view returns (address)',
+  'function owner(bytes32 node) view returns (address)'
+];
+
+const BASENAMES_RESOLVER_ABI = [
+  'function addr(bytes32 node) view returns (address)',
+  'function name(bytes32 node) view returns (string)',
+  'function text(bytes32 node, string key) view returns (string)'
+];
+
+// Text records most Basename profiles set
+const DEFAULT_TEXT_KEYS = ['avatar', 'description', 'url', 'email', 'com.twitter', 'com.github', 'xyz.farcaster'];
+
+const DEFAULT_CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * Whether a value looks like a name rather than an address (e.g. "alice.base.eth")
+ * @param {*} value - Candidate
+ * @returns {boolean} True for dotted, non-hex strings
+ */
+function isBasename(value) {
+  return typeof value === 'string' && !ethers.isHexString(value) && /^[^\s.]+(\.[^\s.]+)+$/.test(value.trim());
+}
+
+// Namehash over labels as written: reverse nodes use an uppercase hex coin type that
+// ENS normalization would lowercase
+function rawNamehash(name) {
+  return name.split('.').reverse().reduce(
+    (node, label) => ethers.keccak256(ethers.concat([node, ethers.id(label)])),
+    ethers.ZeroHash
+  );
+}
+
+/**
+ * Reverse node Basenames uses for an address on a chain (ENSIP-19 coin type)
+ * @param {string} address - Address
+ * @param {number} chainId - Chain id
+ * @returns {string} bytes32 node
+ */
+function reverseNode(address, chainId) {
+  const coinType = ((0x80000000 | chainId) >>> 0).toString(16).toUpperCase();
+  return rawNamehash(`${ethers.getAddress(address).slice(2).toLowerCase()}.${coinType}.reverse`);
+}
+
+/**
+ * Resolves through the Basenames registry and resolver contracts
+ */
+class BasenamesBackend {
+  /**
+   * @param {Object} provider - ethers provider
+   * @param {Object} config - { registry, resolver, chainId }
+   */
+  constructor(provider, config) {
+    this.provider = provider;
+    this.chainId = config.chainId;
+    this.registry = new ethers.Contract(config.registry, BASENAMES_REGISTRY_ABI, provider);
+    this.defaultResolver = config.resolver;
+  }
+
+  normalize(name) {
+    try {
+      return ethers.ensNormalize(name.trim());
+    } catch (error) {
+      throw makeError('INVALID_NAME', `Invalid Basename "${name}": ${error.message}`, { name });
+    }
+  }
+
+  async _resolverFor(node, fallback) {
+    const address = await this.registry.resolver(node);
+    if (address !== ethers.ZeroAddress) return new ethers.Contract(address, BASENAMES_RESOLVER_ABI, this.provider);
+    return fallback ? new ethers.Contract(this.defaultResolver, BASENAMES_RESOLVER_ABI, this.provider) : null;
+  }
+
+  async resolveName(name) {
+    const node = ethers.namehash(name);
+    const resolver = await this._resolverFor(node, false);
+    if (!resolver) return null;
+    const address = await resolver.addr(node);
+    return address === ethers.ZeroAddress ? null : address;
+  }
+
+  async lookupAddress(address) {
+    const node = reverseNode(address, this.chainId);
+    const resolver = await this._resolverFor(node, true);
+    const name = await resolver.name(node);
+    return name || null;
+  }
+
+  async getText(name, key) {
+    const node = ethers.namehash(name);
+    const resolver = await this._resolverFor(node, false);
+    if (!resolver) return null;
+    const value = await resolver.text(node, key);
+    return value || null;
+  }
+}
+
+/**
+ * Resolves through the BaseContractUtils basename registry (exact-match names, no text records)
+ */
+class ContractUtilsBackend {
+  /**
+   * @param {Object} provider - ethers provider
+   * @param {string} address - BaseContractUtils address
+   */
+  constructor(provider, address) {
+    // Required here: the client itself accepts names through this module
+    const { BaseContractUtilsClient } = require('./BaseContractUtilsClient');
+    this.client = new BaseContractUtilsClient(address, provider, { multicall: false });
+  }
+
+  normalize(name) {
+    return name.trim();
+  }
+
+  async resolveName(name) {
+    return this.client.getBasenameAddress(name);
+  }
+
+  async lookupAddress(address) {
+    const info = await this.client.getBasenameInfo(address);
+    return info && info.isActive ? info.basename : null;
+  }
+
+  async getText() {
+    throw makeError('UNSUPPORTED_OPERATION', 'The BaseContractUtils basename registry has no text records');
+  }
+}
+
+class BaseNameResolver {
+  /**
+   * @param {Object} provider - ethers provider on the chain the names live on
+   * @param {Object} options - { network, contractUtils, registry, resolver, cacheTtl, maxCacheEntries, verifyReverse }
+   *   contractUtils: BaseContractUtils address; resolves through its basename registry instead of Basenames
+   *   registry / resolver: Basenames contract overrides (default: from the network config)
+   *   verifyReverse: only return a reverse name whose forward record points back (default true)
+   */
+  constructor(provider, options = {}) {
+    if (!provider) {
+      throw new Error('BaseNameResolver requires a provider');
+    }
+    if (options.contractUtils && !ethers.isAddress(options.contractUtils)) {
+      throw makeError('INVALID_ARGUMENT', `Invalid BaseContractUtils address: ${options.contractUtils}`);
+    }
+
+    this.provider = provider;
+    this.options = {
+      network: options.network || null,
+      contractUtils: options.contractUtils || null,
+      registry: options.registry || null,
+      resolver: options.resolver || null,
+      cacheTtl: options.cacheTtl ?? DEFAULT_CACHE_TTL,
+      maxCacheEntries: options.maxCacheEntries || 1000,
+      verifyReverse: options.verifyReverse !== false
+    };
+    this._backend = null;
+    this._cache = new Map();
+  }
+
+  /**
+   * Resolves a name to an address
+   * @param {string} name - e.g. "alice.base.eth"
+   * @returns {Promise<string|null>} Checksummed address, or null when the name has no address
+   */
+  async resolveName(name) {
+    const backend = await this.getBackend();
+    const normalized = backend.normalize(name);
+    return this._cached(`name:${normalized}`, () => backend.resolveName(normalized));
+  }
+
+  /**
+   * Finds the primary name of an address
+   * @param {string} address - Address
+   * @returns {Promise<string|null>} Name, or null when none is set (or it does not resolve back)
+   */
+  async lookupAddress(address) {
+    const target = ethers.getAddress(address);
+    const backend = await this.getBackend();
+    return this._cached(`address:${target}`, async () => {
+      const name = await backend.lookupAddress(target);
+      if (!name || !this.options.verifyReverse) return name;
+      // Anyone can claim any name in reverse records; trust it only if it resolves back
+      const forward = await backend.resolveName(backend.normalize(name));
+      return forward && ethers.getAddress(forward) === target ? name : null;
+    });
+  }
+
+  /**
+   * Reads a text record of a name
+   * @param {string} name - Name
+   * @param {string} key - Record key, e.g. "avatar" or "com.twitter"
+   * @returns {Promise<string|null>} Value, or null when unset
+   */
+  async getText(name, key) {
+    const backend = await this.getBackend();
+    const normalized = backend.normalize(name);
+    return this._cached(`text:${normalized}:${key}`, () => backend.getText(normalized, key));
+  }
+
+  /**
+   * Reads several text records of a name
+   * @param {string} name - Name
+   * @param {Array<string>} keys - Record keys (default: common profile records)
+   * @returns {Promise<Object>} { key: value | null }
+   */
+  async getTextRecords(name, keys = DEFAULT_TEXT_KEYS) {
+    const values = await Promise.all(keys.map(key => this.getText(name, key)));
+    return Object.fromEntries(keys.map((key, index) => [key, values[index]]));
+  }
+
+  /**
+   * Turns an address, Basename or addressable (contract, signer) into a checksummed address
+   * @param {string|Object} input - Address, name or object with getAddress()
+   * @returns {Promise<string>} Checksummed address
+   */
+  async resolveAddress(input) {
+    if (typeof input === 'string' && ethers.isAddress(input) && input.startsWith('0x')) {
+      return ethers.getAddress(input);
+    }
+    if (input && typeof input.getAddress === 'function') {
+      return ethers.getAddress(await input.getAddress());
+    }
+    if (isBasename(input)) {
+      const address = await this.resolveName(input);
+      if (!address) {
+        throw makeError('NAME_NOT_FOUND', `${input} does not resolve to an address`, { name: input });
+      }
+      return ethers.getAddress(address);
+    }
+    throw makeError('INVALID_ARGUMENT', `Expected an address or a Basename, got ${input}`, { value: input });
+  }
+
+  /**
+   * Resolves every address-typed argument of a function call
+   * @param {Object} fragment - ethers FunctionFragment
+   * @param {Array} args - Arguments, where addresses may be names
+   * @returns {Promise<Array>} Arguments with names replaced by addresses
+   */
+  async resolveArgs(fragment, args) {
+    return Promise.all(fragment.inputs.map(async (input, index) => {
+      const value = args[index];
+      if (input.type === 'address') return this.resolveAddress(value);
+      if (input.type === 'address[]' && Array.isArray(value)) {
+        return Promise.all(value.map(item => this.resolveAddress(item)));
+      }
+      return value;
+    }));
+  }
+
+  /**
+   * Drops cached lookups
+   */
+  clearCache() {
+    this._cache.clear();
+  }
+
+  /**
+   * Picks the backend: BaseContractUtils when configured, otherwise Basenames on the connected network
+   * @returns {Promise<Object>} Backend
+   */
+  async getBackend() {
+    if (!this._backend) {
+      this._backend = this._createBackend().catch(error => {
+        this._backend = null;
+        throw error;
+      });
+    }
+    return this._backend;
+  }
+
+  async _createBackend() {
+    if (this.options.contractUtils) {
+      return new ContractUtilsBackend(this.provider, this.options.contractUtils);
+    }
+
+    let chainId = Number((await this.provider.getNetwork()).chainId);
+    let basenames = null;
+    try {
+      const network = getNetworkConfig(this.options.network || chainId);
+      // An explicit network decides the reverse-record coin type, e.g. on a fork
+      chainId = network.chainId;
+      basenames = network.basenames;
+    } catch (error) {
+      // Unknown chain; only explicit registry/resolver addresses can help
+    }
+    const registry = this.options.registry || (basenames && basenames.registry);
+    const resolver = this.options.resolver || (basenames && basenames.resolver);
+    if (!registry || !resolver) {
+      throw makeError('UNSUPPORTED_NETWORK',
+        `Basenames are not deployed on chain ${chainId}; pass a contractUtils address or registry/resolver addresses`,
+        { chainId });
+    }
+    return new BasenamesBackend(this.provider, { registry, resolver, chainId });
+  }
+
+  async _cached(key, load) {
+    const hit = this._cache.get(key);
+    if (hit && hit.expires > Date.now()) return hit.value;
+
+    // Concurrent lookups of the same key share one request
+    const value = load();
+    this._store(key, value);
+    try {
+      const result = await value;
+      this._store(key, result);
+      return result;
+    } catch (error) {
+      this._cache.delete(key);
+      throw error;
+    }
+  }
+
+  _store(key, value) {
+    this._cache.delete(key);
+    this._cache.set(key, { value, expires: Date.now() + this.options.cacheTtl });
+    if (this._cache.size > this.options.maxCacheEntries) {
+      this._cache.delete(this._cache.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Builds a resolver, or passes an existing one through
+ * @param {Object} provider - ethers provider
+ * @param {BaseNameResolver|Object} config - Resolver instance or BaseNameResolver options
+ * @returns {BaseNameResolver} Resolver
+ */
+function createNameResolver(provider, config) {
+  if (config instanceof BaseNameResolver) return config;
+  return new BaseNameResolver(provider, config || {});
+}
+
+module.exports = {
+  BaseNameResolver,
+  BASENAMES_REGISTRY_ABI,
+  BASENAMES_RESOLVER_ABI,
+  DEFAULT_TEXT_KEYS,
+  createNameResolver,
+  isBasename,
+  reverseNode
+};
@@ -1,205 +1,426 @@
-README.md# Base Developer Toolkit 🔧
-
-A comprehensive developer toolkit for Base blockchain - smart contract utilities, Basename integration, transaction monitoring, and deployment helpers for Base ecosystem builders.
-
-**Author:** ddtrvlr.base  
-**License:** MIT  
-**Network:** Base (Chain ID: 8453)
-
-## 🚀 Features
-
-### Smart Contract Utilities
-- **BaseContractUtils.sol** - Production-ready smart contract with:
-  - Basename registration and management
-  - Contract deployment tracking
-  - Base network validation
-  - Emergency functions with proper access control
-  - Gas-optimized operations
-
-### Development Tools
-- **Hardhat Configuration** - Complete setup for Base development
-  - Base Mainnet, Goerli, and Sepolia networks
-  - Optimized compiler settings with Yul optimization
-  - BaseScan verification integration
-  - Custom deployment tasks
-
-### Testing Suite
-- **Comprehensive Tests** - 25+ test cases covering:
-  - Contract functionality validation
-  - Gas optimization benchmarks
-  - Security and access control
-  - Base network integration
-  - Edge cases and error handling
-
-### Network Utilities
-- **BaseNetworkUtils.js** - Advanced Base network library
-  - Network constants and configurations
-  - Bridge contract addresses
-  - Gas optimization utilities
-  - Transaction monitoring
-  - Batch operations
-
-## 📦 Installation
-
-```bash
-# Clone the repository
-git clone https://github.com/wearedood/base-dev-toolkit.git
-cd base-dev-toolkit
-
-# Install dependencies
-npm install
-
-# Set up environment variables
-cp .env.example .env
-# Add your private key and API keys
-```
-
-## 🛠 Usage
-
-### Deploy Smart Contract
-
-```bash
-# Deploy to Base Mainnet
-npx hardhat run scripts/deploy.js --network base
-
-# Deploy to Base Goerli (testnet)
-npx hardhat run scripts/deploy.js --network baseGoerli
-```
-
-### Run Tests
-
-```bash
-# Run all tests
-npm test
-
-# Run tests with gas reporting
-npm run test:gas
-
-# Run coverage
-npm run coverage
-```
-
-### Use Network Utilities
-
-```javascript
-const { BaseNetworkUtils } = require('./lib/BaseNetworkUtils');
-
-// Initialize with Base network
-const baseUtils = new BaseNetworkUtils('base');
-
-// Check if on Base network
-const isBase = await baseUtils.isBaseNetwork();
-
-// Get gas price recommendations
-const gasPrice = await baseUtils.getOptimalGasPrice();
-
-// Monitor transaction
-const receipt = await baseUtils.waitForTransaction(txHash);
-```
-
-## 🏗 Project Structure
-
-```
-base-dev-toolkit/
-├── contracts/
-│   └── BaseContractUtils.sol     # Main smart contract
-├── scripts/
-│   ├── deploy.js                 # Deployment script
-│   └── verify.js                 # Contract verification
-├── test/
-│   └── BaseContractUtils.test.js # Comprehensive test suite
-├── lib/
-│   └── BaseNetworkUtils.js       # Network utilities
-├── hardhat.config.js             # Hardhat configuration
-├── package.json                  # Dependencies and scripts
-└── README.md                     # This file
-```
-
-## 🌐 Base Network Integration
-
-This toolkit is specifically designed for the Base ecosystem:
-
-- **Base Mainnet** (Chain ID: 8453)
-- **Base Goerli** (Chain ID: 84531) 
-- **Base Sepolia** (Chain ID: 84532)
-
-### Supported Features
-- ✅ Basename integration
-- ✅ Base bridge contracts
-- ✅ Optimized for Base gas costs
-- ✅ BaseScan verification
-- ✅ Base-specific constants
-- ✅ L2 transaction monitoring
-
-## 🧪 Testing
-
-The project includes comprehensive testing:
-
-- **Unit Tests** - Individual function testing
-- **Integration Tests** - Cross-contract interactions
-- **Gas Optimization** - Benchmark gas usage
-- **Security Tests** - Access control validation
-- **Network Tests** - Base-specific functionality
-
-Run tests with detailed gas reporting:
-```bash
-npm run test:gas
-```
-
-## 🚀 Deployment
-
-### Prerequisites
-1. Set up your `.env` file with:
-   - `PRIVATE_KEY` - Your deployment wallet private key
-   - `BASESCAN_API_KEY` - For contract verification
-   - `BASE_RPC_URL` - Base network RPC endpoint
-
-### Deploy and Verify
-```bash
-# Deploy to Base Mainnet
-npx hardhat run scripts/deploy.js --network base
-
-# Verify on BaseScan
-npx hardhat verify --network base DEPLOYED_CONTRACT_ADDRESS
-```
-
-## 📊 Builder Rewards Integration
-
-This project is designed to contribute to the Base Builder Rewards Summer League:
-
-- **Smart Contract Activity** - Deployed contracts on Base
-- **GitHub Contributions** - Quality open-source code
-- **Developer Tools** - Utilities for Base ecosystem
-- **Documentation** - Comprehensive guides and examples
-
-## 🤝 Contributing
-
-Contributions are welcome! Please:
-
-1. Fork the repository
-2. Create a feature branch
-3. Add tests for new functionality
-4. Ensure all tests pass
-5. Submit a pull request
-
-## 📄 License
-
-MIT License - see [LICENSE](LICENSE) file for details.
-
-## 🔗 Links
-
-- [Base Network](https://base.org)
-- [Base Documentation](https://docs.base.org)
-- [BaseScan](https://basescan.org)
-- [Builder Rewards](https://builderscore.xyz)
-
-## 👤 Author
-
-**ddtrvlr.base**
-- Building tools for the Base ecosystem
-- Participating in Builder Rewards Summer League
-- Contributing to Base developer experience
-
----
-
-*Built with ❤️ for the Base ecosystem*
+/**
+ * BaseNetworkUtils - Network constants and helpers for Base blockchain
+ * Chain detection, predeploy/bridge addresses, fee hints and transaction monitoring
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const { ethers } = require('ethers');
+
+// OP Stack predeploys, identical on every Base network
+const PREDEPLOYS = {
+  WETH: '0x4200000000000000000000000000000000000006',
+  L2CrossDomainMessenger: '0x4200000000000000000000000000000000000007',
+  L2StandardBridge: '0x4200000000000000000000000000000000000010',
+  SequencerFeeVault: '0x4200000000000000000000000000000000000011',
+  OptimismMintableERC20Factory: '0x4200000000000000000000000000000000000012',
+  GasPriceOracle: '0x420000000000000000000000000000000000000F',
+  L2ERC721Bridge: '0x4200000000000000000000000000000000000014',
+  L1Block: '0x4200000000000000000000000000000000000015',
+  L2ToL1MessagePasser: '0x4200000000000000000000000000000000000016',
+  BaseFeeVault: '0x4200000000000000000000000000000000000019',
+  L1FeeVault: '0x420000000000000000000000000000000000001A'
+};
+
+// Widely deployed helper contracts available on Base
+const COMMON_CONTRACTS = {
+  Multicall3: '0xcA11bde05977b3631167028862bE2a173976CA11',
+  Create2Deployer: '0x4e59b44847b379578588920cA78FbF26c0B4956C'
+};
+
+const NETWORKS = {
+  base: {
+    name: 'Base Mainnet',
+    chainId: 8453,
+    rpcUrl: 'https://mainnet.base.org',
+    explorerUrl: 'https://basescan.org',
+    explorerApiUrl: 'https://api.basescan.org/api',
+    blockTime: 2,
+    // OP Stack EIP-1559 elasticity: gas target = gas limit / elasticity
+    eip1559Elasticity: 6,
+    // Basenames (*.base.eth): ENS-style registry and the default L2 resolver
+    basenames: {
+      suffix: 'base.eth',
+      registry: '0xB94704422c2a1E396835A571837Aa5AE53285a95',
+      resolver: '0xC6d566A56A1aFf6508b41f6c90ff131615583BCD',
+      reverseRegistrar: '0x79EA96012eEa67A83431F1701B3dFf7e37F9E282'
+    },
+    l1: {
+      name: 'Ethereum Mainnet',
+      chainId: 1,
+      rpcUrl: 'https://eth.llamarpc.com',
+      contracts: {
+        L1StandardBridge: '0x3154Cf16ccdb4C6d922629664174b904d80F2C35',
+        L1CrossDomainMessenger: '0x866E82a600A1414e583f7F13623F1aC5d58b0Afa',
+        L1ERC721Bridge: '0x608d94945A64503E642E6370Ec598e519a2C1E53',
+        OptimismPortal: '0x49048044D57e1C92A77f79988d21Fa8fAF74E97e',
+        L2OutputOracle: '0x56315b90c40730925ec5485cf004d835058518A0',
+        DisputeGameFactory: '0x43edB88C4B80fDD2AdFF2412A7BebF9dF42cB40e',
+        SystemConfig: '0x73a79Fab69143498Ed3712e519A88a918e1f4072'
+      }
+    }
+  },
+  baseSepolia: {
+    name: 'Base Sepolia',
+    chainId: 84532,
+    rpcUrl: 'https://sepolia.base.org',
+    explorerUrl: 'https://sepolia.basescan.org',
+    explorerApiUrl: 'https://api-sepolia.basescan.org/api',
+    blockTime: 2,
+    eip1559Elasticity: 6,
+    testnet: true,
+    basenames: {
+      suffix: 'basetest.eth',
+      registry: '0x1493b2567056c2181630115660963E13A8E32735',
+      resolver: '0x6533C94869D28fAA8dF77cc63f9e2b2D6Cf77eBA',
+      reverseRegistrar: '0xa0A8401ECF248a9375a0a71C4dedc263dA18dCd7'
+    },
+    l1: {
+      name: 'Sepolia',
+      chainId: 11155111,
+      rpcUrl: 'https://rpc.sepolia.org',
+      contracts: {
+        L1StandardBridge: '0xfd0Bf71F60660E2f608ed56e1659C450eB113120',
+        L1CrossDomainMessenger: '0xC34855F4De64F1840e5686e64278da901e261f20',
+        L1ERC721Bridge: '0x21eFD066e581FA55Ef105170Cc04d74386a09190',
+        OptimismPortal: '0x49f53e41452C74589E85cA1677426Ba426459e85',
+        L2OutputOracle: '0x84457ca9D0163FbC4bbfe4Dfbb20ba46e48DF254',
+        DisputeGameFactory: '0xd6E6dBf4F7EA0ac412fD8b65ED297e64BB7a06E1',
+        SystemConfig: '0xf272670eb55e895584501d564AfEB048bEd26194'
+      }
+    }
+  },
+  local: {
+    name: 'Local Development',
+    chainId: 31337,
+    rpcUrl: 'http://127.0.0.1:8545',
+    explorerUrl: null,
+    explorerApiUrl: null,
+    blockTime: 1,
+    eip1559Elasticity: 2,
+    testnet: true,
+    l1: null
+  }
+};
+
+const BASE_CHAIN_IDS = [NETWORKS.base.chainId, NETWORKS.baseSepolia.chainId];
+
+// Aliases accepted wherever a network name is expected
+const NETWORK_ALIASES = {
+  mainnet: 'base',
+  'base-mainnet': 'base',
+  sepolia: 'baseSepolia',
+  'base-sepolia': 'baseSepolia',
+  hardhat: 'local',
+  localhost: 'local',
+  anvil: 'local'
+};
+
+/**
+ * Resolves a network name, alias or chain id to its configuration
+ * @param {string|number|Object} network - Network name, chain id or config object
+ * @returns {Object} Network configuration
+ */
+function getNetworkConfig(network = 'base') {
+  if (network && typeof network === 'object') {
+    return { ...NETWORKS.local, ...network };
+  }
+
+  if (typeof network === 'number' || typeof network === 'bigint' || /^\d+$/.test(String(network))) {
+    const chainId = Number(network);
+    const match = Object.values(NETWORKS).find(config => config.chainId === chainId);
+    if (!match) {
+      throw new Error(`Unsupported chain id: ${chainId}`);
+    }
+    return match;
+  }
+
+  const key = NETWORK_ALIASES[network] || network;
+  if (!NETWORKS[key]) {
+    throw new Error(`Unknown network "${network}". Expected one of: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+  return NETWORKS[key];
+}
+
+/**
+ * Canonical name of a network, so every alias and chain id of one chain maps to the same key
+ * @param {string|number|Object} network - Network name, alias, chain id or config object
+ * @returns {string} Key into NETWORKS, e.g. 'base' for 'mainnet', 'base-mainnet' or 8453
+ */
+function getNetworkKey(network = 'base') {
+  const { chainId } = getNetworkConfig(network);
+  const key = Object.keys(NETWORKS).find(name => NETWORKS[name].chainId === chainId);
+  if (!key) {
+    throw new Error(`Chain id ${chainId} is not one of the known networks: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+  return key;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates an Error carrying a machine-readable code, in the style of ethers errors
+ * @param {string} code - Error code
+ * @param {string} message - Human readable message
+ * @param {Object} info - Extra fields attached to the error
+ * @returns {Error} Error instance
+ */
+function makeError(code, message, info = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, info);
+  return error;
+}
+
+class BaseNetworkUtils {
+  /**
+   * @param {string|number|Object} network - Network name ('base', 'baseSepolia', 'local'), chain id or config
+   * @param {Object} options - { rpcUrl, provider }
+   */
+  constructor(network = 'base', options = {}) {
+    this.network = getNetworkConfig(network);
+    this.provider = options.provider || new ethers.JsonRpcProvider(options.rpcUrl || this.network.rpcUrl);
+  }
+
+  /**
+   * Gets the chain id reported by the connected node
+   * @returns {Promise<number>} Chain id
+   */
+  async getChainId() {
+    const { chainId } = await this.provider.getNetwork();
+    return Number(chainId);
+  }
+
+  /**
+   * Checks whether the provider is connected to Base mainnet or Base Sepolia
+   * @returns {Promise<boolean>} True on a Base network
+   */
+  async isBaseNetwork() {
+    try {
+      return BASE_CHAIN_IDS.includes(await this.getChainId());
+    } catch (error) {
+      console.error('Error detecting network:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Detects which known network the provider is connected to
+   * @returns {Promise<Object|null>} Network configuration or null when unknown
+   */
+  async detectNetwork() {
+    const chainId = await this.getChainId();
+    return Object.values(NETWORKS).find(config => config.chainId === chainId) || null;
+  }
+
+  /**
+   * Gets the bridge contract addresses for the configured network
+   * @returns {Object} L2 predeploys and L1 bridge contracts
+   */
+  getBridgeAddresses() {
+    return {
+      l2: {
+        L2StandardBridge: PREDEPLOYS.L2StandardBridge,
+        L2CrossDomainMessenger: PREDEPLOYS.L2CrossDomainMessenger,
+        L2ERC721Bridge: PREDEPLOYS.L2ERC721Bridge,
+        L2ToL1MessagePasser: PREDEPLOYS.L2ToL1MessagePasser
+      },
+      l1: this.network.l1 ? { ...this.network.l1.contracts } : null
+    };
+  }
+
+  /**
+   * Builds an explorer link for an address, transaction or block
+   * @param {string} type - 'address', 'tx' or 'block'
+   * @param {string|number} value - Address, hash or block number
+   * @returns {string|null} Explorer URL, null when the network has no explorer
+   */
+  getExplorerUrl(type, value) {
+    if (!this.network.explorerUrl) return null;
+    return `${this.network.explorerUrl}/${type}/${value}`;
+  }
+
+  /**
+   * Recommends EIP-1559 fee parameters from the node's fee data
+   * @param {string} priority - 'slow', 'standard' or 'fast'
+   * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas, gasPrice } in wei
+   */
+  async getOptimalGasPrice(priority = 'standard') {
+    const multipliers = { slow: 90n, standard: 100n, fast: 125n };
+    if (!multipliers[priority]) {
+      throw new Error(`Unknown priority "${priority}"`);
+    }
+
+    const [block, feeData] = await Promise.all([
+      this.provider.getBlock('latest'),
+      this.provider.getFeeData()
+    ]);
+
+    const baseFee = block.baseFeePerGas ?? feeData.gasPrice;
+    const priorityFee = ((feeData.maxPriorityFeePerGas ?? 0n) * multipliers[priority]) / 100n;
+
+    return {
+      priority,
+      baseFeePerGas: baseFee,
+      maxPriorityFeePerGas: priorityFee,
+      // Allow the base fee to double before the transaction becomes unmineable
+      maxFeePerGas: baseFee * 2n + priorityFee,
+      gasPrice: feeData.gasPrice
+    };
+  }
+
+  /**
+   * Waits for a transaction to be mined and confirmed.
+   * Rejects with code TIMEOUT, TRANSACTION_DROPPED or TRANSACTION_REPLACED.
+   * @param {string} txHash - Transaction hash
+   * @param {Object} options - { confirmations, timeout, pollInterval, dropTimeout }
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async waitForTransaction(txHash, options = {}) {
+    const {
+      confirmations = 1,
+      timeout = 120000,
+      pollInterval = this.network.blockTime * 1000,
+      dropTimeout = 30000
+    } = options;
+
+    const startedAt = Date.now();
+    // Blocks already searched for a replacement; each poll only fetches the new ones
+    const scan = { nextBlock: await this.provider.getBlockNumber() };
+    let tx = null;
+    let lastSeenAt = startedAt;
+
+    while (Date.now() - startedAt < timeout) {
+      const receipt = await this.provider.getTransactionReceipt(txHash);
+
+      if (receipt && receipt.blockNumber != null) {
+        const latest = await this.provider.getBlockNumber();
+        const confirmed = latest - receipt.blockNumber + 1;
+
+        if (confirmed >= confirmations) {
+          // A reorg may have moved the transaction; re-check before returning
+          const current = await this.provider.getTransactionReceipt(txHash);
+          if (current && current.blockHash === receipt.blockHash) {
+            if (current.status === 0) {
+              throw makeError('CALL_EXCEPTION', `Transaction ${txHash} reverted`, { receipt: current });
+            }
+            return current;
+          }
+        }
+      } else {
+        const pending = await this.provider.getTransaction(txHash);
+
+        if (pending) {
+          tx = pending;
+          lastSeenAt = Date.now();
+        }
+
+        if (tx) {
+          const replacement = await this._findReplacement(tx, scan);
+          if (replacement) {
+            throw makeError('TRANSACTION_REPLACED', `Transaction ${txHash} was ${replacement.reason}`, replacement);
+          }
+        }
+
+        if (!pending && Date.now() - lastSeenAt > dropTimeout) {
+          throw makeError('TRANSACTION_DROPPED', `Transaction ${txHash} is no longer known to the node`, { hash: txHash });
+        }
+      }
+
+      await sleep(pollInterval);
+    }
+
+    throw makeError('TIMEOUT', `Timed out waiting for transaction ${txHash}`, { hash: txHash, timeout });
+  }
+
+  /**
+   * Looks for a mined transaction that consumed the same nonce as `tx`
+   * @param {Object} tx - Original transaction
+   * @param {Object} scan - { nextBlock } first block not searched yet; advanced past the blocks searched
+   * @returns {Promise<Object|null>} { reason, replacement, receipt } or null
+   */
+  async _findReplacement(tx, scan) {
+    const minedNonce = await this.provider.getTransactionCount(tx.from, 'latest');
+    if (minedNonce <= tx.nonce) return null;
+
+    // Our receipt may have landed between checks
+    if (await this.provider.getTransactionReceipt(tx.hash)) return null;
+
+    const latest = await this.provider.getBlockNumber();
+    for (; scan.nextBlock <= latest; scan.nextBlock++) {
+      const block = await this.provider.getBlock(scan.nextBlock, true);
+      // Not served yet by this node; search it on the next poll
+      if (!block) break;
+      const replacement = block.prefetchedTransactions.find(candidate =>
+        candidate.from.toLowerCase() === tx.from.toLowerCase() && candidate.nonce === tx.nonce
+      );
+
+      if (replacement) {
+        let reason = 'replaced';
+        if (replacement.to === tx.to && replacement.data === tx.data && replacement.value === tx.value) {
+          reason = 'repriced';
+        } else if (replacement.to === tx.from && replacement.data === '0x' && replacement.value === 0n) {
+          reason = 'cancelled';
+        }
+
+        return {
+          reason,
+          hash: tx.hash,
+          replacement,
+          receipt: await this.provider.getTransactionReceipt(replacement.hash)
+        };
+      }
+    }
+
+    // Some nodes count pending transactions in 'latest'; keep waiting until a block shows it
+    return null;
+  }
+
+  /**
+   * Fetches ETH balances for many addresses in parallel batches
+   * @param {Array<string>} addresses - Addresses to query
+   * @param {number} batchSize - Concurrent requests per batch
+   * @returns {Promise<Object>} Map of address to balance in wei
+   */
+  async batchGetBalances(addresses, batchSize = 10) {
+    const balances = {};
+    for (let i = 0; i < addresses.length; i += batchSize) {
+      const batch = addresses.slice(i, i + batchSize);
+      const results = await Promise.all(batch.map(address => this.provider.getBalance(address)));
+      batch.forEach((address, index) => {
+        balances[address] = results[index];
+      });
+    }
+    return balances;
+  }
+
+  /**
+   * Waits for several transactions, reporting each outcome instead of failing fast
+   * @param {Array<string>} txHashes - Transaction hashes
+   * @param {Object} options - Options forwarded to waitForTransaction
+   * @returns {Promise<Array>} [{ hash, status, receipt, error }]
+   */
+  async batchWaitForTransactions(txHashes, options = {}) {
+    const settled = await Promise.allSettled(
+      txHashes.map(hash => this.waitForTransaction(hash, options))
+    );
+
+    return settled.map((result, index) => ({
+      hash: txHashes[index],
+      status: result.status === 'fulfilled' ? 'confirmed' : (result.reason.code || 'failed'),
+      receipt: result.status === 'fulfilled' ? result.value : result.reason.receipt || null,
+      error: result.status === 'rejected' ? result.reason.message : null
+    }));
+  }
+}
+
+module.exports = {
+  BaseNetworkUtils,
+  NETWORKS,
+  PREDEPLOYS,
+  COMMON_CONTRACTS,
+  BASE_CHAIN_IDS,
+  getNetworkConfig,
+  getNetworkKey,
+  makeError
+};
@@ -0,0 +1,260 @@
+/**
+ * BasePriceOracle - ETH price lookups for fiat cost conversion
+ * Price sources share one interface, `getEthPrice(currency)`, and a PriceOracle
+ * tries them in order until one answers. Every quote is numeric and carries the
+ * source that produced it and when the price was observed.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const { ethers } = require('ethers');
+const axios = require('axios');
+const { NETWORKS, makeError } = require('./BaseNetworkUtils');
+
+const AGGREGATOR_V3_ABI = [
+  'function decimals() view returns (uint8)',
+  'function description() view returns (string)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+// Chainlink ETH/USD aggregators by chain id
+const CHAINLINK_ETH_USD_FEEDS = {
+  [NETWORKS.base.chainId]: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70',
+  [NETWORKS.baseSepolia.chainId]: '0x4aDC67696bA383F43DD60A9e78F2C97Fbbfc7cb1'
+};
+
+const normalizeCurrency = (currency = 'usd') => String(currency).toLowerCase();
+
+class ChainlinkPriceSource {
+  /**
+   * @param {Object} provider - ethers v6 provider
+   * @param {Object} options - { feed, fiatFeeds: { eur: '0x...' }, maxAgeSeconds }
+   *   feed: ETH/USD aggregator (defaults by chain id); fiatFeeds: <fiat>/USD aggregators
+   *   used to quote ETH in other currencies
+   */
+  constructor(provider, options = {}) {
+    this.name = 'chainlink';
+    this.provider = provider;
+    this.feed = options.feed || null;
+    this.fiatFeeds = Object.fromEntries(
+      Object.entries(options.fiatFeeds || {}).map(([currency, address]) => [normalizeCurrency(currency), address])
+    );
+    this.maxAgeSeconds = options.maxAgeSeconds || 3600;
+  }
+
+  async _feedAddress() {
+    if (this.feed) return this.feed;
+    const { chainId } = await this.provider.getNetwork();
+    const feed = CHAINLINK_ETH_USD_FEEDS[Number(chainId)];
+    if (!feed) {
+      throw makeError('UNSUPPORTED_NETWORK', `No Chainlink ETH/USD feed known for chain ${chainId}`);
+    }
+    this.feed = feed;
+    return feed;
+  }
+
+  async _readFeed(address) {
+    const aggregator = new ethers.Contract(address, AGGREGATOR_V3_ABI, this.provider);
+    const [decimals, round] = await Promise.all([aggregator.decimals(), aggregator.latestRoundData()]);
+    const updatedAt = Number(round.updatedAt);
+
+    if (round.answer <= 0n) {
+      throw makeError('INVALID_PRICE', `Chainlink feed ${address} returned a non-positive answer`);
+    }
+    if (Date.now() / 1000 - updatedAt > this.maxAgeSeconds) {
+      throw makeError('STALE_PRICE', `Chainlink feed ${address} was last updated ${new Date(updatedAt * 1000).toISOString()}`);
+    }
+
+    return { price: parseFloat(ethers.formatUnits(round.answer, decimals)), updatedAt: updatedAt * 1000 };
+  }
+
+  /**
+   * Reads ETH/<currency> from Chainlink aggregators
+   * @param {string} currency - Fiat currency code
+   * @returns {Promise<Object>} { price, currency, source, timestamp }
+   */
+  async getEthPrice(currency = 'usd') {
+    currency = normalizeCurrency(currency);
+    const ethUsd = await this._readFeed(await this._feedAddress());
+
+    if (currency === 'usd') {
+      return { price: ethUsd.price, currency, source: this.name, timestamp: ethUsd.updatedAt };
+    }
+
+    if (!this.fiatFeeds[currency]) {
+      throw makeError('UNSUPPORTED_CURRENCY', `No Chainlink ${currency.toUpperCase()}/USD feed configured`);
+    }
+    // ETH/EUR = (ETH/USD) / (EUR/USD)
+    const fiatUsd = await this._readFeed(this.fiatFeeds[currency]);
+    return {
+      price: ethUsd.price / fiatUsd.price,
+      currency,
+      source: this.name,
+      timestamp: Math.min(ethUsd.updatedAt, fiatUsd.updatedAt)
+    };
+  }
+}
+
+class CoinGeckoPriceSource {
+  /**
+   * @param {Object} options - { ttlMs, apiUrl, apiKey, timeout }
+   */
+  constructor(options = {}) {
+    this.name = 'coingecko';
+    this.ttlMs = options.ttlMs !== undefined ? options.ttlMs : 60000;
+    this.apiUrl = options.apiUrl || 'https://api.coingecko.com/api/v3';
+    this.apiKey = options.apiKey || process.env.COINGECKO_API_KEY || null;
+    this.timeout = options.timeout || 5000;
+    this.cache = new Map();
+    this._pending = new Map();
+  }
+
+  /**
+   * Fetches ETH/<currency>, served from cache while younger than ttlMs
+   * @param {string} currency - Fiat currency code
+   * @returns {Promise<Object>} { price, currency, source, timestamp, cached }
+   */
+  async getEthPrice(currency = 'usd') {
+    currency = normalizeCurrency(currency);
+    const cached = this.cache.get(currency);
+    if (cached && Date.now() - cached.fetchedAt < this.ttlMs) {
+      return { ...cached.quote, cached: true };
+    }
+
+    // Concurrent callers share one request
+    if (!this._pending.has(currency)) {
+      const request = this._fetch(currency).finally(() => this._pending.delete(currency));
+      this._pending.set(currency, request);
+    }
+    return { ...(await this._pending.get(currency)), cached: false };
+  }
+
+  async _fetch(currency) {
+    const response = await axios.get(`${this.apiUrl}/simple/price`, {
+      params: { ids: 'ethereum', vs_currencies: currency, include_last_updated_at: true },
+      headers: this.apiKey ? { 'x-cg-demo-api-key': this.apiKey } : {},
+      timeout: this.timeout
+    });
+
+    const data = response.data && response.data.ethereum;
+    const price = data && Number(data[currency]);
+    if (!price || !Number.isFinite(price)) {
+      throw makeError('UNSUPPORTED_CURRENCY', `CoinGecko returned no ETH price in ${currency.toUpperCase()}`);
+    }
+
+    const quote = {
+      price,
+      currency,
+      source: this.name,
+      timestamp: data.last_updated_at ? data.last_updated_at * 1000 : Date.now()
+    };
+    this.cache.set(currency, { quote, fetchedAt: Date.now() });
+    return quote;
+  }
+}
+
+class FixedPriceSource {
+  /**
+   * @param {Object|number} prices - { usd: 3000, eur: 2750 }, or a single USD price
+   */
+  constructor(prices) {
+    this.name = 'fixed';
+    const table = typeof prices === 'number' ? { usd: prices } : prices || {};
+    this.prices = Object.fromEntries(Object.entries(table).map(([currency, price]) => [normalizeCurrency(currency), Number(price)]));
+    this.timestamp = Date.now();
+  }
+
+  /**
+   * Updates the price for a currency
+   * @param {string} currency - Fiat currency code
+   * @param {number} price - ETH price in that currency
+   */
+  setPrice(currency, price) {
+    this.prices[normalizeCurrency(currency)] = Number(price);
+    this.timestamp = Date.now();
+  }
+
+  async getEthPrice(currency = 'usd') {
+    currency = normalizeCurrency(currency);
+    if (!Number.isFinite(this.prices[currency])) {
+      throw makeError('UNSUPPORTED_CURRENCY', `No fixed ETH price set for ${currency.toUpperCase()}`);
+    }
+    return { price: this.prices[currency], currency, source: this.name, timestamp: this.timestamp };
+  }
+}
+
+class PriceOracle {
+  /**
+   * @param {Array<Object>} sources - Price sources, tried in order
+   */
+  constructor(sources = []) {
+    if (sources.length === 0) {
+      throw new Error('PriceOracle needs at least one price source');
+    }
+    this.sources = sources;
+  }
+
+  /**
+   * Gets the ETH price from the first source that answers
+   * @param {string} currency - Fiat currency code (default 'usd')
+   * @returns {Promise<Object>} { price, currency, source, timestamp }
+   * @throws {Error} code PRICE_UNAVAILABLE with `errors` from every source
+   */
+  async getEthPrice(currency = 'usd') {
+    const errors = [];
+    for (const source of this.sources) {
+      try {
+        return await source.getEthPrice(currency);
+      } catch (error) {
+        errors.push({ source: source.name, code: error.code || null, message: error.message });
+      }
+    }
+    throw makeError(
+      'PRICE_UNAVAILABLE',
+      `No price source could quote ETH in ${normalizeCurrency(currency).toUpperCase()}: ${errors.map(e => `${e.source}: ${e.message}`).join('; ')}`,
+      { errors }
+    );
+  }
+
+  /**
+   * Converts an ETH amount to fiat
+   * @param {string|number|bigint} ethAmount - ETH as a decimal string/number, or wei as bigint
+   * @param {string} currency - Fiat currency code
+   * @returns {Promise<Object>} { amount, ethAmount, price, currency, source, timestamp }
+   */
+  async convert(ethAmount, currency = 'usd') {
+    const eth = typeof ethAmount === 'bigint' ? parseFloat(ethers.formatEther(ethAmount)) : parseFloat(ethAmount);
+    if (!Number.isFinite(eth)) {
+      throw new Error(`Invalid ETH amount: ${ethAmount}`);
+    }
+    const quote = await this.getEthPrice(currency);
+    return { amount: eth * quote.price, ethAmount: eth, ...quote };
+  }
+}
+
+/**
+ * Builds a PriceOracle: Chainlink first when a provider is given, then CoinGecko
+ * @param {Object} options - { provider, sources, fixedPrice, chainlink, coingecko }
+ * @returns {PriceOracle} Oracle
+ */
+function createPriceOracle(options = {}) {
+  if (options.sources) return new PriceOracle(options.sources);
+  if (options.fixedPrice !== undefined) return new PriceOracle([new FixedPriceSource(options.fixedPrice)]);
+
+  const sources = [];
+  if (options.provider) {
+    sources.push(new ChainlinkPriceSource(options.provider, options.chainlink));
+  }
+  sources.push(new CoinGeckoPriceSource(options.coingecko));
+  return new PriceOracle(sources);
+}
+
+module.exports = {
+  PriceOracle,
+  ChainlinkPriceSource,
+  CoinGeckoPriceSource,
+  FixedPriceSource,
+  createPriceOracle,
+  CHAINLINK_ETH_USD_FEEDS,
+  AGGREGATOR_V3_ABI
+};
@@ -0,0 +1,236 @@
+/**
+ * BaseRewardSimulator - Reward accrual models for staking positions
+ * BaseStakingPool stores a `rewardRate` but never pays rewards, so this module
+ * computes what stakers would have earned. Two models are provided: per-second
+ * linear accrual (every wei earns `rate / denominator` per period regardless of
+ * pool size) and a per-share accumulator (the pool emits `rate` per period,
+ * split pro rata, Synthetix style). Both are replayed over Staked / Withdrawn
+ * history and can be projected forward to estimate accrued rewards and APR.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const { makeError } = require('./BaseNetworkUtils');
+
+const YEAR = 365 * 24 * 60 * 60;
+
+// Fixed-point scale of the reward-per-share index
+const PRECISION = 10n ** 18n;
+
+/**
+ * Every staked wei earns `rate / denominator` per `period` seconds, accrued per second
+ */
+class LinearAccrual {
+  /**
+   * @param {Object} options - { rate, denominator, period }
+   *   defaults read `rate` as basis points per year (100 = 1% APR)
+   */
+  constructor(options = {}) {
+    this.name = 'linear';
+    this.rate = BigInt(options.rate ?? 0);
+    this.denominator = BigInt(options.denominator || 10000);
+    this.period = BigInt(options.period || YEAR);
+  }
+
+  /**
+   * @param {number} seconds - Elapsed time
+   * @returns {bigint} Reward-per-share growth, scaled by PRECISION
+   */
+  indexDelta(seconds) {
+    return this.rate * BigInt(seconds) * PRECISION / (this.denominator * this.period);
+  }
+
+  /**
+   * @returns {number} Annual rate as a fraction (0.05 = 5%), the same for every pool size
+   */
+  apr() {
+    return Number(this.rate) / Number(this.denominator) * (YEAR / Number(this.period));
+  }
+
+  /**
+   * @returns {bigint} Rewards nobody earns over the interval (none in this model)
+   */
+  unallocated() {
+    return 0n;
+  }
+}
+
+/**
+ * The pool emits `rate` wei of rewards per `period` seconds, shared pro rata by stake
+ */
+class AccumulatorAccrual {
+  /**
+   * @param {Object} options - { rate, period } defaults read `rate` as wei per second
+   */
+  constructor(options = {}) {
+    this.name = 'accumulator';
+    this.rate = BigInt(options.rate ?? 0);
+    this.period = BigInt(options.period || 1);
+  }
+
+  indexDelta(seconds, totalStaked) {
+    if (totalStaked === 0n) return 0n;
+    return this.rate * BigInt(seconds) * PRECISION / (this.period * totalStaked);
+  }
+
+  /**
+   * @param {bigint} totalStaked - Pool size
+   * @returns {number|null} Annual rate as a fraction, null for an empty pool
+   */
+  apr(totalStaked) {
+    if (!totalStaked) return null;
+    return Number(this.rate * BigInt(YEAR) * PRECISION / (this.period * totalStaked)) / Number(PRECISION);
+  }
+
+  // Emissions while the pool is empty go to nobody
+  unallocated(seconds, totalStaked) {
+    return totalStaked === 0n ? this.rate * BigInt(seconds) / this.period : 0n;
+  }
+}
+
+const ACCRUAL_MODELS = {
+  linear: LinearAccrual,
+  accumulator: AccumulatorAccrual
+};
+
+/**
+ * Builds an accrual model
+ * @param {string|Object} model - 'linear', 'accumulator' or an object with indexDelta / apr / unallocated
+ * @param {Object} options - Model options ({ rate, denominator, period })
+ * @returns {Object} Accrual model
+ */
+function createAccrualModel(model, options = {}) {
+  if (model && typeof model === 'object') return model;
+  const Model = ACCRUAL_MODELS[model];
+  if (!Model) {
+    throw makeError('INVALID_ARGUMENT', `Unknown accrual model "${model}"; use ${Object.keys(ACCRUAL_MODELS).join(' or ')}`);
+  }
+  return new Model(options);
+}
+
+/**
+ * @typedef {Object} StakeAction
+ * @property {string} type - 'stake' | 'withdraw'
+ * @property {string} user - Staker address
+ * @property {bigint} amount - Amount in wei
+ * @property {number} timestamp - Unix time in milliseconds
+ */
+
+class RewardSimulator {
+  /**
+   * @param {Object} options - { model: 'linear' | 'accumulator' | model object, rate, denominator, period }
+   */
+  constructor(options = {}) {
+    this.model = createAccrualModel(options.model || 'linear', options);
+  }
+
+  /**
+   * Replays stake / withdraw actions and accrues rewards up to `until`
+   * @param {Array<StakeAction>} actions - Actions in chain order
+   * @param {Object} options - { until } Unix time in ms (default: the last action)
+   * @returns {Object} Simulation state, pass to getRewards() or project()
+   */
+  replay(actions, options = {}) {
+    const state = { time: null, index: 0n, totalStaked: 0n, unallocated: 0n, users: new Map() };
+
+    for (const action of actions) {
+      const time = Math.floor(action.timestamp / 1000);
+      if (state.time === null) state.time = time;
+      this._advance(state, time);
+
+      const key = action.user.toLowerCase();
+      const position = state.users.get(key) || { user: action.user, stake: 0n, accrued: 0n, index: state.index };
+      this._settle(state, position);
+
+      if (action.type === 'stake') {
+        position.stake += action.amount;
+        state.totalStaked += action.amount;
+      } else {
+        if (action.amount > position.stake) {
+          throw makeError('INCONSISTENT_HISTORY',
+            `${action.user} withdraws ${action.amount} with ${position.stake} staked; history probably starts after their first stake`,
+            { action });
+        }
+        position.stake -= action.amount;
+        state.totalStaked -= action.amount;
+      }
+      state.users.set(key, position);
+    }
+
+    if (options.until !== undefined && state.time !== null) {
+      this._advance(state, Math.floor(options.until / 1000));
+    }
+    return state;
+  }
+
+  /**
+   * Advances a copy of a simulation state, assuming no further stakes or withdrawals
+   * @param {Object} state - State from replay()
+   * @param {number} until - Unix time in ms
+   * @returns {Object} New state
+   */
+  project(state, until) {
+    const copy = {
+      ...state,
+      users: new Map([...state.users].map(([key, position]) => [key, { ...position }]))
+    };
+    if (copy.time !== null) this._advance(copy, Math.floor(until / 1000));
+    return copy;
+  }
+
+  /**
+   * Rewards accrued per staker in a simulation state
+   * @param {Object} state - State from replay() or project()
+   * @returns {Object} { time, totalStaked, totalAccrued, unallocated, apr, model, positions: [{ user, stake, accrued }] }
+   */
+  getRewards(state) {
+    const positions = [...state.users.values()].map(position => {
+      const settled = { ...position };
+      this._settle(state, settled);
+      return { user: settled.user, stake: settled.stake, accrued: settled.accrued };
+    });
+    return {
+      time: state.time === null ? null : state.time * 1000,
+      model: this.model.name,
+      totalStaked: state.totalStaked,
+      totalAccrued: positions.reduce((sum, position) => sum + position.accrued, 0n),
+      unallocated: state.unallocated,
+      apr: this.model.apr(state.totalStaked),
+      positions
+    };
+  }
+
+  /**
+   * Estimates what a new stake would earn, assuming the rest of the pool stays unchanged
+   * @param {Object} params - { amount (wei), duration (seconds), totalStaked (current pool, default 0) }
+   * @returns {Object} { amount, duration, reward, apr }
+   */
+  simulatePosition(params) {
+    const amount = BigInt(params.amount);
+    const pool = BigInt(params.totalStaked || 0) + amount;
+    const reward = amount * this.model.indexDelta(params.duration, pool) / PRECISION;
+    return { amount, duration: params.duration, reward, apr: this.model.apr(pool) };
+  }
+
+  _advance(state, time) {
+    const seconds = time - state.time;
+    if (seconds <= 0) return;
+    state.index += this.model.indexDelta(seconds, state.totalStaked);
+    state.unallocated += this.model.unallocated(seconds, state.totalStaked);
+    state.time = time;
+  }
+
+  _settle(state, position) {
+    position.accrued += position.stake * (state.index - position.index) / PRECISION;
+    position.index = state.index;
+  }
+}
+
+module.exports = {
+  RewardSimulator,
+  LinearAccrual,
+  AccumulatorAccrual,
+  ACCRUAL_MODELS,
+  createAccrualModel,
+  REWARD_PRECISION: PRECISION
+};
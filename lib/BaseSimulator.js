@@ -0,0 +1,358 @@
+/**
+ * BaseSimulator - Pre-flight simulation of transactions on Base
+ * Runs eth_call against the pending block, decodes reverts (Error(string),
+ * Panic(uint256) and custom errors from supplied ABIs) and, when the node
+ * exposes a tracer, summarizes the balance and storage changes a call would make.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const { ethers } = require('ethers');
+
+const STANDARD_ERRORS = new ethers.Interface(['error Error(string message)', 'error Panic(uint256 code)']);
+
+// Solidity panic codes
+const PANIC_REASONS = {
+  0x00: 'generic compiler panic',
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array encoding',
+  0x31: 'pop on empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory or array too large',
+  0x51: 'call to uninitialized internal function'
+};
+
+// JSON-RPC "method not found"; nodes without a tracer answer this for debug_traceCall / trace_call
+const METHOD_NOT_FOUND = -32601;
+
+/**
+ * Tells a node that lacks a tracing method or tracer apart from a transient failure
+ * (timeout, rate limit, reverted trace), which must not disable tracing for good
+ * @param {Error} error - Error thrown by provider.send
+ * @returns {boolean} True when retrying the method is pointless
+ */
+const isTraceUnsupported = (error) => {
+  // ethers keeps the JSON-RPC error object under error.error
+  const rpcError = (error && error.error) || {};
+  if (rpcError.code === METHOD_NOT_FOUND || (error && error.code === METHOD_NOT_FOUND)) return true;
+  return /tracer not found/i.test(`${rpcError.message || ''} ${(error && error.message) || ''}`);
+};
+
+const toInterface = (abi) => (abi instanceof ethers.Interface ? abi : new ethers.Interface(abi));
+
+/**
+ * Decodes revert data into a structured reason
+ * @param {string} data - Revert data returned by the node
+ * @param {Array} abis - ABIs or Interfaces whose custom errors should be recognized
+ * @returns {Object|null} { type: 'Error' | 'Panic' | 'Custom' | 'Unknown', name, args, message, selector }, null without data
+ */
+function decodeRevertData(data, abis = []) {
+  if (!data || data === '0x') return null;
+  const selector = data.slice(0, 10);
+
+  for (const iface of [STANDARD_ERRORS, ...abis.filter(Boolean).map(toInterface)]) {
+    let parsed = null;
+    try {
+      parsed = iface.parseError(data);
+    } catch (error) {
+      // Selector matched but the payload did not decode; try the next ABI
+    }
+    if (!parsed) continue;
+
+    if (iface === STANDARD_ERRORS && parsed.name === 'Error') {
+      return { type: 'Error', name: 'Error', args: [parsed.args[0]], message: parsed.args[0], selector };
+    }
+    if (iface === STANDARD_ERRORS && parsed.name === 'Panic') {
+      const code = Number(parsed.args[0]);
+      const reason = PANIC_REASONS[code] || 'unknown panic';
+      return { type: 'Panic', name: 'Panic', args: [code], code, message: `Panic(0x${code.toString(16).padStart(2, '0')}): ${reason}`, selector };
+    }
+
+    const args = parsed.args.toArray();
+    return {
+      type: 'Custom',
+      name: parsed.name,
+      signature: parsed.signature,
+      args,
+      message: `${parsed.name}(${args.map(arg => arg.toString()).join(', ')})`,
+      selector
+    };
+  }
+
+  return { type: 'Unknown', name: null, args: [], message: `Unrecognized revert data with selector ${selector}`, selector, data };
+}
+
+/**
+ * Finds revert data on an ethers error, including errors wrapped by the JSON-RPC layer
+ * @param {Error} error - Error thrown by call/estimateGas
+ * @returns {string|null} Revert data
+ */
+function extractRevertData(error) {
+  const candidates = [
+    error && error.data,
+    error && error.info && error.info.error && error.info.error.data,
+    error && error.error && error.error.data
+  ];
+  for (const candidate of candidates) {
+    if (typeof candidate === 'string' && candidate.startsWith('0x')) return candidate;
+    if (candidate && typeof candidate.data === 'string' && candidate.data.startsWith('0x')) return candidate.data;
+  }
+  return null;
+}
+
+const hexToBigInt = (value) => (value === undefined || value === null ? 0n : BigInt(value));
+
+/**
+ * Summarizes a prestateTracer diffMode result ({ pre, post })
+ * @param {Object} diff - Tracer output
+ * @returns {Object} { balanceChanges, storageChanges }
+ */
+function summarizePrestateDiff({ pre = {}, post = {} }) {
+  const balanceChanges = [];
+  const storageChanges = [];
+
+  for (const address of new Set([...Object.keys(pre), ...Object.keys(post)])) {
+    const before = pre[address] || {};
+    const after = post[address] || {};
+
+    // diffMode omits unchanged fields from `post`; accounts deleted this call only appear in `pre`
+    if (after.balance !== undefined || !post[address]) {
+      const from = hexToBigInt(before.balance);
+      const to = post[address] ? hexToBigInt(after.balance) : 0n;
+      if (from !== to) {
+        balanceChanges.push({ address: ethers.getAddress(address), before: from, after: to, delta: to - from });
+      }
+    }
+
+    for (const slot of new Set([...Object.keys(before.storage || {}), ...Object.keys(after.storage || {})])) {
+      const from = (before.storage || {})[slot] || ethers.ZeroHash;
+      const to = (after.storage || {})[slot] || ethers.ZeroHash;
+      if (from !== to) {
+        storageChanges.push({ address: ethers.getAddress(address), slot, before: from, after: to });
+      }
+    }
+  }
+
+  return { balanceChanges, storageChanges };
+}
+
+/**
+ * Summarizes a trace_call stateDiff result (Parity/Erigon format)
+ * @param {Object} stateDiff - { [address]: { balance, storage } } with "=", { "+": v }, { "-": v } or { "*": { from, to } }
+ * @returns {Object} { balanceChanges, storageChanges }
+ */
+function summarizeParityStateDiff(stateDiff = {}) {
+  const change = (entry) => {
+    if (!entry || entry === '=') return null;
+    if (entry['*']) return { from: entry['*'].from, to: entry['*'].to };
+    if (entry['+'] !== undefined) return { from: null, to: entry['+'] };
+    if (entry['-'] !== undefined) return { from: entry['-'], to: null };
+    return null;
+  };
+
+  const balanceChanges = [];
+  const storageChanges = [];
+  for (const [address, account] of Object.entries(stateDiff)) {
+    const balance = change(account.balance);
+    if (balance) {
+      const before = hexToBigInt(balance.from);
+      const after = hexToBigInt(balance.to);
+      balanceChanges.push({ address: ethers.getAddress(address), before, after, delta: after - before });
+    }
+    for (const [slot, entry] of Object.entries(account.storage || {})) {
+      const storage = change(entry);
+      if (storage) {
+        storageChanges.push({
+          address: ethers.getAddress(address),
+          slot,
+          before: storage.from || ethers.ZeroHash,
+          after: storage.to || ethers.ZeroHash
+        });
+      }
+    }
+  }
+  return { balanceChanges, storageChanges };
+}
+
+class BaseSimulator {
+  /**
+   * @param {Object} provider - ethers v6 JsonRpcProvider
+   * @param {Object} options - { abis, blockTag, stateDiff }
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.abis = (options.abis || []).map(toInterface);
+    this.options = {
+      blockTag: options.blockTag || 'pending',
+      stateDiff: options.stateDiff !== false
+    };
+    // Tracer the node supports: undefined until probed, null when it has none
+    this._traceMethod = undefined;
+  }
+
+  /**
+   * Registers ABIs used to decode custom errors and return data
+   * @param {...Array} abis - ABIs or Interfaces
+   */
+  addAbi(...abis) {
+    this.abis.push(...abis.map(toInterface));
+  }
+
+  /**
+   * Simulates a transaction without sending it
+   * @param {Object} tx - Transaction request { from, to, data, value, gasLimit }
+   * @param {Object} options - { abis, blockTag, stateDiff }
+   * @returns {Promise<Object>} { success, returnData, result, revert, error, gasUsed, stateChanges, blockTag }
+   */
+  async simulate(tx, options = {}) {
+    const abis = [...(options.abis || []).map(toInterface), ...this.abis];
+    const blockTag = options.blockTag || this.options.blockTag;
+    const request = {
+      from: tx.from,
+      to: tx.to,
+      data: tx.data || '0x',
+      value: tx.value !== undefined ? BigInt(tx.value) : undefined,
+      gasLimit: tx.gasLimit !== undefined ? BigInt(tx.gasLimit) : undefined
+    };
+
+    const report = {
+      success: false,
+      blockTag,
+      returnData: null,
+      result: null,
+      revert: null,
+      error: null,
+      gasUsed: null,
+      stateChanges: null
+    };
+
+    try {
+      report.returnData = await this.provider.call({ ...request, blockTag });
+      report.success = true;
+    } catch (error) {
+      const data = extractRevertData(error);
+      if (data || error.code === 'CALL_EXCEPTION') {
+        report.revert = decodeRevertData(data, abis) || { type: 'Empty', name: null, args: [], message: 'Reverted without a reason', selector: null };
+      } else {
+        // Not a revert: insufficient funds, bad nonce, node errors...
+        report.error = { code: error.code || null, message: error.shortMessage || error.message };
+      }
+      return report;
+    }
+
+    report.result = this._decodeReturn(request.data, report.returnData, abis);
+
+    try {
+      report.gasUsed = await this.provider.estimateGas(request);
+    } catch (error) {
+      // eth_call can succeed while estimation fails (e.g. gas-dependent logic); keep the call result
+      report.error = { code: error.code || null, message: error.shortMessage || error.message };
+    }
+
+    if (options.stateDiff !== undefined ? options.stateDiff : this.options.stateDiff) {
+      // Tracers generally reject the pending tag
+      report.stateChanges = await this.getStateChanges(request, blockTag === 'pending' ? 'latest' : blockTag);
+    }
+
+    return report;
+  }
+
+  /**
+   * Traces a call and summarizes balance and storage changes, when the node supports it
+   * (debug_traceCall with prestateTracer, or trace_call with stateDiff)
+   * @param {Object} tx - Transaction request
+   * @param {string|number} blockTag - Block to simulate on
+   * @returns {Promise<Object>} { supported, method, balanceChanges, storageChanges, error }
+   */
+  async getStateChanges(tx, blockTag = 'latest') {
+    const rpcTx = {
+      from: tx.from,
+      to: tx.to,
+      data: tx.data || '0x',
+      value: tx.value !== undefined ? ethers.toQuantity(tx.value) : undefined,
+      gas: tx.gasLimit !== undefined ? ethers.toQuantity(tx.gasLimit) : undefined
+    };
+    const tag = typeof blockTag === 'number' ? ethers.toQuantity(blockTag) : blockTag;
+
+    const methods = {
+      debug_traceCall: async () => summarizePrestateDiff(await this.provider.send('debug_traceCall', [
+        rpcTx, tag, { tracer: 'prestateTracer', tracerConfig: { diffMode: true } }
+      ])),
+      trace_call: async () => summarizeParityStateDiff((await this.provider.send('trace_call', [
+        rpcTx, ['stateDiff'], tag
+      ])).stateDiff)
+    };
+
+    const candidates = this._traceMethod === undefined ? Object.keys(methods) : [this._traceMethod].filter(Boolean);
+    let lastError = null;
+    for (const method of candidates) {
+      try {
+        const summary = await methods[method]();
+        this._traceMethod = method;
+        return { supported: true, method, ...summary };
+      } catch (error) {
+        // Try the next method; only a missing method or tracer counts against the node
+        if (!isTraceUnsupported(error)) {
+          lastError = error;
+        }
+      }
+    }
+
+    if (lastError) {
+      // Transient failure: keep the cached method (or keep probing) on the next call
+      return {
+        supported: false,
+        method: null,
+        balanceChanges: [],
+        storageChanges: [],
+        error: lastError.shortMessage || lastError.message
+      };
+    }
+    this._traceMethod = null;
+    return { supported: false, method: null, balanceChanges: [], storageChanges: [] };
+  }
+
+  _decodeReturn(callData, returnData, abis) {
+    if (!callData || callData.length < 10) return null;
+    const selector = callData.slice(0, 10);
+    for (const iface of abis) {
+      const fragment = iface.getFunction(selector);
+      if (!fragment) continue;
+      try {
+        const decoded = iface.decodeFunctionResult(fragment, returnData);
+        return { method: fragment.name, values: decoded.toArray() };
+      } catch (error) {
+        return null;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Builds an Error for a failed simulation, in the style of ethers CALL_EXCEPTION errors
+ * @param {Object} report - Result of BaseSimulator.simulate
+ * @returns {Error} Error with `code`, `reason`, `revert` and `simulation`
+ */
+function simulationError(report) {
+  const reason = report.revert ? report.revert.message : report.error && report.error.message;
+  const error = new Error(`Transaction would fail: ${reason || 'unknown reason'}`);
+  error.code = report.revert ? 'CALL_EXCEPTION' : (report.error && report.error.code) || 'SIMULATION_FAILED';
+  error.reason = reason || null;
+  error.revert = report.revert;
+  error.simulation = report;
+  return error;
+}
+
+module.exports = {
+  BaseSimulator,
+  PANIC_REASONS,
+  decodeRevertData,
+  extractRevertData,
+  summarizePrestateDiff,
+  summarizeParityStateDiff,
+  simulationError
+};
@@ -0,0 +1,464 @@
+/**
+ * BaseStakingPoolClient - JavaScript client for the BaseStakingPool contract
+ * Wraps stake / withdraw and the pool's public state, rebuilds every staker's
+ * position history from Staked / Withdrawn events (read directly or from a
+ * BaseEventIndexer store), runs the reward simulator over that history and
+ * produces pool reports: TVL over time, top stakers and churn.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const { ethers } = require('ethers');
+const { makeError } = require('./BaseNetworkUtils');
+const { createNameResolver } = require('./BaseNameResolver');
+const { RewardSimulator } = require('./BaseRewardSimulator');
+
+const STAKING_POOL_ABI = [
+  'event Staked(address indexed user, uint256 amount)',
+  'event Withdrawn(address indexed user, uint256 amount)',
+  'function stake() payable',
+  'function withdraw(uint256 amount)',
+  'function stakes(address) view returns (uint256)',
+  'function rewards(address) view returns (uint256)',
+  'function totalStaked() view returns (uint256)',
+  'function rewardRate() view returns (uint256)'
+];
+
+// Default block span per eth_getLogs request; public Base RPCs reject much larger ranges
+const DEFAULT_LOG_BLOCK_RANGE = 10000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Upper bound on report buckets, so a tiny interval over a long history fails fast
+const MAX_REPORT_BUCKETS = 10000;
+
+const ACTION_TYPES = { Staked: 'stake', Withdrawn: 'withdraw' };
+
+/**
+ * @typedef {Object} StakeAction
+ * @property {string} type - 'stake' | 'withdraw'
+ * @property {string} user - Staker address
+ * @property {bigint} amount - Amount in wei
+ * @property {number} blockNumber - Block of the event
+ * @property {string} transactionHash - Transaction of the event
+ * @property {number} logIndex - Log index in the block
+ * @property {number} timestamp - Block time, Unix ms
+ */
+
+const compareActions = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+class BaseStakingPoolClient {
+  /**
+   * @param {string} address - BaseStakingPool address
+   * @param {Object} runner - ethers v6 provider (reads) or signer (reads and writes)
+   * @param {Object} options - { fromBlock, logBlockRange, confirmations, nameResolver, indexer }
+   *   fromBlock: block the pool was deployed at, the default start for history;
+   *   indexer: BaseEventIndexer that indexes this pool, read instead of eth_getLogs (history ends at its checkpoint)
+   */
+  constructor(address, runner, options = {}) {
+    if (!ethers.isAddress(address)) {
+      throw makeError('INVALID_ARGUMENT', `Invalid BaseStakingPool address: ${address}`);
+    }
+    this.address = ethers.getAddress(address);
+    this.runner = runner;
+    this.provider = runner.provider || runner;
+    this.contract = new ethers.Contract(this.address, STAKING_POOL_ABI, runner);
+    this.interface = this.contract.interface;
+    this.options = {
+      fromBlock: options.fromBlock || 0,
+      logBlockRange: options.logBlockRange || DEFAULT_LOG_BLOCK_RANGE,
+      confirmations: options.confirmations || 1
+    };
+    this.indexer = options.indexer || null;
+    this.names = createNameResolver(this.provider, options.nameResolver);
+    this._blockTimes = new Map();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Staking
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Stakes ETH in the pool
+   * @param {bigint|string} amount - Amount in wei (bigint) or ETH (decimal string)
+   * @returns {Promise<Object>} { hash, blockNumber, user, amount }
+   */
+  async stake(amount) {
+    const wei = this._toWei(amount);
+    if (wei <= 0n) {
+      throw makeError('INVALID_ARGUMENT', 'Stake amount must be positive');
+    }
+    const receipt = await this._send('stake', [], { value: wei });
+    return { hash: receipt.hash, blockNumber: receipt.blockNumber, user: receipt.from, amount: wei };
+  }
+
+  /**
+   * Withdraws staked ETH
+   * @param {bigint|string} amount - Amount in wei (bigint) or ETH (decimal string)
+   * @returns {Promise<Object>} { hash, blockNumber, user, amount }
+   */
+  async withdraw(amount) {
+    const wei = this._toWei(amount);
+    const user = await this.runner.getAddress();
+    const staked = await this.contract.stakes(user);
+    if (wei > staked) {
+      throw makeError('INSUFFICIENT_STAKE', `Cannot withdraw ${ethers.formatEther(wei)} ETH; ${user} has ${ethers.formatEther(staked)} ETH staked`, { staked, amount: wei });
+    }
+    const receipt = await this._send('withdraw', [wei]);
+    return { hash: receipt.hash, blockNumber: receipt.blockNumber, user, amount: wei };
+  }
+
+  /**
+   * @param {string} user - Address or Basename
+   * @returns {Promise<bigint>} Current stake in wei
+   */
+  async getStake(user) {
+    return this.contract.stakes(await this.names.resolveAddress(user));
+  }
+
+  /**
+   * @returns {Promise<bigint>} Total staked in wei
+   */
+  async getTotalStaked() {
+    return this.contract.totalStaked();
+  }
+
+  /**
+   * @returns {Promise<bigint>} The pool's rewardRate
+   */
+  async getRewardRate() {
+    return this.contract.rewardRate();
+  }
+
+  // ---------------------------------------------------------------------------
+  // History
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Reads Staked / Withdrawn events as stake actions in chain order
+   * @param {Object} options - { user, fromBlock, toBlock }
+   * @returns {Promise<Array<StakeAction>>} Actions
+   */
+  async getActions(options = {}) {
+    const user = options.user ? await this.names.resolveAddress(options.user) : null;
+    const fromBlock = options.fromBlock !== undefined ? options.fromBlock : this.options.fromBlock;
+    const toBlock = options.toBlock !== undefined && options.toBlock !== 'latest'
+      ? options.toBlock
+      : (this.indexer ? null : await this.provider.getBlockNumber());
+
+    const actions = this.indexer
+      ? await this._indexedActions(user, fromBlock, toBlock)
+      : await this._loggedActions(user, fromBlock, toBlock);
+    actions.sort(compareActions);
+
+    const missing = [...new Set(actions.filter(action => action.timestamp === null).map(action => action.blockNumber))];
+    await this._loadBlockTimes(missing);
+    for (const action of actions) {
+      if (action.timestamp === null) action.timestamp = this._blockTimes.get(action.blockNumber);
+    }
+    return actions;
+  }
+
+  /**
+   * Rebuilds one staker's position from the event history
+   * @param {string} user - Address or Basename
+   * @param {Object} options - { fromBlock, toBlock }
+   * @returns {Promise<Object>} { user, stake, staked, withdrawn, firstStakedAt, lastActivityAt, history: [action + balance] }
+   */
+  async getPositionHistory(user, options = {}) {
+    const address = await this.names.resolveAddress(user);
+    const actions = await this.getActions({ ...options, user: address });
+    return summarizePositions(actions).get(address.toLowerCase()) || {
+      user: address,
+      stake: 0n,
+      staked: 0n,
+      withdrawn: 0n,
+      firstStakedAt: null,
+      lastActivityAt: null,
+      history: []
+    };
+  }
+
+  /**
+   * Rebuilds every staker's position
+   * @param {Object} options - { fromBlock, toBlock }
+   * @returns {Promise<Array<Object>>} Positions (see getPositionHistory), largest stake first
+   */
+  async getPositions(options = {}) {
+    const positions = [...summarizePositions(await this.getActions(options)).values()];
+    return positions.sort((a, b) => (b.stake > a.stake ? 1 : b.stake < a.stake ? -1 : 0));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rewards
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Replays the history through a reward model and reports accrued rewards
+   * @param {Object} options - { model, rate, denominator, period, until, user, fromBlock, toBlock }
+   *   rate: defaults to the pool's rewardRate; until: Unix ms, later than now to project (default: latest block time)
+   * @returns {Promise<Object>} RewardSimulator.getRewards() result; positions holds only `user` when given
+   */
+  async simulateRewards(options = {}) {
+    const simulator = await this._simulator(options);
+    const actions = await this.getActions({ fromBlock: options.fromBlock, toBlock: options.toBlock });
+    const until = options.until !== undefined ? options.until : await this._latestTime();
+    const rewards = simulator.getRewards(simulator.replay(actions, { until }));
+
+    if (options.user) {
+      const address = (await this.names.resolveAddress(options.user)).toLowerCase();
+      rewards.positions = rewards.positions.filter(position => position.user.toLowerCase() === address);
+    }
+    return rewards;
+  }
+
+  /**
+   * Estimates rewards and APR for a new stake against the current pool
+   * @param {Object} params - { amount (wei bigint or ETH string), duration (seconds), model, rate, denominator, period }
+   * @returns {Promise<Object>} { amount, duration, reward, apr }
+   */
+  async simulatePosition(params) {
+    const simulator = await this._simulator(params);
+    return simulator.simulatePosition({
+      amount: this._toWei(params.amount),
+      duration: params.duration,
+      totalStaked: await this.getTotalStaked()
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reports
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Pool-level report over the event history
+   * @param {Object} options - { fromBlock, toBlock, interval (ms, default one day), top (default 10) }
+   * @returns {Promise<Object>} { generatedAt, summary, tvl: [{ time, totalStaked }], topStakers, churn: [...] }
+   */
+  async getPoolReport(options = {}) {
+    const interval = options.interval || DAY;
+    const actions = await this.getActions(options);
+    const end = options.toBlock !== undefined && options.toBlock !== 'latest'
+      ? await this._blockTime(options.toBlock)
+      : await this._latestTime();
+
+    const positions = [...summarizePositions(actions).values()];
+    const totalStaked = positions.reduce((sum, position) => sum + position.stake, 0n);
+    const active = positions.filter(position => position.stake > 0n);
+
+    const topStakers = [...active]
+      .sort((a, b) => (b.stake > a.stake ? 1 : b.stake < a.stake ? -1 : 0))
+      .slice(0, options.top || 10)
+      .map(position => ({
+        user: position.user,
+        stake: position.stake,
+        share: Number(position.stake * 10000n / totalStaked) / 100,
+        staked: position.staked,
+        withdrawn: position.withdrawn,
+        firstStakedAt: position.firstStakedAt
+      }));
+
+    const { tvl, churn } = bucketActions(actions, interval, end);
+
+    return {
+      generatedAt: end,
+      interval,
+      summary: {
+        totalStaked,
+        stakers: positions.length,
+        activeStakers: active.length,
+        exitedStakers: positions.length - active.length,
+        stakeCount: actions.filter(action => action.type === 'stake').length,
+        withdrawCount: actions.filter(action => action.type === 'withdraw').length,
+        stakedVolume: positions.reduce((sum, position) => sum + position.staked, 0n),
+        withdrawnVolume: positions.reduce((sum, position) => sum + position.withdrawn, 0n)
+      },
+      tvl,
+      topStakers,
+      churn
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internals
+  // ---------------------------------------------------------------------------
+
+  async _loggedActions(user, fromBlock, toBlock) {
+    const actions = [];
+    for (const eventName of Object.keys(ACTION_TYPES)) {
+      const filter = this.contract.filters[eventName](user);
+      for (let start = fromBlock; start <= toBlock; start += this.options.logBlockRange) {
+        const end = Math.min(start + this.options.logBlockRange - 1, toBlock);
+        for (const log of await this.contract.queryFilter(filter, start, end)) {
+          actions.push({
+            type: ACTION_TYPES[eventName],
+            user: log.args.user,
+            amount: log.args.amount,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            logIndex: log.index,
+            timestamp: null
+          });
+        }
+      }
+    }
+    return actions;
+  }
+
+  async _indexedActions(user, fromBlock, toBlock) {
+    const events = await this.indexer.query({
+      address: this.address,
+      fromBlock,
+      toBlock,
+      args: user ? { user } : undefined
+    });
+    return events
+      .filter(event => ACTION_TYPES[event.event])
+      .map(event => ({
+        type: ACTION_TYPES[event.event],
+        user: ethers.getAddress(event.args.user),
+        amount: BigInt(event.args.amount),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+        timestamp: event.timestamp ?? null
+      }));
+  }
+
+  async _simulator(options) {
+    const rate = options.rate !== undefined ? options.rate : await this.getRewardRate();
+    return new RewardSimulator({ ...options, model: options.model || 'linear', rate });
+  }
+
+  async _loadBlockTimes(blockNumbers) {
+    const missing = blockNumbers.filter(blockNumber => !this._blockTimes.has(blockNumber));
+    // A few blocks at a time keeps long histories from flooding the RPC
+    for (let i = 0; i < missing.length; i += 20) {
+      await Promise.all(missing.slice(i, i + 20).map(blockNumber => this._blockTime(blockNumber)));
+    }
+  }
+
+  async _blockTime(blockNumber) {
+    if (!this._blockTimes.has(blockNumber)) {
+      const block = await this.provider.getBlock(blockNumber);
+      if (!block) {
+        throw makeError('BLOCK_NOT_FOUND', `Block ${blockNumber} is not available`, { blockNumber });
+      }
+      this._blockTimes.set(blockNumber, block.timestamp * 1000);
+    }
+    return this._blockTimes.get(blockNumber);
+  }
+
+  async _latestTime() {
+    const block = await this.provider.getBlock('latest');
+    return block.timestamp * 1000;
+  }
+
+  _toWei(amount) {
+    return typeof amount === 'bigint' ? amount : ethers.parseEther(String(amount));
+  }
+
+  async _send(method, args, overrides = {}) {
+    if (typeof this.runner.sendTransaction !== 'function') {
+      throw new Error(`BaseStakingPoolClient.${method} requires a signer`);
+    }
+    if (!this._deployed) {
+      if ((await this.provider.getCode(this.address)) === '0x') {
+        throw makeError('CONTRACT_NOT_FOUND', `No BaseStakingPool contract at ${this.address}`);
+      }
+      this._deployed = true;
+    }
+    const tx = await this.contract[method](...args, overrides);
+    const receipt = await tx.wait(this.options.confirmations);
+    if (!receipt || receipt.status !== 1) {
+      throw makeError('CALL_EXCEPTION', `${method} transaction ${tx.hash} failed`, { hash: tx.hash });
+    }
+    return receipt;
+  }
+}
+
+/**
+ * Folds actions into per-staker positions with running balances
+ * @param {Array<StakeAction>} actions - Actions in chain order
+ * @returns {Map<string, Object>} Lowercase address -> position
+ */
+function summarizePositions(actions) {
+  const positions = new Map();
+  for (const action of actions) {
+    const key = action.user.toLowerCase();
+    let position = positions.get(key);
+    if (!position) {
+      position = { user: action.user, stake: 0n, staked: 0n, withdrawn: 0n, firstStakedAt: null, lastActivityAt: null, history: [] };
+      positions.set(key, position);
+    }
+
+    if (action.type === 'stake') {
+      position.stake += action.amount;
+      position.staked += action.amount;
+      if (position.firstStakedAt === null) position.firstStakedAt = action.timestamp;
+    } else {
+      position.stake -= action.amount;
+      position.withdrawn += action.amount;
+    }
+    position.lastActivityAt = action.timestamp;
+    position.history.push({ ...action, balance: position.stake });
+  }
+  return positions;
+}
+
+// TVL at the end of each interval and stakers joining / leaving within it
+function bucketActions(actions, interval, end) {
+  if (actions.length === 0) return { tvl: [], churn: [] };
+
+  const start = Math.floor(actions[0].timestamp / interval) * interval;
+  if ((end - start) / interval > MAX_REPORT_BUCKETS) {
+    throw makeError('INVALID_ARGUMENT', `Report interval ${interval}ms gives more than ${MAX_REPORT_BUCKETS} buckets; use a longer interval`);
+  }
+
+  const balances = new Map();
+  const tvl = [];
+  const churn = [];
+  let total = 0n;
+  let next = 0;
+
+  for (let bucketStart = start; bucketStart <= end; bucketStart += interval) {
+    const bucketEnd = bucketStart + interval;
+    const activeAtStart = [...balances.values()].filter(balance => balance > 0n).length;
+    const joined = new Set();
+    const startBalances = new Map();
+
+    for (; next < actions.length && actions[next].timestamp < bucketEnd; next++) {
+      const action = actions[next];
+      const key = action.user.toLowerCase();
+      const before = balances.get(key);
+      if (before === undefined) joined.add(key);
+      if (!startBalances.has(key)) startBalances.set(key, before || 0n);
+      const delta = action.type === 'stake' ? action.amount : -action.amount;
+      balances.set(key, (before || 0n) + delta);
+      total += delta;
+    }
+
+    // Exited: staked at the start of the interval, nothing left at its end; returning: the reverse
+    const touched = [...startBalances].filter(([key]) => !joined.has(key));
+    const exited = touched.filter(([key, balance]) => balance > 0n && balances.get(key) === 0n).length;
+    const returning = touched.filter(([key, balance]) => balance === 0n && balances.get(key) > 0n).length;
+    tvl.push({ time: Math.min(bucketEnd, end), totalStaked: total });
+    churn.push({
+      start: bucketStart,
+      end: bucketEnd,
+      activeAtStart,
+      newStakers: joined.size,
+      returningStakers: returning,
+      exitedStakers: exited,
+      activeAtEnd: [...balances.values()].filter(balance => balance > 0n).length,
+      churnRate: activeAtStart > 0 ? exited / activeAtStart : null
+    });
+  }
+  return { tvl, churn };
+}
+
+module.exports = {
+  BaseStakingPoolClient,
+  STAKING_POOL_ABI,
+  summarizePositions
+};
@@ -0,0 +1,216 @@
+// Base Deployment Manifest - per-network record of deployed contracts
+// One versioned JSON file per network (deployments/<network>.json) holding each contract's
+// address, transaction, bytecode hashes, constructor arguments and compiler settings, plus the
+// migration steps already applied. Manifests can be checked for drift and diffed across networks.
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { getNetworkConfig, getNetworkKey, makeError } = require('../lib/BaseNetworkUtils');
+
+// Bumped when the file layout changes; `revision` counts writes to one file
+const MANIFEST_FORMAT = 1;
+
+const DEFAULT_MANIFEST_DIR = 'deployments';
+
+// Entry fields compared by diffManifests; addresses and transactions always differ between networks
+const DIFF_FIELDS = ['contractName', 'initCodeHash', 'bytecodeHash', 'constructorArgs', 'compiler.version', 'compiler.settings'];
+
+const readField = (entry, field) => field.split('.').reduce((value, key) => (value == null ? value : value[key]), entry);
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Builds a manifest entry from a deployment; `compiled` is compiler output in the token factory's shape
+// (contractName, abi, bytecode, deployedBytecode, compilerVersion, input) or carries `compiler` directly
+function buildManifestEntry({ compiled, address, receipt, deployer, constructorArgs = '0x', runtimeCode, extra = {} }) {
+  const settings = compiled.input ? { ...compiled.input.settings } : {};
+  delete settings.outputSelection;
+
+  return {
+    contractName: compiled.contractName,
+    sourceName: compiled.sourceName || null,
+    address: ethers.getAddress(address),
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    deployer,
+    initCodeHash: ethers.keccak256(ethers.concat([compiled.bytecode, constructorArgs])),
+    bytecodeHash: compiled.deployedBytecode ? ethers.keccak256(compiled.deployedBytecode) : null,
+    // On-chain code differs from the compiler's deployedBytecode when the contract has immutables
+    runtimeCodeHash: runtimeCode ? ethers.keccak256(runtimeCode) : null,
+    constructorArgs,
+    compiler: compiled.compiler || { version: compiled.compilerVersion || null, settings },
+    abi: compiled.abi || null,
+    deployedAt: new Date().toISOString(),
+    ...extra
+  };
+}
+
+class BaseDeploymentManifest {
+  // options: { network, dir, path } path overrides <dir>/<network>.json. Aliases and chain ids are
+  // stored under the canonical network name, so 'mainnet' and 8453 share deployments/base.json
+  constructor(options = {}) {
+    this.network = getNetworkKey(options.network || 'base');
+    this.chainId = getNetworkConfig(this.network).chainId;
+    this.path = options.path || path.join(options.dir || DEFAULT_MANIFEST_DIR, `${this.network}.json`);
+    this.data = {
+      format: MANIFEST_FORMAT,
+      network: this.network,
+      chainId: this.chainId,
+      revision: 0,
+      updatedAt: null,
+      contracts: {},
+      migrations: {}
+    };
+    this._writes = Promise.resolve();
+  }
+
+  // Opens the manifest of a network, creating an empty one in memory if the file does not exist
+  static async load(network, options = {}) {
+    const manifest = new BaseDeploymentManifest({ ...options, network });
+    await manifest.load();
+    return manifest;
+  }
+
+  async load() {
+    if (!fs.existsSync(this.path)) return this;
+
+    let saved;
+    try {
+      saved = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    } catch (error) {
+      throw makeError('INVALID_MANIFEST', `Could not read deployment manifest ${this.path}: ${error.message}`, { path: this.path });
+    }
+    if (saved.format > MANIFEST_FORMAT) {
+      throw makeError('INVALID_MANIFEST', `${this.path} uses manifest format ${saved.format}; this toolkit reads up to ${MANIFEST_FORMAT}`);
+    }
+    // Catches a mainnet manifest being used against a testnet, or vice versa
+    if (saved.chainId !== this.chainId) {
+      throw makeError('NETWORK_MISMATCH', `${this.path} belongs to chain ${saved.chainId}, not ${this.network} (${this.chainId})`, { path: this.path });
+    }
+    this.data = { ...this.data, ...saved, network: this.network, contracts: saved.contracts || {}, migrations: saved.migrations || {} };
+    return this;
+  }
+
+  get revision() {
+    return this.data.revision;
+  }
+
+  get(key) {
+    return this.data.contracts[key] || null;
+  }
+
+  getByAddress(address) {
+    const target = address.toLowerCase();
+    const found = Object.entries(this.data.contracts).find(([, entry]) => entry.address.toLowerCase() === target);
+    return found ? { key: found[0], ...found[1] } : null;
+  }
+
+  list() {
+    return Object.entries(this.data.contracts).map(([key, entry]) => ({ key, ...entry }));
+  }
+
+  // Stores a deployment under `key`; a replaced entry is kept in the new entry's history
+  async record(key, entry) {
+    const previous = this.data.contracts[key];
+    const history = previous ? [...(previous.history || []), { ...previous, history: undefined }] : [];
+    this.data.contracts[key] = { ...entry, ...(history.length > 0 && { history }) };
+    await this.save();
+    return this.data.contracts[key];
+  }
+
+  isMigrationComplete(id) {
+    return Boolean(this.data.migrations[id]);
+  }
+
+  async markMigration(id, info = {}) {
+    this.data.migrations[id] = { completedAt: new Date().toISOString(), ...info };
+    await this.save();
+  }
+
+  // Atomic write (temp file + rename), serialized so concurrent records never interleave
+  save() {
+    this.data.revision += 1;
+    this.data.updatedAt = new Date().toISOString();
+    const snapshot = JSON.stringify(this.data, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+
+    const write = this._writes.then(async () => {
+      await fs.promises.mkdir(path.dirname(path.resolve(this.path)), { recursive: true });
+      await fs.promises.writeFile(`${this.path}.tmp`, snapshot + '\n');
+      await fs.promises.rename(`${this.path}.tmp`, this.path);
+    });
+    this._writes = write.catch(() => {});
+    return write;
+  }
+
+  // Compares on-chain code with the runtime code hash recorded at deployment
+  async checkCodeDrift(provider) {
+    const results = [];
+    for (const { key, address, runtimeCodeHash } of this.list()) {
+      const code = await provider.getCode(address);
+      const actual = code === '0x' ? null : ethers.keccak256(code);
+      let status = 'ok';
+      if (!actual) status = 'missing';
+      else if (runtimeCodeHash && actual !== runtimeCodeHash) status = 'changed';
+      results.push({ key, address, kind: 'code', status, expected: runtimeCodeHash, actual });
+    }
+    return results;
+  }
+
+  toJSON() {
+    return this.data;
+  }
+}
+
+// Compares two manifests (instances or parsed files) contract by contract
+function diffManifests(from, to) {
+  const a = from instanceof BaseDeploymentManifest ? from.data : from;
+  const b = to instanceof BaseDeploymentManifest ? to.data : to;
+  const keys = [...new Set([...Object.keys(a.contracts || {}), ...Object.keys(b.contracts || {})])].sort();
+
+  const contracts = keys.map(key => {
+    const left = a.contracts[key];
+    const right = b.contracts[key];
+    if (!right) return { key, status: 'only_in_from', fromAddress: left.address, toAddress: null, differences: [] };
+    if (!left) return { key, status: 'only_in_to', fromAddress: null, toAddress: right.address, differences: [] };
+
+    const differences = DIFF_FIELDS
+      .filter(field => !sameValue(readField(left, field), readField(right, field)))
+      .map(field => ({ field, from: readField(left, field), to: readField(right, field) }));
+    return {
+      key,
+      status: differences.length > 0 ? 'changed' : 'same',
+      fromAddress: left.address,
+      toAddress: right.address,
+      sameAddress: left.address.toLowerCase() === right.address.toLowerCase(),
+      differences
+    };
+  });
+
+  const fromMigrations = Object.keys(a.migrations || {});
+  const toMigrations = Object.keys(b.migrations || {});
+  const count = (status) => contracts.filter(contract => contract.status === status).length;
+
+  return {
+    from: { network: a.network, chainId: a.chainId, revision: a.revision },
+    to: { network: b.network, chainId: b.chainId, revision: b.revision },
+    contracts,
+    migrations: {
+      onlyInFrom: fromMigrations.filter(id => !toMigrations.includes(id)),
+      onlyInTo: toMigrations.filter(id => !fromMigrations.includes(id))
+    },
+    summary: {
+      same: count('same'),
+      changed: count('changed'),
+      onlyInFrom: count('only_in_from'),
+      onlyInTo: count('only_in_to')
+    }
+  };
+}
+
+module.exports = {
+  BaseDeploymentManifest,
+  MANIFEST_FORMAT,
+  DEFAULT_MANIFEST_DIR,
+  buildManifestEntry,
+  diffManifests
+};
@@ -0,0 +1,311 @@
+// Base Migration Runner - numbered, idempotent deployment steps over a deployment manifest
+// Steps are files such as migrations/001_deploy_token.js exporting `up(ctx)` (or `{ description, up }`).
+// Steps already recorded in the network's manifest are skipped, and contracts already in the
+// manifest are not deployed again. Before anything is sent, recorded contracts are checked for
+// bytecode drift: on-chain code that no longer matches, or sources that now compile differently.
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { getNetworkKey, makeError } = require('../lib/BaseNetworkUtils');
+const { BaseDeploymentManifest, buildManifestEntry } = require('./BaseDeploymentManifest');
+
+const STEP_FILE = /^(\d+)[-_].+\.js$/;
+
+const DRIFT_MODES = ['error', 'warn', 'redeploy'];
+
+const describeDrift = (drift) => (drift.status === 'missing'
+  ? `${drift.key}: no code at ${drift.address}`
+  : `${drift.key}: ${drift.kind === 'code' ? 'on-chain code' : 'compiled bytecode'} changed (${drift.expected} -> ${drift.actual})`);
+
+class BaseMigrationRunner {
+  // options: { network, signer, provider, manifest, manifestDir, dir, steps, factory, onDrift, confirmations }
+  //   steps: [{ id: '001_token', description, up }] instead of reading `dir` (default ./migrations)
+  //   onDrift: 'error' (default) stops, 'warn' keeps the recorded contract, 'redeploy' deploys it again
+  constructor(options = {}) {
+    if (options.onDrift && !DRIFT_MODES.includes(options.onDrift)) {
+      throw new Error(`onDrift must be one of ${DRIFT_MODES.join(', ')}`);
+    }
+    this.network = getNetworkKey(options.network || 'base');
+    this.signer = options.signer || null;
+    this.provider = options.provider || (this.signer && this.signer.provider) || null;
+    this.manifest = options.manifest || null;
+    this.factory = options.factory || null;
+    this.options = {
+      dir: options.dir || 'migrations',
+      steps: options.steps || null,
+      manifestDir: options.manifestDir,
+      onDrift: options.onDrift || 'error',
+      confirmations: options.confirmations || 1
+    };
+  }
+
+  async getManifest() {
+    if (!this.manifest) {
+      this.manifest = await BaseDeploymentManifest.load(this.network, { dir: this.options.manifestDir });
+    }
+    return this.manifest;
+  }
+
+  // Token factory for config deployments, recording into this runner's manifest (loads solc on first use)
+  async getFactory() {
+    if (!this.factory) {
+      const { BaseTokenFactory } = require('./BaseTokenFactory');
+      this.factory = new BaseTokenFactory({ signer: this.signer, confirmations: this.options.confirmations });
+    }
+    if (!this.factory.options.manifest) {
+      this.factory.options.manifest = await this.getManifest();
+    }
+    return this.factory;
+  }
+
+  // Steps sorted by number; ids are file names without .js
+  loadSteps() {
+    let steps = this.options.steps;
+    if (!steps) {
+      const dir = path.resolve(this.options.dir);
+      if (!fs.existsSync(dir)) {
+        throw makeError('INVALID_ARGUMENT', `Migrations directory ${this.options.dir} does not exist`);
+      }
+      steps = fs.readdirSync(dir).filter(file => STEP_FILE.test(file)).map(file => {
+        const loaded = require(path.join(dir, file));
+        const step = typeof loaded === 'function' ? { up: loaded } : loaded;
+        return { ...step, id: path.basename(file, '.js') };
+      });
+    }
+
+    const numbered = steps.map(step => {
+      const match = /^(\d+)/.exec(step.id || '');
+      if (!match || typeof step.up !== 'function') {
+        throw makeError('INVALID_ARGUMENT', `Migration step "${step.id}" needs a numbered id (e.g. 001_token) and an up(ctx) function`);
+      }
+      return { ...step, number: parseInt(match[1], 10) };
+    }).sort((a, b) => a.number - b.number);
+
+    for (let i = 1; i < numbered.length; i++) {
+      if (numbered[i].number === numbered[i - 1].number) {
+        throw makeError('INVALID_ARGUMENT', `Migration steps ${numbered[i - 1].id} and ${numbered[i].id} share number ${numbered[i].number}`);
+      }
+    }
+    return numbered;
+  }
+
+  // Steps with their status in the manifest
+  async plan() {
+    const manifest = await this.getManifest();
+    return this.loadSteps().map(step => {
+      const record = manifest.data.migrations[step.id];
+      return {
+        id: step.id,
+        number: step.number,
+        description: step.description || null,
+        status: record ? 'completed' : 'pending',
+        completedAt: record ? record.completedAt : null,
+        contracts: record ? record.contracts : []
+      };
+    });
+  }
+
+  // Runs pending steps in order. options: { to (last step number), dryRun }
+  async run(options = {}) {
+    const manifest = await this.getManifest();
+    const steps = this.loadSteps().filter(step => options.to === undefined || step.number <= options.to);
+    if (!options.dryRun && !this.signer) {
+      throw new Error('Running migrations needs a signer; use dryRun to only plan them');
+    }
+
+    const drift = this.provider ? (await manifest.checkCodeDrift(this.provider)).filter(result => result.status !== 'ok') : [];
+    this.handleDrift(drift);
+
+    // With onDrift = 'redeploy', a completed step whose contracts drifted runs again
+    const drifted = new Set(drift.map(result => result.key));
+    const rerun = (step) => this.options.onDrift === 'redeploy'
+      && (manifest.data.migrations[step.id].contracts || []).some(key => drifted.has(key));
+
+    const result = { network: this.network, applied: [], skipped: [], pending: [], drift };
+    for (const step of steps) {
+      if (manifest.isMigrationComplete(step.id) && !rerun(step)) {
+        result.skipped.push(step.id);
+        continue;
+      }
+      if (options.dryRun) {
+        result.pending.push(step.id);
+        continue;
+      }
+
+      console.log(`🧱 Running migration ${step.id}${step.description ? ` - ${step.description}` : ''}`);
+      const context = this.createContext(step);
+      await step.up(context);
+      await manifest.markMigration(step.id, { description: step.description || null, contracts: context.deployed });
+      result.applied.push(step.id);
+    }
+
+    console.log(`✅ Migrations on ${this.network}: ${result.applied.length} applied, ${result.skipped.length} already done` +
+      (options.dryRun ? `, ${result.pending.length} pending` : ''));
+    return result;
+  }
+
+  // On-chain drift of every manifest contract, plus recompiled-bytecode drift for factory deployments
+  async checkDrift(options = {}) {
+    const manifest = await this.getManifest();
+    const results = this.provider ? await manifest.checkCodeDrift(this.provider) : [];
+
+    if (options.compile !== false) {
+      const factory = await this.getFactory();
+      for (const entry of manifest.list().filter(item => item.config)) {
+        const compiled = factory.compileContract(factory.generateTokenContract(entry.config), entry.contractName);
+        const actual = ethers.keccak256(compiled.bytecode);
+        results.push({
+          key: entry.key,
+          address: entry.address,
+          kind: 'source',
+          status: actual === entry.initCodeHash ? 'ok' : 'changed',
+          expected: entry.initCodeHash,
+          actual,
+          compilerVersion: { recorded: entry.compiler.version, current: compiled.compilerVersion }
+        });
+      }
+    }
+    return results;
+  }
+
+  handleDrift(drift) {
+    if (drift.length === 0) return;
+    const message = `Bytecode drift on ${this.network}:\n  ${drift.map(describeDrift).join('\n  ')}`;
+    if (this.options.onDrift === 'error') {
+      throw makeError('BYTECODE_DRIFT', `${message}\nRun with onDrift "warn" to continue or "redeploy" to deploy again`, { drift });
+    }
+    console.warn(`⚠️  ${message}`);
+  }
+
+  // Context passed to a step's up(): deploy() is idempotent per manifest key
+  createContext(step) {
+    const runner = this;
+    const deployed = [];
+    return {
+      network: this.network,
+      signer: this.signer,
+      provider: this.provider,
+      manifest: this.manifest,
+      step: step.id,
+      deployed,
+
+      // spec: { config, salt } for a token factory config, or { contractName, abi, bytecode, args, compiler }
+      async deploy(key, spec) {
+        const entry = await runner.deployOnce(key, spec, step);
+        if (!deployed.includes(key)) deployed.push(key);
+        return entry;
+      },
+
+      get(key) {
+        const entry = runner.manifest.get(key);
+        if (!entry) throw makeError('UNKNOWN_CONTRACT', `No "${key}" in the ${runner.network} manifest`);
+        return { key, ...entry };
+      },
+
+      contract(key, abi) {
+        const entry = this.get(key);
+        return new ethers.Contract(entry.address, abi || entry.abi, runner.signer);
+      }
+    };
+  }
+
+  async deployOnce(key, spec, step) {
+    const manifest = await this.getManifest();
+    const existing = manifest.get(key);
+    if (existing) {
+      // An upgradeable token's config compiles to the implementation, recorded next to its proxy
+      const recorded = (existing.proxy && manifest.get(existing.proxy.implementationKey)) || existing;
+      const drift = await this.entryDrift(key, recorded, await this.initCodeHash(spec));
+      if (!drift) {
+        console.log(`⏭️  ${key} already deployed at ${existing.address}`);
+        return { key, ...existing };
+      }
+      this.handleDrift([drift]);
+      if (this.options.onDrift === 'warn') return { key, ...existing };
+      console.log(`♻️  Redeploying ${key}`);
+    }
+
+    const entry = spec.config ? await this.deployConfig(key, spec, step) : await this.deployArtifact(key, spec, step);
+    return { key, ...entry };
+  }
+
+  // Drift of one recorded contract against the code a step would deploy now, or null
+  async entryDrift(key, entry, initCodeHash) {
+    if (initCodeHash !== entry.initCodeHash) {
+      return { key, address: entry.address, kind: 'source', status: 'changed', expected: entry.initCodeHash, actual: initCodeHash };
+    }
+    const code = await this.provider.getCode(entry.address);
+    const actual = code === '0x' ? null : ethers.keccak256(code);
+    if (!actual || (entry.runtimeCodeHash && actual !== entry.runtimeCodeHash)) {
+      return { key, address: entry.address, kind: 'code', status: actual ? 'changed' : 'missing', expected: entry.runtimeCodeHash, actual };
+    }
+    return null;
+  }
+
+  async initCodeHash(spec) {
+    if (spec.config) {
+      const factory = await this.getFactory();
+      const config = await factory.prepareConfig(spec.config, this.network, { salt: spec.salt });
+      const compiled = factory.compileContract(factory.generateTokenContract(config), factory.getContractName(config));
+      return ethers.keccak256(compiled.bytecode);
+    }
+    return ethers.keccak256(ethers.concat([spec.bytecode, this.encodeArgs(spec)]));
+  }
+
+  encodeArgs(spec) {
+    return new ethers.Interface(spec.abi).encodeDeploy(spec.args || []);
+  }
+
+  async deployConfig(key, spec, step) {
+    const factory = await this.getFactory();
+    const deployment = await factory.deployToken(spec.config, this.network, {
+      salt: spec.salt,
+      record: spec.record,
+      manifestKey: key,
+      migration: step.id
+    });
+    if (!deployment.manifest || deployment.manifest.error) {
+      throw new Error(`${key} was deployed at ${deployment.address} but not recorded in the manifest: ${deployment.manifest && deployment.manifest.error}`);
+    }
+    return this.manifest.get(key);
+  }
+
+  async deployArtifact(key, spec, step) {
+    if (!spec.abi || !spec.bytecode) {
+      throw makeError('INVALID_ARGUMENT', `Deploying ${key} needs either config or abi and bytecode`);
+    }
+    console.log(`🚀 Deploying ${key} (${spec.contractName || 'contract'}) to ${this.network}...`);
+    const contractFactory = new ethers.ContractFactory(spec.abi, spec.bytecode, this.signer);
+    const contract = await contractFactory.deploy(...(spec.args || []));
+    const tx = contract.deploymentTransaction();
+    const receipt = await tx.wait(this.options.confirmations);
+    if (!receipt || receipt.status !== 1) {
+      throw new Error(`Deployment transaction ${tx.hash} failed`);
+    }
+
+    const address = receipt.contractAddress;
+    const entry = buildManifestEntry({
+      compiled: {
+        contractName: spec.contractName || key,
+        abi: spec.abi,
+        bytecode: spec.bytecode,
+        deployedBytecode: spec.deployedBytecode,
+        compiler: spec.compiler || { version: null, settings: {} }
+      },
+      address,
+      receipt,
+      deployer: await this.signer.getAddress(),
+      constructorArgs: this.encodeArgs(spec),
+      runtimeCode: await this.provider.getCode(address, receipt.blockNumber),
+      extra: { deploymentMethod: 'create', migration: step.id }
+    });
+    await this.manifest.record(key, entry);
+    console.log(`📍 ${key} deployed at ${address} (tx ${receipt.hash})`);
+    return this.manifest.get(key);
+  }
+}
+
+module.exports = {
+  BaseMigrationRunner
+};
@@ -0,0 +1,112 @@
+// Base Storage Layout - upgrade safety checks for proxied contracts
+// solc's storageLayout output is flattened into one entry per state variable, with types spelled out
+// (struct members, mapping keys and values) so layouts from different compilations compare by value.
+// An upgrade is safe when every variable of the deployed version keeps its slot, offset and type;
+// new variables may only be appended, or carved out of the start of a `__gap` array that still ends
+// where it did.
+
+// Type description that does not depend on solc's type ids
+function describeType(types, id, seen = new Set()) {
+  const type = types[id];
+  if (!type || seen.has(id)) return type ? type.label : id;
+  const nested = new Set(seen).add(id);
+
+  if (type.members) {
+    const members = type.members.map(member =>
+      `${member.label}: ${describeType(types, member.type, nested)} @${member.slot}+${member.offset}`);
+    return `${type.label} { ${members.join('; ')} }`;
+  }
+  if (type.key) {
+    return `mapping(${describeType(types, type.key, nested)} => ${describeType(types, type.value, nested)})`;
+  }
+  if (type.base) {
+    return describeType(types, type.base, nested) + type.label.slice(type.label.lastIndexOf('['));
+  }
+  return type.label;
+}
+
+// Flattens compiler output ({ storage, types }) for the contract `contractName`
+function normalizeStorageLayout(layout, contractName) {
+  return {
+    contractName,
+    storage: layout.storage.map(item => ({
+      contract: item.contract.slice(item.contract.lastIndexOf(':') + 1),
+      label: item.label,
+      slot: item.slot,
+      offset: item.offset,
+      type: describeType(layout.types, item.type),
+      bytes: layout.types[item.type].numberOfBytes
+    }))
+  };
+}
+
+const isGap = (variable) => variable.label === '__gap';
+const gapEnd = (variable) => BigInt(variable.slot) + BigInt(variable.bytes) / 32n;
+const describeVariable = (variable) => `${variable.contract}.${variable.label}`;
+const position = (variable) => `slot ${variable.slot}${variable.offset ? ` offset ${variable.offset}` : ''}`;
+
+// Compares the layout of a deployed implementation with its replacement.
+// Returns { compatible, problems: [message], added: [{ variable, slot, offset, type }] }
+function compareStorageLayouts(previous, next) {
+  const problems = [];
+  const added = [];
+  // The most derived contract may be renamed between versions without moving anything
+  const sameOwner = (a, b) => a.contract === b.contract ||
+    (a.contract === previous.contractName && b.contract === next.contractName);
+
+  let index = 0;
+  for (const variable of previous.storage) {
+    if (isGap(variable)) {
+      const end = gapEnd(variable);
+      while (index < next.storage.length && BigInt(next.storage[index].slot) < end && !isGap(next.storage[index])) {
+        added.push(next.storage[index++]);
+      }
+      const gap = next.storage[index];
+      if (gap && isGap(gap) && BigInt(gap.slot) < end) {
+        if (gapEnd(gap) !== end) {
+          problems.push(`${describeVariable(variable)} ends before slot ${end} in the deployed version but before slot ${gapEnd(gap)} in the new one, moving everything after it`);
+          break;
+        }
+        index++;
+      }
+      continue;
+    }
+
+    const candidate = next.storage[index];
+    if (!candidate) {
+      problems.push(`${describeVariable(variable)} (${position(variable)}) was removed`);
+      break;
+    }
+    if (candidate.label !== variable.label || !sameOwner(variable, candidate)) {
+      problems.push(`${describeVariable(variable)} (${position(variable)}) is replaced by ${describeVariable(candidate)} (${position(candidate)}); ` +
+        'variables were inserted, removed or reordered');
+      break;
+    }
+    if (candidate.slot !== variable.slot || candidate.offset !== variable.offset) {
+      problems.push(`${describeVariable(variable)} moved from ${position(variable)} to ${position(candidate)}`);
+      break;
+    }
+    if (candidate.type !== variable.type) {
+      problems.push(`${describeVariable(variable)} changed type from ${variable.type} to ${candidate.type}`);
+    }
+    index++;
+  }
+
+  if (problems.length === 0) added.push(...next.storage.slice(index));
+
+  return {
+    compatible: problems.length === 0,
+    problems,
+    added: added.map(variable => ({
+      variable: describeVariable(variable),
+      slot: variable.slot,
+      offset: variable.offset,
+      type: variable.type
+    }))
+  };
+}
+
+module.exports = {
+  normalizeStorageLayout,
+  compareStorageLayouts
+};
@@ -1,75 +1,696 @@
-// Base Token Factory - Advanced ERC20 Token Creation Tool
+// Base Token Factory - Advanced ERC20 / ERC721 / ERC1155 Creation Tool
 // Optimized for Base blockchain with Builder Rewards integration
 
-const { ethers } = require('hardhat');
+const { ethers } = require('ethers');
 const fs = require('fs');
+const solc = require('solc');
+const axios = require('axios');
+const { getTemplate, generateProxyContract, buildMerkleAllowlist } = require('./templates');
+const { getNetworkConfig, getNetworkKey, makeError } = require('../lib/BaseNetworkUtils');
+const { BaseL1FeeOracle, getReceiptL1Fee } = require('../lib/BaseL1FeeOracle');
+const { BaseContractUtilsClient } = require('../lib/BaseContractUtilsClient');
+const { createNameResolver, isBasename } = require('../lib/BaseNameResolver');
+const { BaseDeploymentManifest, buildManifestEntry } = require('./BaseDeploymentManifest');
+const { normalizeStorageLayout, compareStorageLayouts } = require('./BaseStorageLayout');
+
+// Arachnid's deterministic deployment proxy: calldata is `salt ++ initCode`, present on Base and Base Sepolia
+const CREATE2_DEPLOYER = '0x4e59b44847b379578588920cA78FbF26c0B4956C';
+const CREATE2_DEPLOYER_RUNTIME = '0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3';
+const DEV_CHAIN_IDS = [31337, 1337];
+
+// ERC-1967 slots where proxies keep their implementation and admin
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+const UPGRADE_ABI = [
+  'function initialize()',
+  'function upgradeTo(address newImplementation)',
+  'function upgrade(address proxy, address implementation)'
+];
+
+// Config fields holding addresses, which may be given as Basenames: [field, nested field]
+const CONFIG_ADDRESS_FIELDS = [['owner'], ['initialRecipient'], ['transferFee', 'recipient'], ['royalty', 'receiver']];
+
+// Turns a bytes32 hex string, number or arbitrary label into a 32-byte salt
+function normalizeSalt(salt) {
+  if (typeof salt === 'bigint' || typeof salt === 'number') {
+    return ethers.zeroPadValue(ethers.toBeHex(salt), 32);
+  }
+  if (ethers.isHexString(salt, 32)) {
+    return salt.toLowerCase();
+  }
+  if (typeof salt === 'string' && salt.length > 0) {
+    return ethers.id(salt);
+  }
+  throw new Error('Salt must be a bytes32 hex string, a number or a non-empty label');
+}
+
+// Statements of a generated initialize(), which runs once when the proxy is deployed
+function initializerStatements(source) {
+  const match = /function initialize\(\) public initializer \{\n([\s\S]*?)\n    \}/.exec(source);
+  return match ? match[1].split('\n').map(line => line.trim()).filter(Boolean) : [];
+}
+
+// Resolves `import "@openzeppelin/..."` style paths from the local node_modules
+function findImports(importPath) {
+  try {
+    const resolved = require.resolve(importPath, { paths: [process.cwd(), __dirname] });
+    return { contents: fs.readFileSync(resolved, 'utf8') };
+  } catch (error) {
+    return { error: `File not found: ${importPath}` };
+  }
+}
 
 class BaseTokenFactory {
-  constructor() {
+  constructor(options = {}) {
     this.deployedTokens = [];
     this.gasTracker = { totalGasUsed: 0, deploymentCosts: [] };
+    this.options = {
+      signer: options.signer || null,
+      // RPC endpoint for the PRIVATE_KEY signer used when no signer is passed (defaults to the network's)
+      rpcUrl: options.rpcUrl || null,
+      confirmations: options.confirmations || 1,
+      optimizer: options.optimizer || { enabled: true, runs: 200 },
+      evmVersion: options.evmVersion || null,
+      create2Deployer: options.create2Deployer || CREATE2_DEPLOYER,
+      explorerApiUrl: options.explorerApiUrl || null,
+      explorerApiKey: options.explorerApiKey || process.env.BASESCAN_API_KEY || null,
+      // BaseContractUtils address (or client) that records every successful deployment
+      registry: options.registry || null,
+      // BaseNameResolver (or its options) for Basenames in configs and verifyToken
+      nameResolver: options.nameResolver || null,
+      // BaseDeploymentManifest, or { dir } to keep one manifest per network, recording every deployment
+      manifest: options.manifest || null,
+      ...options
+    };
+    this.compileCache = new Map();
+    this.manifests = new Map();
+    this.envSigners = new Map();
+    this.nameResolvers = new Map();
+    // Compiler inputs by lowercase address, kept for explorer verification
+    this.verificationInputs = new Map();
   }
 
-  generateTokenContract(config) {
-    const { name, symbol, totalSupply, mintable = false, burnable = false } = config;
-    
-    let imports = [
-      '// SPDX-License-Identifier: MIT',
-      'pragma solidity ^0.8.19;',
-      'import "@openzeppelin/contracts/token/ERC20/ERC20.sol";',
-      'import "@openzeppelin/contracts/access/Ownable.sol";'
-    ];
-    
-    let inheritance = ['ERC20', 'Ownable'];
-    let functions = [];
-    
-    if (mintable) {
-      functions.push('    function mint(address to, uint256 amount) public onlyOwner { _mint(to, amount); }');
+  getContractName(config) {
+    return getTemplate(config).validate(config).contractName;
+  }
+
+  buildCompilerInput(sourceName, source) {
+    const settings = {
+      optimizer: this.options.optimizer,
+      outputSelection: {
+        '*': { '*': ['abi', 'evm.bytecode.object', 'evm.deployedBytecode.object', 'storageLayout'] }
+      }
+    };
+    if (this.options.evmVersion) {
+      settings.evmVersion = this.options.evmVersion;
     }
-    
-    if (burnable) {
-      imports.push('import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";');
-      inheritance.push('ERC20Burnable');
+
+    return {
+      language: 'Solidity',
+      sources: { [sourceName]: { content: source } },
+      settings
+    };
+  }
+
+  compileContract(source, contractName) {
+    const cacheKey = ethers.id(`${contractName}:${source}`);
+    if (this.compileCache.has(cacheKey)) {
+      return this.compileCache.get(cacheKey);
     }
-    
-    const contractCode = `${imports.join('\n')}
 
-contract ${name.replace(/\s+/g, '')} is ${inheritance.join(', ')} {
-    constructor() ERC20("${name}", "${symbol}") {
-        _mint(msg.sender, ${totalSupply} * 10**decimals());
+    const sourceName = `${contractName}.sol`;
+    const input = this.buildCompilerInput(sourceName, source);
+    const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+
+    const errors = (output.errors || []).filter(entry => entry.severity === 'error');
+    if (errors.length > 0) {
+      throw new Error(`Compilation of ${contractName} failed:\n${errors.map(entry => entry.formattedMessage).join('\n')}`);
+    }
+
+    const artifact = output.contracts[sourceName] && output.contracts[sourceName][contractName];
+    if (!artifact) {
+      throw new Error(`Contract ${contractName} not found in compiler output`);
+    }
+
+    // Explorers need every imported file, not just the generated source
+    const sources = {};
+    for (const name of Object.keys(output.sources)) {
+      sources[name] = { content: name === sourceName ? source : findImports(name).contents };
     }
-${functions.join('\n')}
-}`;
     
-    return contractCode;
+    const compiled = {
+      contractName,
+      sourceName,
+      abi: artifact.abi,
+      bytecode: '0x' + artifact.evm.bytecode.object,
+      deployedBytecode: '0x' + artifact.evm.deployedBytecode.object,
+      storageLayout: normalizeStorageLayout(artifact.storageLayout, contractName),
+      compilerVersion: solc.version(),
+      input: { ...input, sources }
+    };
+    this.compileCache.set(cacheKey, compiled);
+    return compiled;
+  }
+
+  // Proxy ('uups' / 'transparent') or ProxyAdmin ('admin') contract for upgradeable configs
+  compileProxyContract(kind) {
+    const { contractName, source } = generateProxyContract(kind);
+    return this.compileContract(source, contractName);
+  }
+
+  // Proxy constructor arguments; the proxy calls initialize() on the implementation while deploying
+  proxyArgs(kind, implementation, admin) {
+    const initData = new ethers.Interface(UPGRADE_ABI).encodeFunctionData('initialize');
+    return kind === 'transparent' ? [implementation, admin, initData] : [implementation, initData];
+  }
+
+  // Deterministic deployments run the constructor with msg.sender = CREATE2 deployer,
+  // so ownership must be baked into the source
+  requireExplicitOwner(config) {
+    if (!config.owner) {
+      throw new Error('Deterministic deployments need config.owner: the constructor runs with msg.sender set to the CREATE2 deployer');
+    }
+  }
+
+  // For upgradeable configs the address is the proxy's; every contract is deployed with the same salt.
+  // options.proxyAdmin: existing ProxyAdmin for a transparent proxy instead of deploying one
+  predictAddress(config, salt, options = {}) {
+    this.requireExplicitOwner(config);
+    const compiled = this.compileContract(this.generateTokenContract(config), this.getContractName(config));
+    const normalizedSalt = normalizeSalt(salt);
+    const initCodeHash = ethers.keccak256(compiled.bytecode);
+    const create2Address = (compiledContract, args = []) => ethers.getCreate2Address(
+      this.options.create2Deployer,
+      normalizedSalt,
+      ethers.keccak256(ethers.concat([compiledContract.bytecode, new ethers.Interface(compiledContract.abi).encodeDeploy(args)]))
+    );
+
+    const prediction = {
+      address: create2Address(compiled),
+      salt: normalizedSalt,
+      initCodeHash,
+      deployer: this.options.create2Deployer,
+      compilerVersion: compiled.compilerVersion
+    };
+    if (!config.upgradeable) return prediction;
+
+    const kind = config.upgradeable;
+    const admin = kind === 'transparent'
+      ? options.proxyAdmin || create2Address(this.compileProxyContract('admin'), [config.owner])
+      : null;
+    const proxy = this.compileProxyContract(kind);
+    const args = this.proxyArgs(kind, prediction.address, admin);
+    return {
+      ...prediction,
+      address: create2Address(proxy, args),
+      initCodeHash: ethers.keccak256(ethers.concat([proxy.bytecode, new ethers.Interface(proxy.abi).encodeDeploy(args)])),
+      proxy: { kind, implementation: prediction.address, admin }
+    };
+  }
+
+  // Brute-forces a salt whose CREATE2 address starts (and optionally ends) with the given hex
+  mineSalt(config, options = {}) {
+    const { prefix = '', suffix = '', caseSensitive = false, maxAttempts = 1000000, startNonce = 0 } = options;
+    if (!/^(0x)?[0-9a-fA-F]*$/.test(prefix) || !/^[0-9a-fA-F]*$/.test(suffix)) {
+      throw new Error('prefix and suffix must be hex strings');
+    }
+    if (config.upgradeable) {
+      throw new Error('mineSalt does not support upgradeable configs: the proxy embeds the implementation address, which changes with the salt');
+    }
+
+    const { initCodeHash, deployer } = this.predictAddress(config, 0);
+    const wantedPrefix = prefix.replace(/^0x/, '');
+    const match = caseSensitive
+      ? (address) => address.slice(2).startsWith(wantedPrefix) && address.endsWith(suffix)
+      : (address) => address.slice(2).toLowerCase().startsWith(wantedPrefix.toLowerCase()) &&
+          address.toLowerCase().endsWith(suffix.toLowerCase());
+
+    const head = ethers.concat(['0xff', deployer]);
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const salt = ethers.zeroPadValue(ethers.toBeHex(startNonce + attempt), 32);
+      let address = '0x' + ethers.keccak256(ethers.concat([head, salt, initCodeHash])).slice(26);
+      if (caseSensitive) address = ethers.getAddress(address);
+
+      if (match(address)) {
+        return { salt, address: ethers.getAddress(address), attempts: attempt + 1 };
+      }
+    }
+
+    throw new Error(`No salt found for prefix "${prefix}" and suffix "${suffix}" after ${maxAttempts} attempts`);
   }
 
-  async deployToken(config, network = 'base') {
+  async ensureCreate2Deployer(provider) {
+    const deployer = this.options.create2Deployer;
+    if ((await provider.getCode(deployer)) !== '0x') return deployer;
+
+    const { chainId } = await provider.getNetwork();
+    if (deployer !== CREATE2_DEPLOYER || !DEV_CHAIN_IDS.includes(Number(chainId))) {
+      throw new Error(`No CREATE2 deployer found at ${deployer} on chain ${chainId}`);
+    }
+
+    // Local Hardhat / anvil nodes start empty; install the proxy's runtime code
+    for (const method of ['hardhat_setCode', 'anvil_setCode']) {
+      try {
+        await provider.send(method, [deployer, CREATE2_DEPLOYER_RUNTIME]);
+        console.log(`🧰 Installed CREATE2 deployer at ${deployer} via ${method}`);
+        return deployer;
+      } catch (error) {
+        // try the next dev node flavour
+      }
+    }
+    throw new Error(`Could not install the CREATE2 deployer on local chain ${chainId}`);
+  }
+
+  // Next nonce of `signer`, read with a raw request: ethers briefly caches identical provider
+  // calls, so a count taken right after a mined transaction can still be the old one
+  async pendingNonce(signer) {
+    return Number(await signer.provider.send('eth_getTransactionCount', [await signer.getAddress(), 'pending']));
+  }
+
+  async sendDeployment(compiled, signer, salt, args = [], overrides = {}) {
+    const constructorArgs = new ethers.Interface(compiled.abi).encodeDeploy(args);
+    if (salt === undefined || salt === null) {
+      const contractFactory = new ethers.ContractFactory(compiled.abi, compiled.bytecode, signer);
+      const contract = await contractFactory.deploy(...args, overrides);
+      const tx = contract.deploymentTransaction();
+      return { tx, address: null, method: 'create', constructorArgs };
+    }
+
+    const normalizedSalt = normalizeSalt(salt);
+    const deployer = await this.ensureCreate2Deployer(signer.provider);
+    const initCode = ethers.concat([compiled.bytecode, constructorArgs]);
+    const address = ethers.getCreate2Address(deployer, normalizedSalt, ethers.keccak256(initCode));
+
+    if ((await signer.provider.getCode(address)) !== '0x') {
+      const error = new Error(`A contract is already deployed at ${address} for this config and salt`);
+      error.code = 'ALREADY_DEPLOYED';
+      error.address = address;
+      throw error;
+    }
+
+    const tx = await signer.sendTransaction({
+      ...overrides,
+      to: deployer,
+      data: ethers.concat([normalizedSalt, initCode])
+    });
+    return { tx, address, method: 'create2', salt: normalizedSalt, deployer, constructorArgs };
+  }
+
+  // Sends a deployment and waits until its code is on chain; gas is tracked under `name`
+  async deployCompiled(compiled, signer, salt, args = [], name = compiled.contractName, overrides = {}) {
+    const sent = await this.sendDeployment(compiled, signer, salt, args, overrides);
+    console.log(`⏳ Waiting for transaction ${sent.tx.hash}...`);
+
+    const receipt = await sent.tx.wait(this.options.confirmations);
+    if (!receipt || receipt.status !== 1) {
+      throw new Error(`Deployment transaction ${sent.tx.hash} failed`);
+    }
+
+    const address = sent.address || receipt.contractAddress;
+    if ((await signer.provider.getCode(address, receipt.blockNumber)) === '0x') {
+      throw new Error(`No code at ${address} after deployment transaction ${sent.tx.hash}`);
+    }
+
+    const cost = await this.recordGasUsage(name, receipt, signer.provider);
+    return { ...sent, receipt, address, cost };
+  }
+
+  // Deploys an upgradeable implementation, a ProxyAdmin for transparent proxies (unless
+  // options.proxyAdmin names one) and the proxy, which runs initialize() as it is created
+  async deployProxied(compiled, config, signer, options = {}) {
+    const kind = config.upgradeable;
+    const contracts = [];
+    // Sent back to back, so nonces are counted here rather than re-read for each transaction
+    let nonce = await this.pendingNonce(signer);
+
+    const implementation = await this.deployCompiled(
+      compiled, signer, options.salt, [], `${config.name} implementation`, { nonce: nonce++ }
+    );
+    contracts.push({ role: 'implementation', compiled, deployment: implementation });
+    console.log(`🧩 Implementation deployed at ${implementation.address}`);
+
+    let admin = null;
+    if (kind === 'transparent') {
+      admin = options.proxyAdmin || null;
+      if (!admin) {
+        const adminCompiled = this.compileProxyContract('admin');
+        const owner = config.owner || await signer.getAddress();
+        const adminDeployment = await this.deployCompiled(
+          adminCompiled, signer, options.salt, [owner], `${config.name} proxy admin`, { nonce: nonce++ }
+        );
+        contracts.push({ role: 'proxyAdmin', compiled: adminCompiled, deployment: adminDeployment });
+        admin = adminDeployment.address;
+        console.log(`🔑 ProxyAdmin deployed at ${admin}, owned by ${owner}`);
+      }
+    }
+
+    const proxyCompiled = this.compileProxyContract(kind);
+    const proxy = await this.deployCompiled(
+      proxyCompiled, signer, options.salt, this.proxyArgs(kind, implementation.address, admin), `${config.name} proxy`,
+      { nonce: nonce++ }
+    );
+    contracts.push({ role: null, compiled: proxyCompiled, deployment: proxy });
+
+    return { kind, admin, implementation, proxy, contracts };
+  }
+
+  // Compiler input kept for verifyToken, by lowercase address
+  rememberVerification(address, compiled, constructorArgs, network) {
+    this.verificationInputs.set(address.toLowerCase(), {
+      input: compiled.input,
+      contractName: compiled.contractName,
+      sourceName: compiled.sourceName,
+      compilerVersion: compiled.compilerVersion,
+      constructorArgs,
+      network
+    });
+  }
+
+  // Builds the CREATE2 deployer call for a config without sending it, so another account
+  // (e.g. a multisig) can execute it; the compiler input is kept for verifyToken
+  prepareDeployment(config, salt, network = 'base') {
+    if (config.upgradeable) {
+      throw new Error('prepareDeployment builds a single transaction; upgradeable configs deploy an implementation and a proxy, use deployToken');
+    }
+    const prediction = this.predictAddress(config, salt);
+    const compiled = this.compileContract(this.generateTokenContract(config), this.getContractName(config));
+
+    this.rememberVerification(prediction.address, compiled, '0x', network);
+
+    return {
+      to: prediction.deployer,
+      value: 0n,
+      data: ethers.concat([prediction.salt, compiled.bytecode]),
+      address: prediction.address,
+      salt: prediction.salt,
+      initCodeHash: prediction.initCodeHash,
+      contractName: compiled.contractName,
+      standard: config.standard || 'ERC20'
+    };
+  }
+
+  // Resolver bound to the network's signer provider, created on first use per network
+  async getNameResolver(network = 'base') {
+    if (!this.nameResolvers.has(network)) {
+      const signer = await this.getSigner(network);
+      this.nameResolvers.set(network, createNameResolver(signer.provider, this.options.nameResolver));
+    }
+    return this.nameResolvers.get(network);
+  }
+
+  // Replaces Basenames in a config's address fields (owner, recipients) with addresses on `network`
+  async resolveConfigAddresses(config, names = null, network = 'base') {
+    const named = CONFIG_ADDRESS_FIELDS.filter(([field, nested]) =>
+      isBasename(nested ? config[field] && config[field][nested] : config[field]));
+    if (named.length === 0) return config;
+
+    const resolver = names || await this.getNameResolver(network);
+    const resolved = { ...config };
+    for (const [field, nested] of named) {
+      if (nested) {
+        resolved[field] = { ...resolved[field], [nested]: await resolver.resolveAddress(resolved[field][nested]) };
+      } else {
+        resolved[field] = await resolver.resolveAddress(resolved[field]);
+      }
+    }
+    return resolved;
+  }
+
+  // Final config a deployment compiles: Basenames resolved, and an explicit owner for CREATE2
+  async prepareConfig(config, network = 'base', options = {}) {
+    let prepared = await this.resolveConfigAddresses(config, null, network);
+    const deterministic = options.salt !== undefined && options.salt !== null;
+    if (deterministic && !prepared.owner) {
+      const signer = await this.getSigner(network);
+      prepared = { ...prepared, owner: await signer.getAddress() };
+    }
+    return prepared;
+  }
+
+  // Manifest for a network: the configured instance, or one per network under options.manifest.dir
+  async getManifest(network) {
+    const { manifest } = this.options;
+    if (!manifest) return null;
+    const key = getNetworkKey(network);
+    if (manifest instanceof BaseDeploymentManifest) {
+      if (manifest.network !== key) {
+        throw new Error(`The configured manifest belongs to ${manifest.network}, not ${network}`);
+      }
+      return manifest;
+    }
+    if (!this.manifests.has(key)) {
+      this.manifests.set(key, await BaseDeploymentManifest.load(key, { dir: manifest.dir }));
+    }
+    return this.manifests.get(key);
+  }
+
+  // Like registry failures, manifest failures are reported on the deployment: the contract is already live.
+  // contracts: [{ role, compiled, deployment, extra }] recorded as `<key>.<role>`, or `<key>` without a role;
+  // an upgradeable token is its proxy under `<key>` plus `<key>.implementation` holding the config
+  async recordInManifest(deploymentInfo, contracts, signer, options = {}) {
+    const key = options.manifestKey || deploymentInfo.symbol || deploymentInfo.contractName;
     try {
-      console.log(`🚀 Deploying ${config.name} token to ${network}...`);
+      const manifest = await this.getManifest(deploymentInfo.network);
+      for (const { role, compiled, deployment, extra } of contracts) {
+        const entry = buildManifestEntry({
+          compiled,
+          address: deployment.address,
+          receipt: deployment.receipt,
+          deployer: deploymentInfo.deployer,
+          constructorArgs: deployment.constructorArgs,
+          runtimeCode: await signer.provider.getCode(deployment.address),
+          extra: {
+            standard: deploymentInfo.standard,
+            name: deploymentInfo.name,
+            symbol: deploymentInfo.symbol,
+            deploymentMethod: deployment.method,
+            salt: deployment.salt || null,
+            create2Deployer: deployment.deployer || null,
+            migration: options.migration || null,
+            ...extra
+          }
+        });
+        await manifest.record(role ? `${key}.${role}` : key, entry);
+      }
+      console.log(`📒 Recorded as "${key}" in ${manifest.path} (revision ${manifest.revision})`);
+      return { path: manifest.path, key, revision: manifest.revision };
+    } catch (error) {
+      console.warn(`⚠️  Could not record ${deploymentInfo.address} in the deployment manifest: ${error.message}`);
+      return { path: null, key, revision: null, error: error.message };
+    }
+  }
+
+  // Compiler input for a manifest entry deployed by this factory, recompiled from its recorded config
+  // (or, for proxies and ProxyAdmins, from the proxy templates)
+  async getManifestVerification(address, network) {
+    const manifest = await this.getManifest(network);
+    const entry = manifest && manifest.getByAddress(address);
+    const proxyKind = entry && ['uups', 'transparent', 'admin'].find(kind => generateProxyContract(kind).contractName === entry.contractName);
+    if (!entry || (!entry.config && !proxyKind)) return null;
+
+    const compiled = entry.config
+      ? this.compileContract(this.generateTokenContract(entry.config), entry.contractName)
+      : this.compileProxyContract(proxyKind);
+    const initCodeHash = ethers.keccak256(ethers.concat([compiled.bytecode, entry.constructorArgs]));
+    if (compiled.compilerVersion !== entry.compiler.version || initCodeHash !== entry.initCodeHash) {
+      throw new Error(`${entry.key} was compiled with solc ${entry.compiler.version} and settings ${JSON.stringify(entry.compiler.settings)}; ` +
+        'recompiling it here gives different bytecode, so pass options.input');
+    }
+    return {
+      input: compiled.input,
+      contractName: compiled.contractName,
+      sourceName: compiled.sourceName,
+      compilerVersion: compiled.compilerVersion,
+      constructorArgs: entry.constructorArgs,
+      network
+    };
+  }
+
+  // Client for the deployment registry, bound to the deploying signer
+  getRegistry(signer) {
+    const { registry } = this.options;
+    if (!registry) return null;
+    if (registry instanceof BaseContractUtilsClient) return registry;
+    if (!this._registryClient || this._registryClient.runner !== signer) {
+      this._registryClient = new BaseContractUtilsClient(registry, signer, { confirmations: this.options.confirmations });
+    }
+    return this._registryClient;
+  }
+
+  // Registry failures are reported on the deployment instead of thrown: the contract is already live
+  async recordInRegistry(deploymentInfo, signer) {
+    const registry = this.getRegistry(signer);
+    try {
+      const record = await registry.recordDeployment(deploymentInfo.address, deploymentInfo.name);
+      console.log(`🗂️  Recorded in registry ${registry.address} at index ${record.index}`);
+      return { address: registry.address, index: record.index, txHash: record.hash };
+    } catch (error) {
+      console.warn(`⚠️  Could not record ${deploymentInfo.address} in registry ${registry.address}: ${error.shortMessage || error.message}`);
+      return { address: registry.address, index: null, txHash: null, error: error.shortMessage || error.message };
+    }
+  }
+
+  async getSigner(network = 'base') {
+    if (this.options.signer) return this.options.signer;
+    if (!process.env.PRIVATE_KEY) {
+      throw new Error('No signer available: pass options.signer or set PRIVATE_KEY');
+    }
+    if (!this.envSigners.has(network)) {
+      const rpcUrl = this.options.rpcUrl || getNetworkConfig(network).rpcUrl;
+      this.envSigners.set(network, new ethers.Wallet(process.env.PRIVATE_KEY, new ethers.JsonRpcProvider(rpcUrl)));
+    }
+    return this.envSigners.get(network);
+  }
+
+  // Records L2 execution cost plus the L1 data fee Base charges for the deployment calldata
+  async recordGasUsage(name, receipt, provider) {
+    const gasPrice = receipt.gasPrice ?? receipt.effectiveGasPrice ?? 0n;
+    const l2CostWei = receipt.gasUsed * gasPrice;
+    const { l1Fee } = await getReceiptL1Fee(provider, receipt.hash);
+    const costWei = l2CostWei + l1Fee;
+
+    this.gasTracker.totalGasUsed += Number(receipt.gasUsed);
+    this.gasTracker.deploymentCosts.push({
+      name,
+      gasUsed: receipt.gasUsed.toString(),
+      gasPrice: gasPrice.toString(),
+      l2CostWei: l2CostWei.toString(),
+      l1FeeWei: l1Fee.toString(),
+      costWei: costWei.toString(),
+      costEth: ethers.formatEther(costWei)
+    });
+
+    return { l2CostWei, l1FeeWei: l1Fee, costWei };
+  }
+
+  // Estimates a deployment's cost before sending it, including the L1 data fee
+  async estimateDeploymentCost(config, network = 'base') {
+    const signer = await this.getSigner(network);
+    const compiled = this.compileContract(this.generateTokenContract(config), this.getContractName(config));
+    const tx = { from: await signer.getAddress(), data: compiled.bytecode };
+
+    const [gasLimit, feeData] = await Promise.all([
+      signer.provider.estimateGas(tx),
+      signer.provider.getFeeData()
+    ]);
+    const oracle = new BaseL1FeeOracle(signer.provider);
+    const cost = await oracle.estimateCost(tx, { gasLimit, gasPrice: feeData.gasPrice });
+
+    return {
+      gasLimit: gasLimit.toString(),
+      gasPrice: feeData.gasPrice.toString(),
+      l2CostEth: ethers.formatEther(cost.l2ExecutionCost),
+      l1FeeEth: ethers.formatEther(cost.l1DataFee),
+      totalCostEth: ethers.formatEther(cost.totalCost),
+      bytecodeSize: ethers.dataLength(compiled.bytecode)
+    };
+  }
+
+  generateTokenContract(config) {
+    return getTemplate(config).generate(config);
+  }
+
+  async deployNFT(config, network = 'base', options = {}) {
+    if (!['ERC721', 'ERC1155'].includes(config.standard)) {
+      throw new Error('NFT configs must set standard to "ERC721" or "ERC1155"');
+    }
+    return this.deployToken(config, network, options);
+  }
+
+  // options.salt switches to a CREATE2 deployment with an address known in advance;
+  // options.record = false skips the deployment registry for this call;
+  // options.manifestKey names the manifest entry (default: the symbol), options.migration tags it;
+  // configs with `upgradeable` deploy behind a proxy (options.proxyAdmin reuses a ProxyAdmin)
+  async deployToken(config, network = 'base', options = {}) {
+    try {
+      console.log(`🚀 Deploying ${config.name} (${config.standard || 'ERC20'}) to ${network}...`);
+      
+      const signer = await this.getSigner(network);
+      config = await this.prepareConfig(config, network, options);
       
       const contractCode = this.generateTokenContract(config);
       console.log(`📝 Generated contract code for ${config.name}`);
       
-      // In a real deployment, you would compile and deploy here
-      const mockAddress = '0x' + Math.random().toString(16).substr(2, 40);
-      const mockTxHash = '0x' + Math.random().toString(16).substr(2, 64);
+      const compiled = this.compileContract(contractCode, this.getContractName(config));
+      console.log(`🔨 Compiled ${compiled.contractName} with solc ${compiled.compilerVersion}`);
+      
+      const proxied = config.upgradeable ? await this.deployProxied(compiled, config, signer, options) : null;
+      const contracts = proxied
+        ? proxied.contracts
+        : [{ role: null, compiled, deployment: await this.deployCompiled(compiled, signer, options.salt, [], config.name) }];
+      // The proxy (or the contract itself) is the address users interact with
+      const main = contracts.find(contract => !contract.role).deployment;
+      const sum = (field) => contracts.reduce((total, contract) => total + contract.deployment.cost[field], 0n);
+      const gasUsed = contracts.reduce((total, contract) => total + contract.deployment.receipt.gasUsed, 0n);
       
       const deploymentInfo = {
+        standard: config.standard || 'ERC20',
         name: config.name,
         symbol: config.symbol,
-        address: mockAddress,
+        contractName: compiled.contractName,
+        address: main.address,
+        deploymentMethod: main.method,
+        salt: main.salt || null,
+        create2Deployer: main.deployer || null,
         network: network,
-        txHash: mockTxHash,
+        chainId: Number(main.tx.chainId),
+        deployer: await signer.getAddress(),
+        txHash: main.receipt.hash,
+        blockNumber: main.receipt.blockNumber,
+        gasUsed: gasUsed.toString(),
+        l2CostEth: ethers.formatEther(sum('l2CostWei')),
+        l1FeeEth: ethers.formatEther(sum('l1FeeWei')),
+        costEth: ethers.formatEther(sum('costWei')),
+        compilerVersion: compiled.compilerVersion,
         timestamp: new Date().toISOString(),
         config: config
       };
       
+      if (proxied) {
+        // admin: the ProxyAdmin of a transparent proxy; UUPS proxies are upgraded by the token's owner
+        deploymentInfo.proxy = {
+          kind: proxied.kind,
+          implementation: proxied.implementation.address,
+          implementationTxHash: proxied.implementation.receipt.hash,
+          admin: proxied.admin
+        };
+      }
+      
+      if (this.options.registry && options.record !== false) {
+        deploymentInfo.registry = await this.recordInRegistry(deploymentInfo, signer);
+      }
+      
+      if (this.options.manifest) {
+        const key = options.manifestKey || deploymentInfo.symbol || deploymentInfo.contractName;
+        const manifestContracts = contracts.map(contract => {
+          if (!proxied) return { ...contract, extra: { config } };
+          if (contract.role === 'implementation') return { ...contract, extra: { config, storageLayout: compiled.storageLayout } };
+          if (contract.role) return contract;
+          return {
+            ...contract,
+            extra: {
+              proxy: {
+                ...deploymentInfo.proxy,
+                implementationKey: `${key}.implementation`,
+                adminKey: contracts.some(item => item.role === 'proxyAdmin') ? `${key}.proxyAdmin` : null
+              }
+            }
+          };
+        });
+        deploymentInfo.manifest = await this.recordInManifest(deploymentInfo, manifestContracts, signer, options);
+      }
+      
       this.deployedTokens.push(deploymentInfo);
+      for (const contract of contracts) {
+        this.rememberVerification(contract.deployment.address, contract.compiled, contract.deployment.constructorArgs, network);
+      }
       
-      console.log(`✅ Token deployed successfully!`);
-      console.log(`📍 Address: ${mockAddress}`);
-      console.log(`🔗 Transaction: ${mockTxHash}`);
+      console.log(`✅ ${deploymentInfo.standard} contract deployed successfully!`);
+      console.log(`📍 Address: ${deploymentInfo.address}`);
+      if (proxied) {
+        console.log(`🧩 ${proxied.kind === 'uups' ? 'UUPS' : 'Transparent'} proxy for implementation ${proxied.implementation.address}`);
+      }
+      console.log(`🔗 Transaction: ${deploymentInfo.txHash} (block ${deploymentInfo.blockNumber}, ${deploymentInfo.gasUsed} gas)`);
       
       return deploymentInfo;
       
@@ -79,13 +700,15 @@ ${functions.join('\n')}
     }
   }
 
-  async batchDeploy(tokenConfigs, network = 'base') {
+  // options.salt may be a single salt or a function (config, index) => salt for CREATE2 mode
+  async batchDeploy(tokenConfigs, network = 'base', options = {}) {
     console.log(`🔄 Starting batch deployment of ${tokenConfigs.length} tokens...`);
     
     const results = [];
-    for (const config of tokenConfigs) {
+    for (const [index, config] of tokenConfigs.entries()) {
       try {
-        const result = await this.deployToken(config, network);
+        const salt = typeof options.salt === 'function' ? options.salt(config, index) : options.salt;
+        const result = await this.deployToken(config, network, { ...options, salt });
         results.push(result);
       } catch (error) {
         results.push({ error: error.message, config });
@@ -96,16 +719,379 @@ ${functions.join('\n')}
     return results;
   }
 
+  // Implementation and admin from a proxy's ERC-1967 slots (zero address when unset)
+  async readProxySlots(provider, proxy, blockTag = 'latest') {
+    const [implementation, admin] = await Promise.all(
+      [IMPLEMENTATION_SLOT, ADMIN_SLOT].map(slot => provider.getStorage(proxy, slot, blockTag))
+    );
+    return {
+      implementation: ethers.getAddress(ethers.dataSlice(implementation, 12)),
+      admin: ethers.getAddress(ethers.dataSlice(admin, 12))
+    };
+  }
+
+  // The version running behind a proxy: options.previousConfig, a deployment made by this factory,
+  // or the proxy's manifest entry, whose recorded storage layout is preferred over recompiling
+  async findProxyDeployment(proxy, network, options = {}) {
+    if (options.previousConfig) {
+      if (!options.previousConfig.upgradeable) {
+        throw makeError('INVALID_ARGUMENT', 'options.previousConfig must set upgradeable to "uups" or "transparent"');
+      }
+      return { config: options.previousConfig, implementation: null, storageLayout: null, manifestKey: null };
+    }
+
+    const deployment = this.deployedTokens.find(item =>
+      item.proxy && item.network === network && item.address.toLowerCase() === proxy.toLowerCase());
+    if (deployment) {
+      return {
+        config: deployment.config,
+        implementation: deployment.proxy.implementation,
+        storageLayout: null,
+        manifestKey: deployment.manifest && !deployment.manifest.error ? deployment.manifest.key : null
+      };
+    }
+
+    const manifest = await this.getManifest(network);
+    const entry = manifest && manifest.getByAddress(proxy);
+    const implementation = entry && entry.proxy && manifest.get(entry.proxy.implementationKey);
+    if (implementation && implementation.config) {
+      return {
+        config: implementation.config,
+        implementation: entry.proxy.implementation,
+        storageLayout: implementation.storageLayout || null,
+        manifestKey: entry.key
+      };
+    }
+    throw makeError('UNKNOWN_PROXY',
+      `No upgradeable deployment recorded for ${proxy}; deploy it with this factory, record it in a manifest or pass options.previousConfig`,
+      { proxy });
+  }
+
+  // Checks whether `newConfig` can replace the implementation behind `proxy` without corrupting its
+  // state: same proxy kind, every storage variable kept in place, and no new initialize() steps, which
+  // an initialized proxy never runs (options.allowInitializerChanges accepts them). The new config
+  // inherits owner and upgradeable from the running version. Sends nothing.
+  async validateUpgrade(proxy, newConfig, network = 'base', options = {}) {
+    const signer = await this.getSigner(network);
+    if (isBasename(proxy)) {
+      proxy = await (await this.getNameResolver(network)).resolveAddress(proxy);
+    }
+    proxy = ethers.getAddress(proxy);
+
+    const current = await this.findProxyDeployment(proxy, network, options);
+    const kind = current.config.upgradeable;
+    const slots = await this.readProxySlots(signer.provider, proxy);
+    if (slots.implementation === ethers.ZeroAddress) {
+      throw makeError('NOT_A_PROXY', `${proxy} has no implementation in its ERC-1967 slot`, { proxy });
+    }
+    if (current.implementation && current.implementation.toLowerCase() !== slots.implementation.toLowerCase()) {
+      throw makeError('IMPLEMENTATION_MISMATCH',
+        `${proxy} runs ${slots.implementation}, not the recorded implementation ${current.implementation}; ` +
+        'it was upgraded elsewhere, pass options.previousConfig',
+        { proxy, recorded: current.implementation, actual: slots.implementation });
+    }
+
+    const config = await this.resolveConfigAddresses({
+      upgradeable: kind,
+      ...(current.config.owner && { owner: current.config.owner }),
+      ...newConfig
+    }, null, network);
+    const previousSource = this.generateTokenContract(current.config);
+    const previous = this.compileContract(previousSource, this.getContractName(current.config));
+    const nextSource = this.generateTokenContract(config);
+    const next = this.compileContract(nextSource, this.getContractName(config));
+
+    const problems = [];
+    if (config.upgradeable !== kind) {
+      problems.push(`${proxy} is a ${kind} proxy but the new config sets upgradeable to ${JSON.stringify(config.upgradeable)}`);
+    }
+    const layout = compareStorageLayouts(current.storageLayout || previous.storageLayout, next.storageLayout);
+    problems.push(...layout.problems);
+
+    const initialized = initializerStatements(previousSource);
+    const skippedInitialization = initializerStatements(nextSource).filter(statement => !initialized.includes(statement));
+    if (skippedInitialization.length > 0 && !options.allowInitializerChanges) {
+      problems.push(`initialize() gains steps the proxy will never run, as it is already initialized: ${skippedInitialization.join(' ')} ` +
+        '(apply them another way and pass allowInitializerChanges)');
+    }
+
+    return {
+      proxy,
+      network,
+      kind,
+      currentImplementation: slots.implementation,
+      admin: kind === 'transparent' ? slots.admin : null,
+      compatible: problems.length === 0,
+      unchanged: previous.bytecode === next.bytecode,
+      problems,
+      addedVariables: layout.added,
+      skippedInitialization,
+      manifestKey: current.manifestKey,
+      config
+    };
+  }
+
+  // Validates an upgrade and deploys the new implementation (options.salt for CREATE2), returning the
+  // upgrade call { to, data, value } for the account allowed to send it: the token owner for UUPS
+  // proxies, the ProxyAdmin owner for transparent ones
+  async prepareUpgrade(proxy, newConfig, network = 'base', options = {}) {
+    const report = await this.validateUpgrade(proxy, newConfig, network, options);
+    if (!report.compatible) {
+      throw makeError('UNSAFE_UPGRADE', `Refusing to upgrade ${report.proxy}:\n  ${report.problems.join('\n  ')}`, { report });
+    }
+    if (report.unchanged) {
+      console.log(`⏭️  ${report.proxy} already runs this version`);
+      return { ...report, status: 'unchanged', newImplementation: null, to: null, data: null, value: 0n };
+    }
+
+    const signer = await this.getSigner(network);
+    const compiled = this.compileContract(this.generateTokenContract(report.config), this.getContractName(report.config));
+    const deployment = await this.deployCompiled(compiled, signer, options.salt, [], `${report.config.name} implementation`);
+    this.rememberVerification(deployment.address, compiled, '0x', network);
+    console.log(`🧩 New implementation deployed at ${deployment.address}`);
+
+    const upgradeInterface = new ethers.Interface(UPGRADE_ABI);
+    const call = report.kind === 'uups'
+      ? { to: report.proxy, data: upgradeInterface.encodeFunctionData('upgradeTo', [deployment.address]) }
+      : { to: report.admin, data: upgradeInterface.encodeFunctionData('upgrade', [report.proxy, deployment.address]) };
+
+    return {
+      ...report,
+      status: 'prepared',
+      newImplementation: {
+        address: deployment.address,
+        txHash: deployment.receipt.hash,
+        blockNumber: deployment.receipt.blockNumber,
+        deploymentMethod: deployment.method,
+        salt: deployment.salt || null,
+        create2Deployer: deployment.deployer || null
+      },
+      ...call,
+      value: 0n
+    };
+  }
+
+  // Upgrades a proxy deployed by deployToken to `newConfig`, refusing unsafe upgrades (see validateUpgrade).
+  // The signer must be allowed to upgrade; otherwise send prepareUpgrade's call from that account.
+  // options: { previousConfig, allowInitializerChanges, salt, manifestKey }
+  async upgradeToken(proxy, newConfig, network = 'base', options = {}) {
+    try {
+      console.log(`⬆️  Upgrading ${proxy} on ${network}...`);
+
+      const signer = await this.getSigner(network);
+      const prepared = await this.prepareUpgrade(proxy, newConfig, network, options);
+      if (prepared.status === 'unchanged') return prepared;
+
+      const tx = await signer.sendTransaction({
+        to: prepared.to,
+        data: prepared.data,
+        nonce: await this.pendingNonce(signer)
+      });
+      console.log(`⏳ Waiting for transaction ${tx.hash}...`);
+      const receipt = await tx.wait(this.options.confirmations);
+      if (!receipt || receipt.status !== 1) {
+        throw new Error(`Upgrade transaction ${tx.hash} failed`);
+      }
+
+      const { implementation } = await this.readProxySlots(signer.provider, prepared.proxy, receipt.blockNumber);
+      if (implementation !== prepared.newImplementation.address) {
+        throw new Error(`${prepared.proxy} runs ${implementation} after upgrade transaction ${tx.hash}`);
+      }
+
+      const upgrade = {
+        ...prepared,
+        status: 'upgraded',
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        timestamp: new Date().toISOString()
+      };
+
+      const deployment = this.deployedTokens.find(item =>
+        item.proxy && item.network === network && item.address.toLowerCase() === upgrade.proxy.toLowerCase());
+      if (deployment) {
+        deployment.config = upgrade.config;
+        deployment.proxy.implementation = implementation;
+        deployment.upgrades = [
+          ...(deployment.upgrades || []),
+          { implementation, txHash: upgrade.txHash, blockNumber: upgrade.blockNumber, timestamp: upgrade.timestamp }
+        ];
+      }
+
+      if (this.options.manifest) {
+        upgrade.manifest = await this.recordUpgradeInManifest(upgrade, signer, options);
+      }
+
+      console.log(`✅ ${upgrade.proxy} now runs implementation ${implementation}`);
+      console.log(`🔗 Transaction: ${upgrade.txHash} (block ${upgrade.blockNumber})`);
+      return upgrade;
+
+    } catch (error) {
+      console.error(`❌ Upgrade failed:`, error);
+      throw error;
+    }
+  }
+
+  // Records the new implementation under the proxy's implementation key (the replaced entry moves to
+  // its history) and points the proxy entry at it; failures are reported like recordInManifest's
+  async recordUpgradeInManifest(upgrade, signer, options = {}) {
+    let key = options.manifestKey || upgrade.manifestKey;
+    try {
+      const manifest = await this.getManifest(upgrade.network);
+      key = key || (manifest.getByAddress(upgrade.proxy) || {}).key;
+      const proxyEntry = key && manifest.get(key);
+      if (!proxyEntry || !proxyEntry.proxy) {
+        throw new Error(`${upgrade.proxy} has no proxy entry in ${manifest.path}`);
+      }
+
+      const { config, newImplementation } = upgrade;
+      const compiled = this.compileContract(this.generateTokenContract(config), this.getContractName(config));
+      await manifest.record(proxyEntry.proxy.implementationKey, buildManifestEntry({
+        compiled,
+        address: newImplementation.address,
+        receipt: { hash: newImplementation.txHash, blockNumber: newImplementation.blockNumber },
+        deployer: await signer.getAddress(),
+        runtimeCode: await signer.provider.getCode(newImplementation.address),
+        extra: {
+          standard: config.standard || 'ERC20',
+          name: config.name,
+          symbol: config.symbol,
+          deploymentMethod: newImplementation.deploymentMethod,
+          salt: newImplementation.salt,
+          create2Deployer: newImplementation.create2Deployer,
+          migration: options.migration || null,
+          config,
+          storageLayout: compiled.storageLayout
+        }
+      }));
+      await manifest.record(key, {
+        ...proxyEntry,
+        proxy: { ...proxyEntry.proxy, implementation: newImplementation.address, implementationTxHash: newImplementation.txHash },
+        upgradeTxHash: upgrade.txHash,
+        upgradedAt: upgrade.timestamp
+      });
+      console.log(`📒 Recorded upgrade of "${key}" in ${manifest.path} (revision ${manifest.revision})`);
+      return { path: manifest.path, key, revision: manifest.revision };
+    } catch (error) {
+      console.warn(`⚠️  Could not record the upgrade of ${upgrade.proxy} in the deployment manifest: ${error.message}`);
+      return { path: null, key: key || null, revision: null, error: error.message };
+    }
+  }
+
   getStats() {
+    const totalCostWei = this.gasTracker.deploymentCosts.reduce((sum, entry) =>
+      sum + BigInt(entry.costWei), 0n);
+    
+    const byStandard = {};
+    for (const deployment of this.deployedTokens) {
+      byStandard[deployment.standard] = (byStandard[deployment.standard] || 0) + 1;
+    }
+    
     return {
       totalDeployments: this.deployedTokens.length,
+      byStandard,
+      totalGasUsed: this.gasTracker.totalGasUsed,
+      totalCostEth: ethers.formatEther(totalCostWei),
       tokens: this.deployedTokens
     };
   }
 
-  async verifyToken(address) {
-    console.log(`🔍 Verifying token at ${address} on BaseScan...`);
-    console.log(`🔗 View on BaseScan: https://basescan.org/address/${address}`);
+  // Submits standard-JSON verification to an Etherscan-compatible API (BaseScan by default)
+  // and polls until the explorer reports a final status; address may be a Basename
+  async verifyToken(address, options = {}) {
+    if (isBasename(address)) {
+      address = await (options.nameResolver || await this.getNameResolver(options.network || 'base')).resolveAddress(address);
+    }
+    const verification = options.input
+      ? options
+      : this.verificationInputs.get(address.toLowerCase()) || await this.getManifestVerification(address, options.network || 'base');
+    if (!verification) {
+      throw new Error(`No compiler input recorded for ${address}; deploy it with this factory, record it in a manifest or pass options.input`);
+    }
+    
+    const network = options.network || verification.network || 'base';
+    const networkConfig = getNetworkConfig(network);
+    const apiUrl = options.apiUrl || this.options.explorerApiUrl || networkConfig.explorerApiUrl;
+    if (!apiUrl) {
+      throw new Error(`No explorer API configured for ${network}; pass options.apiUrl`);
+    }
+    const apiKey = options.apiKey || this.options.explorerApiKey || '';
+    const explorerUrl = networkConfig.explorerUrl ? `${networkConfig.explorerUrl}/address/${address}#code` : null;
+    const { pollInterval = 5000, maxAttempts = 20 } = options;
+    
+    console.log(`🔍 Verifying ${verification.contractName} at ${address} on ${networkConfig.name}...`);
+    
+    const submit = await this.callExplorer(apiUrl, 'post', {
+      apikey: apiKey,
+      chainid: String(networkConfig.chainId),
+      module: 'contract',
+      action: 'verifysourcecode',
+      contractaddress: address,
+      sourceCode: JSON.stringify(verification.input),
+      codeformat: 'solidity-standard-json-input',
+      contractname: `${verification.sourceName}:${verification.contractName}`,
+      compilerversion: 'v' + verification.compilerVersion.replace(/\.Emscripten\.clang$/, ''),
+      constructorArguements: (verification.constructorArgs || '0x').replace(/^0x/, '')
+    }, { pollInterval, maxAttempts });
+    
+    if (/already verified/i.test(submit.result)) {
+      console.log(`✅ ${address} is already verified`);
+      return { address, status: 'already_verified', guid: null, message: submit.result, explorerUrl };
+    }
+    if (submit.status !== '1') {
+      console.error(`❌ Verification request rejected: ${submit.result}`);
+      return { address, status: 'rejected', guid: null, message: submit.result, explorerUrl };
+    }
+    
+    const guid = submit.result;
+    console.log(`📨 Submitted verification request ${guid}`);
+    
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      
+      const check = await this.callExplorer(apiUrl, 'get', {
+        apikey: apiKey,
+        chainid: String(networkConfig.chainId),
+        module: 'contract',
+        action: 'checkverifystatus',
+        guid
+      }, { pollInterval, maxAttempts });
+      
+      if (/pending/i.test(check.result)) continue;
+      
+      if (/already verified/i.test(check.result)) {
+        return { address, status: 'already_verified', guid, message: check.result, explorerUrl };
+      }
+      if (check.status === '1' || /^pass/i.test(check.result)) {
+        console.log(`✅ Verified ${address}`);
+        if (explorerUrl) console.log(`🔗 View on explorer: ${explorerUrl}`);
+        return { address, status: 'verified', guid, message: check.result, explorerUrl };
+      }
+      
+      console.error(`❌ Verification failed: ${check.result}`);
+      return { address, status: 'failed', guid, message: check.result, explorerUrl };
+    }
+    
+    return { address, status: 'pending', guid, message: 'Still pending after polling limit', explorerUrl };
+  }
+
+  // Etherscan-style request that waits and retries while the API reports rate limiting
+  async callExplorer(apiUrl, method, params, { pollInterval, maxAttempts }) {
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const response = method === 'post'
+        ? await axios.post(apiUrl, new URLSearchParams(params).toString(), {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        })
+        : await axios.get(apiUrl, { params });
+      
+      const data = response.data || {};
+      if (!/rate limit/i.test(String(data.result))) {
+        return { status: String(data.status), result: String(data.result) };
+      }
+      
+      console.warn(`⏳ Explorer rate limit reached, retrying (${attempt + 1}/${maxAttempts})...`);
+      await new Promise(resolve => setTimeout(resolve, pollInterval * (attempt + 1)));
+    }
+    throw new Error(`Explorer API at ${apiUrl} kept rate limiting after ${maxAttempts} attempts`);
   }
 }
 
@@ -116,21 +1102,92 @@ const TOKEN_PRESETS = {
     symbol: 'BUT',
     totalSupply: '1000000',
     mintable: true,
-    burnable: true
+    burnable: true,
+    pausable: true,
+    permit: true
   },
   GOVERNANCE: {
     name: 'Base DAO Token',
     symbol: 'BDAO',
     totalSupply: '10000000',
     mintable: false,
-    burnable: false
+    burnable: false,
+    votes: true
   },
   REWARD: {
     name: 'Base Reward Token',
     symbol: 'BREW',
     totalSupply: '100000000',
     mintable: true,
-    burnable: true
+    burnable: true,
+    cap: '1000000000',
+    accessControl: 'roles'
+  },
+  STABLE: {
+    name: 'Base Stable Token',
+    symbol: 'BUSD',
+    totalSupply: '0',
+    decimals: 6,
+    mintable: true,
+    burnable: true,
+    pausable: true,
+    permit: true,
+    accessControl: 'roles'
+  },
+  COMMUNITY: {
+    name: 'Base Community Token',
+    symbol: 'BCOM',
+    totalSupply: '1000000000',
+    burnable: true,
+    transferFee: { bps: 100 }
+  }
+};
+
+// Predefined NFT configurations
+const NFT_PRESETS = {
+  PFP_COLLECTION: {
+    standard: 'ERC721',
+    name: 'Base PFP Collection',
+    symbol: 'BPFP',
+    maxSupply: '10000',
+    mintPrice: '0.001',
+    maxPerWallet: 10,
+    baseURI: 'ipfs://REPLACE_WITH_CID/',
+    uriSuffix: '.json',
+    allowlist: { mintPrice: '0.0005' },
+    royalty: { bps: 500 }
+  },
+  ART_EDITION: {
+    standard: 'ERC721',
+    name: 'Base Art Edition',
+    symbol: 'BART',
+    maxSupply: '100',
+    mintPrice: '0.01',
+    maxPerWallet: 2,
+    baseURI: 'ipfs://REPLACE_WITH_CID/',
+    royalty: { bps: 750 }
+  },
+  MEMBERSHIP_PASS: {
+    standard: 'ERC721',
+    name: 'Base Membership Pass',
+    symbol: 'BPASS',
+    maxSupply: '1000',
+    mintPrice: '0',
+    maxPerWallet: 1,
+    baseURI: 'ipfs://REPLACE_WITH_CID/',
+    allowlist: {}
+  },
+  GAME_ITEMS: {
+    standard: 'ERC1155',
+    name: 'Base Game Items',
+    symbol: 'BGAME',
+    uri: 'ipfs://REPLACE_WITH_CID/{id}.json',
+    tokens: [
+      { id: 1, maxSupply: '100000', mintPrice: '0' },
+      { id: 2, maxSupply: '10000', mintPrice: '0.0001' },
+      { id: 3, maxSupply: '100', mintPrice: '0.01' }
+    ],
+    royalty: { bps: 250 }
   }
 };
 
@@ -149,14 +1206,23 @@ async function main() {
   try {
     const deployment = await factory.deployToken(tokenConfig);
     console.log('Deployment successful:', deployment);
-    await factory.verifyToken(deployment.address);
+    const verification = await factory.verifyToken(deployment.address);
+    console.log('Verification:', verification.status);
     console.log('Statistics:', factory.getStats());
   } catch (error) {
     console.error('Deployment failed:', error);
   }
 }
 
-module.exports = { BaseTokenFactory, TOKEN_PRESETS, main };
+module.exports = {
+  BaseTokenFactory,
+  TOKEN_PRESETS,
+  NFT_PRESETS,
+  CREATE2_DEPLOYER,
+  buildMerkleAllowlist,
+  normalizeSalt,
+  main
+};
 
 if (require.main === module) {
   main().then(() => process.exit(0)).catch(console.error);
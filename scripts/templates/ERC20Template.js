@@ -0,0 +1,312 @@
+// ERC20 template - validated configs rendered into OpenZeppelin 4.x based contracts
+
+const { ethers } = require('ethers');
+const {
+  SOLIDITY_PRAGMA,
+  solidityString,
+  toContractIdentifier,
+  isValidIdentifier,
+  parseWholeNumber,
+  isAddress,
+  ConfigValidator,
+  validateUpgradeable,
+  openZeppelin,
+  renderOverride
+} = require('./common');
+
+const ACCESS_MODES = ['ownable', 'roles'];
+const MAX_DECIMALS = 36;
+const MAX_TRANSFER_FEE_BPS = 1000; // 10%
+
+const ERC20_CONFIG_KEYS = [
+  'standard', 'name', 'symbol', 'contractName', 'owner', 'totalSupply', 'decimals', 'initialRecipient',
+  'mintable', 'burnable', 'pausable', 'cap', 'permit', 'votes', 'accessControl', 'transferFee', 'upgradeable'
+];
+
+/**
+ * Validates an ERC20 config and fills in defaults
+ * @param {Object} config - Raw token config
+ * @returns {Object} Normalized config
+ * @throws {Error} code INVALID_CONFIG listing every problem found
+ */
+function validateTokenConfig(config) {
+  const v = new ConfigValidator('token');
+  if (!v.check(config && typeof config === 'object', 'config must be an object')) v.assertValid();
+
+  v.rejectUnknownKeys(config, ERC20_CONFIG_KEYS);
+
+  const {
+    standard = 'ERC20',
+    name,
+    symbol,
+    contractName,
+    totalSupply,
+    decimals = 18,
+    owner = null,
+    initialRecipient = null,
+    mintable = false,
+    burnable = false,
+    pausable = false,
+    cap = null,
+    permit = false,
+    votes = false,
+    accessControl = 'ownable',
+    transferFee = null,
+    upgradeable
+  } = config;
+
+  v.check(standard === 'ERC20', 'standard must be "ERC20" for token configs');
+  v.check(typeof name === 'string' && name.trim().length > 0 && name.length <= 64,
+    'name must be a non-empty string of at most 64 characters');
+  v.check(typeof symbol === 'string' && /^[\x21-\x7e]{1,11}$/.test(symbol),
+    'symbol must be 1-11 printable ASCII characters without spaces');
+  if (contractName !== undefined) {
+    v.check(isValidIdentifier(contractName), 'contractName must be a valid Solidity identifier');
+  }
+
+  const supply = parseWholeNumber(totalSupply);
+  v.check(supply !== null, 'totalSupply must be a non-negative whole number of tokens');
+  v.check(Number.isInteger(decimals) && decimals >= 0 && decimals <= MAX_DECIMALS,
+    `decimals must be an integer between 0 and ${MAX_DECIMALS}`);
+  if (owner !== null) {
+    v.check(isAddress(owner), 'owner must be a 0x-prefixed address');
+  }
+  if (initialRecipient !== null) {
+    v.check(isAddress(initialRecipient), 'initialRecipient must be a 0x-prefixed address');
+  }
+
+  for (const [flag, value] of Object.entries({ mintable, burnable, pausable, permit, votes })) {
+    v.check(typeof value === 'boolean', `${flag} must be a boolean`);
+  }
+  v.check(ACCESS_MODES.includes(accessControl), `accessControl must be one of: ${ACCESS_MODES.join(', ')}`);
+
+  let capAmount = null;
+  if (cap !== null) {
+    capAmount = parseWholeNumber(cap);
+    v.check(capAmount !== null && capAmount > 0n, 'cap must be a positive whole number of tokens');
+    v.check(mintable, 'cap requires mintable: true');
+    if (capAmount !== null && supply !== null) {
+      v.check(supply <= capAmount, 'totalSupply must not exceed cap');
+    }
+  }
+
+  let fee = null;
+  if (transferFee !== null) {
+    if (v.check(typeof transferFee === 'object', 'transferFee must be an object { bps, recipient }')) {
+      const { bps, recipient = null } = transferFee;
+      v.check(Number.isInteger(bps) && bps > 0 && bps <= MAX_TRANSFER_FEE_BPS,
+        `transferFee.bps must be an integer between 1 and ${MAX_TRANSFER_FEE_BPS}`);
+      if (recipient !== null) {
+        v.check(isAddress(recipient), 'transferFee.recipient must be a 0x-prefixed address');
+      }
+      fee = { bps, recipient };
+    }
+  }
+
+  const proxyKind = validateUpgradeable(v, upgradeable);
+
+  v.assertValid();
+
+  return {
+    standard: 'ERC20',
+    name,
+    symbol,
+    contractName: contractName || toContractIdentifier(name),
+    totalSupply: supply.toString(),
+    decimals,
+    owner: owner && ethers.getAddress(owner),
+    initialRecipient: initialRecipient && ethers.getAddress(initialRecipient),
+    mintable,
+    burnable,
+    pausable,
+    cap: capAmount === null ? null : capAmount.toString(),
+    // ERC20Votes builds on ERC20Permit
+    permit: permit || votes,
+    votes,
+    accessControl,
+    transferFee: fee && { bps: fee.bps, recipient: fee.recipient && ethers.getAddress(fee.recipient) },
+    upgradeable: proxyKind
+  };
+}
+
+/**
+ * Renders Solidity source for a validated ERC20 config; with `upgradeable` set the contract
+ * is initializer-based, for deployment behind a UUPS or transparent proxy
+ * @param {Object} rawConfig - Token config (validated here)
+ * @returns {string} Solidity source
+ */
+function generateERC20Contract(rawConfig) {
+  const config = validateTokenConfig(rawConfig);
+  const roles = config.accessControl === 'roles';
+  const oz = openZeppelin(config.upgradeable);
+
+  // Base contracts in inheritance order: [name, constructor / initializer arguments]
+  const imports = [];
+  const parents = [];
+  const inherit = (file, args = []) => {
+    imports.push(oz.path(file));
+    parents.push([file.slice(file.lastIndexOf('/') + 1, -'.sol'.length), args]);
+  };
+
+  inherit('token/ERC20/ERC20.sol', [solidityString(config.name), solidityString(config.symbol)]);
+  const state = [];
+  const events = [];
+  const body = [];
+  const functions = [];
+
+  // Extensions overriding each internal hook, used to build override(...) lists
+  const hooks = { _beforeTokenTransfer: [], _afterTokenTransfer: [], _mint: [], _burn: [] };
+
+  if (config.burnable) {
+    inherit('token/ERC20/extensions/ERC20Burnable.sol');
+  }
+
+  if (config.pausable) {
+    inherit('security/Pausable.sol');
+  }
+
+  if (config.cap) {
+    inherit('token/ERC20/extensions/ERC20Capped.sol', [`${config.cap} * 10 ** ${config.decimals}`]);
+    hooks._mint.push('ERC20Capped');
+  }
+
+  if (roles) {
+    inherit('access/AccessControl.sol');
+  } else {
+    inherit('access/Ownable.sol');
+  }
+
+  if (config.permit) {
+    inherit('token/ERC20/extensions/ERC20Permit.sol', [solidityString(config.name)]);
+  }
+
+  if (config.votes) {
+    inherit('token/ERC20/extensions/ERC20Votes.sol');
+    hooks._afterTokenTransfer.push('ERC20Votes');
+    hooks._mint.push('ERC20Votes');
+    hooks._burn.push('ERC20Votes');
+  }
+
+  const adminGuard = roles ? 'onlyRole(DEFAULT_ADMIN_ROLE)' : 'onlyOwner';
+  // An explicit owner is needed when msg.sender is a deployer contract (CREATE2, proxies)
+  const owner = config.owner || 'msg.sender';
+
+  if (roles) {
+    body.push(`        _grantRole(DEFAULT_ADMIN_ROLE, ${owner});`);
+  } else if (config.owner) {
+    body.push(`        _transferOwnership(${owner});`);
+  }
+
+  if (config.mintable) {
+    const guard = roles ? 'onlyRole(MINTER_ROLE)' : 'onlyOwner';
+    if (roles) {
+      state.push('    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");');
+      body.push(`        _grantRole(MINTER_ROLE, ${owner});`);
+    }
+    functions.push(`    function mint(address to, uint256 amount) public ${guard} {\n        _mint(to, amount);\n    }`);
+  }
+
+  if (config.pausable) {
+    const guard = roles ? 'onlyRole(PAUSER_ROLE)' : 'onlyOwner';
+    if (roles) {
+      state.push('    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");');
+      body.push(`        _grantRole(PAUSER_ROLE, ${owner});`);
+    }
+    functions.push(`    function pause() public ${guard} {\n        _pause();\n    }`);
+    functions.push(`    function unpause() public ${guard} {\n        _unpause();\n    }`);
+  }
+
+  if (config.transferFee) {
+    const recipient = config.transferFee.recipient || owner;
+    state.push(`    uint256 public constant TRANSFER_FEE_BPS = ${config.transferFee.bps};`);
+    state.push('    address public feeRecipient;');
+    state.push('    mapping(address => bool) public isFeeExempt;');
+    events.push('    event FeeRecipientUpdated(address indexed recipient);');
+    events.push('    event FeeExemptionUpdated(address indexed account, bool exempt);');
+    body.push(`        feeRecipient = ${recipient};`);
+    body.push(`        isFeeExempt[${owner}] = true;`);
+    body.push('        isFeeExempt[feeRecipient] = true;');
+    if (config.initialRecipient) {
+      body.push(`        isFeeExempt[${config.initialRecipient}] = true;`);
+    }
+
+    functions.push([
+      `    function setFeeRecipient(address recipient) external ${adminGuard} {`,
+      '        require(recipient != address(0), "Invalid fee recipient");',
+      '        feeRecipient = recipient;',
+      '        emit FeeRecipientUpdated(recipient);',
+      '    }'
+    ].join('\n'));
+    functions.push([
+      `    function setFeeExempt(address account, bool exempt) external ${adminGuard} {`,
+      '        isFeeExempt[account] = exempt;',
+      '        emit FeeExemptionUpdated(account, exempt);',
+      '    }'
+    ].join('\n'));
+    functions.push([
+      '    function _transfer(address from, address to, uint256 amount) internal override {',
+      '        if (isFeeExempt[from] || isFeeExempt[to]) {',
+      '            super._transfer(from, to, amount);',
+      '            return;',
+      '        }',
+      '        uint256 fee = (amount * TRANSFER_FEE_BPS) / 10000;',
+      '        if (fee > 0) {',
+      '            super._transfer(from, feeRecipient, fee);',
+      '        }',
+      '        super._transfer(from, to, amount - fee);',
+      '    }'
+    ].join('\n'));
+  }
+
+  if (config.totalSupply !== '0') {
+    const recipient = config.initialRecipient || owner;
+    body.push(`        _mint(${recipient}, ${config.totalSupply} * 10 ** decimals());`);
+  }
+
+  if (config.decimals !== 18) {
+    functions.push(`    function decimals() public pure override returns (uint8) {\n        return ${config.decimals};\n    }`);
+  }
+
+  // Required overrides when several bases customise the same hook
+  const overridden = (hook) => ['ERC20', ...hooks[hook]].map(oz.name);
+  if (config.pausable) {
+    functions.push(renderOverride(
+      '_beforeTokenTransfer(address from, address to, uint256 amount)',
+      overridden('_beforeTokenTransfer'), 'from, to, amount', 'whenNotPaused'
+    ));
+  }
+  if (hooks._afterTokenTransfer.length > 0) {
+    functions.push(renderOverride(
+      '_afterTokenTransfer(address from, address to, uint256 amount)',
+      overridden('_afterTokenTransfer'), 'from, to, amount'
+    ));
+  }
+  if (hooks._mint.length > 0) {
+    functions.push(renderOverride('_mint(address to, uint256 amount)', overridden('_mint'), 'to, amount'));
+  }
+  if (hooks._burn.length > 0) {
+    functions.push(renderOverride('_burn(address account, uint256 amount)', overridden('_burn'), 'account, amount'));
+  }
+
+  const authorizeUpgrade = oz.authorizeUpgrade(adminGuard);
+  if (authorizeUpgrade) functions.push(authorizeUpgrade);
+
+  const declarations = [state.join('\n'), events.join('\n')].filter(Boolean);
+
+  return `// SPDX-License-Identifier: MIT
+${SOLIDITY_PRAGMA}
+
+${oz.imports(imports).map(path => `import "${path}";`).join('\n')}
+
+contract ${config.contractName} is ${oz.bases(parents).join(', ')} {
+${declarations.length ? declarations.join('\n\n') + '\n\n' : ''}${oz.setup(parents, body)}
+${functions.length ? '\n' + functions.join('\n\n') + '\n' : ''}}
+`;
+}
+
+module.exports = {
+  ERC20_CONFIG_KEYS,
+  MAX_TRANSFER_FEE_BPS,
+  validateTokenConfig,
+  generateERC20Contract
+};
@@ -0,0 +1,551 @@
+// NFT templates - ERC721 collections and ERC1155 multi-token contracts
+
+const { ethers } = require('ethers');
+const {
+  SOLIDITY_PRAGMA,
+  solidityString,
+  toContractIdentifier,
+  isValidIdentifier,
+  parseWholeNumber,
+  parseDecimalAmount,
+  isAddress,
+  ConfigValidator,
+  validateUpgradeable,
+  openZeppelin
+} = require('./common');
+
+const MAX_ROYALTY_BPS = 1000; // 10%
+
+const ERC721_CONFIG_KEYS = [
+  'standard', 'name', 'symbol', 'contractName', 'owner', 'maxSupply', 'mintPrice', 'maxPerWallet',
+  'mintingOpen', 'baseURI', 'uriSuffix', 'allowlist', 'royalty', 'upgradeable'
+];
+
+const ERC1155_CONFIG_KEYS = [
+  'standard', 'name', 'symbol', 'contractName', 'owner', 'uri', 'tokens', 'mintingOpen', 'allowlist', 'royalty',
+  'upgradeable'
+];
+
+function validateCommon(v, config) {
+  const { name, symbol, contractName, owner = null, mintingOpen = false, allowlist = null, royalty = null } = config;
+
+  v.check(typeof name === 'string' && name.trim().length > 0 && name.length <= 64,
+    'name must be a non-empty string of at most 64 characters');
+  v.check(typeof symbol === 'string' && /^[\x21-\x7e]{1,11}$/.test(symbol),
+    'symbol must be 1-11 printable ASCII characters without spaces');
+  if (contractName !== undefined) {
+    v.check(isValidIdentifier(contractName), 'contractName must be a valid Solidity identifier');
+  }
+  if (owner !== null) {
+    v.check(isAddress(owner), 'owner must be a 0x-prefixed address');
+  }
+  v.check(typeof mintingOpen === 'boolean', 'mintingOpen must be a boolean');
+
+  let normalizedAllowlist = null;
+  if (allowlist !== null) {
+    if (v.check(typeof allowlist === 'object', 'allowlist must be an object { merkleRoot, mintPrice }')) {
+      const { merkleRoot = ethers.ZeroHash, mintPrice = null } = allowlist;
+      v.check(ethers.isHexString(merkleRoot, 32), 'allowlist.merkleRoot must be a 32-byte hex string');
+      let price = null;
+      if (mintPrice !== null) {
+        price = parseDecimalAmount(mintPrice);
+        v.check(price !== null, 'allowlist.mintPrice must be a non-negative ETH amount');
+      }
+      normalizedAllowlist = { merkleRoot, mintPrice: price === null ? null : price.toString() };
+    }
+  }
+
+  let normalizedRoyalty = null;
+  if (royalty !== null) {
+    if (v.check(typeof royalty === 'object', 'royalty must be an object { bps, receiver }')) {
+      const { bps, receiver = null } = royalty;
+      v.check(Number.isInteger(bps) && bps > 0 && bps <= MAX_ROYALTY_BPS,
+        `royalty.bps must be an integer between 1 and ${MAX_ROYALTY_BPS}`);
+      if (receiver !== null) {
+        v.check(isAddress(receiver), 'royalty.receiver must be a 0x-prefixed address');
+      }
+      normalizedRoyalty = { bps, receiver: receiver && isAddress(receiver) ? ethers.getAddress(receiver) : null };
+    }
+  }
+
+  return {
+    name,
+    symbol,
+    contractName: contractName || (typeof name === 'string' ? toContractIdentifier(name, 'Collection') : undefined),
+    owner: owner && isAddress(owner) ? ethers.getAddress(owner) : null,
+    mintingOpen,
+    allowlist: normalizedAllowlist,
+    royalty: normalizedRoyalty,
+    upgradeable: validateUpgradeable(v, config.upgradeable)
+  };
+}
+
+/**
+ * Validates an ERC721 collection config and fills in defaults
+ * @param {Object} config - Raw collection config
+ * @returns {Object} Normalized config
+ * @throws {Error} code INVALID_CONFIG listing every problem found
+ */
+function validateERC721Config(config) {
+  const v = new ConfigValidator('ERC721');
+  if (!v.check(config && typeof config === 'object', 'config must be an object')) v.assertValid();
+  v.rejectUnknownKeys(config, ERC721_CONFIG_KEYS);
+
+  const common = validateCommon(v, config);
+  const { maxSupply, mintPrice = '0', maxPerWallet = null, baseURI = '', uriSuffix = '' } = config;
+
+  const supply = parseWholeNumber(maxSupply);
+  v.check(supply !== null && supply > 0n, 'maxSupply must be a positive whole number');
+  const price = parseDecimalAmount(mintPrice);
+  v.check(price !== null, 'mintPrice must be a non-negative ETH amount');
+  if (maxPerWallet !== null) {
+    v.check(Number.isInteger(maxPerWallet) && maxPerWallet > 0, 'maxPerWallet must be a positive integer');
+  }
+  v.check(typeof baseURI === 'string', 'baseURI must be a string');
+  v.check(typeof uriSuffix === 'string', 'uriSuffix must be a string');
+
+  v.assertValid();
+
+  return {
+    standard: 'ERC721',
+    ...common,
+    maxSupply: supply.toString(),
+    mintPrice: price.toString(),
+    maxPerWallet,
+    baseURI,
+    uriSuffix
+  };
+}
+
+/**
+ * Validates an ERC1155 config and fills in defaults
+ * @param {Object} config - Raw multi-token config
+ * @returns {Object} Normalized config
+ * @throws {Error} code INVALID_CONFIG listing every problem found
+ */
+function validateERC1155Config(config) {
+  const v = new ConfigValidator('ERC1155');
+  if (!v.check(config && typeof config === 'object', 'config must be an object')) v.assertValid();
+  v.rejectUnknownKeys(config, ERC1155_CONFIG_KEYS);
+
+  const common = validateCommon(v, config);
+  const { uri = '', tokens } = config;
+
+  v.check(typeof uri === 'string', 'uri must be a string, e.g. "ipfs://<cid>/{id}.json"');
+
+  const normalizedTokens = [];
+  if (v.check(Array.isArray(tokens) && tokens.length > 0, 'tokens must be a non-empty array of { id, maxSupply, mintPrice }')) {
+    const seen = new Set();
+    tokens.forEach((token, index) => {
+      const id = parseWholeNumber(token && token.id);
+      const supply = parseWholeNumber(token && token.maxSupply);
+      const price = parseDecimalAmount(token && token.mintPrice !== undefined ? token.mintPrice : '0');
+      v.check(id !== null, `tokens[${index}].id must be a non-negative whole number`);
+      v.check(supply !== null && supply > 0n, `tokens[${index}].maxSupply must be a positive whole number`);
+      v.check(price !== null, `tokens[${index}].mintPrice must be a non-negative ETH amount`);
+      if (id !== null) {
+        v.check(!seen.has(id), `tokens[${index}].id ${id} is duplicated`);
+        seen.add(id);
+      }
+      if (id !== null && supply !== null && price !== null) {
+        normalizedTokens.push({ id: id.toString(), maxSupply: supply.toString(), mintPrice: price.toString() });
+      }
+    });
+  }
+
+  v.assertValid();
+
+  return { standard: 'ERC1155', ...common, uri, tokens: normalizedTokens };
+}
+
+// Functions shared by both standards: sale toggle, allowlist root, royalties and withdrawal
+function renderSharedFunctions(config, oz) {
+  const functions = [
+    [
+      '    function setMintingOpen(bool open) external onlyOwner {',
+      '        mintingOpen = open;',
+      '    }'
+    ].join('\n')
+  ];
+
+  if (config.allowlist) {
+    functions.push([
+      '    function setMerkleRoot(bytes32 root) external onlyOwner {',
+      '        merkleRoot = root;',
+      '    }'
+    ].join('\n'));
+    functions.push([
+      '    function _verifyAllowlist(address account, bytes32[] calldata proof) internal view {',
+      '        require(merkleRoot != bytes32(0), "Allowlist not set");',
+      `        require(${oz.name('MerkleProof')}.verifyCalldata(proof, merkleRoot, keccak256(abi.encodePacked(account))), "Not on allowlist");`,
+      '    }'
+    ].join('\n'));
+  }
+
+  if (config.royalty) {
+    functions.push([
+      '    function setDefaultRoyalty(address receiver, uint96 feeNumerator) external onlyOwner {',
+      '        _setDefaultRoyalty(receiver, feeNumerator);',
+      '    }'
+    ].join('\n'));
+  }
+
+  functions.push([
+    '    function withdraw(address payable to) external onlyOwner {',
+    '        require(to != address(0), "Invalid recipient");',
+    '        (bool success, ) = to.call{value: address(this).balance}("");',
+    '        require(success, "Withdraw failed");',
+    '    }'
+  ].join('\n'));
+
+  const authorizeUpgrade = oz.authorizeUpgrade('onlyOwner');
+  if (authorizeUpgrade) functions.push(authorizeUpgrade);
+
+  return functions;
+}
+
+function renderSharedImports(config, oz) {
+  const imports = [oz.path('access/Ownable.sol')];
+  if (config.allowlist) imports.push(oz.path('utils/cryptography/MerkleProof.sol'));
+  if (config.royalty) imports.push(oz.path('token/common/ERC2981.sol'));
+  return imports;
+}
+
+// Regular contracts initialise state where it is declared; upgradeable ones in initialize(),
+// since declaration values only reach the implementation's own storage
+function initializeState(oz, state, body, declaration, value) {
+  if (!oz.upgradeable) {
+    state.push(`    ${declaration} = ${value};`);
+    return;
+  }
+  state.push(`    ${declaration};`);
+  body.push(`        ${declaration.slice(declaration.lastIndexOf(' ') + 1)} = ${value};`);
+}
+
+function renderSharedConstructorBody(config) {
+  const body = [];
+  // An explicit owner is needed when msg.sender is a deployer contract (CREATE2, proxies)
+  if (config.owner) body.push(`        _transferOwnership(${config.owner});`);
+  if (config.mintingOpen) body.push('        mintingOpen = true;');
+  if (config.allowlist && config.allowlist.merkleRoot !== ethers.ZeroHash) {
+    body.push(`        merkleRoot = ${config.allowlist.merkleRoot};`);
+  }
+  if (config.royalty) {
+    body.push(`        _setDefaultRoyalty(${config.royalty.receiver || config.owner || 'msg.sender'}, ${config.royalty.bps});`);
+  }
+  return body;
+}
+
+function renderContract({ oz, imports, contractName, parents, state, body, functions }) {
+  return `// SPDX-License-Identifier: MIT
+${SOLIDITY_PRAGMA}
+
+${oz.imports(imports).map(path => `import "${path}";`).join('\n')}
+
+contract ${contractName} is ${oz.bases(parents).join(', ')} {
+${state.join('\n')}
+
+${oz.setup(parents, body)}
+
+${functions.join('\n\n')}
+}
+`;
+}
+
+/**
+ * Renders Solidity source for an ERC721 collection; with `upgradeable` set the contract
+ * is initializer-based, for deployment behind a UUPS or transparent proxy
+ * @param {Object} rawConfig - Collection config (validated here)
+ * @returns {string} Solidity source
+ */
+function generateERC721Contract(rawConfig) {
+  const config = validateERC721Config(rawConfig);
+  const oz = openZeppelin(config.upgradeable);
+
+  const imports = [oz.path('token/ERC721/ERC721.sol'), ...renderSharedImports(config, oz)];
+  const parents = [
+    ['ERC721', [solidityString(config.name), solidityString(config.symbol)]],
+    ...(config.royalty ? [['ERC2981', []]] : []),
+    ['Ownable', []]
+  ];
+  const state = [];
+  const body = [];
+  state.push(`    uint256 public constant MAX_SUPPLY = ${config.maxSupply};`);
+  if (config.maxPerWallet) state.push(`    uint256 public constant MAX_PER_WALLET = ${config.maxPerWallet};`);
+  initializeState(oz, state, body, 'uint256 public mintPrice', config.mintPrice);
+  if (config.allowlist) {
+    initializeState(oz, state, body, 'uint256 public allowlistPrice', config.allowlist.mintPrice ?? config.mintPrice);
+    state.push('    bytes32 public merkleRoot;');
+  }
+  state.push(
+    '    uint256 public totalSupply;',
+    '    bool public mintingOpen;',
+    '    string private _baseTokenURI;'
+  );
+  if (config.maxPerWallet) state.push('    mapping(address => uint256) public mintedBy;');
+
+  if (config.baseURI) body.push(`        _baseTokenURI = ${solidityString(config.baseURI)};`);
+  body.push(...renderSharedConstructorBody(config));
+
+  const walletCheck = config.maxPerWallet ? [
+    '        require(mintedBy[msg.sender] + quantity <= MAX_PER_WALLET, "Exceeds wallet limit");',
+    '        mintedBy[msg.sender] += quantity;'
+  ] : [];
+
+  const functions = [
+    [
+      '    function mint(uint256 quantity) external payable {',
+      '        require(mintingOpen, "Minting is closed");',
+      '        require(msg.value == mintPrice * quantity, "Incorrect payment");',
+      ...walletCheck,
+      '        _mintTokens(msg.sender, quantity);',
+      '    }'
+    ].join('\n')
+  ];
+
+  if (config.allowlist) {
+    functions.push([
+      '    function allowlistMint(uint256 quantity, bytes32[] calldata proof) external payable {',
+      '        _verifyAllowlist(msg.sender, proof);',
+      '        require(msg.value == allowlistPrice * quantity, "Incorrect payment");',
+      ...walletCheck,
+      '        _mintTokens(msg.sender, quantity);',
+      '    }'
+    ].join('\n'));
+  }
+
+  functions.push([
+    '    function ownerMint(address to, uint256 quantity) external onlyOwner {',
+    '        _mintTokens(to, quantity);',
+    '    }'
+  ].join('\n'));
+  functions.push([
+    '    function _mintTokens(address to, uint256 quantity) internal {',
+    '        require(quantity > 0, "Quantity must be positive");',
+    '        require(totalSupply + quantity <= MAX_SUPPLY, "Exceeds max supply");',
+    '        for (uint256 i = 0; i < quantity; i++) {',
+    '            totalSupply += 1;',
+    '            _safeMint(to, totalSupply);',
+    '        }',
+    '    }'
+  ].join('\n'));
+  functions.push([
+    '    function setMintPrice(uint256 price) external onlyOwner {',
+    '        mintPrice = price;',
+    '    }'
+  ].join('\n'));
+  if (config.allowlist) {
+    functions.push([
+      '    function setAllowlistPrice(uint256 price) external onlyOwner {',
+      '        allowlistPrice = price;',
+      '    }'
+    ].join('\n'));
+  }
+  functions.push([
+    '    function setBaseURI(string calldata baseURI) external onlyOwner {',
+    '        _baseTokenURI = baseURI;',
+    '    }'
+  ].join('\n'));
+  functions.push([
+    '    function _baseURI() internal view override returns (string memory) {',
+    '        return _baseTokenURI;',
+    '    }'
+  ].join('\n'));
+
+  if (config.uriSuffix) {
+    functions.push([
+      '    function tokenURI(uint256 tokenId) public view override returns (string memory) {',
+      '        _requireMinted(tokenId);',
+      '        string memory base = _baseURI();',
+      `        return bytes(base).length > 0 ? string(abi.encodePacked(base, ${oz.name('Strings')}.toString(tokenId), ${solidityString(config.uriSuffix)})) : "";`,
+      '    }'
+    ].join('\n'));
+  }
+
+  functions.push(...renderSharedFunctions(config, oz));
+
+  if (config.royalty) {
+    functions.push([
+      `    function supportsInterface(bytes4 interfaceId) public view override(${oz.name('ERC721')}, ${oz.name('ERC2981')}) returns (bool) {`,
+      '        return super.supportsInterface(interfaceId);',
+      '    }'
+    ].join('\n'));
+  }
+
+  return renderContract({ oz, imports, contractName: config.contractName, parents, state, body, functions });
+}
+
+/**
+ * Renders Solidity source for an ERC1155 multi-token contract; with `upgradeable` set the
+ * contract is initializer-based, for deployment behind a UUPS or transparent proxy
+ * @param {Object} rawConfig - Multi-token config (validated here)
+ * @returns {string} Solidity source
+ */
+function generateERC1155Contract(rawConfig) {
+  const config = validateERC1155Config(rawConfig);
+  const oz = openZeppelin(config.upgradeable);
+
+  const imports = [
+    oz.path('token/ERC1155/ERC1155.sol'),
+    oz.path('token/ERC1155/extensions/ERC1155Supply.sol'),
+    ...renderSharedImports(config, oz)
+  ];
+  const parents = [
+    ['ERC1155', [solidityString(config.uri)]],
+    ['ERC1155Supply', []],
+    ...(config.royalty ? [['ERC2981', []]] : []),
+    ['Ownable', []]
+  ];
+  const state = [];
+  const body = [];
+  initializeState(oz, state, body, 'string public name', solidityString(config.name));
+  initializeState(oz, state, body, 'string public symbol', solidityString(config.symbol));
+  state.push('    bool public mintingOpen;');
+  if (config.allowlist) state.push('    bytes32 public merkleRoot;');
+  state.push(
+    '    mapping(uint256 => uint256) public maxSupply;',
+    '    mapping(uint256 => uint256) public mintPrice;'
+  );
+  // Token ids are priced separately, so an allowlist price is a flat per-unit override for all of them
+  const allowlistPrice = config.allowlist && config.allowlist.mintPrice !== null;
+  if (allowlistPrice) {
+    initializeState(oz, state, body, 'uint256 public allowlistPrice', config.allowlist.mintPrice);
+  }
+  body.push(
+    ...config.tokens.map(token =>
+      `        maxSupply[${token.id}] = ${token.maxSupply};` +
+      (token.mintPrice !== '0' ? `\n        mintPrice[${token.id}] = ${token.mintPrice};` : '')
+    ),
+    ...renderSharedConstructorBody(config)
+  );
+
+  const functions = [
+    [
+      '    function mint(uint256 id, uint256 amount) external payable {',
+      '        require(mintingOpen, "Minting is closed");',
+      '        require(msg.value == mintPrice[id] * amount, "Incorrect payment");',
+      '        _mintTokens(msg.sender, id, amount);',
+      '    }'
+    ].join('\n')
+  ];
+
+  if (config.allowlist) {
+    functions.push([
+      '    function allowlistMint(uint256 id, uint256 amount, bytes32[] calldata proof) external payable {',
+      '        _verifyAllowlist(msg.sender, proof);',
+      `        require(msg.value == ${allowlistPrice ? 'allowlistPrice' : 'mintPrice[id]'} * amount, "Incorrect payment");`,
+      '        _mintTokens(msg.sender, id, amount);',
+      '    }'
+    ].join('\n'));
+  }
+
+  functions.push([
+    '    function ownerMint(address to, uint256 id, uint256 amount) external onlyOwner {',
+    '        _mintTokens(to, id, amount);',
+    '    }'
+  ].join('\n'));
+  functions.push([
+    '    function _mintTokens(address to, uint256 id, uint256 amount) internal {',
+    '        require(maxSupply[id] > 0, "Unknown token id");',
+    '        require(amount > 0, "Amount must be positive");',
+    '        require(totalSupply(id) + amount <= maxSupply[id], "Exceeds max supply");',
+    '        _mint(to, id, amount, "");',
+    '    }'
+  ].join('\n'));
+  functions.push([
+    '    function setMintPrice(uint256 id, uint256 price) external onlyOwner {',
+    '        mintPrice[id] = price;',
+    '    }'
+  ].join('\n'));
+  if (allowlistPrice) {
+    functions.push([
+      '    function setAllowlistPrice(uint256 price) external onlyOwner {',
+      '        allowlistPrice = price;',
+      '    }'
+    ].join('\n'));
+  }
+  functions.push([
+    '    function setURI(string calldata newURI) external onlyOwner {',
+    '        _setURI(newURI);',
+    '    }'
+  ].join('\n'));
+
+  functions.push(...renderSharedFunctions(config, oz));
+
+  functions.push([
+    '    function _beforeTokenTransfer(',
+    '        address operator,',
+    '        address from,',
+    '        address to,',
+    '        uint256[] memory ids,',
+    '        uint256[] memory amounts,',
+    '        bytes memory data',
+    `    ) internal override(${oz.name('ERC1155')}, ${oz.name('ERC1155Supply')}) {`,
+    '        super._beforeTokenTransfer(operator, from, to, ids, amounts, data);',
+    '    }'
+  ].join('\n'));
+
+  if (config.royalty) {
+    functions.push([
+      `    function supportsInterface(bytes4 interfaceId) public view override(${oz.name('ERC1155')}, ${oz.name('ERC2981')}) returns (bool) {`,
+      '        return super.supportsInterface(interfaceId);',
+      '    }'
+    ].join('\n'));
+  }
+
+  return renderContract({ oz, imports, contractName: config.contractName, parents, state, body, functions });
+}
+
+/**
+ * Builds a Merkle allowlist compatible with the generated contracts
+ * (leaf = keccak256(abi.encodePacked(address)), sorted-pair hashing as in OpenZeppelin MerkleProof)
+ * @param {Array<string>} addresses - Allowlisted addresses
+ * @returns {Object} { root, getProof(address) }
+ */
+function buildMerkleAllowlist(addresses) {
+  if (!Array.isArray(addresses) || addresses.length === 0) {
+    throw new Error('Allowlist must contain at least one address');
+  }
+
+  const leafFor = (address) => ethers.keccak256(ethers.getAddress(address));
+  const hashPair = (a, b) => ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+
+  const leaves = [...new Set(addresses.map(leafFor))].sort();
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const current = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+    }
+    layers.push(next);
+  }
+
+  return {
+    root: layers[layers.length - 1][0],
+    getProof(address) {
+      let index = leaves.indexOf(leafFor(address));
+      if (index === -1) {
+        throw new Error(`${address} is not on the allowlist`);
+      }
+
+      const proof = [];
+      for (const layer of layers.slice(0, -1)) {
+        const sibling = index % 2 === 0 ? index + 1 : index - 1;
+        if (sibling < layer.length) proof.push(layer[sibling]);
+        index = Math.floor(index / 2);
+      }
+      return proof;
+    }
+  };
+}
+
+module.exports = {
+  ERC721_CONFIG_KEYS,
+  ERC1155_CONFIG_KEYS,
+  validateERC721Config,
+  validateERC1155Config,
+  generateERC721Contract,
+  generateERC1155Contract,
+  buildMerkleAllowlist
+};
@@ -0,0 +1,66 @@
+// Proxy templates - the OpenZeppelin proxies upgradeable token implementations are deployed behind
+
+const { SOLIDITY_PRAGMA, UPGRADEABLE_KINDS } = require('./common');
+
+// Thin subclasses so the proxies compile from a generated source like every other template
+const PROXY_TEMPLATES = {
+  uups: {
+    contractName: 'TokenERC1967Proxy',
+    imports: ['@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol'],
+    body: [
+      'contract TokenERC1967Proxy is ERC1967Proxy {',
+      '    constructor(address implementation, bytes memory data) ERC1967Proxy(implementation, data) {}',
+      '}'
+    ]
+  },
+  transparent: {
+    contractName: 'TokenTransparentProxy',
+    imports: ['@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol'],
+    body: [
+      'contract TokenTransparentProxy is TransparentUpgradeableProxy {',
+      '    constructor(address implementation, address admin, bytes memory data)',
+      '        TransparentUpgradeableProxy(implementation, admin, data)',
+      '    {}',
+      '}'
+    ]
+  },
+  // Owner passed in rather than taken from msg.sender, which is the CREATE2 deployer for salted deployments
+  admin: {
+    contractName: 'TokenProxyAdmin',
+    imports: ['@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol'],
+    body: [
+      'contract TokenProxyAdmin is ProxyAdmin {',
+      '    constructor(address initialOwner) {',
+      '        _transferOwnership(initialOwner);',
+      '    }',
+      '}'
+    ]
+  }
+};
+
+/**
+ * Renders the Solidity source of a proxy or of the ProxyAdmin used by transparent proxies
+ * @param {string} kind - 'uups', 'transparent' or 'admin'
+ * @returns {Object} { contractName, source }
+ */
+function generateProxyContract(kind) {
+  const template = PROXY_TEMPLATES[kind];
+  if (!template) {
+    throw new Error(`Unknown proxy kind "${kind}". Expected one of: ${[...UPGRADEABLE_KINDS, 'admin'].join(', ')}`);
+  }
+  return {
+    contractName: template.contractName,
+    source: `// SPDX-License-Identifier: MIT
+${SOLIDITY_PRAGMA}
+
+${template.imports.map(path => `import "${path}";`).join('\n')}
+
+${template.body.join('\n')}
+`
+  };
+}
+
+module.exports = {
+  PROXY_TEMPLATES,
+  generateProxyContract
+};
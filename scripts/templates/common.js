@@ -0,0 +1,232 @@
+// Shared helpers for generating Solidity source from user supplied configs
+
+const { ethers } = require('ethers');
+
+const SOLIDITY_PRAGMA = 'pragma solidity ^0.8.19;';
+
+// Proxy patterns an upgradeable config can be deployed behind
+const UPGRADEABLE_KINDS = ['uups', 'transparent'];
+
+// Solidity keywords and common library names that cannot be used as contract names
+const RESERVED_IDENTIFIERS = new Set([
+  'abstract', 'address', 'contract', 'interface', 'library', 'function', 'mapping',
+  'event', 'error', 'struct', 'enum', 'modifier', 'constructor', 'return', 'returns',
+  'public', 'private', 'internal', 'external', 'virtual', 'override', 'this', 'super',
+  'ERC20', 'ERC721', 'ERC1155', 'Ownable', 'AccessControl', 'Pausable', 'Context'
+]);
+
+/**
+ * Encodes a JavaScript string as a Solidity string literal.
+ * Anything outside printable ASCII, plus quotes and backslashes, becomes a \xNN escape
+ * so user input can never terminate the literal or inject code.
+ * @param {string} value - Raw string
+ * @returns {string} Quoted Solidity literal
+ */
+function solidityString(value) {
+  const bytes = Buffer.from(String(value), 'utf8');
+  let escaped = '';
+  for (const byte of bytes) {
+    const printable = byte >= 0x20 && byte <= 0x7e && byte !== 0x22 && byte !== 0x5c;
+    escaped += printable ? String.fromCharCode(byte) : `\\x${byte.toString(16).padStart(2, '0')}`;
+  }
+  return `"${escaped}"`;
+}
+
+/**
+ * Derives a valid Solidity contract identifier from a display name
+ * @param {string} name - Display name, e.g. "1st Base Token!"
+ * @param {string} fallbackPrefix - Prefix used when the name starts with a digit or is empty
+ * @returns {string} Identifier, e.g. "Token1stBaseToken"
+ */
+function toContractIdentifier(name, fallbackPrefix = 'Token') {
+  const words = String(name)
+    .normalize('NFKD')
+    .replace(/[^A-Za-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  let identifier = words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+  if (!identifier || /^[0-9]/.test(identifier)) {
+    identifier = fallbackPrefix + identifier;
+  }
+  if (RESERVED_IDENTIFIERS.has(identifier)) {
+    identifier += fallbackPrefix;
+  }
+  return identifier;
+}
+
+function isValidIdentifier(value) {
+  return typeof value === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(value) && !RESERVED_IDENTIFIERS.has(value);
+}
+
+/**
+ * Parses a non-negative whole number given as string, number or bigint
+ * @param {*} value - Input value
+ * @returns {bigint|null} Parsed value, or null when invalid
+ */
+function parseWholeNumber(value) {
+  if (typeof value === 'bigint') return value >= 0n ? value : null;
+  if (typeof value === 'number') return Number.isSafeInteger(value) && value >= 0 ? BigInt(value) : null;
+  if (typeof value === 'string' && /^[0-9]+$/.test(value.trim())) return BigInt(value.trim());
+  return null;
+}
+
+/**
+ * Parses a decimal amount (e.g. "0.05") into base units
+ * @param {*} value - Amount as string or number
+ * @param {number} decimals - Number of decimals
+ * @returns {bigint|null} Amount in base units, or null when invalid
+ */
+function parseDecimalAmount(value, decimals = 18) {
+  try {
+    const amount = ethers.parseUnits(String(value), decimals);
+    return amount >= 0n ? amount : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function isAddress(value) {
+  return typeof value === 'string' && ethers.isAddress(value) && value.startsWith('0x');
+}
+
+/**
+ * Collects validation errors and throws them together
+ */
+class ConfigValidator {
+  constructor(kind) {
+    this.kind = kind;
+    this.errors = [];
+  }
+
+  check(condition, message) {
+    if (!condition) this.errors.push(message);
+    return condition;
+  }
+
+  rejectUnknownKeys(config, allowedKeys) {
+    for (const key of Object.keys(config)) {
+      this.check(allowedKeys.includes(key), `unknown option "${key}"`);
+    }
+  }
+
+  assertValid() {
+    if (this.errors.length > 0) {
+      const error = new Error(`Invalid ${this.kind} config: ${this.errors.join('; ')}`);
+      error.code = 'INVALID_CONFIG';
+      error.errors = this.errors;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Checks the `upgradeable` option shared by all templates
+ * @param {ConfigValidator} v - Validator collecting errors
+ * @param {*} value - 'uups', 'transparent', or false / null / undefined for a regular contract
+ * @returns {string|null} Normalized proxy kind
+ */
+function validateUpgradeable(v, value) {
+  if (value === undefined || value === null || value === false) return null;
+  v.check(UPGRADEABLE_KINDS.includes(value), `upgradeable must be one of: ${UPGRADEABLE_KINDS.join(', ')}`);
+  return value;
+}
+
+/**
+ * OpenZeppelin contracts in the flavour a config asks for: regular contracts set up in the
+ * constructor, or initializer-based ones from @openzeppelin/contracts-upgradeable
+ * @param {string|null} upgradeable - Normalized `upgradeable` option
+ * @returns {Object} { upgradeable, path, name, imports, bases, setup, authorizeUpgrade }
+ */
+function openZeppelin(upgradeable) {
+  const uups = upgradeable === 'uups';
+  const name = (contract) => (upgradeable ? `${contract}Upgradeable` : contract);
+
+  return {
+    upgradeable,
+
+    // e.g. 'access/Ownable.sol' -> '@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol'
+    path: (file) => (upgradeable
+      ? `@openzeppelin/contracts-upgradeable/${file.replace(/\.sol$/, 'Upgradeable.sol')}`
+      : `@openzeppelin/contracts/${file}`),
+
+    // Contract or library name as written in `is` and override(...) lists
+    name,
+
+    imports: (imports) => (upgradeable ? [
+      ...imports,
+      '@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol',
+      ...(uups ? ['@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol'] : [])
+    ] : imports),
+
+    bases: (parents) => (upgradeable
+      ? ['Initializable', ...parents.map(([contract]) => name(contract)), ...(uups ? ['UUPSUpgradeable'] : [])]
+      : parents.map(([contract]) => contract)),
+
+    // Constructor calling the base constructors, or initialize() calling each __Base_init while
+    // the constructor locks the implementation so it can only be used through a proxy
+    setup(parents, body) {
+      if (!upgradeable) {
+        return [
+          '    constructor()',
+          ...parents.filter(([, args]) => args.length > 0).map(([contract, args]) => `        ${contract}(${args.join(', ')})`),
+          '    {',
+          body.join('\n'),
+          '    }'
+        ].join('\n');
+      }
+      return [
+        '    /// @custom:oz-upgrades-unsafe-allow constructor',
+        '    constructor() {',
+        '        _disableInitializers();',
+        '    }',
+        '',
+        '    function initialize() public initializer {',
+        ...parents.map(([contract, args]) => `        __${contract}_init(${args.join(', ')});`),
+        ...(uups ? ['        __UUPSUpgradeable_init();'] : []),
+        ...body,
+        '    }'
+      ].join('\n');
+    },
+
+    // UUPS proxies upgrade through the implementation, guarded like the other admin functions
+    authorizeUpgrade: (guard) => (uups
+      ? `    function _authorizeUpgrade(address) internal override ${guard} {}`
+      : null)
+  };
+}
+
+/**
+ * Emits an override for an internal hook shared by several base contracts
+ * @param {string} signature - e.g. "_mint(address to, uint256 amount)"
+ * @param {Array<string>} bases - Base contracts defining the hook
+ * @param {string} call - Arguments forwarded to super
+ * @param {string} modifiers - Extra modifiers, e.g. "whenNotPaused"
+ * @returns {string} Solidity function
+ */
+function renderOverride(signature, bases, call, modifiers = '') {
+  const name = signature.slice(0, signature.indexOf('('));
+  const overrideSpec = bases.length > 1 ? `override(${bases.join(', ')})` : 'override';
+  const extra = modifiers ? ` ${modifiers}` : '';
+  return [
+    `    function ${signature} internal${extra} ${overrideSpec} {`,
+    `        super.${name}(${call});`,
+    '    }'
+  ].join('\n');
+}
+
+module.exports = {
+  SOLIDITY_PRAGMA,
+  UPGRADEABLE_KINDS,
+  solidityString,
+  toContractIdentifier,
+  isValidIdentifier,
+  parseWholeNumber,
+  parseDecimalAmount,
+  isAddress,
+  ConfigValidator,
+  validateUpgradeable,
+  openZeppelin,
+  renderOverride
+};
@@ -0,0 +1,40 @@
+// Contract template registry, keyed by token standard
+
+const { validateTokenConfig, generateERC20Contract } = require('./ERC20Template');
+const {
+  validateERC721Config,
+  validateERC1155Config,
+  generateERC721Contract,
+  generateERC1155Contract,
+  buildMerkleAllowlist
+} = require('./NFTTemplate');
+const { generateProxyContract } = require('./ProxyTemplate');
+const { UPGRADEABLE_KINDS } = require('./common');
+
+const TEMPLATES = {
+  ERC20: { validate: validateTokenConfig, generate: generateERC20Contract },
+  ERC721: { validate: validateERC721Config, generate: generateERC721Contract },
+  ERC1155: { validate: validateERC1155Config, generate: generateERC1155Contract }
+};
+
+/**
+ * Looks up the template for a config's `standard` (defaults to ERC20)
+ * @param {Object} config - Contract config
+ * @returns {Object} { validate, generate }
+ */
+function getTemplate(config) {
+  const standard = (config && config.standard) || 'ERC20';
+  const template = TEMPLATES[standard];
+  if (!template) {
+    throw new Error(`Unsupported standard "${standard}". Expected one of: ${Object.keys(TEMPLATES).join(', ')}`);
+  }
+  return template;
+}
+
+module.exports = {
+  TEMPLATES,
+  getTemplate,
+  generateProxyContract,
+  UPGRADEABLE_KINDS,
+  buildMerkleAllowlist
+};
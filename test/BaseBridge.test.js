@@ -0,0 +1,382 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  BaseBridge,
+  DEPOSIT_STATUS,
+  WITHDRAWAL_STATUS,
+  hashWithdrawal,
+  hashOutputRootProof,
+  getDepositTransactionHash
+} = require('../utils/BaseBridge');
+const { PREDEPLOYS } = require('../lib/BaseNetworkUtils');
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const portal = new ethers.Interface(['event TransactionDeposited(address indexed from, address indexed to, uint256 indexed version, bytes opaqueData)']);
+
+const FROM = '0x1111111111111111111111111111111111111111';
+const TO = '0x2222222222222222222222222222222222222222';
+const L1_BLOCK_HASH = ethers.id('l1-block');
+
+// A portal log as emitted by OptimismPortal.depositTransaction (opaqueData is abi.encodePacked)
+function depositLog({ mint = 0n, value = 0n, gasLimit = 100000n, isCreation = false, data = '0x', index = 3 } = {}) {
+  const opaqueData = ethers.solidityPacked(['uint256', 'uint256', 'uint64', 'bool', 'bytes'], [mint, value, gasLimit, isCreation, data]);
+  return { ...portal.encodeEventLog('TransactionDeposited', [FROM, TO, 0, opaqueData]), blockHash: L1_BLOCK_HASH, index };
+}
+
+// The deposit transaction as specified: 0x7e || rlp([sourceHash, from, to, mint, value, gas, isSystemTx, data])
+function expectedDepositHash({ mint, value, gasLimit, to, data, index }) {
+  const quantity = (n) => (n === 0n ? '0x' : ethers.toBeHex(n));
+  const depositId = ethers.keccak256(ethers.concat([L1_BLOCK_HASH, ethers.toBeHex(index, 32)]));
+  const sourceHash = ethers.keccak256(ethers.concat([ethers.ZeroHash, depositId]));
+  return ethers.keccak256(ethers.concat([
+    '0x7e',
+    ethers.encodeRlp([sourceHash, FROM, to, quantity(mint), quantity(value), quantity(gasLimit), '0x', data])
+  ]));
+}
+
+const DAY = 24 * 60 * 60;
+const MATURITY_DELAY = 7 * DAY;
+const FINALITY_DELAY = 3.5 * DAY;
+const GAME = { IN_PROGRESS: 0, CHALLENGER_WINS: 1, DEFENDER_WINS: 2 };
+
+const PORTAL = '0x00000000000000000000000000000000000000A1';
+const GAME_FACTORY = '0x00000000000000000000000000000000000000A2';
+const OUTPUT_ORACLE = '0x00000000000000000000000000000000000000A3';
+const SUBMITTER = '0x3333333333333333333333333333333333333333';
+const gameProxy = (index) => ethers.getAddress(ethers.zeroPadValue(ethers.toBeHex(0xa100 + index), 20));
+
+const WITHDRAWAL_TX = ethers.id('withdrawal-tx');
+const DEPOSIT_TX = ethers.id('deposit-tx');
+const WITHDRAWAL = { nonce: (1n << 240n) + 1n, sender: PREDEPLOYS.L2CrossDomainMessenger, target: TO, value: 10n ** 17n, gasLimit: 287000n, data: '0x1234' };
+const WITHDRAWAL_HASH = hashWithdrawal(WITHDRAWAL);
+
+const messagePasser = new ethers.Interface([
+  'event MessagePassed(uint256 indexed nonce, address indexed sender, address indexed target, uint256 value, uint256 gasLimit, bytes data, bytes32 withdrawalHash)'
+]);
+const l1Contracts = {
+  portal: new ethers.Interface([
+    'function respectedGameType() view returns (uint32)',
+    'function finalizedWithdrawals(bytes32) view returns (bool)',
+    'function proofSubmitters(bytes32, uint256) view returns (address)',
+    'function provenWithdrawals(bytes32, address) view returns (address disputeGameProxy, uint64 timestamp)',
+    'function provenWithdrawals(bytes32) view returns (bytes32 outputRoot, uint128 timestamp, uint128 l2OutputIndex)',
+    'function proofMaturityDelaySeconds() view returns (uint256)',
+    'function disputeGameFinalityDelaySeconds() view returns (uint256)'
+  ]),
+  factory: new ethers.Interface([
+    'function gameCount() view returns (uint256)',
+    'function findLatestGames(uint32 _gameType, uint256 _start, uint256 _n) view returns ((uint256 index, bytes32 metadata, uint64 timestamp, bytes32 rootClaim, bytes extraData)[])',
+    'function gameAtIndex(uint256 _index) view returns (uint32 gameType, uint64 timestamp, address proxy)'
+  ]),
+  oracle: new ethers.Interface([
+    'function latestBlockNumber() view returns (uint256)',
+    'function getL2OutputIndexAfter(uint256 _l2BlockNumber) view returns (uint256)',
+    'function getL2Output(uint256 _l2OutputIndex) view returns ((bytes32 outputRoot, uint128 timestamp, uint128 l2BlockNumber))',
+    'function FINALIZATION_PERIOD_SECONDS() view returns (uint256)'
+  ]),
+  game: new ethers.Interface(['function status() view returns (uint8)', 'function resolvedAt() view returns (uint64)'])
+};
+
+// Ethereum with an OptimismPortal on fault proofs (dispute games, newest last) or on the
+// legacy L2OutputOracle (outputs, oldest first). `proofs` maps a withdrawal hash to its proof.
+function createL1({ proofSystem = 'faultProofs' } = {}) {
+  const l1 = { time: 1700000000, receipts: new Map(), games: [], outputs: [], proofs: new Map(), finalized: new Set() };
+  const revert = () => {
+    throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+  };
+  const portal = (name, args) => {
+    if (name === 'respectedGameType') return proofSystem === 'faultProofs' ? [0] : revert();
+    if (name === 'finalizedWithdrawals') return [l1.finalized.has(args[0])];
+    if (name === 'proofMaturityDelaySeconds') return [MATURITY_DELAY];
+    if (name === 'disputeGameFinalityDelaySeconds') return [FINALITY_DELAY];
+    const proof = l1.proofs.get(args[0]);
+    if (name === 'proofSubmitters') return proof ? [proof.submitter] : revert();
+    if (args.length === 1) return proof ? [ethers.ZeroHash, proof.timestamp, proof.index] : [ethers.ZeroHash, 0, 0];
+    return proof && proof.submitter === args[1] ? [gameProxy(proof.game), proof.timestamp] : [ethers.ZeroAddress, 0];
+  };
+  const factory = (name, args) => {
+    if (name === 'gameCount') return [l1.games.length];
+    if (name === 'gameAtIndex') return [0, l1.time, gameProxy(Number(args[0]))];
+    const newestFirst = l1.games.slice(0, Number(args[1]) + 1).map((game, index) => ({ ...game, index })).reverse().slice(0, Number(args[2]));
+    return [newestFirst.map(game => [game.index, ethers.ZeroHash, l1.time, ethers.id(`root:${game.index}`), ethers.toBeHex(game.l2Block, 32)])];
+  };
+  const oracle = (name, args) => {
+    if (name === 'FINALIZATION_PERIOD_SECONDS') return [MATURITY_DELAY];
+    if (name === 'latestBlockNumber') return [l1.outputs.length ? l1.outputs[l1.outputs.length - 1].l2Block : 0];
+    if (name === 'getL2OutputIndexAfter') return [l1.outputs.findIndex(output => output.l2Block >= Number(args[0]))];
+    const output = l1.outputs[Number(args[0])];
+    return [[ethers.id(`output:${args[0]}`), l1.time, output.l2Block]];
+  };
+
+  const call = ({ to, data }) => {
+    const target = ethers.getAddress(to);
+    const [iface, handle] = target === PORTAL ? [l1Contracts.portal, portal]
+      : target === GAME_FACTORY ? [l1Contracts.factory, factory]
+        : target === OUTPUT_ORACLE ? [l1Contracts.oracle, oracle]
+          : [l1Contracts.game, (name) => {
+              const game = l1.games.find((_, index) => gameProxy(index) === target);
+              return [name === 'status' ? game.status : game.resolvedAt || 0];
+            }];
+    const { fragment, name, args } = iface.parseTransaction({ data });
+    return iface.encodeFunctionResult(fragment, handle(name, args));
+  };
+  l1.provider = {
+    getBlockNumber: async () => 20000000,
+    getBlock: async () => ({ timestamp: l1.time }),
+    getTransactionReceipt: async (hash) => l1.receipts.get(hash) || null,
+    call: async (tx) => call(tx)
+  };
+  return l1;
+}
+
+function createL2() {
+  const l2 = { receipts: new Map() };
+  l2.provider = {
+    getBlockNumber: async () => 30000000,
+    getTransactionReceipt: async (hash) => l2.receipts.get(hash) || null
+  };
+  return l2;
+}
+
+const withdrawalReceipt = (blockNumber, status = 1) => ({
+  hash: WITHDRAWAL_TX,
+  status,
+  blockNumber,
+  logs: [{
+    ...messagePasser.encodeEventLog('MessagePassed', [...Object.values(WITHDRAWAL), WITHDRAWAL_HASH]),
+    address: PREDEPLOYS.L2ToL1MessagePasser
+  }]
+});
+
+describe('BaseBridge', () => {
+  describe('hashWithdrawal', () => {
+    const withdrawal = { nonce: (1n << 240n) + 7n, sender: FROM, target: TO, value: 10n ** 18n, gasLimit: 200000n, data: '0x1234' };
+
+    it('should hash the abi-encoded withdrawal like the portal', () => {
+      const encoded = coder.encode(
+        ['uint256', 'address', 'address', 'uint256', 'uint256', 'bytes'],
+        [withdrawal.nonce, FROM, TO, withdrawal.value, withdrawal.gasLimit, '0x1234']
+      );
+      expect(hashWithdrawal(withdrawal)).to.equal(ethers.keccak256(encoded));
+    });
+
+    it('should change with every field', () => {
+      const base = hashWithdrawal(withdrawal);
+      for (const change of [{ nonce: 8n }, { target: FROM }, { value: 1n }, { gasLimit: 1n }, { data: '0x' }]) {
+        expect(hashWithdrawal({ ...withdrawal, ...change })).to.not.equal(base);
+      }
+    });
+  });
+
+  describe('hashOutputRootProof', () => {
+    it('should hash the four proof fields in order', () => {
+      const proof = {
+        version: ethers.ZeroHash,
+        stateRoot: ethers.id('state'),
+        messagePasserStorageRoot: ethers.id('storage'),
+        latestBlockhash: ethers.id('block')
+      };
+      const expected = ethers.keccak256(ethers.concat([proof.version, proof.stateRoot, proof.messagePasserStorageRoot, proof.latestBlockhash]));
+
+      expect(hashOutputRootProof(proof)).to.equal(expected);
+    });
+  });
+
+  describe('getDepositTransactionHash', () => {
+    it('should rebuild the L2 deposit transaction of an ETH deposit', () => {
+      const deposit = { mint: 10n ** 17n, value: 10n ** 17n, gasLimit: 100000n, data: '0x', index: 3 };
+
+      expect(getDepositTransactionHash(depositLog(deposit))).to.equal(expectedDepositHash({ ...deposit, to: TO }));
+    });
+
+    it('should leave `to` empty for contract creations and keep the calldata', () => {
+      const deposit = { gasLimit: 500000n, isCreation: true, data: '0x6080604052', index: 0 };
+
+      expect(getDepositTransactionHash(depositLog(deposit)))
+        .to.equal(expectedDepositHash({ ...deposit, mint: 0n, value: 0n, to: '0x' }));
+    });
+
+    it('should depend on the position of the log in the L1 block', () => {
+      expect(getDepositTransactionHash(depositLog({ index: 1 }))).to.not.equal(getDepositTransactionHash(depositLog({ index: 2 })));
+    });
+  });
+
+  describe('tracking', () => {
+    let dir;
+
+    const createBridge = (l1, l2, options = {}) => new BaseBridge({
+      network: 'base',
+      l1: l1.provider,
+      l2: l2.provider,
+      contracts: { OptimismPortal: PORTAL, DisputeGameFactory: GAME_FACTORY, L2OutputOracle: OUTPUT_ORACLE },
+      storePath: path.join(dir, 'bridge.json'),
+      ...options
+    });
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should follow a fault-proof withdrawal from initiation to finalization', async () => {
+      const l1 = createL1();
+      const l2 = createL2();
+      const bridge = createBridge(l1, l2);
+      const statuses = [];
+      bridge.on('status', operation => statuses.push(operation.status));
+
+      expect((await bridge.track(WITHDRAWAL_TX, { type: 'withdrawal' })).status).to.equal(WITHDRAWAL_STATUS.INITIATED);
+
+      // Mined at L2 block 1000, but the only game claims an earlier block
+      l2.receipts.set(WITHDRAWAL_TX, withdrawalReceipt(1000));
+      l1.games.push({ l2Block: 900, status: GAME.IN_PROGRESS });
+      const waiting = await bridge.refresh(WITHDRAWAL_TX);
+      expect(waiting).to.deep.include({ status: WITHDRAWAL_STATUS.WAITING_FOR_STATE_ROOT, l2BlockNumber: 1000 });
+      expect(waiting.withdrawal).to.deep.include({ hash: WITHDRAWAL_HASH, nonce: WITHDRAWAL.nonce.toString(), target: TO });
+
+      // The newest game was won by the challenger, so the one before it is used
+      l1.games.push({ l2Block: 1200, status: GAME.IN_PROGRESS }, { l2Block: 1300, status: GAME.CHALLENGER_WINS });
+      expect((await bridge.refresh(WITHDRAWAL_TX)).status).to.equal(WITHDRAWAL_STATUS.READY_TO_PROVE);
+      expect(await bridge._findStateRoot(await bridge._portal(), 1000)).to.deep.equal({
+        index: 1n, outputRoot: ethers.id('root:1'), l2BlockNumber: 1200, disputeGame: gameProxy(1)
+      });
+
+      const provenAt = l1.time;
+      l1.proofs.set(WITHDRAWAL_HASH, { submitter: SUBMITTER, game: 1, timestamp: provenAt });
+      expect(await bridge.refresh(WITHDRAWAL_TX)).to.deep.include({
+        status: WITHDRAWAL_STATUS.PROVEN,
+        proofSubmitter: SUBMITTER,
+        disputeGame: gameProxy(1),
+        provenAt: provenAt * 1000,
+        challengeEndsAt: (provenAt + MATURITY_DELAY) * 1000
+      });
+
+      // Resolved late: the finality delay outlasts the proof maturity delay
+      l1.time = provenAt + 6 * DAY;
+      l1.games[1] = { ...l1.games[1], status: GAME.DEFENDER_WINS, resolvedAt: l1.time };
+      expect(await bridge.refresh(WITHDRAWAL_TX)).to.deep.include({
+        status: WITHDRAWAL_STATUS.CHALLENGE_PERIOD,
+        challengeEndsAt: (provenAt + 6 * DAY + FINALITY_DELAY) * 1000
+      });
+
+      l1.time = provenAt + 6 * DAY + FINALITY_DELAY;
+      expect((await bridge.refresh(WITHDRAWAL_TX)).status).to.equal(WITHDRAWAL_STATUS.READY_TO_FINALIZE);
+
+      l1.finalized.add(WITHDRAWAL_HASH);
+      expect((await bridge.refresh(WITHDRAWAL_TX)).status).to.equal(WITHDRAWAL_STATUS.FINALIZED);
+      expect(statuses).to.deep.equal([
+        WITHDRAWAL_STATUS.INITIATED,
+        WITHDRAWAL_STATUS.WAITING_FOR_STATE_ROOT,
+        WITHDRAWAL_STATUS.READY_TO_PROVE,
+        WITHDRAWAL_STATUS.PROVEN,
+        WITHDRAWAL_STATUS.CHALLENGE_PERIOD,
+        WITHDRAWAL_STATUS.READY_TO_FINALIZE,
+        WITHDRAWAL_STATUS.FINALIZED
+      ]);
+    });
+
+    it('should ask for a new proof once the proven game is won by the challenger', async () => {
+      const l1 = createL1();
+      const l2 = createL2();
+      l2.receipts.set(WITHDRAWAL_TX, withdrawalReceipt(1000));
+      l1.games.push({ l2Block: 1200, status: GAME.IN_PROGRESS });
+      l1.proofs.set(WITHDRAWAL_HASH, { submitter: SUBMITTER, game: 0, timestamp: l1.time });
+      const bridge = createBridge(l1, l2);
+      expect((await bridge.track(WITHDRAWAL_TX, { type: 'withdrawal' })).status).to.equal(WITHDRAWAL_STATUS.PROVEN);
+
+      l1.games[0].status = GAME.CHALLENGER_WINS;
+      l1.games.push({ l2Block: 1250, status: GAME.IN_PROGRESS });
+      const operation = await bridge.refresh(WITHDRAWAL_TX);
+
+      expect(operation).to.deep.include({ status: WITHDRAWAL_STATUS.READY_TO_PROVE, challengeEndsAt: null });
+      expect((await bridge._findStateRoot(await bridge._portal(), 1000)).disputeGame).to.equal(gameProxy(1));
+    });
+
+    it('should follow a withdrawal through the L2OutputOracle', async () => {
+      const l1 = createL1({ proofSystem: 'outputOracle' });
+      const l2 = createL2();
+      l2.receipts.set(WITHDRAWAL_TX, withdrawalReceipt(1000));
+      l1.outputs.push({ l2Block: 900 });
+      const bridge = createBridge(l1, l2);
+
+      expect((await bridge.track(WITHDRAWAL_TX, { type: 'withdrawal' })).status).to.equal(WITHDRAWAL_STATUS.WAITING_FOR_STATE_ROOT);
+      l1.outputs.push({ l2Block: 1800 });
+      expect((await bridge.refresh(WITHDRAWAL_TX)).status).to.equal(WITHDRAWAL_STATUS.READY_TO_PROVE);
+      expect(await bridge._findStateRoot(await bridge._portal(), 1000)).to.deep.equal({ index: 1n, outputRoot: ethers.id('output:1'), l2BlockNumber: 1800 });
+
+      const provenAt = l1.time;
+      l1.proofs.set(WITHDRAWAL_HASH, { timestamp: provenAt, index: 1 });
+      expect(await bridge.refresh(WITHDRAWAL_TX)).to.deep.include({
+        status: WITHDRAWAL_STATUS.CHALLENGE_PERIOD, provenAt: provenAt * 1000, challengeEndsAt: (provenAt + MATURITY_DELAY) * 1000
+      });
+      l1.time = provenAt + MATURITY_DELAY;
+      expect((await bridge.refresh(WITHDRAWAL_TX)).status).to.equal(WITHDRAWAL_STATUS.READY_TO_FINALIZE);
+      expect((await bridge._portal()).proofSystem).to.equal('outputOracle');
+    });
+
+    it('should fail reverted withdrawals and refuse transactions that withdraw nothing', async () => {
+      const l1 = createL1();
+      const l2 = createL2();
+      const bridge = createBridge(l1, l2);
+      l2.receipts.set(WITHDRAWAL_TX, withdrawalReceipt(1000, 0));
+      const transferTx = ethers.id('transfer-tx');
+      l2.receipts.set(transferTx, { ...withdrawalReceipt(1000), hash: transferTx, logs: [] });
+
+      const reverted = await bridge.track(WITHDRAWAL_TX, { type: 'withdrawal' });
+      const error = await bridge.track(transferTx, { type: 'withdrawal' }).then(() => null, e => e);
+
+      expect(reverted).to.deep.include({ status: WITHDRAWAL_STATUS.FAILED, error: 'L2 withdrawal transaction reverted' });
+      expect(error.code).to.equal('NOT_A_WITHDRAWAL');
+      expect((await bridge.getOperations()).map(operation => operation.id)).to.deep.equal([WITHDRAWAL_TX]);
+    });
+
+    it('should follow a deposit until its L2 transaction is mined and reload it after a restart', async () => {
+      const l1 = createL1();
+      const l2 = createL2();
+      const bridge = createBridge(l1, l2);
+      const log = { ...depositLog({ mint: 10n ** 17n, value: 10n ** 17n }), address: PORTAL };
+      const l2TxHash = getDepositTransactionHash(log);
+
+      expect((await bridge.track(DEPOSIT_TX, { type: 'deposit' })).status).to.equal(DEPOSIT_STATUS.INITIATED);
+      l1.receipts.set(DEPOSIT_TX, { hash: DEPOSIT_TX, status: 1, logs: [log] });
+      expect(await bridge.refresh(DEPOSIT_TX)).to.deep.include({ status: DEPOSIT_STATUS.WAITING_FOR_L2, l2TxHash });
+
+      const restarted = createBridge(l1, l2);
+      l2.receipts.set(l2TxHash, { hash: l2TxHash, status: 1, logs: [] });
+      expect(await restarted.refresh(DEPOSIT_TX)).to.deep.include({ status: DEPOSIT_STATUS.COMPLETED, l2TxHash });
+    });
+
+    it('should fail deposits that revert on either chain or whose message relay failed', async () => {
+      const l1 = createL1();
+      const l2 = createL2();
+      const bridge = createBridge(l1, l2);
+      const relayed = { ...depositLog({ index: 1 }), address: PORTAL };
+      const reverted = { ...depositLog({ index: 2 }), address: PORTAL };
+      const hashes = [1, 2, 3, 4].map(n => ethers.id(`deposit-${n}`));
+      l1.receipts.set(hashes[0], { hash: hashes[0], status: 0, logs: [] });
+      l1.receipts.set(hashes[1], { hash: hashes[1], status: 1, logs: [relayed] });
+      l1.receipts.set(hashes[2], { hash: hashes[2], status: 1, logs: [reverted] });
+      l1.receipts.set(hashes[3], { hash: hashes[3], status: 1, logs: [{ ...reverted, address: TO }] });
+      const failedRelay = { topics: [ethers.id('FailedRelayedMessage(bytes32)'), ethers.ZeroHash], data: '0x' };
+      l2.receipts.set(getDepositTransactionHash(relayed), { status: 1, logs: [failedRelay] });
+      l2.receipts.set(getDepositTransactionHash(reverted), { status: 0, logs: [] });
+
+      const operations = [];
+      for (const hash of hashes.slice(0, 3)) operations.push(await bridge.track(hash, { type: 'deposit' }));
+      const error = await bridge.track(hashes[3], { type: 'deposit' }).then(() => null, e => e);
+
+      expect(operations.map(operation => [operation.status, operation.error])).to.deep.equal([
+        [DEPOSIT_STATUS.FAILED, 'L1 deposit transaction reverted'],
+        [DEPOSIT_STATUS.FAILED, 'Message relay failed on L2; it can be replayed through the L2CrossDomainMessenger'],
+        [DEPOSIT_STATUS.FAILED, 'L2 deposit transaction reverted']
+      ]);
+      expect(error.code).to.equal('NOT_A_DEPOSIT');
+    });
+  });
+});
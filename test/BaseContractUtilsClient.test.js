@@ -0,0 +1,174 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { BaseContractUtilsClient, BASE_CONTRACT_UTILS_ABI } = require('../lib/BaseContractUtilsClient');
+const { MULTICALL3_ABI } = require('../lib/BaseMulticall');
+const { COMMON_CONTRACTS } = require('../lib/BaseNetworkUtils');
+
+const REGISTRY = '0x00000000000000000000000000000000000000c0';
+const OTHER = '0x00000000000000000000000000000000000000c1';
+const DEPLOYER = '0x00000000000000000000000000000000000000d0';
+const registry = new ethers.Interface(BASE_CONTRACT_UTILS_ABI);
+const multicall3 = new ethers.Interface(MULTICALL3_ABI);
+
+const contractAt = (n) => ethers.getAddress(ethers.zeroPadValue(ethers.toBeHex(0x1000 + n), 20));
+
+// A node holding a BaseContractUtils registry: each deployment lands in `block` at log `index`.
+// Multicall3 is answered by running its inner calls against the same registry.
+function createChain(deployments, { head = 20, multicall = false } = {}) {
+  const chain = { head, calls: [], logRequests: [] };
+
+  const atBlock = (blockTag) => deployments.filter(d => blockTag === undefined || d.block <= Number(blockTag));
+  const callRegistry = (data, blockTag) => {
+    const { name, args } = registry.parseTransaction({ data });
+    chain.calls.push({ name, blockTag });
+    const visible = atBlock(blockTag);
+    if (name === 'getDeploymentCount') return registry.encodeFunctionResult(name, [visible.length]);
+    const d = visible[Number(args[0])];
+    return registry.encodeFunctionResult(name, [[d.contractAddress, d.name, d.deployedAt, DEPLOYER]]);
+  };
+  const contractDeployedLog = (d) => ({
+    ...registry.encodeEventLog('ContractDeployed', [d.contractAddress, d.name]),
+    address: ethers.getAddress(d.address || REGISTRY),
+    blockNumber: d.block,
+    blockHash: ethers.zeroPadValue(ethers.toBeHex(d.block), 32),
+    transactionHash: ethers.id(`${d.name}:${d.block}:${d.index}`),
+    transactionIndex: 0,
+    index: d.index,
+    removed: false
+  });
+
+  chain.provider = {
+    getBlockNumber: async () => chain.head,
+    getCode: async (address) => (address.toLowerCase() === REGISTRY || (multicall && address === COMMON_CONTRACTS.Multicall3) ? '0x6080' : '0x'),
+    call: async ({ to, data, blockTag }) => {
+      if (to.toLowerCase() === REGISTRY) return callRegistry(data, blockTag);
+      const [calls] = multicall3.decodeFunctionData('aggregate3', data);
+      chain.calls.push({ name: 'aggregate3', blockTag });
+      return multicall3.encodeFunctionResult('aggregate3', [calls.map(call => [true, callRegistry(call.callData, blockTag)])]);
+    },
+    getLogs: async (filter) => {
+      chain.logRequests.push([filter.fromBlock, filter.toBlock]);
+      return deployments
+        .filter(d => d.block >= filter.fromBlock && d.block <= filter.toBlock)
+        .map(contractDeployedLog)
+        .filter(log => log.address.toLowerCase() === filter.address.toLowerCase());
+    }
+  };
+  // ethers providers are their own contract runner provider
+  chain.provider.provider = chain.provider;
+  chain.receiptFor = (d) => ({ hash: ethers.id('tx'), blockNumber: d.block, status: 1, logs: [contractDeployedLog(d)] });
+  return chain;
+}
+
+const deployment = (n, block, index, extra = {}) => ({ contractAddress: contractAt(n), name: `Contract${n}`, deployedAt: 1700000000 + n, block, index, ...extra });
+
+describe('BaseContractUtilsClient', () => {
+  describe('recordDeployment', () => {
+    it('should index a record after earlier blocks and earlier logs of its own block', async () => {
+      const ours = deployment(4, 12, 5);
+      const chain = createChain([
+        deployment(0, 10, 0),
+        deployment(1, 11, 2),
+        deployment(2, 12, 1),
+        deployment(9, 12, 3, { address: OTHER }),
+        ours,
+        deployment(3, 12, 7)
+      ]);
+      const client = new BaseContractUtilsClient(REGISTRY, chain.provider, { multicall: false });
+      client._send = async (method, args) => {
+        expect([method, ...args]).to.deep.equal(['recordDeployment', ours.contractAddress, ours.name]);
+        return chain.receiptFor(ours);
+      };
+
+      const recorded = await client.recordDeployment(ours.contractAddress, ours.name);
+
+      expect(recorded).to.deep.include({ blockNumber: 12, contractAddress: ours.contractAddress, name: 'Contract4', index: 3 });
+      expect(chain.calls).to.deep.include({ name: 'getDeploymentCount', blockTag: 11 });
+    });
+  });
+
+  describe('getDeployments', () => {
+    const records = [0, 1, 2, 3, 4].map(n => deployment(n, 10 + n, 0));
+
+    for (const multicall of [false, true]) {
+      it(`should read pages pinned to the head block ${multicall ? 'through Multicall3' : 'call by call'}`, async () => {
+        // A record mined after the page was pinned must not shift it
+        const chain = createChain([...records, deployment(5, 21, 0)], { multicall });
+        const client = new BaseContractUtilsClient(REGISTRY, chain.provider, multicall ? {} : { multicall: false });
+
+        const page = await client.getDeployments({ offset: 1, limit: 2 });
+
+        expect(page.items.map(item => [item.index, item.name, item.deployedAt])).to.deep.equal([[1, 'Contract1', 1700000001], [2, 'Contract2', 1700000002]]);
+        expect(page).to.deep.include({ total: 5, offset: 1, limit: 2, nextOffset: 3 });
+        expect(page.items[0].deployer).to.equal(ethers.getAddress(DEPLOYER));
+        expect(chain.calls.every(call => call.blockTag === 20)).to.equal(true);
+        expect(chain.calls.some(call => call.name === 'aggregate3')).to.equal(multicall);
+      });
+    }
+
+    it('should page from the newest record in desc order and end with nextOffset null', async () => {
+      const client = new BaseContractUtilsClient(REGISTRY, createChain(records).provider, { multicall: false });
+
+      const first = await client.getDeployments({ limit: 2, order: 'desc' });
+      const last = await client.getDeployments({ offset: 4, limit: 2, order: 'desc' });
+      const beyond = await client.getDeployments({ offset: 9 });
+
+      expect(first.items.map(item => item.index)).to.deep.equal([4, 3]);
+      expect(last.items.map(item => item.index)).to.deep.equal([0]);
+      expect(last.nextOffset).to.equal(null);
+      expect(beyond).to.deep.include({ items: [], total: 5, nextOffset: null });
+      await client.getDeployments({ order: 'newest' }).then(() => expect.fail('accepted an unknown order'), error => {
+        expect(error.code).to.equal('INVALID_ARGUMENT');
+      });
+    });
+
+    it('should iterate every page and find the records of one address', async () => {
+      const chain = createChain([...records, deployment(2, 16, 0, { name: 'Contract2 again' })]);
+      const client = new BaseContractUtilsClient(REGISTRY, chain.provider, { multicall: false });
+
+      const all = [];
+      for await (const item of client.iterateDeployments({ pageSize: 2 })) all.push(item.index);
+      const matches = await client.findDeployments(contractAt(2));
+
+      expect(all).to.deep.equal([0, 1, 2, 3, 4, 5]);
+      expect(matches.map(match => [match.index, match.name])).to.deep.equal([[2, 'Contract2'], [5, 'Contract2 again']]);
+    });
+
+    it('should reject indexes outside the registry', async () => {
+      const client = new BaseContractUtilsClient(REGISTRY, createChain(records).provider, { multicall: false });
+
+      expect((await client.getDeployment(4)).name).to.equal('Contract4');
+      for (const index of [5, -1, 1.5]) {
+        const error = await client.getDeployment(index).then(() => null, e => e);
+        expect(error).to.deep.include({ code: 'INDEX_OUT_OF_BOUNDS', index, count: 5 });
+      }
+    });
+  });
+
+  describe('queryEvents', () => {
+    it('should split the block range into logBlockRange requests', async () => {
+      const chain = createChain([deployment(0, 3, 0), deployment(1, 9, 0), deployment(2, 12, 0)], { head: 12 });
+      const client = new BaseContractUtilsClient(REGISTRY, chain.provider, { fromBlock: 2, logBlockRange: 5, multicall: false });
+
+      const events = await client.getContractDeployedEvents();
+
+      expect(chain.logRequests).to.deep.equal([[2, 6], [7, 11], [12, 12]]);
+      expect(events.map(event => [event.name, event.blockNumber])).to.deep.equal([['Contract0', 3], ['Contract1', 9], ['Contract2', 12]]);
+    });
+  });
+
+  describe('writes', () => {
+    it('should need a signer and a deployed registry', async () => {
+      const chain = createChain([]);
+      const readOnly = new BaseContractUtilsClient(REGISTRY, chain.provider, { multicall: false });
+      const signer = { provider: chain.provider, sendTransaction: async () => expect.fail('sent to an empty address') };
+      const missing = new BaseContractUtilsClient(OTHER, signer, { multicall: false });
+
+      const noSigner = await readOnly.recordDeployment(contractAt(1), 'Token').then(() => null, e => e);
+      const noCode = await missing.recordDeployment(contractAt(1), 'Token').then(() => null, e => e);
+
+      expect(noSigner.message).to.include('requires a signer');
+      expect(noCode.code).to.equal('CONTRACT_NOT_FOUND');
+    });
+  });
+});
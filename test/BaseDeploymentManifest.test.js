@@ -0,0 +1,176 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { BaseDeploymentManifest, buildManifestEntry, diffManifests } = require('../scripts/BaseDeploymentManifest');
+
+const TOKEN = '0x00000000000000000000000000000000000000aa';
+const VAULT = '0x00000000000000000000000000000000000000bb';
+
+const entry = (address, overrides = {}) => ({
+  contractName: 'Token',
+  address,
+  initCodeHash: ethers.id('init'),
+  bytecodeHash: ethers.id('code'),
+  constructorArgs: '0x',
+  compiler: { version: '0.8.19', settings: { optimizer: { enabled: true, runs: 200 } } },
+  ...overrides
+});
+
+describe('BaseDeploymentManifest', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('network names', () => {
+    it('should store aliases and chain ids under the canonical network', () => {
+      for (const network of ['mainnet', 'base-mainnet', 8453, '8453']) {
+        const manifest = new BaseDeploymentManifest({ network, dir });
+        expect(manifest.network).to.equal('base');
+        expect(manifest.path).to.equal(path.join(dir, 'base.json'));
+      }
+      expect(new BaseDeploymentManifest({ network: 'base-sepolia', dir }).path).to.equal(path.join(dir, 'baseSepolia.json'));
+    });
+
+    it('should share one file between aliases', async () => {
+      await (await BaseDeploymentManifest.load('mainnet', { dir })).record('Token', entry(TOKEN));
+
+      const reopened = await BaseDeploymentManifest.load(8453, { dir });
+
+      expect(reopened.get('Token').address).to.equal(TOKEN);
+      expect(reopened.data.network).to.equal('base');
+    });
+  });
+
+  describe('load', () => {
+    it('should start empty when the file does not exist', async () => {
+      const manifest = await BaseDeploymentManifest.load('base', { dir });
+
+      expect(manifest.revision).to.equal(0);
+      expect(manifest.list()).to.deep.equal([]);
+    });
+
+    it('should refuse a manifest from another chain', async () => {
+      const file = path.join(dir, 'base.json');
+      fs.writeFileSync(file, JSON.stringify({ format: 1, network: 'baseSepolia', chainId: 84532, contracts: {} }));
+
+      const error = await BaseDeploymentManifest.load('base', { path: file }).then(() => null, e => e);
+
+      expect(error.code).to.equal('NETWORK_MISMATCH');
+    });
+
+    it('should refuse newer manifest formats and unreadable files', async () => {
+      const newer = path.join(dir, 'newer.json');
+      const broken = path.join(dir, 'broken.json');
+      fs.writeFileSync(newer, JSON.stringify({ format: 99, chainId: 8453 }));
+      fs.writeFileSync(broken, '{');
+
+      expect((await BaseDeploymentManifest.load('base', { path: newer }).then(() => null, e => e)).code).to.equal('INVALID_MANIFEST');
+      expect((await BaseDeploymentManifest.load('base', { path: broken }).then(() => null, e => e)).code).to.equal('INVALID_MANIFEST');
+    });
+  });
+
+  describe('record', () => {
+    it('should bump the revision and keep replaced entries in the history', async () => {
+      const manifest = await BaseDeploymentManifest.load('base', { dir });
+      await manifest.record('Token', entry(TOKEN));
+      await manifest.record('Token', entry(VAULT));
+
+      const reopened = await BaseDeploymentManifest.load('base', { dir });
+
+      expect(reopened.revision).to.equal(2);
+      expect(reopened.get('Token').address).to.equal(VAULT);
+      expect(reopened.get('Token').history.map(previous => previous.address)).to.deep.equal([TOKEN]);
+      expect(reopened.getByAddress(VAULT.toUpperCase().replace('0X', '0x')).key).to.equal('Token');
+    });
+
+    it('should record completed migrations', async () => {
+      const manifest = await BaseDeploymentManifest.load('base', { dir });
+      await manifest.markMigration('001-token', { txHash: '0x01' });
+
+      expect((await BaseDeploymentManifest.load('base', { dir })).isMigrationComplete('001-token')).to.equal(true);
+    });
+  });
+
+  describe('checkCodeDrift', () => {
+    it('should flag missing and changed code', async () => {
+      const manifest = new BaseDeploymentManifest({ network: 'base', dir });
+      manifest.data.contracts = {
+        Same: entry(TOKEN, { runtimeCodeHash: ethers.keccak256('0x6001') }),
+        Changed: entry(VAULT, { runtimeCodeHash: ethers.keccak256('0x6001') }),
+        Gone: entry('0x00000000000000000000000000000000000000cc')
+      };
+      const code = { [TOKEN]: '0x6001', [VAULT]: '0x6002' };
+      const provider = { getCode: async (address) => code[address] || '0x' };
+
+      const results = await manifest.checkCodeDrift(provider);
+
+      expect(results.map(result => [result.key, result.status])).to.deep.equal([['Same', 'ok'], ['Changed', 'changed'], ['Gone', 'missing']]);
+    });
+  });
+
+  describe('buildManifestEntry', () => {
+    it('should hash the init code with its constructor arguments', () => {
+      const compiled = {
+        contractName: 'Token',
+        abi: [],
+        bytecode: '0x6080',
+        deployedBytecode: '0x6001',
+        compilerVersion: '0.8.19',
+        input: { settings: { optimizer: { enabled: true }, outputSelection: {} } }
+      };
+
+      const built = buildManifestEntry({ compiled, address: TOKEN, receipt: { hash: '0x01', blockNumber: 5 }, deployer: VAULT, constructorArgs: '0x01' });
+
+      expect(built.initCodeHash).to.equal(ethers.keccak256('0x608001'));
+      expect(built.bytecodeHash).to.equal(ethers.keccak256('0x6001'));
+      expect(built.compiler).to.deep.equal({ version: '0.8.19', settings: { optimizer: { enabled: true } } });
+      expect(built.address).to.equal(ethers.getAddress(TOKEN));
+    });
+  });
+
+  describe('diffManifests', () => {
+    const manifest = (network, contracts, migrations = {}) => ({ network, chainId: 1, revision: 3, contracts, migrations });
+
+    it('should classify contracts and list unapplied migrations', () => {
+      const from = manifest('baseSepolia', {
+        Same: entry(TOKEN),
+        Changed: entry(TOKEN, { bytecodeHash: ethers.id('old') }),
+        Removed: entry(TOKEN)
+      }, { '001': {}, '002': {} });
+      const to = manifest('base', {
+        Same: entry(VAULT),
+        Changed: entry(VAULT, { bytecodeHash: ethers.id('new') }),
+        Added: entry(VAULT)
+      }, { '001': {} });
+
+      const diff = diffManifests(from, to);
+
+      expect(diff.contracts.map(contract => [contract.key, contract.status])).to.deep.equal([
+        ['Added', 'only_in_to'], ['Changed', 'changed'], ['Removed', 'only_in_from'], ['Same', 'same']
+      ]);
+      expect(diff.contracts[1].differences).to.deep.equal([{ field: 'bytecodeHash', from: ethers.id('old'), to: ethers.id('new') }]);
+      expect(diff.migrations).to.deep.equal({ onlyInFrom: ['002'], onlyInTo: [] });
+      expect(diff.summary).to.deep.include({ same: 1, changed: 1, onlyInFrom: 1, onlyInTo: 1 });
+    });
+
+    it('should compare nested compiler settings and accept manifest instances', () => {
+      const a = new BaseDeploymentManifest({ network: 'base', dir });
+      const b = new BaseDeploymentManifest({ network: 'baseSepolia', dir });
+      a.data.contracts.Token = entry(TOKEN);
+      b.data.contracts.Token = entry(TOKEN, { compiler: { version: '0.8.19', settings: { optimizer: { enabled: false } } } });
+
+      const [token] = diffManifests(a, b).contracts;
+
+      expect(token.sameAddress).to.equal(true);
+      expect(token.differences.map(difference => difference.field)).to.deep.equal(['compiler.settings']);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { BaseEventIndexer } = require('../utils/BaseEventIndexer');
+
+const ABI = ['event Ping(address indexed from, uint256 value)'];
+const ADDRESS = '0x00000000000000000000000000000000000000aa';
+const SENDER = '0x00000000000000000000000000000000000000bb';
+const iface = new ethers.Interface(ABI);
+
+// An in-memory chain: `fork` rewrites blocks from a height on, like a reorg
+class FakeChain {
+  constructor(head) {
+    this.head = head;
+    this.fork = 0;
+    this.forkFrom = Infinity;
+    this.pings = new Map();
+    this.failures = 0;
+    this.maxRange = Infinity;
+  }
+
+  hashOf(number) {
+    return ethers.id(`block-${number}-${number >= this.forkFrom ? this.fork : 0}`);
+  }
+
+  ping(blockNumber, value) {
+    this.pings.set(blockNumber, value);
+  }
+
+  async getBlockNumber() {
+    if (this.failures > 0) {
+      this.failures--;
+      throw new Error('connection refused');
+    }
+    return this.head;
+  }
+
+  async getBlock(number) {
+    return number <= this.head ? { number, hash: this.hashOf(number), timestamp: number * 2 } : null;
+  }
+
+  async getLogs({ fromBlock, toBlock }) {
+    if (toBlock - fromBlock + 1 > this.maxRange) {
+      throw new Error('query returned more than 10000 results');
+    }
+    return [...this.pings.entries()]
+      .filter(([number]) => number >= fromBlock && number <= toBlock)
+      .map(([number, value]) => ({
+        ...iface.encodeEventLog('Ping', [SENDER, value]),
+        address: ADDRESS,
+        blockNumber: number,
+        blockHash: this.hashOf(number),
+        transactionHash: ethers.id(`tx-${number}-${value}`),
+        index: 0,
+        removed: false
+      }));
+  }
+}
+
+describe('BaseEventIndexer', () => {
+  let chain;
+  let indexer;
+
+  beforeEach(() => {
+    chain = new FakeChain(100);
+    chain.ping(10, 1n);
+    chain.ping(50, 2n);
+    indexer = new BaseEventIndexer(chain, { batchSize: 40, pollInterval: 10 });
+    indexer.addSource({ name: 'pinger', address: ADDRESS, abi: ABI });
+  });
+
+  afterEach(async () => {
+    await indexer.stop();
+  });
+
+  describe('sync', () => {
+    it('should index decoded events up to the head', async () => {
+      const result = await indexer.sync();
+
+      expect(result).to.deep.include({ fromBlock: 0, toBlock: 100, events: 2, reorg: null });
+      const events = await indexer.store.query({ source: 'pinger' });
+      expect(events.map(e => e.args)).to.deep.equal([{ from: ethers.getAddress(SENDER), value: '1' }, { from: ethers.getAddress(SENDER), value: '2' }]);
+    });
+
+    it('should continue from the checkpoint', async () => {
+      await indexer.sync();
+      chain.head = 120;
+      chain.ping(110, 3n);
+
+      const result = await indexer.sync();
+
+      expect(result).to.deep.include({ fromBlock: 101, toBlock: 120, events: 1 });
+    });
+
+    it('should halve the block range when the provider refuses it', async () => {
+      chain.maxRange = 10;
+      const reductions = [];
+      indexer.on('rangeReduced', ({ batchSize }) => reductions.push(batchSize));
+
+      const result = await indexer.sync();
+
+      expect(result.events).to.equal(2);
+      expect(reductions[0]).to.equal(20);
+    });
+
+    it('should roll back and re-index after a reorg', async () => {
+      await indexer.sync();
+      // Blocks from 50 on are replaced; the ping at 50 moves to 60
+      chain.forkFrom = 50;
+      chain.fork = 1;
+      chain.pings.delete(50);
+      chain.ping(60, 4n);
+      const reorgs = [];
+      indexer.on('reorg', reorg => reorgs.push(reorg));
+
+      const result = await indexer.sync();
+
+      expect(reorgs).to.have.length(1);
+      expect(reorgs[0].commonAncestor).to.be.below(50);
+      expect(result.reorg.removed).to.equal(1);
+      expect((await indexer.store.query()).map(e => e.blockNumber)).to.deep.equal([10, 60]);
+    });
+
+    it('should find the common ancestor of a head reorg with no events in the window', async () => {
+      await indexer.sync();
+      chain.forkFrom = 100;
+      chain.fork = 1;
+
+      const result = await indexer.sync();
+
+      expect(result.reorg).to.deep.include({ commonAncestor: 99, removed: 0 });
+      expect(await indexer.store.getCheckpoint()).to.deep.equal({ blockNumber: 100, blockHash: chain.hashOf(100) });
+    });
+
+    it('should keep the hashes of the last reorgDepth blocks only', async () => {
+      indexer = new BaseEventIndexer(chain, { batchSize: 40, reorgDepth: 8 });
+      indexer.addSource({ name: 'pinger', address: ADDRESS, abi: ABI });
+      await indexer.sync();
+
+      expect((await indexer.store.getBlockHashes()).map(block => block.number)).to.deep.equal([92, 93, 94, 95, 96, 97, 98, 99, 100]);
+
+      chain.forkFrom = 90;
+      chain.fork = 1;
+      const error = await indexer.sync().then(() => null, e => e);
+      expect(error.code).to.equal('REORG_TOO_DEEP');
+      expect(error.message).to.include('below block 92');
+    });
+  });
+
+  describe('start', () => {
+    it('should reject a second start while running', async () => {
+      await indexer.start();
+
+      const error = await indexer.start().then(() => null, e => e);
+      expect(error.message).to.equal('Indexer is already running');
+    });
+
+    it('should be startable again after the first sync fails', async () => {
+      chain.failures = 1;
+
+      const error = await indexer.start().then(() => null, e => e);
+      expect(error.message).to.equal('connection refused');
+      expect(indexer.running).to.equal(false);
+
+      const result = await indexer.start();
+      expect(result.events).to.equal(2);
+      expect(indexer.running).to.equal(true);
+    });
+
+    it('should stay stopped when stop() is called during the first sync', async () => {
+      const started = indexer.start();
+      await indexer.stop();
+      await started;
+
+      expect(indexer.running).to.equal(false);
+    });
+  });
+});
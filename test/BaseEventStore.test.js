@@ -0,0 +1,149 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEventStore, matchesFilter } = require('../utils/BaseEventStore');
+
+const hash = (n) => `0x${n.toString(16).padStart(64, '0')}`;
+
+const event = (blockNumber, logIndex, args = {}) => ({
+  id: `${blockNumber}-${logIndex}`,
+  source: 'pool',
+  event: 'Staked',
+  address: '0x00000000000000000000000000000000000000aa',
+  args,
+  blockNumber,
+  blockHash: hash(blockNumber),
+  transactionHash: hash(1000 + blockNumber),
+  logIndex,
+  timestamp: null
+});
+
+const hasSqlite = (() => {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+// The memory and JSON stores share applyCommit / applyRollback; SQLite implements the same contract
+for (const type of ['memory', 'json', 'sqlite']) {
+  describe(`EventStore (${type})`, function () {
+    let dir;
+    let store;
+
+    const open = () => createEventStore(type === 'memory' ? { type } : {
+      type,
+      path: path.join(dir, type === 'json' ? 'events.json' : 'events.db')
+    });
+
+    beforeEach(function () {
+      if (type === 'sqlite' && !hasSqlite) this.skip();
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-store-'));
+      store = open();
+    });
+
+    afterEach(async () => {
+      if (store) await store.close();
+      if (dir) fs.rmSync(dir, { recursive: true, force: true });
+      store = null;
+      dir = null;
+    });
+
+    describe('commit', () => {
+      it('should start empty', async () => {
+        expect(await store.getCheckpoint()).to.equal(null);
+        expect(await store.getBlockHashes()).to.deep.equal([]);
+        expect(await store.query()).to.deep.equal([]);
+      });
+
+      it('should store events in chain order and advance the checkpoint', async () => {
+        await store.commit({
+          events: [event(12, 0), event(11, 3), event(11, 1)],
+          blocks: [{ number: 11, hash: hash(11) }, { number: 12, hash: hash(12) }],
+          checkpoint: { blockNumber: 20, blockHash: hash(20) }
+        });
+
+        expect((await store.query()).map(e => e.id)).to.deep.equal(['11-1', '11-3', '12-0']);
+        expect(await store.getCheckpoint()).to.deep.equal({ blockNumber: 20, blockHash: hash(20) });
+        expect((await store.getBlockHashes()).map(block => block.number)).to.deep.equal([11, 12, 20]);
+      });
+
+      it('should ignore events it already has and prune old block hashes', async () => {
+        await store.commit({ events: [event(5, 0)], blocks: [{ number: 5, hash: hash(5) }], checkpoint: { blockNumber: 10, blockHash: hash(10) } });
+        await store.commit({
+          events: [event(5, 0), event(15, 0)],
+          blocks: [{ number: 15, hash: hash(15) }],
+          checkpoint: { blockNumber: 20, blockHash: hash(20) },
+          keepBlocksFrom: 8
+        });
+
+        expect((await store.query()).map(e => e.id)).to.deep.equal(['5-0', '15-0']);
+        expect((await store.getBlockHashes()).map(block => block.number)).to.deep.equal([10, 15, 20]);
+      });
+    });
+
+    describe('rollback', () => {
+      it('should drop everything after the block and return the removed events', async () => {
+        await store.commit({
+          events: [event(5, 0), event(7, 0), event(9, 1)],
+          blocks: [5, 7, 9].map(number => ({ number, hash: hash(number) })),
+          checkpoint: { blockNumber: 10, blockHash: hash(10) }
+        });
+
+        const removed = await store.rollback(5, hash(5));
+
+        expect(removed.map(e => e.id)).to.deep.equal(['7-0', '9-1']);
+        expect((await store.query()).map(e => e.id)).to.deep.equal(['5-0']);
+        expect(await store.getCheckpoint()).to.deep.equal({ blockNumber: 5, blockHash: hash(5) });
+        expect((await store.getBlockHashes()).map(block => block.number)).to.deep.equal([5]);
+      });
+    });
+
+    describe('query', () => {
+      beforeEach(async () => {
+        await store.commit({
+          events: [event(1, 0, { user: '0xAB', amount: '1' }), event(2, 0, { user: '0xcd', amount: '2' }), event(3, 0, { user: '0xab', amount: '3' })],
+          checkpoint: { blockNumber: 3, blockHash: hash(3) }
+        });
+      });
+
+      it('should filter by block range and by argument, ignoring address case', async () => {
+        expect((await store.query({ fromBlock: 2 })).map(e => e.id)).to.deep.equal(['2-0', '3-0']);
+        expect((await store.query({ args: { user: '0xab' } })).map(e => e.args.amount)).to.deep.equal(['1', '3']);
+        expect((await store.query({ args: { amount: ['2', '3'] }, toBlock: 2 })).map(e => e.id)).to.deep.equal(['2-0']);
+      });
+
+      it('should apply order and limit', async () => {
+        expect((await store.query({ order: 'desc', limit: 2 })).map(e => e.id)).to.deep.equal(['3-0', '2-0']);
+      });
+    });
+
+    if (type !== 'memory') {
+      it('should keep events and the checkpoint across reopening', async () => {
+        await store.commit({ events: [event(4, 2)], checkpoint: { blockNumber: 4, blockHash: hash(4) } });
+        await store.close();
+
+        store = open();
+        expect((await store.query()).map(e => e.id)).to.deep.equal(['4-2']);
+        expect(await store.getCheckpoint()).to.deep.equal({ blockNumber: 4, blockHash: hash(4) });
+      });
+    }
+  });
+}
+
+describe('matchesFilter', () => {
+  it('should match on source, event and address', () => {
+    const e = event(1, 0);
+    expect(matchesFilter(e, { source: 'pool', event: 'Staked', address: e.address.toUpperCase().replace('0X', '0x') })).to.equal(true);
+    expect(matchesFilter(e, { event: 'Withdrawn' })).to.equal(false);
+  });
+});
+
+describe('createEventStore', () => {
+  it('should reject unknown store types', () => {
+    expect(() => createEventStore({ type: 'redis' })).to.throw('Unknown event store "redis"');
+  });
+});
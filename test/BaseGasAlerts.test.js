@@ -0,0 +1,102 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAlertRule, evaluateAlertRule, createAlertSink } = require('../utils/BaseGasAlerts');
+const BaseGasMonitor = require('../utils/BaseGasMonitor');
+
+const MINUTE = 60 * 1000;
+
+// Feeds values one minute apart and collects the transitions
+const run = (rule, values) => values.map((value, i) => evaluateAlertRule(rule, value, i * MINUTE));
+
+describe('BaseGasAlerts', () => {
+  describe('createAlertRule', () => {
+    it('should derive the clear level from the hysteresis', () => {
+      expect(createAlertRule({ metric: 'baseFee', above: 10 }).clearAt).to.equal(9);
+      expect(createAlertRule({ metric: 'baseFee', below: 10, hysteresis: 0.5 }).clearAt).to.equal(15);
+    });
+
+    it('should reject invalid rules', () => {
+      expect(() => createAlertRule({ metric: 'blobFee', above: 1 })).to.throw('metric must be one of');
+      expect(() => createAlertRule({ metric: 'baseFee', above: 1, below: 2 })).to.throw('exactly one of "above" or "below"');
+      expect(() => createAlertRule({ metric: 'baseFee', above: 10, clearAt: 11 })).to.throw('clearAt must be on the other side');
+      expect(() => createAlertRule({ metric: 'gasPrice', above: 1, transaction: { to: '0x' } })).to.throw('has a transaction but watches gasPrice');
+    });
+
+    it('should give txCost rules the reference transfer by default', () => {
+      const rule = createAlertRule({ metric: 'txCost', above: 0.001 });
+      expect(rule.transaction.gasLimit).to.equal(21000n);
+    });
+  });
+
+  describe('evaluateAlertRule', () => {
+    it('should fire once and stay quiet while the value hovers around the threshold', () => {
+      const rule = createAlertRule({ metric: 'baseFee', above: 10, cooldownMs: 0 });
+
+      expect(run(rule, [5, 10, 9.5, 10.5, 9.1, 11])).to.deep.equal([null, 'triggered', null, null, null, null]);
+      expect(rule.state.active).to.equal(true);
+    });
+
+    it('should clear only once the value drops below clearAt, then fire again', () => {
+      const rule = createAlertRule({ metric: 'baseFee', above: 10, cooldownMs: 0 });
+
+      expect(run(rule, [12, 8.9, 9.5, 10])).to.deep.equal(['triggered', 'cleared', null, 'triggered']);
+    });
+
+    it('should mirror the logic for "below" rules', () => {
+      const rule = createAlertRule({ metric: 'priorityFee', below: 1, clearAt: 2, cooldownMs: 0 });
+
+      expect(run(rule, [1.5, 0.5, 1.9, 2.1, 1])).to.deep.equal([null, 'triggered', null, 'cleared', 'triggered']);
+    });
+
+    it('should not re-trigger within the cooldown', () => {
+      const rule = createAlertRule({ metric: 'gasPrice', above: 10, clearAt: 5, cooldownMs: 3 * MINUTE });
+
+      // fires at 0, clears at 1, cooling down at 2, fires again at 3
+      expect(run(rule, [11, 4, 11, 11])).to.deep.equal(['triggered', 'cleared', null, 'triggered']);
+    });
+  });
+
+  describe('createAlertSink', () => {
+    it('should append events to a JSON-lines file', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+      const file = path.join(dir, 'nested', 'alerts.jsonl');
+      const sink = createAlertSink({ type: 'file', path: file });
+
+      await sink({ type: 'alert', value: 1 });
+      await sink({ type: 'alertCleared', value: 2 });
+
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(event => event.type)).to.deep.equal(['alert', 'alertCleared']);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should reject unknown sink types', () => {
+      expect(() => createAlertSink({ type: 'pager' })).to.throw('Unknown alert sink "pager"');
+    });
+  });
+
+  describe('BaseGasMonitor.checkGasAlerts', () => {
+    const snapshot = { timestamp: new Date(0).toISOString(), blockNumber: 1, baseFee: 20, priorityFee: 0.1, gasPrice: 20.1, gasPriceWei: '20100000000' };
+
+    it('should evaluate the remaining rules when one of them fails', async () => {
+      const monitor = new BaseGasMonitor('http://127.0.0.1:1', { priceOracle: { fixedPrice: 3000 } });
+      monitor.l1FeeOracle = { estimateCost: async () => { throw new Error('rpc down'); } };
+      monitor.addAlertRule({ name: 'expensive transfer', metric: 'txCost', above: 0.0001 });
+      monitor.addAlertRule({ name: 'high base fee', metric: 'baseFee', above: 10 });
+
+      const errors = [];
+      const alerts = [];
+      monitor.on('error', error => errors.push(error.message));
+      monitor.on('alert', event => alerts.push(event.rule.name));
+
+      const events = await monitor.checkGasAlerts(snapshot);
+
+      expect(events).to.have.length(1);
+      expect(alerts).to.deep.equal(['high base fee']);
+      expect(errors).to.deep.equal(['Alert rule expensive transfer failed: rpc down']);
+      monitor.provider.destroy();
+    });
+  });
+});
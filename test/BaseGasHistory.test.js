@@ -0,0 +1,204 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MemoryGasHistoryStore,
+  JsonlGasHistoryStore,
+  createGasHistoryStore,
+  GAS_METRICS
+} = require('../utils/BaseGasHistory');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1);
+
+// One gas price sample per minute from T0
+const series = (values) => values.map((value, i) => ({ metric: GAS_METRICS.GAS_PRICE, value, timestamp: T0 + i * MINUTE }));
+
+describe('BaseGasHistory', () => {
+  describe('MemoryGasHistoryStore', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new MemoryGasHistoryStore();
+    });
+
+    it('should normalize samples and reject ones without a metric or numeric value', async () => {
+      expect(await store.append({ metric: 'baseFee', value: '0.5', timestamp: new Date(T0).toISOString() })).to.equal(1);
+
+      expect(await store.query()).to.deep.equal([{ timestamp: T0, metric: 'baseFee', value: 0.5, data: null }]);
+      await store.append({ value: 1 }).then(() => expect.fail('accepted a sample without a metric'), error => {
+        expect(error.message).to.include('need a metric');
+      });
+      await store.append({ metric: 'baseFee', value: 'high' }).then(() => expect.fail('accepted a non-numeric value'), error => {
+        expect(error.message).to.include('non-numeric value');
+      });
+    });
+
+    it('should keep samples in time order and filter by metric, range and limit', async () => {
+      await store.append(series([3, 4, 5]).reverse());
+      await store.append({ metric: 'baseFee', value: 9, timestamp: T0 + MINUTE });
+
+      const inRange = await store.query({ metric: GAS_METRICS.GAS_PRICE, from: T0 + MINUTE, to: new Date(T0 + 2 * MINUTE) });
+      const latest = await store.query({ limit: 2 });
+
+      expect(inRange.map(sample => sample.value)).to.deep.equal([4, 5]);
+      expect(latest.map(sample => sample.value)).to.deep.equal([9, 5]);
+    });
+
+    it('should drop the oldest samples beyond maxSamples', async () => {
+      store = new MemoryGasHistoryStore({ maxSamples: 3 });
+
+      await store.append(series([1, 2, 3, 4, 5]));
+
+      expect((await store.query()).map(sample => sample.value)).to.deep.equal([3, 4, 5]);
+    });
+
+    it('should clear by metric and cutoff time', async () => {
+      await store.append(series([1, 2, 3]));
+      await store.append({ metric: GAS_METRICS.GAS_ESTIMATE, value: 21000, timestamp: T0 });
+
+      expect(await store.clear({ metric: GAS_METRICS.GAS_PRICE, before: T0 + 2 * MINUTE })).to.equal(2);
+      expect((await store.query()).map(sample => sample.value)).to.deep.equal([21000, 3]);
+      expect(await store.clear()).to.equal(2);
+    });
+  });
+
+  describe('JsonlGasHistoryStore', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gas-history-'));
+      file = path.join(dir, 'nested', 'gas.jsonl');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should persist samples across instances', async () => {
+      await new JsonlGasHistoryStore({ path: file }).append(series([2, 1]));
+
+      const samples = await new JsonlGasHistoryStore({ path: file }).query();
+
+      expect(samples.map(sample => [sample.timestamp - T0, sample.value])).to.deep.equal([[0, 2], [MINUTE, 1]]);
+    });
+
+    it('should serialize concurrent appends into whole lines', async () => {
+      const store = new JsonlGasHistoryStore({ path: file });
+
+      await Promise.all(series([1, 2, 3, 4, 5, 6]).map(sample => store.append(sample)));
+
+      expect(fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line).value).sort()).to.deep.equal([1, 2, 3, 4, 5, 6]);
+      expect(await store.query({ limit: 2 })).to.have.length(2);
+    });
+
+    it('should skip a truncated last line', async () => {
+      const store = new JsonlGasHistoryStore({ path: file });
+      await store.append(series([1, 2]));
+      fs.appendFileSync(file, '{"timestamp":');
+
+      expect((await store.query()).map(sample => sample.value)).to.deep.equal([1, 2]);
+    });
+
+    it('should rewrite the file without cleared samples', async () => {
+      const store = new JsonlGasHistoryStore({ path: file });
+      await store.append(series([1, 2, 3]));
+
+      expect(await store.clear({ before: T0 + MINUTE })).to.equal(1);
+      expect(await store.clear({ metric: 'baseFee' })).to.equal(0);
+      expect(fs.readFileSync(file, 'utf8').trim().split('\n')).to.have.length(2);
+      expect(fs.existsSync(`${file}.tmp`)).to.equal(false);
+    });
+
+    it('should read nothing before the first append', async () => {
+      expect(await new JsonlGasHistoryStore({ path: file }).query()).to.deep.equal([]);
+    });
+  });
+
+  describe('analytics', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new MemoryGasHistoryStore();
+    });
+
+    it('should compute nearest-rank percentiles with summary statistics', async () => {
+      await store.append(series([7, 3, 10, 1, 5, 9, 2, 8, 4, 6]));
+
+      const stats = await store.percentiles({ metric: GAS_METRICS.GAS_PRICE });
+
+      expect(stats).to.deep.include({ count: 10, min: 1, max: 10, mean: 5.5 });
+      expect(stats.percentiles).to.deep.equal({ p10: 1, p25: 3, p50: 5, p75: 8, p90: 9, p99: 10 });
+    });
+
+    it('should return empty percentiles for an empty range', async () => {
+      await store.append(series([1, 2]));
+
+      const stats = await store.percentiles({ from: T0 + HOUR, percentiles: [50] });
+
+      expect(stats).to.deep.equal({ metric: null, count: 0, min: null, max: null, mean: null, percentiles: { p50: null } });
+    });
+
+    it('should average over a window of samples or of time', async () => {
+      await store.append(series([1, 2, 3, 4]));
+
+      const bySamples = await store.movingAverage({ window: 3 });
+      const byTime = await store.movingAverage({ windowMs: 2 * MINUTE });
+
+      expect(bySamples.map(point => point.average)).to.deep.equal([1, 1.5, 2, 3]);
+      expect(byTime.map(point => point.average)).to.deep.equal([1, 1.5, 2.5, 3.5]);
+      expect(bySamples[3]).to.deep.equal({ timestamp: T0 + 3 * MINUTE, value: 4, average: 3 });
+    });
+
+    it('should compute an exponential moving average', async () => {
+      await store.append(series([1, 2, 3, 4]));
+
+      const points = await store.movingAverage({ type: 'exponential', alpha: 0.5 });
+
+      expect(points.map(point => point.average)).to.deep.equal([1, 1.5, 2.25, 3.125]);
+      await store.movingAverage({ type: 'weighted' }).then(() => expect.fail('accepted an unknown type'), error => {
+        expect(error.message).to.include('Unknown moving average type');
+      });
+    });
+
+    it('should group samples into OHLC candles aligned to the interval', async () => {
+      await store.append([
+        { metric: GAS_METRICS.GAS_PRICE, value: 3, timestamp: T0 + 10 * MINUTE },
+        { metric: GAS_METRICS.GAS_PRICE, value: 5, timestamp: T0 + 20 * MINUTE },
+        { metric: GAS_METRICS.GAS_PRICE, value: 2, timestamp: T0 + 50 * MINUTE },
+        { metric: GAS_METRICS.GAS_PRICE, value: 4, timestamp: T0 + 3 * HOUR + 5 * MINUTE }
+      ]);
+
+      const candles = await store.ohlc({ metric: GAS_METRICS.GAS_PRICE });
+
+      expect(candles).to.deep.equal([
+        { start: T0, end: T0 + HOUR, open: 3, high: 5, low: 2, close: 2, count: 3, average: 10 / 3 },
+        { start: T0 + 3 * HOUR, end: T0 + 4 * HOUR, open: 4, high: 4, low: 4, close: 4, count: 1, average: 4 }
+      ]);
+    });
+
+    it('should export CSV with quoted data and JSON with ISO times', async () => {
+      await store.append({ metric: GAS_METRICS.GAS_ESTIMATE, value: 21000, timestamp: T0, data: { to: null, note: 'a,b' } });
+
+      const csv = await store.export({ format: 'csv' });
+      const json = JSON.parse(await store.export());
+
+      expect(csv).to.equal(`timestamp,time,metric,value,data\n${T0},2026-01-01T00:00:00.000Z,gasEstimate,21000,"{""to"":null,""note"":""a,b""}"\n`);
+      expect(json[0]).to.deep.include({ time: '2026-01-01T00:00:00.000Z', value: 21000 });
+    });
+  });
+
+  describe('createGasHistoryStore', () => {
+    it('should build stores by type and pass existing stores through', () => {
+      const store = new MemoryGasHistoryStore();
+
+      expect(createGasHistoryStore()).to.be.instanceOf(MemoryGasHistoryStore);
+      expect(createGasHistoryStore(store)).to.equal(store);
+      expect(() => createGasHistoryStore({ type: 'jsonl' })).to.throw('requires a path');
+      expect(() => createGasHistoryStore({ type: 'redis' })).to.throw('Unknown gas history store');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { BaseGasOptimizer } = require('../utils/BaseGasOptimizer');
+
+const GWEI = 10n ** 9n;
+
+// A provider answering eth_feeHistory from plain numbers: base fees in gwei (one more
+// than there are blocks, the last being the next block's) and gas used / gas limit ratios
+function feeHistoryProvider({ chainId = 8453n, baseFees, gasUsedRatio, rewards }) {
+  return {
+    getNetwork: async () => ({ chainId }),
+    estimateGas: async () => 100000n,
+    send: async (method) => {
+      if (method !== 'eth_feeHistory') throw new Error(`unexpected ${method}`);
+      return {
+        oldestBlock: '0x64',
+        baseFeePerGas: baseFees.map(fee => ethers.toQuantity(ethers.parseUnits(String(fee), 'gwei'))),
+        gasUsedRatio,
+        reward: (rewards || gasUsedRatio.map(() => [0, 0, 0])).map(row => row.map(fee => ethers.toQuantity(ethers.parseUnits(String(fee), 'gwei'))))
+      };
+    }
+  };
+}
+
+describe('BaseGasOptimizer', () => {
+  describe('getNetworkCongestion', () => {
+    // Base targets a sixth of the gas limit
+    const AT_TARGET = 1 / 6;
+
+    it('should score blocks at the gas target with a flat base fee as medium', async () => {
+      const optimizer = new BaseGasOptimizer(feeHistoryProvider({ baseFees: [1, 1, 1, 1], gasUsedRatio: [AT_TARGET, AT_TARGET, AT_TARGET] }));
+
+      const congestion = await optimizer.getNetworkCongestion();
+
+      expect(congestion.ewmaUtilization).to.be.closeTo(1, 1e-9);
+      expect(congestion.index).to.be.closeTo(0.5, 1e-9);
+      expect(congestion.level).to.equal('medium');
+      expect(congestion.inputs.elasticityMultiplier).to.equal(6);
+    });
+
+    it('should saturate at twice the target and a 20% base fee rise', async () => {
+      const optimizer = new BaseGasOptimizer(feeHistoryProvider({ baseFees: [1, 1.1, 1.2, 1.25], gasUsedRatio: [0.5, 0.5, 0.5] }));
+
+      const congestion = await optimizer.getNetworkCongestion();
+
+      expect(congestion.baseFeeChange).to.equal(0.25);
+      expect(congestion.index).to.equal(1);
+      expect(congestion.level).to.equal('high');
+    });
+
+    it('should score empty blocks with a falling base fee as low', async () => {
+      const optimizer = new BaseGasOptimizer(feeHistoryProvider({ baseFees: [1, 0.9, 0.8, 0.8], gasUsedRatio: [0, 0, 0] }));
+
+      const congestion = await optimizer.getNetworkCongestion();
+
+      expect(congestion.index).to.equal(0);
+      expect(congestion.level).to.equal('low');
+    });
+
+    it('should weight recent blocks through the EWMA', async () => {
+      const optimizer = new BaseGasOptimizer(
+        feeHistoryProvider({ baseFees: [1, 1, 1], gasUsedRatio: [0, 2 * AT_TARGET] }),
+        { congestionAlpha: 0.3 }
+      );
+
+      const congestion = await optimizer.getNetworkCongestion();
+
+      expect(congestion.ewmaUtilization).to.be.closeTo(0.6, 1e-9);
+      expect(congestion.averageUtilization).to.be.closeTo(1, 1e-9);
+    });
+
+    it('should fall back to Ethereum elasticity on unknown chains', async () => {
+      const optimizer = new BaseGasOptimizer(feeHistoryProvider({ chainId: 999n, baseFees: [1, 1], gasUsedRatio: [0.5] }));
+
+      const congestion = await optimizer.getNetworkCongestion();
+
+      expect(congestion.inputs.elasticityMultiplier).to.equal(2);
+      expect(congestion.ewmaUtilization).to.equal(1);
+    });
+
+    it('should report medium congestion with the error when the provider fails', async () => {
+      const provider = { getNetwork: async () => { throw new Error('network down'); } };
+      const optimizer = new BaseGasOptimizer(provider);
+      const log = console.error;
+      console.error = () => {};
+      try {
+        expect(await optimizer.getNetworkCongestion()).to.deep.equal({ index: 0.5, level: 'medium', error: 'network down' });
+      } finally {
+        console.error = log;
+      }
+    });
+  });
+
+  describe('getFeeEstimates', () => {
+    // Rewards per block at the 10th, 50th and 90th percentiles, in gwei
+    const history = { baseFees: [1, 1, 1, 2], gasUsedRatio: [0.1, 0.1, 0.1], rewards: [[0.1, 0.5, 1], [0.2, 0.6, 2], [0.3, 0.7, 3]] };
+    const gwei = (value) => ethers.parseUnits(String(value), 'gwei');
+
+    it('should add the median reward to the next base fee times the tier headroom', async () => {
+      const optimizer = new BaseGasOptimizer(feeHistoryProvider(history));
+
+      const { baseFee, trend, tiers } = await optimizer.getFeeEstimates();
+
+      expect(baseFee).to.equal(2n * GWEI);
+      expect(trend).to.equal('rising');
+      expect(Object.fromEntries(Object.entries(tiers).map(([name, tier]) => [name, [tier.maxPriorityFeePerGas, tier.maxFeePerGas]]))).to.deep.equal({
+        slow: [gwei(0.2), gwei(2.4)],
+        standard: [gwei(0.6), gwei(3.1)],
+        fast: [gwei(2), gwei(5)],
+        instant: [gwei(3), gwei(7)]
+      });
+      expect(Object.values(tiers).some(tier => tier.capped)).to.equal(false);
+    });
+
+    it('should use minPriorityFee when blocks carry no tips', async () => {
+      const optimizer = new BaseGasOptimizer(feeHistoryProvider({ ...history, rewards: [[0, 0, 0], [0, 0, 0], [0, 0, 0]] }));
+
+      const { tiers } = await optimizer.getFeeEstimates();
+
+      expect(tiers.standard.maxPriorityFeePerGas).to.equal(gwei(0.001));
+      expect(tiers.standard.maxFeePerGas).to.equal(gwei(2.501));
+    });
+
+    it('should cap tiers at maxGasPrice and keep the tip payable', async () => {
+      const optimizer = new BaseGasOptimizer(feeHistoryProvider(history), { maxGasPrice: gwei(4) });
+
+      const { tiers } = await optimizer.getFeeEstimates();
+
+      expect(tiers.standard).to.deep.include({ maxFeePerGas: gwei(3.1), capped: false });
+      expect(tiers.fast).to.deep.include({ maxFeePerGas: gwei(4), maxPriorityFeePerGas: gwei(2), capped: true, belowBaseFee: false });
+      expect(tiers.instant).to.deep.include({ maxFeePerGas: gwei(4), maxPriorityFeePerGas: gwei(2), capped: true });
+    });
+
+    it('should flag tiers capped below the next base fee and refuse to use them', async () => {
+      const optimizer = new BaseGasOptimizer(feeHistoryProvider(history), { maxGasPrice: gwei(1.5) });
+      const call = { to: '0x00000000000000000000000000000000000000aa', data: '0x' };
+
+      const { tiers } = await optimizer.getFeeEstimates();
+      const optimizeError = await optimizer.optimizeContractCall(call, 'standard', { simulate: false }).then(() => null, e => e);
+      const costError = await optimizer.estimateTransactionCost(call, 'slow').then(() => null, e => e);
+
+      expect(tiers.slow).to.deep.include({ maxFeePerGas: gwei(1.5), maxPriorityFeePerGas: 0n, belowBaseFee: true });
+      expect(optimizeError.code).to.equal('MAX_GAS_PRICE_TOO_LOW');
+      expect(optimizeError.message).to.include('caps the standard tier at 1.5 gwei, below the next base fee of 2.0 gwei');
+      expect(costError.code).to.equal('MAX_GAS_PRICE_TOO_LOW');
+    });
+
+    it('should return type 2 parameters from the chosen tier', async () => {
+      const optimizer = new BaseGasOptimizer(feeHistoryProvider(history));
+
+      const optimized = await optimizer.optimizeContractCall({ to: '0x00000000000000000000000000000000000000aa', gasPrice: 1n }, 'fast', { simulate: false });
+
+      expect(optimized).to.deep.equal({
+        to: '0x00000000000000000000000000000000000000aa',
+        gasLimit: 110000n,
+        type: 2,
+        maxFeePerGas: gwei(5),
+        maxPriorityFeePerGas: gwei(2)
+      });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { BaseL1FeeOracle, GAS_PRICE_ORACLE_ABI, getReceiptL1Fee } = require('../lib/BaseL1FeeOracle');
+
+const oracleInterface = new ethers.Interface(GAS_PRICE_ORACLE_ABI);
+const gwei = (value) => ethers.parseUnits(String(value), 'gwei');
+
+// A GasPriceOracle answering from `values` (plain values or functions of the call arguments);
+// methods missing from `values` revert, like the ones a given upgrade does not have
+function oracleProvider(values, { code = '0x6080' } = {}) {
+  const calls = [];
+  return {
+    calls,
+    getCode: async () => code,
+    getNetwork: async () => ({ chainId: 8453n }),
+    call: async ({ data }) => {
+      const { name, args } = oracleInterface.parseTransaction({ data });
+      calls.push(name);
+      if (!(name in values)) throw new Error(`${name} reverted`);
+      const value = typeof values[name] === 'function' ? values[name](...args) : values[name];
+      return oracleInterface.encodeFunctionResult(name, [value]);
+    }
+  };
+}
+
+describe('BaseL1FeeOracle', () => {
+  describe('getFeeParameters', () => {
+    it('should read the Ecotone scalars', async () => {
+      const oracle = new BaseL1FeeOracle(oracleProvider({
+        isEcotone: true,
+        isFjord: false,
+        l1BaseFee: gwei(12),
+        decimals: 6,
+        blobBaseFee: 1n,
+        baseFeeScalar: 1368,
+        blobBaseFeeScalar: 810949
+      }));
+
+      expect(await oracle.getFeeParameters()).to.deep.equal({
+        supported: true,
+        isEcotone: true,
+        isFjord: false,
+        l1BaseFee: gwei(12),
+        decimals: 6n,
+        blobBaseFee: 1n,
+        baseFeeScalar: 1368n,
+        blobBaseFeeScalar: 810949n
+      });
+    });
+
+    it('should fall back to overhead and scalar before Ecotone', async () => {
+      const oracle = new BaseL1FeeOracle(oracleProvider({ l1BaseFee: gwei(30), decimals: 6, overhead: 188, scalar: 684000 }));
+
+      expect(await oracle.getFeeParameters()).to.deep.equal({
+        supported: true,
+        isEcotone: false,
+        isFjord: false,
+        l1BaseFee: gwei(30),
+        decimals: 6n,
+        overhead: 188n,
+        scalar: 684000n
+      });
+    });
+
+    it('should report chains without the oracle as unsupported', async () => {
+      const provider = oracleProvider({}, { code: '0x' });
+      const oracle = new BaseL1FeeOracle(provider);
+
+      expect(await oracle.getFeeParameters()).to.deep.equal({ supported: false });
+      expect(await oracle.getL1Fee({ data: '0x1234' })).to.equal(0n);
+      expect(await oracle.getL1GasUsed({ data: '0x1234' })).to.equal(0n);
+      expect(provider.calls).to.deep.equal([]);
+    });
+  });
+
+  describe('estimateCost', () => {
+    it('should add the L1 fee for the serialized transaction to the L2 execution cost', async () => {
+      const serialized = [];
+      const oracle = new BaseL1FeeOracle(oracleProvider({
+        getL1Fee: (data) => {
+          serialized.push(data);
+          return 16n * BigInt(ethers.dataLength(data)) * 1000n;
+        },
+        getL1GasUsed: (data) => 16n * BigInt(ethers.dataLength(data))
+      }));
+      const tx = { to: '0x00000000000000000000000000000000000000c1', data: '0x12345678' };
+
+      const cost = await oracle.estimateCost(tx, { gasLimit: 21000n, gasPrice: gwei(0.01) });
+
+      const parsed = ethers.Transaction.from(serialized[0]);
+      const l1GasUsed = 16n * BigInt(ethers.dataLength(serialized[0]));
+      expect(parsed).to.include({ chainId: 8453n, to: ethers.getAddress(tx.to), data: tx.data, gasLimit: 21000n });
+      expect(cost).to.deep.equal({
+        l2GasLimit: 21000n,
+        l2GasPrice: gwei(0.01),
+        l2ExecutionCost: 21000n * gwei(0.01),
+        l1DataFee: l1GasUsed * 1000n,
+        l1GasUsed,
+        totalCost: 21000n * gwei(0.01) + l1GasUsed * 1000n
+      });
+    });
+
+    it('should leave l1GasUsed null once the oracle stops reporting it', async () => {
+      const oracle = new BaseL1FeeOracle(oracleProvider({ getL1Fee: 5000n }));
+
+      const cost = await oracle.estimateCost({ data: '0x' }, { gasLimit: 53000n, gasPrice: 1n });
+
+      expect(cost).to.include({ l1DataFee: 5000n, l1GasUsed: null, totalCost: 58000n });
+    });
+  });
+
+  describe('getReceiptL1Fee', () => {
+    it('should read the L1 fee fields of a raw OP Stack receipt', async () => {
+      const requests = [];
+      const provider = {
+        send: async (method, params) => {
+          requests.push([method, ...params]);
+          return { l1Fee: '0x3e8', l1GasUsed: '0x640', l1GasPrice: '0x2540be400' };
+        }
+      };
+
+      expect(await getReceiptL1Fee(provider, '0xabc')).to.deep.equal({ l1Fee: 1000n, l1GasUsed: 1600n, l1GasPrice: gwei(10) });
+      expect(requests).to.deep.equal([['eth_getTransactionReceipt', '0xabc']]);
+    });
+
+    it('should report zero for receipts without L1 fees', async () => {
+      const provider = { send: async () => ({ status: '0x1' }) };
+
+      expect(await getReceiptL1Fee(provider, '0xabc')).to.deep.equal({ l1Fee: 0n, l1GasUsed: 0n, l1GasPrice: 0n });
+    });
+  });
+});
@@ -0,0 +1,244 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { BaseMultiSigCoordinator, MULTISIG_ABI, PROPOSAL_STATUS } = require('../utils/BaseMultiSigCoordinator');
+const { COMMON_CONTRACTS } = require('../lib/BaseNetworkUtils');
+
+const WALLET = '0x00000000000000000000000000000000000000A0';
+const TOKEN = '0x00000000000000000000000000000000000000B0';
+const [ALICE, BOB, CAROL, DAVE] = [1, 2, 3, 4].map(n => ethers.getAddress(ethers.zeroPadValue(ethers.toBeHex(0xa11ce0 + n), 20)));
+const multisig = new ethers.Interface(MULTISIG_ABI);
+
+// A BaseMultiSigWallet owned by Alice, Bob and Carol. Each transaction lists its confirmations as
+// { owner, block }; calls and logs only see the confirmations mined by the requested block.
+function createWallet(transactions, { head = 200, threshold = 2, deployedAt = 10 } = {}) {
+  const wallet = { head, transactions, logRequests: [] };
+
+  const confirmedBy = (transaction, blockTag) =>
+    transaction.confirmations.filter(c => blockTag === undefined || blockTag === 'latest' || c.block <= Number(blockTag));
+  const confirmLog = (txIndex, { owner, block }) => ({
+    ...multisig.encodeEventLog('ConfirmTransaction', [owner, txIndex]),
+    address: WALLET,
+    blockNumber: block,
+    blockHash: ethers.zeroPadValue(ethers.toBeHex(block), 32),
+    transactionHash: ethers.id(`confirm:${txIndex}:${owner}`),
+    transactionIndex: 0,
+    index: 0,
+    removed: false
+  });
+
+  wallet.provider = {
+    getBlockNumber: async () => wallet.head,
+    send: async (method) => {
+      expect(method).to.equal('eth_blockNumber');
+      return ethers.toBeHex(wallet.head);
+    },
+    getCode: async (address, blockTag) => (Number(blockTag) >= deployedAt ? '0x6080' : '0x'),
+    call: async ({ data, blockTag }) => {
+      const { name, args } = multisig.parseTransaction({ data });
+      if (name === 'getTransactionCount') return multisig.encodeFunctionResult(name, [transactions.length]);
+      if (name === 'numConfirmationsRequired') return multisig.encodeFunctionResult(name, [threshold]);
+      if (name === 'isOwner') return multisig.encodeFunctionResult(name, [[ALICE, BOB, CAROL].includes(args[0])]);
+      const transaction = transactions[Number(args[0])];
+      return multisig.encodeFunctionResult(name, [
+        transaction.to, transaction.value || 0n, transaction.data || '0x', Boolean(transaction.executed), confirmedBy(transaction, blockTag).length
+      ]);
+    },
+    getLogs: async (filter) => {
+      wallet.logRequests.push([filter.fromBlock, filter.toBlock]);
+      return transactions
+        .flatMap((transaction, txIndex) => transaction.confirmations.map(c => confirmLog(txIndex, c)))
+        .filter(log => log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock)
+        .sort((a, b) => a.blockNumber - b.blockNumber);
+    }
+  };
+  // ethers providers are their own contract runner provider
+  wallet.provider.provider = wallet.provider;
+
+  // An owner whose confirm and execute transactions are mined in the next block
+  wallet.signer = (address) => ({
+    provider: wallet.provider,
+    call: wallet.provider.call,
+    getAddress: async () => address,
+    sendTransaction: async () => expect.fail('sent without the _send stub')
+  });
+  wallet.connect = (coordinator, address, sent = []) => {
+    coordinator._send = async (method, [txIndex]) => {
+      sent.push(method);
+      wallet.head += 1;
+      if (method === 'confirmTransaction') transactions[txIndex].confirmations.push({ owner: address, block: wallet.head });
+      if (method === 'executeTransaction') transactions[txIndex].executed = true;
+      return { hash: ethers.id(`${method}:${txIndex}`), blockNumber: wallet.head, logs: [] };
+    };
+    return sent;
+  };
+  return wallet;
+}
+
+const transfer = (amount) => new ethers.Interface(['function transfer(address to, uint256 amount)']).encodeFunctionData('transfer', [BOB, amount]);
+
+describe('BaseMultiSigCoordinator', () => {
+  describe('decodeCall', () => {
+    const coordinator = new BaseMultiSigCoordinator(WALLET, createWallet([]).provider);
+
+    it('should decode ETH transfers and calls of the default and added ABIs', () => {
+      expect(coordinator.decodeCall({ to: BOB, value: 5n })).to.deep.equal({ type: 'transfer', value: 5n });
+      expect(coordinator.decodeCall({ to: TOKEN, data: transfer(7n) })).to.deep.equal({
+        type: 'call', method: 'transfer', signature: 'transfer(address,uint256)', args: [BOB, 7n]
+      });
+
+      const data = new ethers.Interface(['function setFee(uint16 bps)']).encodeFunctionData('setFee', [30]);
+      const local = new BaseMultiSigCoordinator(WALLET, createWallet([]).provider);
+      expect(local.decodeCall({ to: TOKEN, data })).to.equal(null);
+      local.addAbi(['function setFee(uint16 bps)']);
+      expect(local.decodeCall({ to: TOKEN, data })).to.deep.include({ method: 'setFee', args: [30n] });
+    });
+
+    it('should decode CREATE2 deployer calls as deployments and merge known details', () => {
+      const salt = ethers.id('salt');
+      const initCode = '0x6080604052';
+      const data = ethers.concat([salt, initCode]);
+      coordinator.knownDeployments.set(ethers.keccak256(data), { name: 'Demo Token' });
+
+      const decoded = coordinator.decodeCall({ to: COMMON_CONTRACTS.Create2Deployer, data });
+
+      expect(decoded).to.deep.equal({
+        type: 'deployment',
+        address: ethers.getCreate2Address(COMMON_CONTRACTS.Create2Deployer, salt, ethers.keccak256(initCode)),
+        salt,
+        initCodeHash: ethers.keccak256(initCode),
+        name: 'Demo Token'
+      });
+      // A bare salt is not a deployment
+      expect(coordinator.decodeCall({ to: COMMON_CONTRACTS.Create2Deployer, data: salt })).to.equal(null);
+    });
+  });
+
+  describe('getConfirmations', () => {
+    it('should scan settled blocks once and re-read the last 64 blocks on every call', async () => {
+      const transactions = [{ to: BOB, confirmations: [{ owner: ALICE, block: 50 }, { owner: BOB, block: 190 }] }];
+      const wallet = createWallet(transactions);
+      const coordinator = new BaseMultiSigCoordinator(WALLET, wallet.provider, { fromBlock: 10 });
+
+      const first = await coordinator.getConfirmations();
+      // Bob's confirmation is reorged out and Carol's lands in a new block
+      transactions[0].confirmations = [{ owner: ALICE, block: 50 }, { owner: CAROL, block: 205 }];
+      wallet.head = 210;
+      const second = await coordinator.getConfirmations();
+
+      expect(first.get(0)).to.deep.equal([ALICE, BOB]);
+      expect(second.get(0)).to.deep.equal([ALICE, CAROL]);
+      expect(wallet.logRequests).to.deep.equal([[10, 136], [137, 200], [137, 146], [147, 210]]);
+    });
+
+    it('should leave out confirmations after toBlock and other transactions', async () => {
+      const wallet = createWallet([
+        { to: BOB, confirmations: [{ owner: ALICE, block: 50 }, { owner: BOB, block: 120 }] },
+        { to: BOB, confirmations: [{ owner: CAROL, block: 60 }] }
+      ]);
+      const coordinator = new BaseMultiSigCoordinator(WALLET, wallet.provider, { fromBlock: 10 });
+
+      const confirmations = await coordinator.getConfirmations({ txIndex: 0, toBlock: 100 });
+
+      expect([...confirmations]).to.deep.equal([[0, [ALICE]]]);
+    });
+
+    it('should start scanning at the block the wallet was deployed in', async () => {
+      const wallet = createWallet([{ to: BOB, confirmations: [{ owner: ALICE, block: 40 }] }], { deployedAt: 37 });
+      const coordinator = new BaseMultiSigCoordinator(WALLET, wallet.provider);
+
+      expect(await coordinator.getStartBlock()).to.equal(37);
+      expect((await coordinator.getConfirmations()).get(0)).to.deep.equal([ALICE]);
+      expect(wallet.logRequests[0]).to.deep.equal([37, 136]);
+
+      const missing = new BaseMultiSigCoordinator(WALLET, createWallet([], { deployedAt: 500 }).provider);
+      expect((await missing.getStartBlock().then(() => null, e => e)).code).to.equal('NOT_DEPLOYED');
+    });
+  });
+
+  describe('getSignerTasks', () => {
+    const createTasks = () => createWallet([
+      { to: TOKEN, data: transfer(1n), confirmations: [{ owner: ALICE, block: 20 }, { owner: BOB, block: 21 }] },
+      { to: BOB, value: 1n, confirmations: [{ owner: ALICE, block: 30 }] },
+      { to: BOB, value: 2n, confirmations: [{ owner: BOB, block: 40 }] },
+      { to: BOB, value: 3n, executed: true, confirmations: [{ owner: ALICE, block: 50 }, { owner: BOB, block: 51 }] }
+    ]);
+
+    it('should sort pending transactions into execute, confirm and wait', async () => {
+      const coordinator = new BaseMultiSigCoordinator(WALLET, createTasks().provider, { fromBlock: 10 });
+
+      const tasks = await coordinator.getSignerTasks(ALICE);
+
+      expect(tasks).to.deep.include({ owner: ALICE, isOwner: true });
+      expect(tasks.toExecute.map(t => [t.index, t.status])).to.deep.equal([[0, PROPOSAL_STATUS.READY]]);
+      expect(tasks.toConfirm.map(t => t.index)).to.deep.equal([2]);
+      expect(tasks.waitingOnOthers.map(t => [t.index, t.confirmedBy, t.missing])).to.deep.equal([[1, [ALICE], 1]]);
+      expect(tasks.toExecute[0].decoded).to.deep.include({ method: 'transfer' });
+    });
+
+    it('should default to the signer and give non-owners no tasks', async () => {
+      const wallet = createTasks();
+      const coordinator = new BaseMultiSigCoordinator(WALLET, wallet.signer(DAVE), { fromBlock: 10 });
+
+      expect(await coordinator.getSignerTasks()).to.deep.equal({ owner: DAVE, isOwner: false, toConfirm: [], toExecute: [], waitingOnOthers: [] });
+    });
+  });
+
+  describe('confirmAndExecute', () => {
+    it('should confirm and execute in one call once the confirmation meets the threshold', async () => {
+      const wallet = createWallet([{ to: BOB, value: 1n, confirmations: [{ owner: ALICE, block: 30 }] }]);
+      const coordinator = new BaseMultiSigCoordinator(WALLET, wallet.signer(CAROL), { fromBlock: 10 });
+      const sent = wallet.connect(coordinator, CAROL);
+
+      const result = await coordinator.confirmAndExecute(0);
+
+      expect(sent).to.deep.equal(['confirmTransaction', 'executeTransaction']);
+      expect(result).to.deep.include({ txIndex: 0, confirmed: true, executed: true, missing: 0 });
+      expect(result.confirmation.blockNumber).to.equal(201);
+      expect(result.execution).to.deep.include({ txIndex: 0, blockNumber: 202, deployedAddress: null });
+    });
+
+    it('should neither confirm twice nor execute below the threshold', async () => {
+      const wallet = createWallet([{ to: BOB, value: 1n, confirmations: [{ owner: CAROL, block: 30 }] }], { threshold: 3 });
+      const coordinator = new BaseMultiSigCoordinator(WALLET, wallet.signer(CAROL), { fromBlock: 10 });
+      const sent = wallet.connect(coordinator, CAROL);
+
+      const result = await coordinator.confirmAndExecute(0);
+
+      expect(sent).to.deep.equal([]);
+      expect(result).to.deep.include({ confirmed: false, executed: false, confirmation: null, execution: null, missing: 2 });
+    });
+
+    it('should explain a failed execution with the replayed inner call', async () => {
+      const wallet = createWallet([{ to: TOKEN, data: transfer(1n), confirmations: [{ owner: ALICE, block: 30 }, { owner: BOB, block: 31 }] }]);
+      const coordinator = new BaseMultiSigCoordinator(WALLET, wallet.signer(ALICE), { fromBlock: 10 });
+      coordinator._send = async () => {
+        throw Object.assign(new Error('execution reverted: "Transaction failed" (action="estimateGas")'), { shortMessage: 'execution reverted: "Transaction failed"' });
+      };
+      coordinator.simulateCall = async (call) => {
+        expect(call).to.deep.include({ to: TOKEN, data: transfer(1n) });
+        return { success: false, revert: { name: 'Paused', message: 'Paused()' } };
+      };
+
+      const error = await coordinator.confirmAndExecute(0).then(() => null, e => e);
+
+      expect(error.message).to.equal('execution reverted: "Transaction failed" (inner call: Paused())');
+      expect(error.revert.name).to.equal('Paused');
+    });
+
+    it('should keep the send error when the inner call cannot be replayed', async () => {
+      const wallet = createWallet([{ to: TOKEN, data: transfer(1n), confirmations: [{ owner: ALICE, block: 30 }, { owner: BOB, block: 31 }] }]);
+      const coordinator = new BaseMultiSigCoordinator(WALLET, wallet.signer(ALICE), { fromBlock: 10 });
+      const sendError = Object.assign(new Error('execution reverted'), {
+        data: new ethers.Interface(['error Error(string)']).encodeErrorResult('Error', ['Transaction failed'])
+      });
+      coordinator._send = async () => { throw sendError; };
+      coordinator.simulateCall = async () => { throw new Error('socket hang up'); };
+
+      const error = await coordinator.execute(0).then(() => null, e => e);
+
+      expect(error).to.equal(sendError);
+      expect(error.message).to.equal('execution reverted');
+      expect(error.revert).to.deep.include({ type: 'Error', message: 'Transaction failed' });
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { BaseMulticall } = require('../lib/BaseMulticall');
+
+const TOKEN = '0x00000000000000000000000000000000000000aa';
+const HOLDER = '0x00000000000000000000000000000000000000bb';
+const TOKEN_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'error InsufficientBalance(uint256 available)'
+];
+const token = new ethers.Interface(TOKEN_ABI);
+const transfer = (amount, extra = {}) => ({ target: TOKEN, abi: TOKEN_ABI, method: 'transfer', args: [HOLDER, amount], ...extra });
+
+// Replaces the Multicall3 contract with one that answers each call struct through `execute`
+// and records every eth_call and transaction it would have made
+function stubContract(multicall, execute) {
+  const log = { reads: [], sent: [] };
+  const run = async (structs) => structs.map(execute);
+
+  const aggregate3Value = async (structs, overrides) => {
+    const hash = `0x${log.sent.length + 1}`;
+    log.sent.push({ structs, overrides });
+    return { hash, wait: async () => ({ hash, status: 1 }) };
+  };
+  aggregate3Value.staticCall = run;
+  aggregate3Value.estimateGas = async (structs) => 30000n * BigInt(structs.length);
+
+  multicall.contract = {
+    interface: multicall.contract.interface,
+    aggregate3: {
+      staticCall: async (structs, overrides) => {
+        log.reads.push({ structs, overrides });
+        return run(structs);
+      }
+    },
+    aggregate3Value
+  };
+  return log;
+}
+
+// Signer whose node knows Multicall3, returns nonce 7 and estimates `gas` per transfer amount
+function createSigner({ gas = () => 40000n } = {}) {
+  const provider = {
+    getCode: async () => '0x6080',
+    send: async (method) => {
+      if (method !== 'eth_getTransactionCount') throw new Error(`unexpected ${method}`);
+      return '0x7';
+    },
+    estimateGas: async ({ data }) => gas(token.decodeFunctionData('transfer', data)[1])
+  };
+  return { provider, getAddress: async () => HOLDER, sendTransaction: async () => { throw new Error('sent outside Multicall3'); } };
+}
+
+const ok = (fragment, values) => ({ success: true, returnData: token.encodeFunctionResult(fragment, values) });
+
+describe('BaseMulticall', () => {
+  describe('chunk', () => {
+    const multicall = (options) => new BaseMulticall(createSigner(), options);
+
+    it('should cap the number of calls per batch', () => {
+      const m = multicall({ maxCallsPerBatch: 2 });
+      const calls = [1, 2, 3, 4, 5].map(amount => m.encodeCall(transfer(amount)));
+
+      expect(m.chunk(calls)).to.deep.equal([[0, 1], [2, 3], [4]]);
+    });
+
+    it('should keep the ABI-encoded size of each batch under maxCalldataBytes', () => {
+      // A transfer is 68 bytes of calldata, 96 once padded, plus 192 bytes of struct overhead
+      const m = multicall({ maxCalldataBytes: 600 });
+      const calls = [1, 2, 3].map(amount => m.encodeCall(transfer(amount)));
+
+      expect(m.chunk(calls)).to.deep.equal([[0, 1], [2]]);
+      expect(multicall({ maxCalldataBytes: 576 }).chunk(calls)).to.deep.equal([[0, 1], [2]]);
+      expect(multicall({ maxCalldataBytes: 575 }).chunk(calls)).to.deep.equal([[0], [1], [2]]);
+    });
+
+    it('should split on estimated gas and give an oversized call its own batch', () => {
+      const m = multicall({ maxGasPerBatch: 100 });
+      const calls = [1, 2, 3, 4].map(amount => m.encodeCall(transfer(amount)));
+
+      expect(m.chunk(calls, [40n, 60n, 150n, 10n])).to.deep.equal([[0, 1], [2], [3]]);
+      expect(m.chunk(calls)).to.deep.equal([[0, 1, 2, 3]]);
+    });
+  });
+
+  describe('read', () => {
+    it('should decode every result in input order across batches', async () => {
+      const multicall = new BaseMulticall(createSigner(), { maxCallsPerBatch: 2 });
+      const log = stubContract(multicall, ({ callData }) => {
+        const [owner] = token.decodeFunctionData('balanceOf', callData);
+        return ok('balanceOf', [BigInt(owner)]);
+      });
+      const owners = [1, 2, 3].map(n => ethers.zeroPadValue(ethers.toBeHex(n), 20));
+
+      const results = await multicall.read(owners.map(owner => ({ target: TOKEN, abi: TOKEN_ABI, method: 'balanceOf', args: [owner] })), { blockTag: 12 });
+
+      expect(results.map(result => result.result)).to.deep.equal([1n, 2n, 3n]);
+      expect(log.reads).to.have.length(2);
+      expect(log.reads[0].overrides).to.deep.equal({ blockTag: 12 });
+    });
+
+    it('should report reverts, undecodable results and raw calls per call', async () => {
+      const multicall = new BaseMulticall(createSigner());
+      const responses = [
+        { success: false, returnData: token.encodeErrorResult('InsufficientBalance', [5n]) },
+        { success: false, returnData: ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['paused'])]) },
+        { success: true, returnData: '0x01' },
+        { success: true, returnData: '0xbeef' }
+      ];
+      stubContract(multicall, () => responses.shift());
+
+      const [custom, reason, malformed, raw] = await multicall.read([
+        transfer(1n),
+        transfer(2n),
+        transfer(3n),
+        { target: TOKEN, callData: '0x12345678' }
+      ]);
+
+      expect(custom).to.deep.include({ success: false, result: null, error: 'InsufficientBalance(5)' });
+      expect(reason.error).to.equal('paused');
+      expect(malformed.success).to.equal(false);
+      expect(malformed.error).to.match(/^Could not decode result/);
+      expect(raw).to.deep.equal({ success: true, result: null, returnData: '0xbeef', error: null });
+    });
+
+    it('should refuse to run without Multicall3 on the chain', async () => {
+      const signer = createSigner();
+      signer.provider.getCode = async () => '0x';
+
+      const error = await new BaseMulticall(signer).read([transfer(1n)]).then(() => null, e => e);
+
+      expect(error.code).to.equal('MULTICALL_UNAVAILABLE');
+    });
+  });
+
+  describe('write', () => {
+    it('should send one aggregate3Value transaction per gas-bounded batch with consecutive nonces', async () => {
+      const multicall = new BaseMulticall(createSigner({ gas: amount => amount * 1000n }), { maxGasPerBatch: 5000 });
+      const log = stubContract(multicall, () => ok('transfer', [true]));
+
+      const { transactions, results } = await multicall.write([transfer(2n, { value: 1n }), transfer(3n, { value: 2n }), transfer(4n)]);
+
+      expect(transactions.map(tx => [tx.hash, tx.callIndexes, tx.estimatedCallGas])).to.deep.equal([
+        ['0x1', [0, 1], 5000n],
+        ['0x2', [2], 4000n]
+      ]);
+      expect(log.sent.map(tx => tx.overrides)).to.deep.equal([
+        { nonce: 7, value: 3n, gasLimit: 66000n },
+        { nonce: 8, value: 0n, gasLimit: 33000n }
+      ]);
+      expect(results.map(result => result.result)).to.deep.equal([true, true, true]);
+    });
+
+    it('should estimate reverting calls at defaultCallGas unless they must succeed', async () => {
+      const signer = createSigner({ gas: () => { throw Object.assign(new Error('execution reverted'), { data: token.encodeErrorResult('InsufficientBalance', [0n]) }); } });
+      const multicall = new BaseMulticall(signer, { defaultCallGas: 123 });
+
+      const plan = await multicall.planWrite([transfer(1n)]);
+      const error = await multicall.planWrite([transfer(1n, { allowFailure: false })]).then(() => null, e => e);
+
+      expect(plan.gasEstimates).to.deep.equal([123n]);
+      expect(error.code).to.equal('CALL_EXCEPTION');
+      expect(error.message).to.include('would revert: InsufficientBalance(0)');
+    });
+
+    it('should attach the transactions already sent when a later batch fails', async () => {
+      const multicall = new BaseMulticall(createSigner(), { maxCallsPerBatch: 1 });
+      const log = stubContract(multicall, () => ok('transfer', [true]));
+      const send = multicall.contract.aggregate3Value;
+      multicall.contract.aggregate3Value = Object.assign(async (structs, overrides) => {
+        if (log.sent.length === 1) throw new Error('replacement transaction underpriced');
+        return send(structs, overrides);
+      }, send);
+
+      const error = await multicall.write([transfer(1n), transfer(2n), transfer(3n)]).then(() => null, e => e);
+
+      expect(error.message).to.equal('replacement transaction underpriced');
+      expect(error.transactions.map(tx => [tx.hash, tx.callIndexes])).to.deep.equal([['0x1', [0]]]);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const {
+  BaseNameResolver,
+  BASENAMES_REGISTRY_ABI,
+  BASENAMES_RESOLVER_ABI,
+  createNameResolver,
+  isBasename,
+  reverseNode
+} = require('../lib/BaseNameResolver');
+const { NETWORKS } = require('../lib/BaseNetworkUtils');
+
+const ALICE = ethers.getAddress('0x00000000000000000000000000000000000A11CE');
+const BOB = ethers.getAddress('0x0000000000000000000000000000000000000B0B');
+const registryAbi = new ethers.Interface(BASENAMES_REGISTRY_ABI);
+const resolverAbi = new ethers.Interface(BASENAMES_RESOLVER_ABI);
+
+// Basenames on Base: `names` maps a name to its address, `reverse` an address to its claimed name.
+// `fail` makes the next n calls throw.
+function createBasenames({ names = {}, reverse = {}, chainId = 8453n } = {}) {
+  const { registry, resolver } = NETWORKS.base.basenames;
+  const records = new Map();
+  for (const [name, address] of Object.entries(names)) records.set(ethers.namehash(name), { addr: address });
+  for (const [address, name] of Object.entries(reverse)) records.set(reverseNode(address, 8453), { name });
+
+  const chain = { calls: [], fail: 0 };
+  chain.provider = {
+    getNetwork: async () => ({ chainId }),
+    call: async ({ to, data }) => {
+      if (chain.fail > 0) {
+        chain.fail -= 1;
+        throw new Error('node unavailable');
+      }
+      if (to.toLowerCase() === registry.toLowerCase()) {
+        const [node] = registryAbi.decodeFunctionData('resolver', data);
+        chain.calls.push(['resolver', node]);
+        return registryAbi.encodeFunctionResult('resolver', [records.has(node) ? resolver : ethers.ZeroAddress]);
+      }
+      const { name, args } = resolverAbi.parseTransaction({ data });
+      chain.calls.push([name, args[0]]);
+      const record = records.get(args[0]) || {};
+      return resolverAbi.encodeFunctionResult(name, [name === 'addr' ? record.addr || ethers.ZeroAddress : record.name || '']);
+    }
+  };
+  return chain;
+}
+
+describe('BaseNameResolver', () => {
+  describe('isBasename', () => {
+    it('should tell dotted names from addresses and other values', () => {
+      expect(['alice.base.eth', 'bob.basetest.eth', ' alice.base.eth ', 'vitalik.eth'].map(isBasename)).to.deep.equal([true, true, true, true]);
+      expect([ALICE, 'alice', 'alice.', 'al ice.base.eth', '', null, 42].map(isBasename)).to.deep.equal(Array(7).fill(false));
+    });
+  });
+
+  describe('reverseNode', () => {
+    it('should hash the lowercase address under the chain coin type', () => {
+      const node = (labels) => labels.reduceRight(
+        (parent, label) => ethers.keccak256(ethers.concat([parent, ethers.id(label)])),
+        ethers.ZeroHash
+      );
+
+      expect(reverseNode(ALICE, 8453)).to.equal(node([ALICE.slice(2).toLowerCase(), '80002105', 'reverse']));
+      // Base Sepolia's coin type has hex letters, which stay uppercase unlike in ENS normalization
+      expect(reverseNode(ALICE.toLowerCase(), 84532)).to.equal(node([ALICE.slice(2).toLowerCase(), '80014A34', 'reverse']));
+      expect(reverseNode(ALICE, 84532)).to.not.equal(ethers.namehash(`${ALICE.slice(2).toLowerCase()}.80014a34.reverse`));
+    });
+  });
+
+  describe('resolution', () => {
+    it('should resolve names and share one request between concurrent lookups', async () => {
+      const chain = createBasenames({ names: { 'alice.base.eth': ALICE } });
+      const resolver = new BaseNameResolver(chain.provider);
+
+      const addresses = await Promise.all([resolver.resolveName('alice.base.eth'), resolver.resolveName('Alice.base.eth')]);
+      await resolver.resolveName('alice.base.eth');
+
+      expect(addresses).to.deep.equal([ALICE, ALICE]);
+      expect(chain.calls.map(([method]) => method)).to.deep.equal(['resolver', 'addr']);
+      expect(await resolver.resolveName('nobody.base.eth')).to.equal(null);
+    });
+
+    it('should turn names, addresses and signers into addresses', async () => {
+      const resolver = new BaseNameResolver(createBasenames({ names: { 'alice.base.eth': ALICE } }).provider);
+
+      expect(await resolver.resolveAddress('alice.base.eth')).to.equal(ALICE);
+      expect(await resolver.resolveAddress(BOB.toLowerCase())).to.equal(BOB);
+      expect(await resolver.resolveAddress({ getAddress: async () => BOB })).to.equal(BOB);
+      expect((await resolver.resolveAddress('nobody.base.eth').then(() => null, e => e)).code).to.equal('NAME_NOT_FOUND');
+      expect((await resolver.resolveAddress('nobody').then(() => null, e => e)).code).to.equal('INVALID_ARGUMENT');
+    });
+
+    it('should only trust a reverse name that resolves back to the address', async () => {
+      const chain = createBasenames({ names: { 'alice.base.eth': ALICE }, reverse: { [ALICE]: 'alice.base.eth', [BOB]: 'alice.base.eth' } });
+
+      const verified = new BaseNameResolver(chain.provider);
+      const unverified = new BaseNameResolver(chain.provider, { verifyReverse: false });
+
+      expect(await verified.lookupAddress(ALICE)).to.equal('alice.base.eth');
+      expect(await verified.lookupAddress(BOB)).to.equal(null);
+      expect(await unverified.lookupAddress(BOB)).to.equal('alice.base.eth');
+    });
+
+    it('should reject chains without Basenames', async () => {
+      const resolver = new BaseNameResolver(createBasenames({ chainId: 31337n }).provider);
+
+      const error = await resolver.resolveName('alice.base.eth').then(() => null, e => e);
+
+      expect(error).to.deep.include({ code: 'UNSUPPORTED_NETWORK', chainId: 31337 });
+    });
+  });
+
+  describe('cache', () => {
+    it('should not cache failed lookups', async () => {
+      const chain = createBasenames({ names: { 'alice.base.eth': ALICE } });
+      const resolver = new BaseNameResolver(chain.provider);
+      await resolver.getBackend();
+      chain.fail = 1;
+
+      await resolver.resolveName('alice.base.eth').then(() => expect.fail('resolved without a node'), () => {});
+
+      expect(await resolver.resolveName('alice.base.eth')).to.equal(ALICE);
+    });
+
+    it('should expire entries after cacheTtl and evict the oldest beyond maxCacheEntries', async () => {
+      const chain = createBasenames({ names: { 'alice.base.eth': ALICE, 'bob.base.eth': BOB } });
+      const expiring = new BaseNameResolver(chain.provider, { cacheTtl: 0 });
+      const small = new BaseNameResolver(chain.provider, { maxCacheEntries: 1 });
+
+      await expiring.resolveName('alice.base.eth');
+      await expiring.resolveName('alice.base.eth');
+      const expiringCalls = chain.calls.length;
+      for (const name of ['alice.base.eth', 'bob.base.eth', 'alice.base.eth']) await small.resolveName(name);
+
+      expect(expiringCalls).to.equal(4);
+      expect(chain.calls.length - expiringCalls).to.equal(6);
+      expect([...small._cache.keys()]).to.deep.equal(['name:alice.base.eth']);
+    });
+
+    it('should drop every entry on clearCache', async () => {
+      const chain = createBasenames({ names: { 'alice.base.eth': ALICE } });
+      const resolver = createNameResolver(chain.provider);
+
+      await resolver.resolveName('alice.base.eth');
+      resolver.clearCache();
+      await resolver.resolveName('alice.base.eth');
+
+      expect(chain.calls).to.have.length(4);
+      expect(createNameResolver(chain.provider, resolver)).to.equal(resolver);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { expect } = require('chai');
+const {
+  BaseNetworkUtils,
+  NETWORKS,
+  getNetworkConfig,
+  getNetworkKey,
+  makeError
+} = require('../lib/BaseNetworkUtils');
+
+const SENDER = '0x00000000000000000000000000000000000000aa';
+const RECIPIENT = '0x00000000000000000000000000000000000000bb';
+
+// A node whose head moves one block per poll; `replacementBlock` holds a same-nonce transaction
+function fakeProvider({ startBlock = 10, replacementBlock = 13, replacement = {} } = {}) {
+  const provider = {
+    head: startBlock,
+    fetchedBlocks: [],
+    original: { hash: '0x01', from: SENDER, to: RECIPIENT, nonce: 5, data: '0x1234', value: 1n },
+    replacement: { hash: '0x02', from: SENDER, to: RECIPIENT, nonce: 5, data: '0x1234', value: 1n, ...replacement },
+    async getBlockNumber() {
+      return provider.head;
+    },
+    async getTransaction(hash) {
+      provider.head += 1;
+      return hash === provider.original.hash ? provider.original : null;
+    },
+    async getTransactionReceipt(hash) {
+      const mined = provider.head >= replacementBlock && hash === provider.replacement.hash;
+      return mined ? { hash, blockNumber: replacementBlock, status: 1 } : null;
+    },
+    async getTransactionCount() {
+      return provider.head >= replacementBlock ? 6 : 5;
+    },
+    async getBlock(blockNumber) {
+      provider.fetchedBlocks.push(blockNumber);
+      if (blockNumber > provider.head) return null;
+      return { number: blockNumber, prefetchedTransactions: blockNumber === replacementBlock ? [provider.replacement] : [] };
+    }
+  };
+  return provider;
+}
+
+describe('BaseNetworkUtils', () => {
+  describe('getNetworkConfig', () => {
+    it('should resolve names, aliases and chain ids to the same config', () => {
+      expect(getNetworkConfig('base')).to.equal(NETWORKS.base);
+      expect(getNetworkConfig('mainnet')).to.equal(NETWORKS.base);
+      expect(getNetworkConfig(8453)).to.equal(NETWORKS.base);
+      expect(getNetworkConfig('84532')).to.equal(NETWORKS.baseSepolia);
+      expect(getNetworkConfig('anvil')).to.equal(NETWORKS.local);
+    });
+
+    it('should reject unknown networks and chain ids', () => {
+      expect(() => getNetworkConfig('optimism')).to.throw('Unknown network "optimism"');
+      expect(() => getNetworkConfig(10)).to.throw('Unsupported chain id: 10');
+    });
+  });
+
+  describe('getNetworkKey', () => {
+    it('should map every alias of a chain to its NETWORKS key', () => {
+      for (const alias of ['base', 'mainnet', 'base-mainnet', 8453, '8453']) {
+        expect(getNetworkKey(alias)).to.equal('base');
+      }
+      expect(getNetworkKey('base-sepolia')).to.equal('baseSepolia');
+      expect(getNetworkKey('hardhat')).to.equal('local');
+    });
+
+    it('should reject a custom config with an unknown chain id', () => {
+      expect(() => getNetworkKey({ chainId: 999 })).to.throw('Chain id 999 is not one of the known networks');
+    });
+  });
+
+  describe('makeError', () => {
+    it('should attach the code and extra fields to the error', () => {
+      const error = makeError('TIMEOUT', 'Timed out', { hash: '0x01' });
+      expect(error).to.be.instanceOf(Error);
+      expect(error.message).to.equal('Timed out');
+      expect(error.code).to.equal('TIMEOUT');
+      expect(error.hash).to.equal('0x01');
+    });
+  });
+
+  describe('waitForTransaction', () => {
+    it('should report a repriced replacement and fetch each block only once', async () => {
+      const provider = fakeProvider();
+      const network = new BaseNetworkUtils('local', { provider });
+
+      const error = await network.waitForTransaction('0x01', { pollInterval: 0 }).then(() => null, e => e);
+
+      expect(error.code).to.equal('TRANSACTION_REPLACED');
+      expect(error.reason).to.equal('repriced');
+      expect(error.replacement.hash).to.equal('0x02');
+      expect(error.receipt.hash).to.equal('0x02');
+      expect(provider.fetchedBlocks).to.deep.equal([10, 11, 12, 13]);
+    });
+
+    it('should recognize a cancellation sent to self', async () => {
+      const provider = fakeProvider({ replacement: { to: SENDER, data: '0x', value: 0n } });
+      const network = new BaseNetworkUtils('local', { provider });
+
+      const error = await network.waitForTransaction('0x01', { pollInterval: 0 }).then(() => null, e => e);
+
+      expect(error.code).to.equal('TRANSACTION_REPLACED');
+      expect(error.reason).to.equal('cancelled');
+    });
+
+    it('should time out while the transaction stays pending', async () => {
+      const provider = fakeProvider({ replacementBlock: Infinity });
+      const network = new BaseNetworkUtils('local', { provider });
+
+      const error = await network.waitForTransaction('0x01', { pollInterval: 1, timeout: 20 }).then(() => null, e => e);
+
+      expect(error.code).to.equal('TIMEOUT');
+      expect(error.hash).to.equal('0x01');
+    });
+  });
+});
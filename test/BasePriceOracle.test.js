@@ -0,0 +1,188 @@
+const { expect } = require('chai');
+const http = require('http');
+const { ethers } = require('ethers');
+const {
+  PriceOracle,
+  ChainlinkPriceSource,
+  CoinGeckoPriceSource,
+  FixedPriceSource,
+  createPriceOracle,
+  CHAINLINK_ETH_USD_FEEDS,
+  AGGREGATOR_V3_ABI
+} = require('../lib/BasePriceOracle');
+
+const aggregator = new ethers.Interface(AGGREGATOR_V3_ABI);
+const EUR_USD_FEED = '0x00000000000000000000000000000000000000e0';
+
+// A provider serving Chainlink rounds: feeds maps an aggregator address to { answer, decimals, age }
+function chainlinkProvider(feeds, chainId = 8453n) {
+  const byAddress = Object.fromEntries(Object.entries(feeds).map(([address, feed]) => [address.toLowerCase(), feed]));
+  return {
+    getNetwork: async () => ({ chainId }),
+    call: async ({ to, data }) => {
+      const feed = byAddress[to.toLowerCase()];
+      const { name } = aggregator.parseTransaction({ data });
+      if (name === 'decimals') return aggregator.encodeFunctionResult('decimals', [feed.decimals]);
+      const updatedAt = Math.floor(Date.now() / 1000) - (feed.age || 0);
+      return aggregator.encodeFunctionResult('latestRoundData', [1n, feed.answer, updatedAt, updatedAt, 1n]);
+    }
+  };
+}
+
+// A CoinGecko-style API answering /simple/price from a table of ETH prices
+async function startCoinGecko(prices) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), apiKey: req.headers['x-cg-demo-api-key'] });
+    // Answer late so concurrent lookups overlap
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const currency = url.searchParams.get('vs_currencies');
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ ethereum: prices[currency] ? { [currency]: prices[currency], last_updated_at: 1700000000 } : {} }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/api/v3`, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+const failing = (name, code) => ({ name, getEthPrice: async () => { throw Object.assign(new Error(`${name} is down`), { code }); } });
+
+describe('BasePriceOracle', () => {
+  describe('PriceOracle', () => {
+    it('should answer from the first source that quotes the currency', async () => {
+      const oracle = new PriceOracle([failing('chainlink', 'STALE_PRICE'), new FixedPriceSource({ USD: 3000 }), new FixedPriceSource(1)]);
+
+      expect(await oracle.getEthPrice('USD')).to.deep.include({ price: 3000, currency: 'usd', source: 'fixed' });
+    });
+
+    it('should report every source error when none answers', async () => {
+      const oracle = new PriceOracle([failing('chainlink', 'STALE_PRICE'), new FixedPriceSource({ usd: 3000 })]);
+
+      const error = await oracle.getEthPrice('eur').then(() => null, e => e);
+
+      expect(error.code).to.equal('PRICE_UNAVAILABLE');
+      expect(error.message).to.equal('No price source could quote ETH in EUR: chainlink: chainlink is down; fixed: No fixed ETH price set for EUR');
+      expect(error.errors.map(e => e.code)).to.deep.equal(['STALE_PRICE', 'UNSUPPORTED_CURRENCY']);
+    });
+
+    it('should convert ETH strings and wei to fiat', async () => {
+      const oracle = new PriceOracle([new FixedPriceSource(2000)]);
+
+      expect(await oracle.convert('0.5')).to.deep.include({ amount: 1000, ethAmount: 0.5, price: 2000 });
+      expect((await oracle.convert(ethers.parseEther('0.25'))).amount).to.equal(500);
+      await oracle.convert('lots').then(() => expect.fail('converted a non-number'), error => {
+        expect(error.message).to.equal('Invalid ETH amount: lots');
+      });
+    });
+
+    it('should need at least one source', () => {
+      expect(() => new PriceOracle([])).to.throw('at least one price source');
+    });
+  });
+
+  describe('ChainlinkPriceSource', () => {
+    const ethUsd = CHAINLINK_ETH_USD_FEEDS[8453];
+
+    it('should read the ETH/USD feed for the connected chain', async () => {
+      const source = new ChainlinkPriceSource(chainlinkProvider({ [ethUsd]: { answer: 312345000000n, decimals: 8 } }));
+
+      const quote = await source.getEthPrice();
+
+      expect(quote).to.deep.include({ price: 3123.45, currency: 'usd', source: 'chainlink' });
+      expect(Date.now() - quote.timestamp).to.be.below(5000);
+    });
+
+    it('should cross ETH/USD with a fiat/USD feed', async () => {
+      const provider = chainlinkProvider({
+        [ethUsd]: { answer: 300000000000n, decimals: 8 },
+        [EUR_USD_FEED]: { answer: 125000000n, decimals: 8, age: 60 }
+      });
+      const source = new ChainlinkPriceSource(provider, { fiatFeeds: { EUR: EUR_USD_FEED } });
+
+      expect(await source.getEthPrice('eur')).to.deep.include({ price: 2400, currency: 'eur' });
+      await source.getEthPrice('gbp').then(() => expect.fail('quoted without a GBP feed'), error => {
+        expect(error.code).to.equal('UNSUPPORTED_CURRENCY');
+      });
+    });
+
+    it('should reject stale and non-positive answers and unknown chains', async () => {
+      const stale = new ChainlinkPriceSource(chainlinkProvider({ [ethUsd]: { answer: 1n, decimals: 8, age: 7200 } }));
+      const negative = new ChainlinkPriceSource(chainlinkProvider({ [ethUsd]: { answer: -1n, decimals: 8 } }));
+      const unknown = new ChainlinkPriceSource(chainlinkProvider({}, 999n));
+
+      const codes = await Promise.all([stale, negative, unknown].map(source => source.getEthPrice().then(() => null, e => e.code)));
+
+      expect(codes).to.deep.equal(['STALE_PRICE', 'INVALID_PRICE', 'UNSUPPORTED_NETWORK']);
+    });
+  });
+
+  describe('CoinGeckoPriceSource', () => {
+    let api;
+
+    beforeEach(async () => {
+      api = await startCoinGecko({ usd: 3100.5, eur: 2850 });
+    });
+
+    afterEach(async () => {
+      await api.close();
+    });
+
+    it('should share one request between concurrent lookups and cache the quote', async () => {
+      const source = new CoinGeckoPriceSource({ apiUrl: api.url, apiKey: 'demo-key' });
+
+      const quotes = await Promise.all([source.getEthPrice('usd'), source.getEthPrice('USD'), source.getEthPrice('usd')]);
+      const cached = await source.getEthPrice('usd');
+
+      expect(quotes.map(quote => quote.cached)).to.deep.equal([false, false, false]);
+      expect(quotes[0]).to.deep.include({ price: 3100.5, currency: 'usd', source: 'coingecko', timestamp: 1700000000000 });
+      expect(cached).to.deep.include({ price: 3100.5, cached: true });
+      expect(api.requests).to.have.length(1);
+      expect(api.requests[0]).to.deep.equal({
+        path: '/api/v3/simple/price',
+        query: { ids: 'ethereum', vs_currencies: 'usd', include_last_updated_at: 'true' },
+        apiKey: 'demo-key'
+      });
+    });
+
+    it('should refetch once the ttl has passed', async () => {
+      const source = new CoinGeckoPriceSource({ apiUrl: api.url, ttlMs: 0 });
+
+      await source.getEthPrice('usd');
+      await source.getEthPrice('eur');
+      const refetched = await source.getEthPrice('usd');
+
+      expect(refetched.cached).to.equal(false);
+      expect(api.requests.map(request => request.query.vs_currencies)).to.deep.equal(['usd', 'eur', 'usd']);
+    });
+
+    it('should fail for currencies CoinGecko does not quote and retry them later', async () => {
+      const source = new CoinGeckoPriceSource({ apiUrl: api.url });
+
+      const errors = await Promise.all([source.getEthPrice('xyz'), source.getEthPrice('xyz')].map(lookup => lookup.then(() => null, e => e.code)));
+      await source.getEthPrice('xyz').catch(() => {});
+
+      expect(errors).to.deep.equal(['UNSUPPORTED_CURRENCY', 'UNSUPPORTED_CURRENCY']);
+      expect(api.requests).to.have.length(2);
+    });
+
+    it('should back a stale Chainlink feed in the default oracle', async () => {
+      const provider = chainlinkProvider({ [CHAINLINK_ETH_USD_FEEDS[8453]]: { answer: 1n, decimals: 8, age: 7200 } });
+      const oracle = createPriceOracle({ provider, coingecko: { apiUrl: api.url } });
+
+      const quote = await oracle.getEthPrice();
+
+      expect(oracle.sources.map(source => source.name)).to.deep.equal(['chainlink', 'coingecko']);
+      expect(quote).to.deep.include({ price: 3100.5, source: 'coingecko' });
+    });
+  });
+
+  describe('createPriceOracle', () => {
+    it('should use given sources, a fixed price or CoinGecko alone', () => {
+      const fixed = new FixedPriceSource(1);
+
+      expect(createPriceOracle({ sources: [fixed] }).sources).to.deep.equal([fixed]);
+      expect(createPriceOracle({ fixedPrice: 0 }).sources[0].prices).to.deep.equal({ usd: 0 });
+      expect(createPriceOracle().sources.map(source => source.name)).to.deep.equal(['coingecko']);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const { RewardSimulator, createAccrualModel } = require('../lib/BaseRewardSimulator');
+
+const ETH = 10n ** 18n;
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1);
+const ALICE = '0x00000000000000000000000000000000000000A1';
+const BOB = '0x00000000000000000000000000000000000000b0';
+
+const at = (seconds) => T0 + seconds * 1000;
+const stake = (user, amount, seconds) => ({ type: 'stake', user, amount, timestamp: at(seconds) });
+const withdraw = (user, amount, seconds) => ({ type: 'withdraw', user, amount, timestamp: at(seconds) });
+const accruedBy = (rewards) => Object.fromEntries(rewards.positions.map(position => [position.user, position.accrued]));
+
+describe('BaseRewardSimulator', () => {
+  describe('linear accrual', () => {
+    // 1000 basis points per year = 10% APR
+    const simulator = new RewardSimulator({ model: 'linear', rate: 1000 });
+
+    it('should accrue the yearly rate on every staked wei', () => {
+      const state = simulator.replay([stake(ALICE, 100n * ETH, 0)], { until: T0 + YEAR_MS });
+      const rewards = simulator.getRewards(state);
+
+      expect(accruedBy(rewards)[ALICE]).to.equal(10n * ETH);
+      expect(rewards.apr).to.equal(0.1);
+    });
+
+    it('should not depend on the size of the pool', () => {
+      const state = simulator.replay([stake(ALICE, 100n * ETH, 0), stake(BOB, 900n * ETH, 0)], { until: T0 + YEAR_MS / 2 });
+
+      expect(accruedBy(simulator.getRewards(state))).to.deep.equal({ [ALICE]: 5n * ETH, [BOB]: 45n * ETH });
+    });
+  });
+
+  describe('accumulator accrual', () => {
+    // The pool emits 10 wei per second, shared by stake
+    const simulator = new RewardSimulator({ model: 'accumulator', rate: 10 });
+
+    it('should split emissions pro rata between stakers', () => {
+      const state = simulator.replay([stake(ALICE, 100n, 0), stake(BOB, 300n, 100)], { until: at(200) });
+      const rewards = simulator.getRewards(state);
+
+      // Alice alone for 100s (1000), then a quarter of the next 1000
+      expect(accruedBy(rewards)).to.deep.equal({ [ALICE]: 1250n, [BOB]: 750n });
+      expect(rewards.totalAccrued).to.equal(2000n);
+      expect(rewards.unallocated).to.equal(0n);
+    });
+
+    it('should keep rewards earned before a full withdrawal and count emissions to an empty pool as unallocated', () => {
+      const state = simulator.replay([stake(ALICE, 100n, 0), withdraw(ALICE, 100n, 50)], { until: at(150) });
+      const rewards = simulator.getRewards(state);
+
+      expect(accruedBy(rewards)[ALICE]).to.equal(500n);
+      expect(rewards.unallocated).to.equal(1000n);
+      expect(rewards.apr).to.equal(null);
+    });
+
+    it('should treat addresses case-insensitively', () => {
+      const state = simulator.replay([stake(ALICE, 100n, 0), withdraw(ALICE.toLowerCase(), 40n, 10)], { until: at(10) });
+
+      expect(simulator.getRewards(state).positions).to.have.length(1);
+      expect(state.totalStaked).to.equal(60n);
+    });
+  });
+
+  describe('replay', () => {
+    it('should reject withdrawals larger than the replayed stake', () => {
+      const simulator = new RewardSimulator({ model: 'linear', rate: 100 });
+      let error = null;
+      try {
+        simulator.replay([stake(ALICE, 1n, 0), withdraw(ALICE, 2n, 1)]);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).to.equal('INCONSISTENT_HISTORY');
+    });
+  });
+
+  describe('project', () => {
+    it('should advance a copy and leave the replayed state untouched', () => {
+      const simulator = new RewardSimulator({ model: 'accumulator', rate: 10 });
+      const state = simulator.replay([stake(ALICE, 100n, 0)], { until: at(10) });
+
+      const projected = simulator.project(state, at(20));
+
+      expect(accruedBy(simulator.getRewards(projected))[ALICE]).to.equal(200n);
+      expect(accruedBy(simulator.getRewards(state))[ALICE]).to.equal(100n);
+    });
+  });
+
+  describe('simulatePosition', () => {
+    it('should count the new stake in the pool it joins', () => {
+      const simulator = new RewardSimulator({ model: 'accumulator', rate: 10 });
+
+      const result = simulator.simulatePosition({ amount: 100n, duration: 100, totalStaked: 300n });
+
+      expect(result.reward).to.equal(250n);
+    });
+  });
+
+  describe('createAccrualModel', () => {
+    it('should pass custom models through and reject unknown names', () => {
+      const custom = { name: 'custom', indexDelta: () => 0n, apr: () => 0, unallocated: () => 0n };
+      expect(createAccrualModel(custom)).to.equal(custom);
+      expect(() => createAccrualModel('compound')).to.throw('Unknown accrual model "compound"');
+    });
+  });
+});
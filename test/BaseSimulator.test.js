@@ -0,0 +1,132 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const {
+  BaseSimulator,
+  decodeRevertData,
+  extractRevertData,
+  summarizePrestateDiff,
+  summarizeParityStateDiff
+} = require('../lib/BaseSimulator');
+
+const ACCOUNT = '0x00000000000000000000000000000000000000aa';
+const TX = { to: ACCOUNT, data: '0x' };
+const SLOT = ethers.toBeHex(1, 32);
+
+// ethers wraps JSON-RPC errors and keeps the node's error object under `error`
+const rpcError = (code, message) => Object.assign(new Error(`could not coalesce error (${message})`), {
+  code: 'UNKNOWN_ERROR',
+  error: { code, message }
+});
+
+// Answers each tracing method from a queue of results; an Error is thrown
+function tracingProvider(responses) {
+  const calls = [];
+  return {
+    calls,
+    async send(method) {
+      calls.push(method);
+      const queue = responses[method] || [];
+      const next = queue.length > 1 ? queue.shift() : queue[0];
+      if (next instanceof Error) throw next;
+      return next;
+    }
+  };
+}
+
+describe('BaseSimulator', () => {
+  describe('decodeRevertData', () => {
+    it('should decode Error(string) and Panic(uint256)', () => {
+      const coder = new ethers.Interface(['error Error(string)', 'error Panic(uint256)']);
+
+      expect(decodeRevertData(coder.encodeErrorResult('Error', ['not owner'])).message).to.equal('not owner');
+      expect(decodeRevertData(coder.encodeErrorResult('Panic', [0x11])).message).to.equal('Panic(0x11): arithmetic overflow or underflow');
+    });
+
+    it('should decode custom errors from the given ABIs and flag unknown selectors', () => {
+      const abi = ['error InsufficientBalance(uint256 available, uint256 required)'];
+      const data = new ethers.Interface(abi).encodeErrorResult('InsufficientBalance', [1, 2]);
+
+      expect(decodeRevertData(data, [abi])).to.deep.include({ type: 'Custom', message: 'InsufficientBalance(1, 2)' });
+      expect(decodeRevertData(data).type).to.equal('Unknown');
+      expect(decodeRevertData('0x')).to.equal(null);
+    });
+  });
+
+  describe('extractRevertData', () => {
+    it('should find revert data nested in JSON-RPC errors', () => {
+      expect(extractRevertData({ data: '0x1234' })).to.equal('0x1234');
+      expect(extractRevertData({ info: { error: { data: '0xabcd' } } })).to.equal('0xabcd');
+      expect(extractRevertData({ error: { data: { data: '0xbeef' } } })).to.equal('0xbeef');
+      expect(extractRevertData(new Error('timeout'))).to.equal(null);
+    });
+  });
+
+  describe('state diff summaries', () => {
+    it('should summarize prestateTracer diffs', () => {
+      const summary = summarizePrestateDiff({
+        pre: { [ACCOUNT]: { balance: '0x64', storage: { [SLOT]: ethers.ZeroHash } } },
+        post: { [ACCOUNT]: { balance: '0x32', storage: { [SLOT]: SLOT } } }
+      });
+
+      expect(summary.balanceChanges).to.deep.equal([{ address: ethers.getAddress(ACCOUNT), before: 100n, after: 50n, delta: -50n }]);
+      expect(summary.storageChanges).to.deep.equal([{ address: ethers.getAddress(ACCOUNT), slot: SLOT, before: ethers.ZeroHash, after: SLOT }]);
+    });
+
+    it('should summarize trace_call state diffs', () => {
+      const summary = summarizeParityStateDiff({
+        [ACCOUNT]: { balance: { '*': { from: '0x0', to: '0xa' } }, storage: { [SLOT]: { '+': SLOT } } }
+      });
+
+      expect(summary.balanceChanges[0].delta).to.equal(10n);
+      expect(summary.storageChanges[0]).to.deep.include({ before: ethers.ZeroHash, after: SLOT });
+    });
+  });
+
+  describe('getStateChanges', () => {
+    const diff = { pre: { [ACCOUNT]: { balance: '0x1' } }, post: { [ACCOUNT]: { balance: '0x2' } } };
+
+    it('should remember the tracer that worked', async () => {
+      const provider = tracingProvider({ debug_traceCall: [diff] });
+      const simulator = new BaseSimulator(provider);
+
+      expect(await simulator.getStateChanges(TX)).to.deep.include({ supported: true, method: 'debug_traceCall' });
+      await simulator.getStateChanges(TX);
+      expect(provider.calls).to.deep.equal(['debug_traceCall', 'debug_traceCall']);
+    });
+
+    it('should stop tracing once the node reports the methods missing', async () => {
+      const provider = tracingProvider({
+        debug_traceCall: [rpcError(-32601, 'the method debug_traceCall does not exist/is not available')],
+        trace_call: [rpcError(-32000, 'tracer not found')]
+      });
+      const simulator = new BaseSimulator(provider);
+
+      expect((await simulator.getStateChanges(TX)).supported).to.equal(false);
+      expect(await simulator.getStateChanges(TX)).to.deep.equal({ supported: false, method: null, balanceChanges: [], storageChanges: [] });
+      expect(provider.calls).to.deep.equal(['debug_traceCall', 'trace_call']);
+    });
+
+    it('should keep probing after a transient failure', async () => {
+      const provider = tracingProvider({
+        debug_traceCall: [rpcError(-32000, 'request timed out'), diff],
+        trace_call: [rpcError(-32601, 'method not found')]
+      });
+      const simulator = new BaseSimulator(provider);
+
+      const first = await simulator.getStateChanges(TX);
+      expect(first).to.deep.include({ supported: false, error: 'could not coalesce error (request timed out)' });
+
+      const second = await simulator.getStateChanges(TX);
+      expect(second).to.deep.include({ supported: true, method: 'debug_traceCall' });
+    });
+
+    it('should keep a working tracer after it fails once', async () => {
+      const provider = tracingProvider({ debug_traceCall: [diff, rpcError(429, 'rate limited'), diff] });
+      const simulator = new BaseSimulator(provider);
+
+      await simulator.getStateChanges(TX);
+      expect((await simulator.getStateChanges(TX)).supported).to.equal(false);
+      expect((await simulator.getStateChanges(TX)).supported).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const { expect } = require('chai');
+const { normalizeStorageLayout, compareStorageLayouts } = require('../scripts/BaseStorageLayout');
+
+// Compiler types used below, keyed the way solc names them
+const TYPES = {
+  t_uint256: { label: 'uint256', numberOfBytes: '32' },
+  t_address: { label: 'address', numberOfBytes: '20' },
+  t_bool: { label: 'bool', numberOfBytes: '1' },
+  't_array(t_uint256)49_storage': { label: 'uint256[49]', base: 't_uint256', numberOfBytes: '1568' },
+  't_array(t_uint256)48_storage': { label: 'uint256[48]', base: 't_uint256', numberOfBytes: '1536' },
+  't_mapping(t_address,t_uint256)': { label: 'mapping(address => uint256)', key: 't_address', value: 't_uint256', numberOfBytes: '32' }
+};
+
+const variable = (contract, label, slot, type, offset = 0) => ({ contract: `contracts/Token.sol:${contract}`, label, slot: String(slot), offset, type });
+
+const layout = (contractName, storage) => normalizeStorageLayout({ storage, types: TYPES }, contractName);
+
+const V1 = layout('TokenV1', [
+  variable('Base', 'owner', 0, 't_address'),
+  variable('Base', 'paused', 0, 't_bool', 20),
+  variable('TokenV1', 'balances', 1, 't_mapping(t_address,t_uint256)'),
+  variable('TokenV1', '__gap', 2, 't_array(t_uint256)49_storage')
+]);
+
+describe('BaseStorageLayout', () => {
+  describe('normalizeStorageLayout', () => {
+    it('should spell out types and strip source paths', () => {
+      expect(V1.storage[2]).to.deep.equal({
+        contract: 'TokenV1',
+        label: 'balances',
+        slot: '1',
+        offset: 0,
+        type: 'mapping(address => uint256)',
+        bytes: '32'
+      });
+    });
+
+    it('should describe structs the same way whatever type ids solc picked', () => {
+      const struct = (id) => ({
+        storage: [{ contract: 'A.sol:A', label: 'config', slot: '0', offset: 0, type: id }],
+        types: {
+          [id]: { label: 'struct A.Config', numberOfBytes: '64', members: [
+            { label: 'limit', type: 't_uint256', slot: '0', offset: 0 },
+            { label: 'admin', type: 't_address', slot: '1', offset: 0 }
+          ] },
+          t_uint256: TYPES.t_uint256,
+          t_address: TYPES.t_address
+        }
+      });
+
+      const a = normalizeStorageLayout(struct('t_struct(Config)12_storage'), 'A');
+      const b = normalizeStorageLayout(struct('t_struct(Config)345_storage'), 'A');
+
+      expect(a.storage[0].type).to.equal('struct A.Config { limit: uint256 @0+0; admin: address @1+0 }');
+      expect(a).to.deep.equal(b);
+    });
+  });
+
+  describe('compareStorageLayouts', () => {
+    it('should accept an identical layout under a renamed most derived contract', () => {
+      const v2 = layout('TokenV2', [
+        variable('Base', 'owner', 0, 't_address'),
+        variable('Base', 'paused', 0, 't_bool', 20),
+        variable('TokenV2', 'balances', 1, 't_mapping(t_address,t_uint256)'),
+        variable('TokenV2', '__gap', 2, 't_array(t_uint256)49_storage')
+      ]);
+
+      expect(compareStorageLayouts(V1, v2)).to.deep.equal({ compatible: true, problems: [], added: [] });
+    });
+
+    it('should accept variables carved out of the start of the gap', () => {
+      const v2 = layout('TokenV1', [
+        variable('Base', 'owner', 0, 't_address'),
+        variable('Base', 'paused', 0, 't_bool', 20),
+        variable('TokenV1', 'balances', 1, 't_mapping(t_address,t_uint256)'),
+        variable('TokenV1', 'fee', 2, 't_uint256'),
+        variable('TokenV1', '__gap', 3, 't_array(t_uint256)48_storage')
+      ]);
+
+      const result = compareStorageLayouts(V1, v2);
+
+      expect(result.compatible).to.equal(true);
+      expect(result.added).to.deep.equal([{ variable: 'TokenV1.fee', slot: '2', offset: 0, type: 'uint256' }]);
+    });
+
+    it('should reject a gap that no longer ends where it did', () => {
+      const v2 = layout('TokenV1', [
+        variable('Base', 'owner', 0, 't_address'),
+        variable('Base', 'paused', 0, 't_bool', 20),
+        variable('TokenV1', 'balances', 1, 't_mapping(t_address,t_uint256)'),
+        variable('TokenV1', 'fee', 2, 't_uint256'),
+        variable('TokenV1', '__gap', 3, 't_array(t_uint256)49_storage')
+      ]);
+
+      const result = compareStorageLayouts(V1, v2);
+
+      expect(result.compatible).to.equal(false);
+      expect(result.problems[0]).to.include('TokenV1.__gap ends before slot 51 in the deployed version but before slot 52');
+    });
+
+    it('should reject reordered variables', () => {
+      const v2 = layout('TokenV1', [
+        variable('Base', 'paused', 0, 't_bool'),
+        variable('Base', 'owner', 0, 't_address', 1)
+      ]);
+
+      const result = compareStorageLayouts(V1, v2);
+
+      expect(result.compatible).to.equal(false);
+      expect(result.problems[0]).to.include('Base.owner (slot 0) is replaced by Base.paused (slot 0)');
+      expect(result.added).to.deep.equal([]);
+    });
+
+    it('should reject type changes and removed variables', () => {
+      const retyped = layout('TokenV1', [
+        variable('Base', 'owner', 0, 't_uint256'),
+        variable('Base', 'paused', 0, 't_bool', 20)
+      ]);
+
+      const result = compareStorageLayouts(V1, retyped);
+
+      expect(result.problems).to.deep.equal([
+        'Base.owner changed type from address to uint256',
+        'TokenV1.balances (slot 1) was removed'
+      ]);
+    });
+
+    it('should reject a variable that moved to another slot', () => {
+      const moved = layout('TokenV1', [
+        variable('Base', 'owner', 1, 't_address')
+      ]);
+
+      expect(compareStorageLayouts(V1, moved).problems).to.deep.equal(['Base.owner moved from slot 0 to slot 1']);
+    });
+  });
+});
+
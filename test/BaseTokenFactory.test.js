@@ -0,0 +1,282 @@
+const { expect } = require('chai');
+const http = require('http');
+const { ethers } = require('ethers');
+const { BaseTokenFactory, CREATE2_DEPLOYER, normalizeSalt } = require('../scripts/BaseTokenFactory');
+
+const OWNER = '0x00000000000000000000000000000000000000aa';
+const CONFIG = { name: 'Salted Token', symbol: 'SALT', totalSupply: '1000', owner: OWNER };
+
+// An Etherscan-style API answering each request with the next scripted response
+async function startExplorer(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(req.method === 'POST' ? Object.fromEntries(new URLSearchParams(body)) : Object.fromEntries(url.searchParams));
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(responses.shift()));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/api`, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+const DEPLOYER = '0x00000000000000000000000000000000000000d1';
+const TOKEN = { name: 'Plain Token', symbol: 'PLAIN', totalSupply: '1000' };
+const GAS_PRICE = ethers.parseUnits('0.01', 'gwei');
+const L1_FEE = ethers.parseEther('0.000003');
+
+// A signer whose transactions are mined at once; `status: 0` makes them revert
+function createDeployer({ status = 1 } = {}) {
+  const sent = [];
+  const receipts = new Map();
+  const provider = {
+    getTransactionReceipt: async (hash) => receipts.get(hash),
+    getCode: async () => '0x6080',
+    // Raw OP Stack receipts carry the L1 data fee
+    send: async (method, [hash]) => ({ transactionHash: hash, l1Fee: ethers.toQuantity(L1_FEE) })
+  };
+  const signer = {
+    provider,
+    getAddress: async () => DEPLOYER,
+    sendTransaction: async (tx) => {
+      const nonce = sent.push(tx) - 1;
+      const hash = ethers.id(`deployment ${nonce}`);
+      const contractAddress = ethers.getCreateAddress({ from: DEPLOYER, nonce });
+      receipts.set(hash, { hash, status, contractAddress, blockNumber: 7, gasUsed: 1200000n, gasPrice: GAS_PRICE, logs: [] });
+      return { ...tx, hash, from: DEPLOYER, nonce, chainId: 84532n };
+    }
+  };
+  return { signer, sent };
+}
+
+describe('BaseTokenFactory', function () {
+  // Predictions and deployments compile the generated contract with solc-js
+  this.timeout(120000);
+
+  const factory = new BaseTokenFactory();
+
+  describe('normalizeSalt', () => {
+    it('should pad numbers, keep bytes32 and hash labels', () => {
+      expect(normalizeSalt(1)).to.equal(ethers.zeroPadValue('0x01', 32));
+      expect(normalizeSalt(2n)).to.equal(ethers.zeroPadValue('0x02', 32));
+      expect(normalizeSalt(ethers.id('x').toUpperCase().replace('0X', '0x'))).to.equal(ethers.id('x'));
+      expect(normalizeSalt('my-token-v1')).to.equal(ethers.id('my-token-v1'));
+      expect(() => normalizeSalt('')).to.throw('Salt must be');
+    });
+  });
+
+  describe('predictAddress', () => {
+    it('should derive the CREATE2 address from the deployer, salt and init code', () => {
+      const prediction = factory.predictAddress(CONFIG, 'v1');
+      const compiled = factory.compileContract(factory.generateTokenContract(CONFIG), factory.getContractName(CONFIG));
+
+      expect(prediction.deployer).to.equal(CREATE2_DEPLOYER);
+      expect(prediction.initCodeHash).to.equal(ethers.keccak256(compiled.bytecode));
+      expect(prediction.address).to.equal(ethers.getCreate2Address(CREATE2_DEPLOYER, ethers.id('v1'), prediction.initCodeHash));
+      expect(factory.predictAddress(CONFIG, 'v2').address).to.not.equal(prediction.address);
+    });
+
+    it('should require an explicit owner', () => {
+      expect(() => factory.predictAddress({ ...CONFIG, owner: undefined }, 1)).to.throw('need config.owner');
+    });
+  });
+
+  describe('mineSalt', () => {
+    it('should find a salt whose predicted address has the prefix and suffix', () => {
+      const mined = factory.mineSalt(CONFIG, { prefix: '0xa', suffix: 'b' });
+
+      expect(mined.address.toLowerCase()).to.match(/^0xa[0-9a-f]*b$/);
+      expect(factory.predictAddress(CONFIG, mined.salt).address).to.equal(mined.address);
+    });
+
+    it('should match checksum case when asked and give up after maxAttempts', () => {
+      const mined = factory.mineSalt(CONFIG, { prefix: 'A', caseSensitive: true });
+      expect(mined.address.slice(2, 3)).to.equal('A');
+
+      expect(() => factory.mineSalt(CONFIG, { prefix: 'ffffff', maxAttempts: 10 })).to.throw('after 10 attempts');
+      expect(() => factory.mineSalt(CONFIG, { prefix: 'xyz' })).to.throw('hex strings');
+    });
+  });
+
+  describe('verifyToken', () => {
+    const verification = {
+      input: { language: 'Solidity', sources: {} },
+      sourceName: 'contracts/SaltedToken.sol',
+      contractName: 'SaltedToken',
+      compilerVersion: '0.8.19+commit.7dd6d404.Emscripten.clang',
+      network: 'baseSepolia'
+    };
+    const logs = {};
+    let explorer;
+
+    const verify = async (responses) => {
+      explorer = await startExplorer(responses);
+      return factory.verifyToken(OWNER, { ...verification, apiUrl: explorer.url, apiKey: 'key', pollInterval: 1, maxAttempts: 5 });
+    };
+
+    beforeEach(() => {
+      for (const level of ['log', 'warn', 'error']) {
+        logs[level] = console[level];
+        console[level] = () => {};
+      }
+    });
+
+    afterEach(async () => {
+      Object.assign(console, logs);
+      await explorer.close();
+    });
+
+    it('should submit standard JSON input and poll until the explorer passes it', async () => {
+      const result = await verify([
+        { status: '1', result: 'guid-1' },
+        { status: '0', result: 'Pending in queue' },
+        { status: '1', result: 'Pass - Verified' }
+      ]);
+
+      expect(result).to.deep.include({ status: 'verified', guid: 'guid-1' });
+      expect(result.explorerUrl).to.equal(`https://sepolia.basescan.org/address/${OWNER}#code`);
+      expect(explorer.requests[0]).to.deep.include({
+        action: 'verifysourcecode',
+        chainid: '84532',
+        codeformat: 'solidity-standard-json-input',
+        contractname: 'contracts/SaltedToken.sol:SaltedToken',
+        compilerversion: 'v0.8.19+commit.7dd6d404',
+        constructorArguements: ''
+      });
+      expect(explorer.requests.slice(1).map(request => [request.action, request.guid])).to.deep.equal([
+        ['checkverifystatus', 'guid-1'], ['checkverifystatus', 'guid-1']
+      ]);
+    });
+
+    it('should retry rate limited requests', async () => {
+      const result = await verify([
+        { status: '0', result: 'Max rate limit reached' },
+        { status: '1', result: 'guid-2' },
+        { status: '0', result: 'Max rate limit reached, please use API Key for higher rate limit' },
+        { status: '1', result: 'Pass - Verified' }
+      ]);
+
+      expect(result.status).to.equal('verified');
+      expect(explorer.requests).to.have.length(4);
+    });
+
+    it('should map already verified, rejected and failed responses', async () => {
+      expect((await verify([{ status: '0', result: 'Contract source code already verified' }])).status).to.equal('already_verified');
+      await explorer.close();
+      expect((await verify([{ status: '0', result: 'Invalid API Key' }])).status).to.equal('rejected');
+      await explorer.close();
+      expect(await verify([{ status: '1', result: 'guid-3' }, { status: '0', result: 'Fail - Unable to verify' }]))
+        .to.deep.include({ status: 'failed', message: 'Fail - Unable to verify' });
+    });
+
+    it('should report pending once the polling limit is reached', async () => {
+      const result = await verify([{ status: '1', result: 'guid-4' }, ...Array(5).fill({ status: '0', result: 'Pending in queue' })]);
+
+      expect(result).to.deep.include({ status: 'pending', guid: 'guid-4' });
+    });
+  });
+
+  describe('estimateDeploymentCost', () => {
+    it('should estimate with the signer of the requested network', async () => {
+      const estimator = new BaseTokenFactory();
+      estimator.getSigner = async (network) => {
+        throw Object.assign(new Error('no RPC in tests'), { network });
+      };
+
+      const error = await estimator.estimateDeploymentCost(CONFIG, 'baseSepolia').then(() => null, e => e);
+
+      expect(error.network).to.equal('baseSepolia');
+    });
+  });
+
+  describe('prepareConfig', () => {
+    const MAINNET_OWNER = '0x00000000000000000000000000000000000000b1';
+    const SEPOLIA_OWNER = '0x00000000000000000000000000000000000000b2';
+
+    const createFactory = () => {
+      const preparer = new BaseTokenFactory();
+      preparer.getSigner = async (network) => ({
+        provider: { network },
+        getAddress: async () => (network === 'baseSepolia' ? SEPOLIA_OWNER : MAINNET_OWNER)
+      });
+      return preparer;
+    };
+
+    it('should resolve Basenames on the deployment network', async () => {
+      const preparer = createFactory();
+      preparer.nameResolvers.set('base', { resolveAddress: async () => MAINNET_OWNER });
+      preparer.nameResolvers.set('baseSepolia', { resolveAddress: async () => SEPOLIA_OWNER });
+
+      const sepolia = await preparer.prepareConfig({ ...CONFIG, owner: 'alice.base.eth' }, 'baseSepolia');
+      const mainnet = await preparer.prepareConfig({ ...CONFIG, owner: 'alice.base.eth' });
+
+      expect(sepolia.owner).to.equal(SEPOLIA_OWNER);
+      expect(mainnet.owner).to.equal(MAINNET_OWNER);
+    });
+
+    it('should keep one name resolver per network', async () => {
+      const preparer = createFactory();
+
+      const sepolia = await preparer.getNameResolver('baseSepolia');
+
+      expect(await preparer.getNameResolver('baseSepolia')).to.equal(sepolia);
+      expect(await preparer.getNameResolver()).to.not.equal(sepolia);
+      expect([...preparer.nameResolvers.keys()]).to.deep.equal(['baseSepolia', 'base']);
+    });
+
+    it('should default a CREATE2 owner to the deployment network signer', async () => {
+      const prepared = await createFactory().prepareConfig({ ...CONFIG, owner: undefined }, 'baseSepolia', { salt: 1 });
+
+      expect(prepared.owner).to.equal(SEPOLIA_OWNER);
+    });
+  });
+
+  describe('deployToken', () => {
+    const { log, error } = console;
+    beforeEach(() => {
+      console.log = () => {};
+      console.error = () => {};
+    });
+    afterEach(() => {
+      console.log = log;
+      console.error = error;
+    });
+
+    it('should deploy the compiled bytecode and report the deployment from its receipt', async () => {
+      const { signer, sent } = createDeployer();
+      const deployer = new BaseTokenFactory({ signer });
+
+      const deployment = await deployer.deployToken(TOKEN, 'baseSepolia');
+      const compiled = deployer.compileContract(deployer.generateTokenContract(TOKEN), deployer.getContractName(TOKEN));
+
+      expect(sent).to.have.lengthOf(1);
+      expect(sent[0].data).to.equal(compiled.bytecode);
+      expect(deployment).to.include({
+        address: ethers.getCreateAddress({ from: DEPLOYER, nonce: 0 }),
+        txHash: ethers.id('deployment 0'),
+        network: 'baseSepolia',
+        chainId: 84532,
+        deployer: DEPLOYER,
+        blockNumber: 7,
+        gasUsed: '1200000',
+        l2CostEth: '0.000012',
+        l1FeeEth: '0.000003',
+        costEth: '0.000015'
+      });
+      expect(deployer.getStats()).to.include({ totalDeployments: 1, totalGasUsed: 1200000, totalCostEth: '0.000015' });
+    });
+
+    it('should fail without recording anything when the deployment reverts', async () => {
+      const { signer } = createDeployer({ status: 0 });
+      const deployer = new BaseTokenFactory({ signer });
+
+      const failure = await deployer.deployToken(TOKEN, 'baseSepolia').then(() => null, e => e);
+
+      expect(failure.code).to.equal('CALL_EXCEPTION');
+      expect(deployer.getStats()).to.include({ totalDeployments: 0, totalGasUsed: 0 });
+    });
+  });
+});
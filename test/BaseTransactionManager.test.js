@@ -0,0 +1,194 @@
+const { expect } = require('chai');
+const { BaseTransactionManager, TX_STATUS } = require('../utils/BaseTransactionManager');
+
+const GWEI = 10n ** 9n;
+const SENDER = '0x00000000000000000000000000000000000000aa';
+const TARGET = '0x00000000000000000000000000000000000000bb';
+
+const tiers = (maxFee, tip) => Object.fromEntries(['slow', 'standard', 'fast', 'instant']
+  .map(name => [name, { maxFeePerGas: maxFee * GWEI, maxPriorityFeePerGas: tip * GWEI }]));
+
+// A node that mines nothing until a test adds receipts, and a signer that numbers its hashes
+function createChain({ pendingNonces = [5] } = {}) {
+  const chain = {
+    receipts: new Map(),
+    latestNonce: 0,
+    nonceReads: 0,
+    sent: [],
+    sendErrors: [],
+    fees: { tiers: tiers(10n, 1n) }
+  };
+  const nonce = () => pendingNonces[Math.min(chain.nonceReads++, pendingNonces.length - 1)];
+
+  chain.provider = {
+    send: async (method) => {
+      if (method !== 'eth_getTransactionCount') throw new Error(`unexpected ${method}`);
+      return `0x${nonce().toString(16)}`;
+    },
+    getTransactionCount: async (address, blockTag) => (blockTag === 'pending' ? nonce() : chain.latestNonce),
+    getTransactionReceipt: async (hash) => chain.receipts.get(hash) || null
+  };
+  chain.signer = {
+    provider: chain.provider,
+    getAddress: async () => SENDER,
+    sendTransaction: async (tx) => {
+      const error = chain.sendErrors.shift();
+      if (error) throw error;
+      chain.sent.push(tx);
+      return { hash: `0x${chain.sent.length}` };
+    }
+  };
+  chain.optimizer = {
+    getFeeEstimates: async () => chain.fees,
+    resolveTransaction: async (tx) => tx,
+    estimateGasWithBuffer: async () => 50000n
+  };
+  chain.mine = (hash, fields = {}) => chain.receipts.set(hash, { hash, status: 1, ...fields });
+  return chain;
+}
+
+const nonceTooLow = () => Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+
+// Resolves once the manager emits `event` for a record
+const next = (manager, event) => new Promise(resolve => manager.once(event, resolve));
+
+describe('BaseTransactionManager', () => {
+  let chain;
+  let manager;
+
+  beforeEach(() => {
+    chain = createChain();
+    manager = new BaseTransactionManager(chain.signer, { optimizer: chain.optimizer, pollInterval: 5, stuckTimeout: 60000 });
+  });
+
+  describe('nonce tracking', () => {
+    it('should read the pending nonce once and hand out consecutive nonces', async () => {
+      for (let i = 1; i <= 3; i++) chain.mine(`0x${i}`);
+
+      const records = await manager.sendBatch([{ to: TARGET }, { to: TARGET }, { to: TARGET }]);
+
+      expect(records.map(record => [record.nonce, record.status])).to.deep.equal([[5, 'mined'], [6, 'mined'], [7, 'mined']]);
+      expect(chain.sent.map(tx => tx.nonce)).to.deep.equal([5, 6, 7]);
+      expect(chain.nonceReads).to.equal(1);
+    });
+
+    it('should use the tier fees unless the request sets its own', async () => {
+      chain.mine('0x1');
+      chain.mine('0x2');
+
+      await manager.sendBatch([{ to: TARGET }, { to: TARGET, maxFeePerGas: 2n * GWEI, maxPriorityFeePerGas: GWEI / 2n }]);
+
+      expect(chain.sent[0]).to.deep.include({ type: 2, gasLimit: 50000n, maxFeePerGas: 10n * GWEI, maxPriorityFeePerGas: GWEI });
+      expect(chain.sent[1]).to.deep.include({ maxFeePerGas: 2n * GWEI, maxPriorityFeePerGas: GWEI / 2n });
+    });
+
+    it('should clamp the tier tip to a maxFeePerGas the caller capped below it', async () => {
+      chain.mine('0x1');
+
+      await manager.send({ to: TARGET, maxFeePerGas: GWEI / 2n });
+
+      expect(chain.sent[0]).to.deep.include({ maxFeePerGas: GWEI / 2n, maxPriorityFeePerGas: GWEI / 2n });
+    });
+
+    it('should resync the nonce and retry once when another sender used it', async () => {
+      chain = createChain({ pendingNonces: [5, 9] });
+      manager = new BaseTransactionManager(chain.signer, { optimizer: chain.optimizer, pollInterval: 5 });
+      chain.sendErrors.push(nonceTooLow());
+      chain.mine('0x1');
+
+      const record = await manager.send({ to: TARGET });
+
+      expect(record).to.deep.include({ status: TX_STATUS.MINED, nonce: 9 });
+      expect(chain.nonceReads).to.equal(2);
+    });
+
+    it('should fail after a second nonce error and re-read the nonce for the next send', async () => {
+      chain.sendErrors.push(nonceTooLow(), nonceTooLow());
+
+      const failed = await manager.send({ to: TARGET });
+      chain.mine('0x1');
+      const sent = await manager.send({ to: TARGET });
+
+      expect(failed).to.deep.include({ status: TX_STATUS.FAILED, reason: 'send_failed', error: 'nonce too low' });
+      expect(sent.status).to.equal(TX_STATUS.MINED);
+      expect(chain.nonceReads).to.equal(3);
+    });
+  });
+
+  describe('replacements', () => {
+    // Sends one transaction and leaves it pending
+    const sendPending = async () => {
+      const record = manager.enqueue({ to: TARGET, value: 1n });
+      const done = manager.waitFor(record.id);
+      const sent = next(manager, TX_STATUS.SENT);
+      manager.flush();
+      await sent;
+      return { record, done };
+    };
+
+    it('should bump both fees by bumpPercent, or use the market when it is higher', async () => {
+      const { record, done } = await sendPending();
+
+      await manager.speedUp(record);
+      expect(chain.sent[1]).to.deep.include({ nonce: 5, maxFeePerGas: 115n * GWEI / 10n, maxPriorityFeePerGas: 115n * GWEI / 100n, value: 1n });
+
+      chain.fees = { tiers: tiers(20n, 3n) };
+      await manager.speedUp(record, { bumpPercent: 5 });
+      // The bump never goes below the 10% nodes require
+      expect(chain.sent[2]).to.deep.include({ maxFeePerGas: 20n * GWEI, maxPriorityFeePerGas: 3n * GWEI });
+      expect(record.hashes).to.deep.equal(['0x1', '0x2', '0x3']);
+
+      chain.mine('0x1');
+      await done;
+    });
+
+    it('should report a mined speed-up as mined under the replacement hash', async () => {
+      const { record, done } = await sendPending();
+      await manager.speedUp(record);
+      chain.mine('0x2');
+
+      const final = await done;
+
+      expect(final).to.deep.include({ status: TX_STATUS.MINED, hash: '0x2', speedUps: 1 });
+      expect(final.receipt.hash).to.equal('0x2');
+    });
+
+    it('should report a mined cancellation as replaced', async () => {
+      const { record, done } = await sendPending();
+      await manager.cancel(record);
+      chain.mine('0x2');
+
+      const final = await done;
+
+      expect(chain.sent[1]).to.deep.include({ to: SENDER, value: 0n, nonce: 5, gasLimit: 21000n });
+      expect(final).to.deep.include({ status: TX_STATUS.REPLACED, reason: 'cancelled', cancelHash: '0x2' });
+    });
+
+    it('should detect a nonce consumed by a transaction it did not send', async () => {
+      const { done } = await sendPending();
+      chain.latestNonce = 6;
+
+      expect(await done).to.deep.include({ status: TX_STATUS.REPLACED, reason: 'replaced_externally' });
+    });
+
+    it('should only replace sent transactions', async () => {
+      const record = manager.enqueue({ to: TARGET });
+
+      const error = await manager.speedUp(record).then(() => null, e => e);
+
+      expect(error.code).to.equal('INVALID_STATE');
+    });
+
+    it('should speed up stuck transactions automatically when enabled', async () => {
+      manager = new BaseTransactionManager(chain.signer, { optimizer: chain.optimizer, pollInterval: 5, stuckTimeout: 1, autoSpeedUp: true });
+      const stuck = next(manager, 'stuck');
+      const { done } = await sendPending();
+
+      await stuck;
+      await next(manager, 'speedUp');
+      chain.mine('0x2');
+
+      expect((await done).hash).to.equal('0x2');
+    });
+  });
+});
@@ -0,0 +1,208 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter, once } = require('events');
+const { BaseTransactionScheduler, JOB_STATUS } = require('../utils/BaseTransactionScheduler');
+
+const HOUR = 60 * 60 * 1000;
+const GWEI = 10n ** 9n;
+
+// A job as the previous process left it in the queue file
+const savedJob = (fields) => ({
+  id: 'job-1',
+  status: JOB_STATUS.SENT,
+  tx: { to: '0x00000000000000000000000000000000000000aa' },
+  maxFee: GWEI.toString(),
+  deadline: Date.now() + HOUR,
+  priority: 'standard',
+  hash: '0xccc',
+  hashes: ['0xaaa', '0xbbb', '0xccc'],
+  cancelHash: null,
+  nonce: 4,
+  ...fields
+});
+
+// Stands in for BaseTransactionManager: flush() broadcasts the queue and mines every transaction
+class FakeManager extends EventEmitter {
+  constructor(receipts) {
+    super();
+    this.provider = { getTransactionReceipt: async (hash) => receipts[hash] || null };
+    this.queue = [];
+    this.sent = [];
+    this._waiters = new Map();
+  }
+
+  enqueue(tx, options) {
+    const record = { id: this.sent.length + this.queue.length + 1, tx, priority: options.priority, hash: null, hashes: [], nonce: null };
+    this.queue.push(record);
+    return record;
+  }
+
+  waitFor(id) {
+    return new Promise(resolve => this._waiters.set(id, resolve));
+  }
+
+  async flush() {
+    for (const record of this.queue.splice(0)) {
+      Object.assign(record, { hash: `0x${record.id}`, hashes: [`0x${record.id}`], nonce: record.id });
+      this.sent.push(record);
+      this.emit('sent', record);
+      this._waiters.get(record.id)({ status: 'mined', hash: record.hash, receipt: { hash: record.hash, status: 1 } });
+    }
+  }
+}
+
+describe('BaseTransactionScheduler', () => {
+  let dir;
+  let queuePath;
+  let monitor;
+  let manager;
+
+  const createScheduler = (receipts = {}) => {
+    monitor = new EventEmitter();
+    manager = new FakeManager(receipts);
+    return new BaseTransactionScheduler({ monitor, manager, queuePath });
+  };
+
+  const writeQueue = (jobs) => fs.writeFileSync(queuePath, JSON.stringify({ version: 1, jobs }));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+    queuePath = path.join(dir, 'queue.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('getAllowedFee', () => {
+    it('should ramp the fee up to maxEscalation times the target over the window', () => {
+      const scheduler = createScheduler();
+      const job = { maxFee: (10n * GWEI).toString(), deadline: 10 * HOUR };
+
+      expect(scheduler.getAllowedFee(job, 8 * HOUR)).to.equal(10n * GWEI);
+      expect(scheduler.getAllowedFee(job, 9.5 * HOUR)).to.equal(20n * GWEI);
+      expect(scheduler.getAllowedFee(job, 12 * HOUR)).to.equal(30n * GWEI);
+    });
+  });
+
+  describe('schedule', () => {
+    it('should persist the job and refuse deadlines in the past', async () => {
+      const scheduler = createScheduler();
+
+      const job = await scheduler.schedule({ to: '0x00000000000000000000000000000000000000aa', value: 5n }, { maxFee: 2, deadline: Date.now() + HOUR });
+      await scheduler.stop();
+
+      const saved = JSON.parse(fs.readFileSync(queuePath, 'utf8')).jobs;
+      expect(saved).to.have.length(1);
+      expect(saved[0]).to.deep.include({ id: job.id, status: JOB_STATUS.WAITING, maxFee: (2n * GWEI).toString() });
+      expect(saved[0].tx.value).to.equal('5');
+
+      const error = await scheduler.schedule({}, { maxFee: 2, deadline: Date.now() - 1 }).then(() => null, e => e);
+      expect(error.code).to.equal('DEADLINE_EXCEEDED');
+    });
+  });
+
+  describe('evaluate', () => {
+    const TX = { to: '0x00000000000000000000000000000000000000aa', value: 1n, maxFeePerGas: 99n };
+
+    it('should hold jobs while the fee is above target and send them capped at the allowed fee', async () => {
+      const scheduler = createScheduler();
+      const job = await scheduler.schedule(TX, { maxFee: 2, deadline: Date.now() + 2 * HOUR });
+
+      expect(await scheduler.evaluate({ baseFee: 2.5, priorityFee: 0.1 })).to.deep.equal([]);
+      expect(manager.sent).to.have.length(0);
+
+      expect((await scheduler.evaluate({ baseFee: 1.5, priorityFee: 0.1 })).map(sent => sent.id)).to.deep.equal([job.id]);
+      const receipt = await scheduler.waitFor(job.id);
+      await scheduler.stop();
+
+      expect(manager.sent[0].tx).to.deep.equal({ to: TX.to, value: 1n, maxFeePerGas: 2n * GWEI });
+      expect(receipt.hash).to.equal('0x1');
+      expect(job).to.deep.include({ status: JOB_STATUS.MINED, hash: '0x1', sentFee: (2n * GWEI).toString() });
+    });
+
+    it('should expire jobs past their deadline when onDeadline is "fail"', async () => {
+      const scheduler = new BaseTransactionScheduler({ monitor: new EventEmitter(), manager: new FakeManager({}), queuePath, onDeadline: 'fail' });
+      const job = await scheduler.schedule(TX, { maxFee: 1, deadline: Date.now() + 50 });
+      await new Promise(resolve => setTimeout(resolve, 60));
+
+      await scheduler.evaluate({ baseFee: 5, priorityFee: 0 });
+      const error = await scheduler.waitFor(job.id).then(() => null, e => e);
+      await scheduler.stop();
+
+      expect(error.code).to.equal('DEADLINE_EXCEEDED');
+    });
+  });
+
+  describe('scheduleWhenBelow', () => {
+    it('should resolve with the receipt once a monitor sample falls below the target', async () => {
+      const scheduler = createScheduler();
+      await scheduler.start({ startMonitor: false });
+
+      const mined = scheduler.scheduleWhenBelow({ to: '0x00000000000000000000000000000000000000aa' }, { maxFee: 1, deadline: Date.now() + 2 * HOUR });
+      await once(scheduler, 'scheduled');
+      monitor.emit('sample', { baseFee: 3, priorityFee: 0 });
+      monitor.emit('sample', { baseFee: 0.5, priorityFee: 0.01 });
+      const receipt = await mined;
+      await scheduler.stop();
+
+      expect(receipt).to.deep.equal({ hash: '0x1', status: 1 });
+      expect(manager.sent).to.have.length(1);
+    });
+  });
+
+  describe('start', () => {
+    it('should complete a resumed job whose earlier speed-up was mined', async () => {
+      writeQueue([savedJob()]);
+      const scheduler = createScheduler({ '0xbbb': { hash: '0xbbb', status: 1 } });
+
+      const mined = once(scheduler, JOB_STATUS.MINED);
+      await scheduler.start({ startMonitor: false });
+      const [job] = await mined;
+      await scheduler.stop();
+
+      expect(job).to.deep.include({ status: JOB_STATUS.MINED, hash: '0xbbb' });
+      expect(JSON.parse(fs.readFileSync(queuePath, 'utf8')).jobs[0]).to.deep.include({ status: JOB_STATUS.MINED, hash: '0xbbb' });
+    });
+
+    it('should fail a resumed job whose cancellation was mined', async () => {
+      writeQueue([savedJob({ hash: '0xddd', hashes: ['0xccc', '0xddd'], cancelHash: '0xddd' })]);
+      const scheduler = createScheduler({ '0xddd': { hash: '0xddd', status: 1 } });
+
+      const failed = once(scheduler, JOB_STATUS.FAILED);
+      await scheduler.start({ startMonitor: false });
+      const [job] = await failed;
+      await scheduler.stop();
+
+      expect(job.error).to.equal('Cancelled after sending');
+    });
+
+    it('should resume restored jobs when schedule() ran before start()', async () => {
+      writeQueue([savedJob(), savedJob({ id: 'job-2', status: JOB_STATUS.SENDING, hash: null, hashes: [] })]);
+      const scheduler = createScheduler({ '0xccc': { hash: '0xccc', status: 1 } });
+
+      await scheduler.schedule({ to: '0x00000000000000000000000000000000000000aa' }, { maxFee: 1, deadline: Date.now() + HOUR, id: 'job-3' });
+      const receipt = scheduler.waitFor('job-1');
+      const restored = await scheduler.start({ startMonitor: false });
+      await scheduler.start({ startMonitor: false });
+
+      expect(restored.map(job => job.id)).to.deep.equal(['job-1', 'job-2']);
+      expect((await receipt).hash).to.equal('0xccc');
+      await scheduler.stop();
+      expect(scheduler.jobs.get('job-2').status).to.equal(JOB_STATUS.FAILED);
+      expect(scheduler.jobs.get('job-3').status).to.equal(JOB_STATUS.WAITING);
+    });
+
+    it('should not resend a job interrupted while sending', async () => {
+      writeQueue([savedJob({ status: JOB_STATUS.SENDING, hash: null, hashes: [] })]);
+      const scheduler = createScheduler();
+
+      await scheduler.start({ startMonitor: false });
+      await scheduler.stop();
+
+      expect(scheduler.getJobs(JOB_STATUS.FAILED).map(job => job.id)).to.deep.equal(['job-1']);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const { expect } = require('chai');
+const { solidityString, toContractIdentifier, parseWholeNumber } = require('../scripts/templates/common');
+const { validateTokenConfig, generateERC20Contract } = require('../scripts/templates/ERC20Template');
+
+const OWNER = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+
+const validConfig = (overrides = {}) => ({ name: 'Base Token', symbol: 'BASE', totalSupply: '1000000', ...overrides });
+
+describe('ERC20Template', () => {
+  describe('solidityString', () => {
+    it('should quote printable ASCII unchanged', () => {
+      expect(solidityString('Base Token 1')).to.equal('"Base Token 1"');
+    });
+
+    it('should escape quotes and backslashes so input cannot end the literal', () => {
+      expect(solidityString('a"b\\c')).to.equal('"a\\x22b\\x5cc"');
+      expect(solidityString('"); selfdestruct(x); //')).to.not.match(/^"[^"]*"[^"]/);
+    });
+
+    it('should escape newlines and non-ASCII characters byte by byte', () => {
+      expect(solidityString('a\nb')).to.equal('"a\\x0ab"');
+      expect(solidityString('é')).to.equal('"\\xc3\\xa9"');
+    });
+  });
+
+  describe('toContractIdentifier', () => {
+    it('should derive a PascalCase identifier', () => {
+      expect(toContractIdentifier('my cool-token!')).to.equal('MyCoolToken');
+    });
+
+    it('should prefix names starting with a digit and reserved names', () => {
+      expect(toContractIdentifier('1st Base Token')).to.equal('Token1stBaseToken');
+      expect(toContractIdentifier('ERC20')).to.equal('ERC20Token');
+      expect(toContractIdentifier('!!!')).to.equal('Token');
+    });
+  });
+
+  describe('parseWholeNumber', () => {
+    it('should accept whole numbers as string, number or bigint', () => {
+      expect(parseWholeNumber('42')).to.equal(42n);
+      expect(parseWholeNumber(42)).to.equal(42n);
+      expect(parseWholeNumber(42n)).to.equal(42n);
+    });
+
+    it('should reject fractions, negatives and unsafe numbers', () => {
+      expect(parseWholeNumber('1.5')).to.equal(null);
+      expect(parseWholeNumber(-1)).to.equal(null);
+      expect(parseWholeNumber(2 ** 60)).to.equal(null);
+    });
+  });
+
+  describe('validateTokenConfig', () => {
+    it('should fill in defaults and checksum addresses', () => {
+      const config = validateTokenConfig(validConfig({ owner: OWNER, votes: true }));
+
+      expect(config).to.include({
+        standard: 'ERC20',
+        contractName: 'BaseToken',
+        totalSupply: '1000000',
+        decimals: 18,
+        accessControl: 'ownable',
+        upgradeable: null
+      });
+      expect(config.owner).to.equal('0x8ba1f109551bD432803012645Ac136ddd64DBA72');
+      // ERC20Votes builds on ERC20Permit
+      expect(config.permit).to.equal(true);
+    });
+
+    it('should report every problem at once', () => {
+      let error = null;
+      try {
+        validateTokenConfig({ name: '', symbol: 'HAS SPACE', totalSupply: '-5', decimals: 40, colour: 'blue' });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).to.equal('INVALID_CONFIG');
+      expect(error.errors).to.include.members([
+        'unknown option "colour"',
+        'name must be a non-empty string of at most 64 characters',
+        'symbol must be 1-11 printable ASCII characters without spaces',
+        'totalSupply must be a non-negative whole number of tokens',
+        'decimals must be an integer between 0 and 36'
+      ]);
+    });
+
+    it('should require mintable for a cap and keep the supply under it', () => {
+      expect(() => validateTokenConfig(validConfig({ cap: '10' })))
+        .to.throw(/cap requires mintable: true; totalSupply must not exceed cap/);
+      expect(validateTokenConfig(validConfig({ mintable: true, cap: '2000000' })).cap).to.equal('2000000');
+    });
+
+    it('should bound the transfer fee and reject unknown proxy kinds', () => {
+      expect(() => validateTokenConfig(validConfig({ transferFee: { bps: 5000 } })))
+        .to.throw('transferFee.bps must be an integer between 1 and 1000');
+      expect(() => validateTokenConfig(validConfig({ upgradeable: 'beacon' })))
+        .to.throw('upgradeable must be one of: uups, transparent');
+    });
+  });
+
+  describe('generateERC20Contract', () => {
+    it('should embed the name and symbol as escaped literals', () => {
+      const source = generateERC20Contract(validConfig({ name: 'Evil "Token"', symbol: 'EVL' }));
+
+      expect(source).to.include('ERC20("Evil \\x22Token\\x22", "EVL")');
+      expect(source).to.include('contract EvilToken is');
+    });
+
+    it('should build an initializer-based contract when upgradeable', () => {
+      const source = generateERC20Contract(validConfig({ upgradeable: 'uups' }));
+
+      expect(source).to.include('function initialize() public initializer');
+      expect(source).to.include('__ERC20_init("Base Token", "BASE");');
+      expect(source).to.include('function _authorizeUpgrade(address) internal override');
+    });
+
+    it('should refuse invalid configs', () => {
+      expect(() => generateERC20Contract({ name: 'x' })).to.throw(/Invalid token config/);
+    });
+  });
+});
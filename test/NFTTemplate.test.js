@@ -0,0 +1,106 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const {
+  validateERC721Config,
+  validateERC1155Config,
+  generateERC1155Contract,
+  buildMerkleAllowlist
+} = require('../scripts/templates/NFTTemplate');
+
+const ADDRESSES = [
+  '0x0000000000000000000000000000000000000001',
+  '0x0000000000000000000000000000000000000002',
+  '0x0000000000000000000000000000000000000003'
+];
+
+const erc1155Config = (overrides = {}) => ({
+  name: 'Base Items',
+  symbol: 'ITEM',
+  tokens: [{ id: 1, maxSupply: 100, mintPrice: '0.01' }, { id: 2, maxSupply: 5 }],
+  ...overrides
+});
+
+// OpenZeppelin MerkleProof.verify: sorted-pair keccak256 up to the root
+const verifyProof = (proof, root, address) => proof.reduce(
+  (hash, sibling) => ethers.keccak256(ethers.concat(hash < sibling ? [hash, sibling] : [sibling, hash])),
+  ethers.keccak256(ethers.getAddress(address))
+) === root;
+
+describe('NFTTemplate', () => {
+  describe('validateERC721Config', () => {
+    it('should convert prices to wei and derive the contract name', () => {
+      const config = validateERC721Config({
+        name: 'Base Punks',
+        symbol: 'BPUNK',
+        maxSupply: '10000',
+        mintPrice: '0.005',
+        allowlist: { mintPrice: '0.001' }
+      });
+
+      expect(config).to.include({ standard: 'ERC721', contractName: 'BasePunks', maxSupply: '10000', mintPrice: '5000000000000000' });
+      expect(config.allowlist).to.deep.equal({ merkleRoot: ethers.ZeroHash, mintPrice: '1000000000000000' });
+    });
+
+    it('should reject a missing supply, bad royalties and unknown options', () => {
+      expect(() => validateERC721Config({ name: 'X', symbol: 'X', royalty: { bps: 2000 }, reveal: true }))
+        .to.throw(/unknown option "reveal".*royalty.bps must be an integer between 1 and 1000.*maxSupply must be a positive whole number/);
+    });
+  });
+
+  describe('validateERC1155Config', () => {
+    it('should normalize token ids, supplies and prices', () => {
+      const config = validateERC1155Config(erc1155Config());
+
+      expect(config.tokens).to.deep.equal([
+        { id: '1', maxSupply: '100', mintPrice: '10000000000000000' },
+        { id: '2', maxSupply: '5', mintPrice: '0' }
+      ]);
+    });
+
+    it('should reject duplicated token ids', () => {
+      const tokens = [{ id: 1, maxSupply: 1 }, { id: 1, maxSupply: 2 }];
+      expect(() => validateERC1155Config(erc1155Config({ tokens }))).to.throw('tokens[1].id 1 is duplicated');
+    });
+  });
+
+  describe('generateERC1155Contract', () => {
+    it('should charge the per-token price on allowlist mints without an allowlist price', () => {
+      const source = generateERC1155Contract(erc1155Config({ allowlist: {} }));
+
+      expect(source).to.include('require(msg.value == mintPrice[id] * amount, "Incorrect payment");');
+      expect(source).to.not.include('allowlistPrice');
+    });
+
+    it('should charge allowlist.mintPrice on allowlist mints when set', () => {
+      const source = generateERC1155Contract(erc1155Config({ allowlist: { mintPrice: '0.002' } }));
+
+      expect(source).to.include('uint256 public allowlistPrice = 2000000000000000;');
+      expect(source).to.include('require(msg.value == allowlistPrice * amount, "Incorrect payment");');
+      expect(source).to.include('function setAllowlistPrice(uint256 price) external onlyOwner');
+    });
+
+    it('should set the allowlist price in initialize() when upgradeable', () => {
+      const source = generateERC1155Contract(erc1155Config({ allowlist: { mintPrice: '0.002' }, upgradeable: 'uups' }));
+
+      expect(source).to.include('uint256 public allowlistPrice;');
+      expect(source).to.include('allowlistPrice = 2000000000000000;');
+    });
+  });
+
+  describe('buildMerkleAllowlist', () => {
+    it('should produce proofs that verify against the root', () => {
+      const allowlist = buildMerkleAllowlist(ADDRESSES);
+
+      for (const address of ADDRESSES) {
+        expect(verifyProof(allowlist.getProof(address), allowlist.root, address)).to.equal(true);
+      }
+      expect(verifyProof(allowlist.getProof(ADDRESSES[0]), allowlist.root, ADDRESSES[1])).to.equal(false);
+    });
+
+    it('should refuse addresses that are not on the list', () => {
+      const allowlist = buildMerkleAllowlist(ADDRESSES);
+      expect(() => allowlist.getProof('0x0000000000000000000000000000000000000004')).to.throw('is not on the allowlist');
+      expect(() => buildMerkleAllowlist([])).to.throw('Allowlist must contain at least one address');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { run, EXIT_CODES, parseDuration } = require('../bin/base-dev');
+
+const CLI = path.join(__dirname, '..', 'bin', 'base-dev.js');
+// Nothing listens here, so every RPC call fails fast
+const DEAD_RPC = 'http://127.0.0.1:1';
+
+// Runs the CLI in-process and captures what it writes
+async function cli(...argv) {
+  const out = { stdout: '', stderr: '' };
+  const io = {
+    stdout: { write: (chunk) => { out.stdout += chunk; } },
+    stderr: { write: (chunk) => { out.stderr += chunk; } }
+  };
+  const code = await run(argv, io);
+  return { code, ...out };
+}
+
+// Runs the bin script in a child process
+const base = (...argv) => spawnSync(process.execPath, [CLI, ...argv], { encoding: 'utf8', timeout: 30000 });
+
+const manifest = (network, contracts) => ({ format: 1, network, revision: 1, contracts, migrations: {} });
+
+describe('base-dev', function () {
+  this.timeout(30000);
+
+  describe('exit codes', () => {
+    it('should print the usage and exit 0 without a command', async () => {
+      const { code, stdout } = await cli();
+
+      expect(code).to.equal(EXIT_CODES.OK);
+      expect(stdout).to.include('Usage: base-dev <command> [options]');
+    });
+
+    it('should exit 2 on an unknown command', async () => {
+      const { code, stderr } = await cli('token', 'burn');
+
+      expect(code).to.equal(EXIT_CODES.USAGE);
+      expect(stderr).to.include('Unknown command "token burn"');
+    });
+
+    it('should exit 2 on unknown flags and invalid values', async () => {
+      expect((await cli('gas', 'history', '--bogus')).code).to.equal(EXIT_CODES.USAGE);
+      expect((await cli('gas', 'watch', '--count', 'abc')).code).to.equal(EXIT_CODES.USAGE);
+      expect((await cli('gas', 'watch', '--interval', 'soon')).code).to.equal(EXIT_CODES.USAGE);
+      expect((await cli('gas', 'estimate', '--network', 'optimism', '--to', '0x0000000000000000000000000000000000000001')).code)
+        .to.equal(EXIT_CODES.USAGE);
+    });
+
+    it('should exit 2 on an unknown token preset and name the presets', async () => {
+      const { code, stderr } = await cli('token', 'create', '--preset', 'nope');
+
+      expect(code).to.equal(EXIT_CODES.USAGE);
+      expect(stderr).to.include('Unknown preset "nope"');
+      expect(stderr).to.include('Usage: base-dev token create');
+    });
+
+    it('should report usage errors as JSON with --json', async () => {
+      const { code, stdout } = await cli('manifest', 'diff', 'base', '--json');
+
+      expect(code).to.equal(EXIT_CODES.USAGE);
+      expect(JSON.parse(stdout).error.message).to.include('Pass two networks or manifest files');
+    });
+
+    it('should exit 2 when an input file cannot be read', async () => {
+      const { code, stderr } = await cli('manifest', 'diff', 'missing-a.json', 'missing-b.json');
+
+      expect(code).to.equal(EXIT_CODES.USAGE);
+      expect(stderr).to.include('Could not read manifest missing-a.json');
+    });
+
+    // Through the bin script: its explicit exit ends the providers gas watch leaves retrying
+    it('should exit 1 when gas watch ends with failed samples', () => {
+      const result = base('gas', 'watch', '--count', '1', '--history-type', 'memory', '--rpc-url', DEAD_RPC);
+
+      expect(result.status).to.equal(EXIT_CODES.FAILURE);
+      expect(result.stderr).to.include('1 of 1 samples failed');
+    });
+
+    it('should end gas watch after --max-failures failed samples in a row', () => {
+      const result = base('gas', 'watch', '--interval', '1ms', '--max-failures', '2',
+        '--history-type', 'memory', '--rpc-url', DEAD_RPC);
+
+      expect(result.status).to.equal(EXIT_CODES.FAILURE);
+      expect(result.stderr).to.include('Stopped after 2 failed samples in a row');
+    });
+
+    it('should set the process exit code on usage errors', () => {
+      const result = base('gas', 'watch', '--count', 'abc');
+
+      expect(result.status).to.equal(EXIT_CODES.USAGE);
+      expect(result.stderr).to.include('--count must be a positive whole number, got "abc"');
+    });
+
+    it('should exit 2 on counts and thresholds that are not numbers', () => {
+      const env = { ...process.env, PRIVATE_KEY: `0x${'11'.repeat(32)}` };
+      const results = [
+        spawnSync(process.execPath, [CLI, 'token', 'create', '--preset', 'utility', '--confirmations', 'abc', '--rpc-url', DEAD_RPC], { encoding: 'utf8', timeout: 30000, env }),
+        base('migrate', 'run', '--dry-run', '--to', 'latest', '--rpc-url', DEAD_RPC),
+        base('migrate', 'run', '--dry-run', '--confirmations', '1.5', '--rpc-url', DEAD_RPC),
+        base('gas', 'watch', '--alert-above', 'high', '--history-type', 'memory', '--rpc-url', DEAD_RPC),
+        base('gas', 'watch', '--alert-above', '0', '--history-type', 'memory', '--rpc-url', DEAD_RPC)
+      ];
+
+      expect(results.map(result => result.status)).to.deep.equal(Array(5).fill(EXIT_CODES.USAGE));
+      expect(results[0].stderr).to.include('--confirmations must be a positive whole number, got "abc"');
+      expect(results[1].stderr).to.include('--to must be a positive whole number, got "latest"');
+      expect(results[3].stderr).to.include('--alert-above must be a positive number, got "high"');
+    });
+
+    it('should remove its signal listeners once gas watch ends', () => {
+      const script = `
+        const { run } = require(${JSON.stringify(CLI)});
+        const io = { stdout: { write() {} }, stderr: { write() {} } };
+        const before = process.listenerCount('SIGINT') + process.listenerCount('SIGTERM');
+        run(['gas', 'watch', '--count', '1', '--history-type', 'memory', '--rpc-url', ${JSON.stringify(DEAD_RPC)}], io).then((code) => {
+          console.log(JSON.stringify({ code, added: process.listenerCount('SIGINT') + process.listenerCount('SIGTERM') - before }));
+          process.exit(0);
+        });
+      `;
+
+      const result = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 30000 });
+
+      // The monitor logs to the console; the report is the last line
+      expect(JSON.parse(result.stdout.trim().split('\n').pop())).to.deep.equal({ code: EXIT_CODES.FAILURE, added: 0 });
+    });
+  });
+
+  describe('manifest diff', () => {
+    it('should compare two manifest files', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifests-'));
+      const from = path.join(dir, 'from.json');
+      const to = path.join(dir, 'to.json');
+      fs.writeFileSync(from, JSON.stringify(manifest('baseSepolia', { Token: { address: '0x01', bytecodeHash: '0xaa' } })));
+      fs.writeFileSync(to, JSON.stringify(manifest('base', {})));
+
+      const { code, stdout } = await cli('manifest', 'diff', from, to, '--json');
+      fs.rmSync(dir, { recursive: true, force: true });
+
+      expect(code).to.equal(EXIT_CODES.OK);
+      expect(JSON.parse(stdout).contracts.map(contract => contract.key)).to.deep.equal(['Token']);
+    });
+  });
+
+  describe('parseDuration', () => {
+    it('should convert units to milliseconds', () => {
+      expect(parseDuration('250')).to.equal(250);
+      expect(parseDuration('1.5s')).to.equal(1500);
+      expect(parseDuration('15m')).to.equal(15 * 60 * 1000);
+      expect(parseDuration('7d')).to.equal(7 * 24 * 60 * 60 * 1000);
+    });
+  });
+});
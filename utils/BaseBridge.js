@@ -0,0 +1,840 @@
+/**
+ * BaseBridge - Deposits and withdrawals through the OP Stack standard bridge
+ * Starts ETH / ERC-20 deposits on L1 and withdrawals on L2, then follows each
+ * withdrawal through its states (initiated, waiting for a state root, ready to
+ * prove, proven, challenge period, ready to finalize, finalized) and builds the
+ * prove and finalize transactions for the OptimismPortal. Both proof systems are
+ * supported: fault-proof dispute games and the legacy L2OutputOracle. Tracked
+ * operations are persisted to a JSON file so a restarted process picks them up.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { getNetworkConfig, PREDEPLOYS, makeError } = require('../lib/BaseNetworkUtils');
+
+const L1_STANDARD_BRIDGE_ABI = [
+  'function depositETHTo(address _to, uint32 _minGasLimit, bytes _extraData) payable',
+  'function depositERC20To(address _l1Token, address _l2Token, address _to, uint256 _amount, uint32 _minGasLimit, bytes _extraData)'
+];
+
+const L2_STANDARD_BRIDGE_ABI = [
+  'function withdrawTo(address _l2Token, address _to, uint256 _amount, uint32 _minGasLimit, bytes _extraData) payable'
+];
+
+const L2_TO_L1_MESSAGE_PASSER_ABI = [
+  'event MessagePassed(uint256 indexed nonce, address indexed sender, address indexed target, uint256 value, uint256 gasLimit, bytes data, bytes32 withdrawalHash)'
+];
+
+const L2_CROSS_DOMAIN_MESSENGER_ABI = [
+  'event RelayedMessage(bytes32 indexed msgHash)',
+  'event FailedRelayedMessage(bytes32 indexed msgHash)'
+];
+
+const WITHDRAWAL_TUPLE = '(uint256 nonce, address sender, address target, uint256 value, uint256 gasLimit, bytes data)';
+const OUTPUT_ROOT_PROOF_TUPLE = '(bytes32 version, bytes32 stateRoot, bytes32 messagePasserStorageRoot, bytes32 latestBlockhash)';
+
+// Functions shared by the legacy OptimismPortal and the fault-proof OptimismPortal2
+const OPTIMISM_PORTAL_ABI = [
+  'event TransactionDeposited(address indexed from, address indexed to, uint256 indexed version, bytes opaqueData)',
+  `function proveWithdrawalTransaction(${WITHDRAWAL_TUPLE} _tx, uint256 _index, ${OUTPUT_ROOT_PROOF_TUPLE} _outputRootProof, bytes[] _withdrawalProof)`,
+  `function finalizeWithdrawalTransaction(${WITHDRAWAL_TUPLE} _tx)`,
+  'function finalizedWithdrawals(bytes32) view returns (bool)'
+];
+
+const LEGACY_PORTAL_ABI = [
+  'function provenWithdrawals(bytes32) view returns (bytes32 outputRoot, uint128 timestamp, uint128 l2OutputIndex)'
+];
+
+const FAULT_PROOF_PORTAL_ABI = [
+  'function provenWithdrawals(bytes32, address) view returns (address disputeGameProxy, uint64 timestamp)',
+  'function proofSubmitters(bytes32, uint256) view returns (address)',
+  'function respectedGameType() view returns (uint32)',
+  'function proofMaturityDelaySeconds() view returns (uint256)',
+  'function disputeGameFinalityDelaySeconds() view returns (uint256)'
+];
+
+const L2_OUTPUT_ORACLE_ABI = [
+  'function latestBlockNumber() view returns (uint256)',
+  'function getL2OutputIndexAfter(uint256 _l2BlockNumber) view returns (uint256)',
+  'function getL2Output(uint256 _l2OutputIndex) view returns ((bytes32 outputRoot, uint128 timestamp, uint128 l2BlockNumber))',
+  'function FINALIZATION_PERIOD_SECONDS() view returns (uint256)'
+];
+
+const DISPUTE_GAME_FACTORY_ABI = [
+  'function gameCount() view returns (uint256)',
+  'function findLatestGames(uint32 _gameType, uint256 _start, uint256 _n) view returns ((uint256 index, bytes32 metadata, uint64 timestamp, bytes32 rootClaim, bytes extraData)[])'
+];
+
+const DISPUTE_GAME_ABI = [
+  'function status() view returns (uint8)',
+  'function resolvedAt() view returns (uint64)'
+];
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function decimals() view returns (uint8)'
+];
+
+// L2 token address the standard bridge uses for ETH
+const LEGACY_ETH_TOKEN = '0xDeadDeAddeAddEAddeadDEaDDEAdDeaDDeAD0000';
+
+// Dispute game status values
+const GAME_STATUS = { IN_PROGRESS: 0, CHALLENGER_WINS: 1, DEFENDER_WINS: 2 };
+
+// How many recent dispute games are searched for one covering a withdrawal
+const GAME_SEARCH_DEPTH = 50;
+
+const OPERATION_TYPE = { DEPOSIT: 'deposit', WITHDRAWAL: 'withdrawal' };
+
+const DEPOSIT_STATUS = {
+  INITIATED: 'initiated', // L1 transaction sent, not mined yet
+  WAITING_FOR_L2: 'waiting_for_l2', // mined on L1, deposit not included on L2 yet
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const WITHDRAWAL_STATUS = {
+  INITIATED: 'initiated', // L2 transaction sent, not mined yet
+  WAITING_FOR_STATE_ROOT: 'waiting_for_state_root', // no output root / dispute game covers the L2 block yet
+  READY_TO_PROVE: 'ready_to_prove',
+  PROVEN: 'proven', // fault proofs: proven against a dispute game that is still in progress
+  CHALLENGE_PERIOD: 'challenge_period', // proven, finalization delay not over
+  READY_TO_FINALIZE: 'ready_to_finalize',
+  FINALIZED: 'finalized',
+  FAILED: 'failed'
+};
+
+const FINAL_STATUSES = [DEPOSIT_STATUS.COMPLETED, DEPOSIT_STATUS.FAILED, WITHDRAWAL_STATUS.FINALIZED];
+
+const WITHDRAWAL_FIELDS = ['nonce', 'value', 'gasLimit'];
+
+/**
+ * Hash the portal uses to identify a withdrawal
+ * @param {Object} withdrawal - { nonce, sender, target, value, gasLimit, data }
+ * @returns {string} bytes32 hash
+ */
+function hashWithdrawal(withdrawal) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ['uint256', 'address', 'address', 'uint256', 'uint256', 'bytes'],
+    [withdrawal.nonce, withdrawal.sender, withdrawal.target, withdrawal.value, withdrawal.gasLimit, withdrawal.data]
+  ));
+}
+
+/**
+ * Output root committed to by the proposer / dispute game
+ * @param {Object} proof - { version, stateRoot, messagePasserStorageRoot, latestBlockhash }
+ * @returns {string} bytes32 output root
+ */
+function hashOutputRootProof(proof) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ['bytes32', 'bytes32', 'bytes32', 'bytes32'],
+    [proof.version, proof.stateRoot, proof.messagePasserStorageRoot, proof.latestBlockhash]
+  ));
+}
+
+/**
+ * Hash of the L2 deposit transaction created for a TransactionDeposited log
+ * @param {Object} log - Portal log with blockHash, index, topics and data
+ * @returns {string} L2 transaction hash
+ */
+function getDepositTransactionHash(log) {
+  const iface = new ethers.Interface(OPTIMISM_PORTAL_ABI);
+  const { args } = iface.parseLog(log);
+  const opaque = ethers.getBytes(args.opaqueData);
+
+  const mint = ethers.toBigInt(opaque.slice(0, 32));
+  const value = ethers.toBigInt(opaque.slice(32, 64));
+  const gasLimit = ethers.toBigInt(opaque.slice(64, 72));
+  const isCreation = opaque[72] === 1;
+  const data = ethers.hexlify(opaque.slice(73));
+
+  // User deposits: source hash domain 0 over (L1 block hash, log index)
+  const sourceHash = ethers.keccak256(ethers.concat([
+    ethers.zeroPadValue('0x', 32),
+    ethers.keccak256(ethers.concat([log.blockHash, ethers.toBeHex(log.index, 32)]))
+  ]));
+  const rlpNumber = (n) => (n === 0n ? '0x' : ethers.toBeHex(n));
+  const encoded = ethers.encodeRlp([
+    sourceHash,
+    args.from,
+    isCreation ? '0x' : args.to,
+    rlpNumber(mint),
+    rlpNumber(value),
+    rlpNumber(gasLimit),
+    '0x', // isSystemTransaction = false
+    data
+  ]);
+  return ethers.keccak256(ethers.concat(['0x7e', encoded]));
+}
+
+const serializeWithdrawal = (withdrawal) => Object.fromEntries(Object.entries(withdrawal)
+  .map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value]));
+
+const deserializeWithdrawal = (withdrawal) => Object.fromEntries(Object.entries(withdrawal)
+  .map(([key, value]) => [key, WITHDRAWAL_FIELDS.includes(key) ? BigInt(value) : value]));
+
+// Accepts a signer, a provider or an RPC URL for one side of the bridge
+function toEndpoint(value, label) {
+  if (!value) return { provider: null, signer: null };
+  if (typeof value === 'string') return { provider: new ethers.JsonRpcProvider(value), signer: null };
+  if (typeof value.sendTransaction === 'function' && value.provider) return { provider: value.provider, signer: value };
+  if (typeof value.getBlockNumber === 'function') return { provider: value, signer: null };
+  throw new Error(`${label} must be a signer, a provider or an RPC URL`);
+}
+
+class BaseBridge extends EventEmitter {
+  /**
+   * @param {Object} options - { network, l1, l2, contracts, proofSystem, storePath, confirmations, minGasLimit }
+   *   l1 / l2: signer (to send), provider (to track) or RPC URL for each chain
+   *   contracts: overrides for L1StandardBridge, OptimismPortal, L2OutputOracle, DisputeGameFactory,
+   *     L2StandardBridge, L2ToL1MessagePasser, L2CrossDomainMessenger (needed on networks without defaults)
+   *   proofSystem: 'faultProofs' | 'outputOracle'; detected from the portal when omitted
+   */
+  constructor(options = {}) {
+    super();
+    const network = getNetworkConfig(options.network || 'base');
+    const l1 = toEndpoint(options.l1 || (network.l1 && network.l1.rpcUrl), 'l1');
+    const l2 = toEndpoint(options.l2 || network.rpcUrl, 'l2');
+
+    this.network = network;
+    this.l1Provider = l1.provider;
+    this.l1Signer = l1.signer;
+    this.l2Provider = l2.provider;
+    this.l2Signer = l2.signer;
+    this.contracts = {
+      L2StandardBridge: PREDEPLOYS.L2StandardBridge,
+      L2ToL1MessagePasser: PREDEPLOYS.L2ToL1MessagePasser,
+      L2CrossDomainMessenger: PREDEPLOYS.L2CrossDomainMessenger,
+      ...(network.l1 ? network.l1.contracts : {}),
+      ...options.contracts
+    };
+    this.options = {
+      storePath: options.storePath || 'data/bridge-operations.json',
+      confirmations: options.confirmations || 1,
+      minGasLimit: options.minGasLimit || 200000,
+      proofSystem: options.proofSystem || null
+    };
+
+    if (this.options.proofSystem && !['faultProofs', 'outputOracle'].includes(this.options.proofSystem)) {
+      throw new Error('proofSystem must be "faultProofs" or "outputOracle"');
+    }
+
+    this.operations = new Map();
+    this._loaded = null;
+    this._writes = Promise.resolve();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Deposits (L1 -> L2)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Deposits ETH from L1 to L2
+   * @param {Object} params - { amount (wei bigint or ETH string), to, minGasLimit, extraData }
+   * @returns {Promise<Object>} Tracked deposit operation
+   */
+  async depositETH(params) {
+    const signer = this._requireSigner('l1');
+    const amount = typeof params.amount === 'bigint' ? params.amount : ethers.parseEther(String(params.amount));
+    const to = params.to || await signer.getAddress();
+
+    const bridge = new ethers.Contract(this._contract('L1StandardBridge'), L1_STANDARD_BRIDGE_ABI, signer);
+    const tx = await bridge.depositETHTo(to, params.minGasLimit || this.options.minGasLimit, params.extraData || '0x', { value: amount });
+    return this._startDeposit(tx, { token: 'ETH', amount, from: await signer.getAddress(), to });
+  }
+
+  /**
+   * Deposits an ERC-20 from L1 to its L2 counterpart, approving the bridge first if needed
+   * @param {Object} params - { l1Token, l2Token, amount (bigint units or decimal string), to, minGasLimit, extraData }
+   * @returns {Promise<Object>} Tracked deposit operation
+   */
+  async depositERC20(params) {
+    const signer = this._requireSigner('l1');
+    const from = await signer.getAddress();
+    const bridgeAddress = this._contract('L1StandardBridge');
+    const token = new ethers.Contract(params.l1Token, ERC20_ABI, signer);
+    const amount = await this._parseTokenAmount(token, params.amount);
+
+    if ((await token.allowance(from, bridgeAddress)) < amount) {
+      const approval = await token.approve(bridgeAddress, amount);
+      await approval.wait(this.options.confirmations);
+    }
+
+    const bridge = new ethers.Contract(bridgeAddress, L1_STANDARD_BRIDGE_ABI, signer);
+    const to = params.to || from;
+    const tx = await bridge.depositERC20To(
+      params.l1Token, params.l2Token, to, amount,
+      params.minGasLimit || this.options.minGasLimit, params.extraData || '0x'
+    );
+    return this._startDeposit(tx, { token: { l1Token: params.l1Token, l2Token: params.l2Token }, amount, from, to });
+  }
+
+  async _startDeposit(tx, details) {
+    const operation = await this._addOperation({
+      id: tx.hash,
+      type: OPERATION_TYPE.DEPOSIT,
+      status: DEPOSIT_STATUS.INITIATED,
+      ...details,
+      amount: details.amount.toString(),
+      l1TxHash: tx.hash,
+      l2TxHash: null
+    });
+    await tx.wait(this.options.confirmations);
+    return this.refresh(operation.id);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Withdrawals (L2 -> L1)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Withdraws ETH from L2 to L1
+   * @param {Object} params - { amount (wei bigint or ETH string), to, minGasLimit, extraData }
+   * @returns {Promise<Object>} Tracked withdrawal operation
+   */
+  async withdrawETH(params) {
+    const signer = this._requireSigner('l2');
+    const amount = typeof params.amount === 'bigint' ? params.amount : ethers.parseEther(String(params.amount));
+    const to = params.to || await signer.getAddress();
+
+    const bridge = new ethers.Contract(this._contract('L2StandardBridge'), L2_STANDARD_BRIDGE_ABI, signer);
+    const tx = await bridge.withdrawTo(LEGACY_ETH_TOKEN, to, amount, params.minGasLimit || this.options.minGasLimit, params.extraData || '0x', { value: amount });
+    return this._startWithdrawal(tx, { token: 'ETH', amount, from: await signer.getAddress(), to });
+  }
+
+  /**
+   * Withdraws a bridged ERC-20 from L2 to L1
+   * @param {Object} params - { l2Token, amount (bigint units or decimal string), to, minGasLimit, extraData }
+   * @returns {Promise<Object>} Tracked withdrawal operation
+   */
+  async withdrawERC20(params) {
+    const signer = this._requireSigner('l2');
+    const token = new ethers.Contract(params.l2Token, ERC20_ABI, signer);
+    const amount = await this._parseTokenAmount(token, params.amount);
+    const to = params.to || await signer.getAddress();
+
+    const bridge = new ethers.Contract(this._contract('L2StandardBridge'), L2_STANDARD_BRIDGE_ABI, signer);
+    const tx = await bridge.withdrawTo(params.l2Token, to, amount, params.minGasLimit || this.options.minGasLimit, params.extraData || '0x');
+    return this._startWithdrawal(tx, { token: { l2Token: params.l2Token }, amount, from: await signer.getAddress(), to });
+  }
+
+  async _startWithdrawal(tx, details) {
+    const operation = await this._addOperation({
+      id: tx.hash,
+      type: OPERATION_TYPE.WITHDRAWAL,
+      status: WITHDRAWAL_STATUS.INITIATED,
+      ...details,
+      amount: details.amount.toString(),
+      l2TxHash: tx.hash,
+      l2BlockNumber: null,
+      withdrawal: null,
+      proveTxHash: null,
+      proofSubmitter: null,
+      finalizeTxHash: null
+    });
+    await tx.wait(this.options.confirmations);
+    return this.refresh(operation.id);
+  }
+
+  /**
+   * Starts tracking a deposit or withdrawal sent elsewhere (another process, a wallet UI)
+   * @param {string} txHash - L1 deposit or L2 withdrawal transaction hash
+   * @param {Object} options - { type: 'deposit' | 'withdrawal' }
+   * @returns {Promise<Object>} Tracked operation
+   */
+  async track(txHash, options = {}) {
+    if (!Object.values(OPERATION_TYPE).includes(options.type)) {
+      throw new Error('track() needs options.type "deposit" or "withdrawal"');
+    }
+    await this._ensureLoaded();
+    if (this.operations.has(txHash)) return this.refresh(txHash);
+
+    const base = { id: txHash, token: null, amount: null, from: null, to: null };
+    await this._addOperation(options.type === OPERATION_TYPE.DEPOSIT
+      ? { ...base, type: OPERATION_TYPE.DEPOSIT, status: DEPOSIT_STATUS.INITIATED, l1TxHash: txHash, l2TxHash: null }
+      : {
+          ...base,
+          type: OPERATION_TYPE.WITHDRAWAL,
+          status: WITHDRAWAL_STATUS.INITIATED,
+          l2TxHash: txHash,
+          l2BlockNumber: null,
+          withdrawal: null,
+          proveTxHash: null,
+          proofSubmitter: null,
+          finalizeTxHash: null
+        });
+    try {
+      return await this.refresh(txHash);
+    } catch (error) {
+      if (error.code === 'NOT_A_DEPOSIT' || error.code === 'NOT_A_WITHDRAWAL') {
+        this.operations.delete(txHash);
+        await this._persist();
+      }
+      throw error;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Status
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Re-reads an operation's state from both chains
+   * @param {string} id - Operation id (its initiating transaction hash)
+   * @returns {Promise<Object>} Updated operation
+   */
+  async refresh(id) {
+    const operation = await this.getOperation(id);
+    if (FINAL_STATUSES.includes(operation.status)) return operation;
+
+    const update = operation.type === OPERATION_TYPE.DEPOSIT
+      ? await this._depositState(operation)
+      : await this._withdrawalState(operation);
+    return this._update(operation, update);
+  }
+
+  /**
+   * Refreshes every operation that has not reached a final state
+   * @returns {Promise<Array>} Updated operations
+   */
+  async refreshAll() {
+    await this._ensureLoaded();
+    const open = [...this.operations.values()].filter(operation => !FINAL_STATUSES.includes(operation.status));
+    const results = [];
+    for (const operation of open) {
+      try {
+        results.push(await this.refresh(operation.id));
+      } catch (error) {
+        this._reportError(error);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * @param {string} id - Operation id
+   * @returns {Promise<Object>} Operation
+   */
+  async getOperation(id) {
+    await this._ensureLoaded();
+    const operation = this.operations.get(id);
+    if (!operation) {
+      throw makeError('UNKNOWN_OPERATION', `No tracked bridge operation ${id}`, { id });
+    }
+    return operation;
+  }
+
+  /**
+   * Lists tracked operations
+   * @param {Object} filter - { type, status }
+   * @returns {Promise<Array>} Operations, oldest first
+   */
+  async getOperations(filter = {}) {
+    await this._ensureLoaded();
+    return [...this.operations.values()].filter(operation =>
+      (!filter.type || operation.type === filter.type) && (!filter.status || operation.status === filter.status));
+  }
+
+  async _depositState(operation) {
+    const receipt = await this.l1Provider.getTransactionReceipt(operation.l1TxHash);
+    if (!receipt) return { status: DEPOSIT_STATUS.INITIATED };
+    if (receipt.status !== 1) return { status: DEPOSIT_STATUS.FAILED, error: 'L1 deposit transaction reverted' };
+
+    const portal = this._contract('OptimismPortal').toLowerCase();
+    const topic = new ethers.Interface(OPTIMISM_PORTAL_ABI).getEvent('TransactionDeposited').topicHash;
+    const log = receipt.logs.find(entry => entry.address.toLowerCase() === portal && entry.topics[0] === topic);
+    if (!log) {
+      throw makeError('NOT_A_DEPOSIT', `Transaction ${receipt.hash} did not deposit through the OptimismPortal`, { hash: receipt.hash });
+    }
+
+    const l2TxHash = getDepositTransactionHash(log);
+    const l2Receipt = await this.l2Provider.getTransactionReceipt(l2TxHash);
+    if (!l2Receipt) return { status: DEPOSIT_STATUS.WAITING_FOR_L2, l2TxHash };
+    if (l2Receipt.status !== 1) return { status: DEPOSIT_STATUS.FAILED, l2TxHash, error: 'L2 deposit transaction reverted' };
+
+    // Bridge deposits go through the messenger, which catches failures so they can be replayed on L2
+    const failed = new ethers.Interface(L2_CROSS_DOMAIN_MESSENGER_ABI).getEvent('FailedRelayedMessage').topicHash;
+    if (l2Receipt.logs.some(entry => entry.topics[0] === failed)) {
+      return { status: DEPOSIT_STATUS.FAILED, l2TxHash, error: 'Message relay failed on L2; it can be replayed through the L2CrossDomainMessenger' };
+    }
+    return { status: DEPOSIT_STATUS.COMPLETED, l2TxHash };
+  }
+
+  async _withdrawalState(operation) {
+    let { withdrawal } = operation;
+    const update = {};
+    if (!withdrawal) {
+      const receipt = await this.l2Provider.getTransactionReceipt(operation.l2TxHash);
+      if (!receipt) return { status: WITHDRAWAL_STATUS.INITIATED };
+      if (receipt.status !== 1) return { status: WITHDRAWAL_STATUS.FAILED, error: 'L2 withdrawal transaction reverted' };
+
+      const decoded = this._findWithdrawal(receipt);
+      update.withdrawal = serializeWithdrawal(decoded);
+      update.l2BlockNumber = receipt.blockNumber;
+      withdrawal = update.withdrawal;
+    }
+
+    const l2BlockNumber = update.l2BlockNumber ?? operation.l2BlockNumber;
+    const hash = withdrawal.hash;
+    const portal = await this._portal();
+    if (await portal.contract.finalizedWithdrawals(hash)) {
+      return { ...update, status: WITHDRAWAL_STATUS.FINALIZED };
+    }
+
+    const proven = await this._provenState(portal, hash, operation.proofSubmitter);
+    if (proven) return { ...update, ...proven };
+
+    const root = await this._findStateRoot(portal, l2BlockNumber);
+    return {
+      ...update,
+      status: root ? WITHDRAWAL_STATUS.READY_TO_PROVE : WITHDRAWAL_STATUS.WAITING_FOR_STATE_ROOT,
+      challengeEndsAt: null
+    };
+  }
+
+  _findWithdrawal(receipt) {
+    const passer = this._contract('L2ToL1MessagePasser').toLowerCase();
+    const iface = new ethers.Interface(L2_TO_L1_MESSAGE_PASSER_ABI);
+    const log = receipt.logs.find(entry => entry.address.toLowerCase() === passer
+      && entry.topics[0] === iface.getEvent('MessagePassed').topicHash);
+    if (!log) {
+      throw makeError('NOT_A_WITHDRAWAL', `Transaction ${receipt.hash} did not pass a message to L1`, { hash: receipt.hash });
+    }
+
+    const { args } = iface.parseLog(log);
+    return {
+      nonce: args.nonce,
+      sender: args.sender,
+      target: args.target,
+      value: args.value,
+      gasLimit: args.gasLimit,
+      data: args.data,
+      hash: args.withdrawalHash
+    };
+  }
+
+  // Proof status: null when not proven (or proven against a game the challenger won)
+  async _provenState(portal, hash, recordedSubmitter) {
+    const now = await this._l1Time();
+
+    if (portal.proofSystem === 'outputOracle') {
+      const proven = await portal.contract.provenWithdrawals(hash);
+      if (proven.timestamp === 0n) return null;
+      const endsAt = Number(proven.timestamp + await portal.oracle.FINALIZATION_PERIOD_SECONDS());
+      return {
+        status: now >= endsAt ? WITHDRAWAL_STATUS.READY_TO_FINALIZE : WITHDRAWAL_STATUS.CHALLENGE_PERIOD,
+        provenAt: Number(proven.timestamp) * 1000,
+        challengeEndsAt: endsAt * 1000
+      };
+    }
+
+    const submitter = recordedSubmitter || await portal.contract.proofSubmitters(hash, 0).catch(() => null);
+    if (!submitter) return null;
+    const proven = await portal.contract.provenWithdrawals(hash, submitter);
+    if (proven.timestamp === 0n) return null;
+
+    const game = new ethers.Contract(proven.disputeGameProxy, DISPUTE_GAME_ABI, this.l1Provider);
+    const [status, resolvedAt, maturityDelay, finalityDelay] = await Promise.all([
+      game.status(),
+      game.resolvedAt(),
+      portal.contract.proofMaturityDelaySeconds(),
+      portal.contract.disputeGameFinalityDelaySeconds()
+    ]);
+    const base = { provenAt: Number(proven.timestamp) * 1000, proofSubmitter: submitter, disputeGame: proven.disputeGameProxy };
+
+    if (Number(status) === GAME_STATUS.CHALLENGER_WINS) {
+      // The output root was invalid; the withdrawal has to be proven again against another game
+      return null;
+    }
+    if (Number(status) === GAME_STATUS.IN_PROGRESS) {
+      return { ...base, status: WITHDRAWAL_STATUS.PROVEN, challengeEndsAt: (Number(proven.timestamp) + Number(maturityDelay)) * 1000 };
+    }
+    const endsAt = Math.max(Number(proven.timestamp) + Number(maturityDelay), Number(resolvedAt) + Number(finalityDelay));
+    return {
+      ...base,
+      status: now >= endsAt ? WITHDRAWAL_STATUS.READY_TO_FINALIZE : WITHDRAWAL_STATUS.CHALLENGE_PERIOD,
+      challengeEndsAt: endsAt * 1000
+    };
+  }
+
+  // Output (legacy) or dispute game (fault proofs) covering an L2 block, or null
+  async _findStateRoot(portal, l2BlockNumber) {
+    if (portal.proofSystem === 'outputOracle') {
+      if ((await portal.oracle.latestBlockNumber()) < BigInt(l2BlockNumber)) return null;
+      const index = await portal.oracle.getL2OutputIndexAfter(l2BlockNumber);
+      const output = await portal.oracle.getL2Output(index);
+      return { index, outputRoot: output.outputRoot, l2BlockNumber: Number(output.l2BlockNumber) };
+    }
+
+    const count = await portal.factory.gameCount();
+    if (count === 0n) return null;
+    const games = await portal.factory.findLatestGames(portal.gameType, count - 1n, GAME_SEARCH_DEPTH);
+    for (const game of games) {
+      // Game extra data starts with the L2 block number the root claim is for
+      const gameBlock = Number(ethers.toBigInt(ethers.dataSlice(game.extraData, 0, 32)));
+      if (gameBlock < l2BlockNumber) break; // older games only cover earlier blocks
+      const proxy = await portal.factory.gameAtIndex(game.index).then(result => result.proxy);
+      const status = await new ethers.Contract(proxy, DISPUTE_GAME_ABI, this.l1Provider).status();
+      if (Number(status) !== GAME_STATUS.CHALLENGER_WINS) {
+        return { index: game.index, outputRoot: game.rootClaim, l2BlockNumber: gameBlock, disputeGame: proxy };
+      }
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Prove and finalize
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Builds the L1 transaction proving a withdrawal against the latest state root covering it
+   * @param {string} id - Withdrawal operation id
+   * @returns {Promise<Object>} { to, data, value, stateRoot: { index, outputRoot, l2BlockNumber } }
+   */
+  async buildProveTransaction(id) {
+    const operation = await this.refresh(id);
+    this._requireStatus(operation, [WITHDRAWAL_STATUS.READY_TO_PROVE]);
+
+    const portal = await this._portal();
+    const root = await this._findStateRoot(portal, operation.l2BlockNumber);
+    const blockTag = ethers.toQuantity(root.l2BlockNumber);
+    const withdrawal = deserializeWithdrawal(operation.withdrawal);
+
+    // sentMessages is the first storage slot of the message passer
+    const slot = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['bytes32', 'uint256'], [withdrawal.hash, 0]));
+    const [block, proof] = await Promise.all([
+      this.l2Provider.send('eth_getBlockByNumber', [blockTag, false]),
+      this.l2Provider.send('eth_getProof', [this._contract('L2ToL1MessagePasser'), [slot], blockTag])
+    ]);
+    if (!block) {
+      throw makeError('BLOCK_NOT_FOUND', `L2 block ${root.l2BlockNumber} is not available from the L2 provider`);
+    }
+
+    const outputRootProof = {
+      version: ethers.ZeroHash,
+      stateRoot: block.stateRoot,
+      messagePasserStorageRoot: proof.storageHash,
+      latestBlockhash: block.hash
+    };
+    if (hashOutputRootProof(outputRootProof) !== root.outputRoot) {
+      throw makeError('OUTPUT_ROOT_MISMATCH',
+        `L2 block ${root.l2BlockNumber} does not match the output root on L1; is the L2 provider on the right chain?`,
+        { stateRoot: root });
+    }
+
+    const { hash, ...transaction } = withdrawal;
+    const data = portal.contract.interface.encodeFunctionData('proveWithdrawalTransaction', [
+      transaction, root.index, outputRootProof, proof.storageProof[0].proof
+    ]);
+    return { to: portal.contract.target, data, value: 0n, stateRoot: root };
+  }
+
+  /**
+   * Proves a withdrawal with the L1 signer
+   * @param {string} id - Withdrawal operation id
+   * @returns {Promise<Object>} Updated operation
+   */
+  async prove(id) {
+    const signer = this._requireSigner('l1');
+    const request = await this.buildProveTransaction(id);
+    const tx = await signer.sendTransaction({ to: request.to, data: request.data, value: request.value });
+    const operation = await this.getOperation(id);
+    await this._update(operation, { proveTxHash: tx.hash, proofSubmitter: await signer.getAddress() });
+    await this._waitForSuccess(tx, 'Prove');
+    return this.refresh(id);
+  }
+
+  /**
+   * Builds the L1 transaction finalizing a withdrawal once its challenge period is over
+   * @param {string} id - Withdrawal operation id
+   * @returns {Promise<Object>} { to, data, value }
+   */
+  async buildFinalizeTransaction(id) {
+    const operation = await this.refresh(id);
+    this._requireStatus(operation, [WITHDRAWAL_STATUS.READY_TO_FINALIZE]);
+
+    const portal = await this._portal();
+    const { hash, ...transaction } = deserializeWithdrawal(operation.withdrawal);
+    const data = portal.contract.interface.encodeFunctionData('finalizeWithdrawalTransaction', [transaction]);
+    return { to: portal.contract.target, data, value: 0n };
+  }
+
+  /**
+   * Finalizes a withdrawal with the L1 signer, releasing the funds on L1
+   * @param {string} id - Withdrawal operation id
+   * @returns {Promise<Object>} Updated operation
+   */
+  async finalize(id) {
+    const signer = this._requireSigner('l1');
+    const request = await this.buildFinalizeTransaction(id);
+    const tx = await signer.sendTransaction({ to: request.to, data: request.data, value: request.value });
+    const operation = await this.getOperation(id);
+    await this._update(operation, { finalizeTxHash: tx.hash });
+    await this._waitForSuccess(tx, 'Finalize');
+    return this.refresh(id);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internals
+  // ---------------------------------------------------------------------------
+
+  // Portal contract plus what its proof system needs, detected once
+  async _portal() {
+    if (!this._portalInfo) {
+      this._portalInfo = this._detectPortal().catch(error => {
+        this._portalInfo = null;
+        throw error;
+      });
+    }
+    return this._portalInfo;
+  }
+
+  async _detectPortal() {
+    const address = this._contract('OptimismPortal');
+    const probe = new ethers.Contract(address, FAULT_PROOF_PORTAL_ABI, this.l1Provider);
+    let proofSystem = this.options.proofSystem;
+    let gameType = null;
+    if (proofSystem !== 'outputOracle') {
+      try {
+        gameType = await probe.respectedGameType();
+        proofSystem = 'faultProofs';
+      } catch (error) {
+        if (proofSystem === 'faultProofs') throw error;
+        proofSystem = 'outputOracle';
+      }
+    }
+
+    const abi = [...OPTIMISM_PORTAL_ABI, ...(proofSystem === 'faultProofs' ? FAULT_PROOF_PORTAL_ABI : LEGACY_PORTAL_ABI)];
+    const contract = new ethers.Contract(address, abi, this.l1Provider);
+    if (proofSystem === 'faultProofs') {
+      const factory = new ethers.Contract(this._contract('DisputeGameFactory'), [
+        ...DISPUTE_GAME_FACTORY_ABI,
+        'function gameAtIndex(uint256 _index) view returns (uint32 gameType, uint64 timestamp, address proxy)'
+      ], this.l1Provider);
+      return { proofSystem, contract, factory, gameType };
+    }
+    const oracle = new ethers.Contract(this._contract('L2OutputOracle'), L2_OUTPUT_ORACLE_ABI, this.l1Provider);
+    return { proofSystem, contract, oracle };
+  }
+
+  async _l1Time() {
+    const block = await this.l1Provider.getBlock('latest');
+    return block.timestamp;
+  }
+
+  async _parseTokenAmount(token, amount) {
+    if (typeof amount === 'bigint') return amount;
+    return ethers.parseUnits(String(amount), await token.decimals());
+  }
+
+  async _waitForSuccess(tx, label) {
+    const receipt = await tx.wait(this.options.confirmations);
+    if (!receipt || receipt.status !== 1) {
+      throw makeError('CALL_EXCEPTION', `${label} transaction ${tx.hash} reverted`, { hash: tx.hash });
+    }
+    return receipt;
+  }
+
+  _contract(name) {
+    const address = this.contracts[name];
+    if (!address) {
+      throw makeError('MISSING_CONTRACT', `No ${name} address for ${this.network.name}; pass it in options.contracts`, { contract: name });
+    }
+    return address;
+  }
+
+  _requireSigner(side) {
+    const signer = side === 'l1' ? this.l1Signer : this.l2Signer;
+    if (!signer) {
+      throw makeError('MISSING_SIGNER', `Sending on ${side.toUpperCase()} needs options.${side} to be a signer`);
+    }
+    if (!(side === 'l1' ? this.l1Provider : this.l2Provider)) {
+      throw makeError('MISSING_PROVIDER', `No ${side.toUpperCase()} provider configured`);
+    }
+    return signer;
+  }
+
+  _requireStatus(operation, statuses) {
+    if (operation.type !== OPERATION_TYPE.WITHDRAWAL || !statuses.includes(operation.status)) {
+      throw makeError('INVALID_STATE',
+        `Operation ${operation.id} is ${operation.type} in state ${operation.status}; expected ${statuses.join(' or ')}`,
+        { operation });
+    }
+  }
+
+  async _addOperation(operation) {
+    await this._ensureLoaded();
+    const now = Date.now();
+    const record = { ...operation, createdAt: now, updatedAt: now, error: null };
+    this.operations.set(record.id, record);
+    await this._persist();
+    this.emit('status', record, null);
+    return record;
+  }
+
+  async _update(operation, changes) {
+    const previous = operation.status;
+    Object.assign(operation, changes, { updatedAt: Date.now() });
+    await this._persist();
+    if (operation.status !== previous) {
+      this.emit('status', operation, previous);
+    }
+    return operation;
+  }
+
+  async _ensureLoaded() {
+    if (!this._loaded) {
+      this._loaded = (async () => {
+        const file = this.options.storePath;
+        if (!fs.existsSync(file)) return;
+        const saved = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        for (const operation of saved.operations || []) {
+          this.operations.set(operation.id, operation);
+        }
+      })();
+    }
+    return this._loaded;
+  }
+
+  _persist() {
+    const snapshot = JSON.stringify({
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      operations: [...this.operations.values()]
+    }, null, 2);
+
+    const write = this._writes.then(async () => {
+      const file = this.options.storePath;
+      await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, snapshot);
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    this._writes = write.catch(error => this._reportError(error));
+    return this._writes;
+  }
+
+  _reportError(error) {
+    // An 'error' event without listeners would throw, so fall back to logging
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error('Bridge error:', error);
+    }
+  }
+}
+
+module.exports = {
+  BaseBridge,
+  DEPOSIT_STATUS,
+  WITHDRAWAL_STATUS,
+  OPERATION_TYPE,
+  LEGACY_ETH_TOKEN,
+  hashWithdrawal,
+  hashOutputRootProof,
+  getDepositTransactionHash
+};
@@ -0,0 +1,405 @@
+/**
+ * BaseEventIndexer - Indexes events of the toolkit contracts into a local store
+ * Backfills history in block ranges that adapt to the RPC's log limits, then
+ * follows new blocks. Progress is checkpointed after every range so a restarted
+ * process resumes where it stopped, and recent block hashes are kept so a reorg
+ * rolls the store back to the last canonical block before re-indexing.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { makeError } = require('../lib/BaseNetworkUtils');
+const { BASE_CONTRACT_UTILS_ABI } = require('../lib/BaseContractUtilsClient');
+const { STAKING_POOL_ABI } = require('../lib/BaseStakingPoolClient');
+const { MULTISIG_ABI } = require('./BaseMultiSigCoordinator');
+const { createEventStore, matchesFilter } = require('./BaseEventStore');
+
+// ABIs for the `type` shorthand of addSource()
+const SOURCE_TYPES = {
+  contractUtils: BASE_CONTRACT_UTILS_ABI,
+  stakingPool: STAKING_POOL_ABI,
+  multisig: MULTISIG_ABI
+};
+
+// How providers phrase "this eth_getLogs request is too big"
+const RANGE_TOO_LARGE = /more than \d+ results|too many (results|logs)|response size|result size|limit exceeded|exceeds? .*limit|block range|range (is )?too (large|wide)|query timeout|-32005/i;
+
+const isRangeTooLarge = (error) => error?.error?.code === -32005
+  || RANGE_TOO_LARGE.test(error?.error?.message || '')
+  || RANGE_TOO_LARGE.test(error?.message || '');
+
+/**
+ * Converts decoded event values into JSON-safe values (integers become decimal strings)
+ * @param {*} value - Decoded value
+ * @returns {*} Plain value
+ */
+function toPlain(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof ethers.Result) {
+    try {
+      return Object.fromEntries(Object.entries(value.toObject()).map(([key, item]) => [key, toPlain(item)]));
+    } catch (error) {
+      // Unnamed tuple members cannot become object keys
+      return Array.from(value, toPlain);
+    }
+  }
+  if (Array.isArray(value)) return value.map(toPlain);
+  return value;
+}
+
+class BaseEventIndexer extends EventEmitter {
+  /**
+   * @param {Object} provider - ethers provider
+   * @param {Object} options - { store, startBlock, confirmations, batchSize, maxBatchSize, pollInterval, reorgDepth, timestamps }
+   *   store: EventStore instance or createEventStore() config (default in-memory)
+   *   confirmations: blocks to stay behind the head; with enough of them reorgs never reach the store
+   *   batchSize / maxBatchSize: initial and largest eth_getLogs block range
+   *   reorgDepth: how many recent blocks keep their hash for reorg detection
+   *   timestamps: fetch block times for indexed events
+   */
+  constructor(provider, options = {}) {
+    super();
+    if (!provider) {
+      throw new Error('BaseEventIndexer requires a provider');
+    }
+
+    this.provider = provider;
+    this.store = createEventStore(options.store);
+    this.options = {
+      startBlock: options.startBlock || 0,
+      confirmations: options.confirmations || 0,
+      batchSize: options.batchSize || 2000,
+      maxBatchSize: options.maxBatchSize || 10000,
+      pollInterval: options.pollInterval || 4000,
+      reorgDepth: options.reorgDepth || 64,
+      timestamps: options.timestamps || false
+    };
+
+    this.sources = new Map();
+    this.batchSize = Math.min(this.options.batchSize, this.options.maxBatchSize);
+    this._subscriptions = new Set();
+    this._timer = null;
+    this._running = false;
+    this._inFlight = null;
+  }
+
+  /**
+   * Adds a contract to index. Sources should be added before the first sync: blocks
+   * already behind the checkpoint are not re-scanned for a source added later.
+   * @param {Object} source - { name, address, type: 'contractUtils' | 'stakingPool' | 'multisig' | abi, events, startBlock }
+   *   events: event names to keep (default: every event in the ABI)
+   * @returns {BaseEventIndexer} this, for chaining
+   */
+  addSource(source) {
+    const abi = source.abi || SOURCE_TYPES[source.type];
+    if (!abi) {
+      throw new Error(`Unknown source type "${source.type}". Expected ${Object.keys(SOURCE_TYPES).join(', ')} or an abi`);
+    }
+    if (!ethers.isAddress(source.address)) {
+      throw new Error(`Invalid source address: ${source.address}`);
+    }
+
+    const name = source.name || source.type;
+    if (this.sources.has(name)) {
+      throw new Error(`Source "${name}" already exists`);
+    }
+
+    const iface = new ethers.Interface(abi);
+    const fragments = [];
+    iface.forEachEvent(fragment => {
+      if (!source.events || source.events.includes(fragment.name)) fragments.push(fragment);
+    });
+    const missing = (source.events || []).filter(eventName => !fragments.some(fragment => fragment.name === eventName));
+    if (missing.length > 0) {
+      throw new Error(`Source "${name}" ABI has no event ${missing.join(', ')}`);
+    }
+
+    this.sources.set(name, {
+      name,
+      address: ethers.getAddress(source.address),
+      iface,
+      topics: new Set(fragments.map(fragment => fragment.topicHash)),
+      startBlock: source.startBlock
+    });
+    return this;
+  }
+
+  /**
+   * Block the first sync starts from: the earliest source startBlock, or the indexer's
+   * @returns {number} Block number
+   */
+  getStartBlock() {
+    const starts = [...this.sources.values()]
+      .map(source => source.startBlock)
+      .filter(block => block !== undefined && block !== null);
+    return starts.length > 0 ? Math.min(...starts) : this.options.startBlock;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Indexing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Indexes from the checkpoint up to the confirmed head, checking for reorgs first
+   * @param {Object} options - { toBlock } stop earlier than the confirmed head
+   * @returns {Promise<Object>} { fromBlock, toBlock, events, reorg }
+   */
+  async sync(options = {}) {
+    if (this.sources.size === 0) {
+      throw new Error('No sources to index; call addSource() first');
+    }
+
+    const head = await this.provider.getBlockNumber();
+    const confirmedHead = head - this.options.confirmations;
+    const target = options.toBlock !== undefined ? Math.min(options.toBlock, confirmedHead) : confirmedHead;
+
+    const reorg = await this.checkReorg();
+    const checkpoint = await this.store.getCheckpoint();
+    const fromBlock = checkpoint ? checkpoint.blockNumber + 1 : this.getStartBlock();
+
+    let cursor = fromBlock;
+    let indexed = 0;
+    while (cursor <= target) {
+      const toBlock = Math.min(cursor + this.batchSize - 1, target);
+      let logs;
+      try {
+        logs = await this._getLogs(cursor, toBlock);
+      } catch (error) {
+        if (isRangeTooLarge(error) && this.batchSize > 1) {
+          this.batchSize = Math.max(1, Math.floor((toBlock - cursor + 1) / 2));
+          this.emit('rangeReduced', { fromBlock: cursor, toBlock, batchSize: this.batchSize });
+          continue;
+        }
+        throw error;
+      }
+
+      const events = await this._commitRange(cursor, toBlock, logs, target);
+      indexed += events.length;
+      this.emit('progress', { fromBlock: cursor, toBlock, head, events: events.length, batchSize: this.batchSize });
+
+      cursor = toBlock + 1;
+      this.batchSize = Math.min(this.batchSize * 2, this.options.maxBatchSize);
+    }
+
+    this.emit('synced', { blockNumber: cursor - 1, head });
+    return { fromBlock, toBlock: cursor - 1, events: indexed, reorg };
+  }
+
+  /**
+   * Compares the checkpoint with the chain and rolls the store back after a reorg
+   * @returns {Promise<Object|null>} { commonAncestor, removed } or null when the checkpoint is canonical
+   */
+  async checkReorg() {
+    const checkpoint = await this.store.getCheckpoint();
+    if (!checkpoint) return null;
+
+    const block = await this.provider.getBlock(checkpoint.blockNumber);
+    if (block && block.hash === checkpoint.blockHash) return null;
+
+    // Walk back through the stored hashes to the newest block the chain still agrees with
+    const known = (await this.store.getBlockHashes()).filter(entry => entry.number < checkpoint.blockNumber).reverse();
+    for (const entry of known) {
+      const canonical = await this.provider.getBlock(entry.number);
+      if (canonical && canonical.hash === entry.hash) {
+        const removed = await this.store.rollback(entry.number, entry.hash);
+        const reorg = {
+          commonAncestor: entry.number,
+          previousCheckpoint: checkpoint,
+          removed: removed.length
+        };
+        this.emit('reorg', reorg);
+        for (const event of removed) this._dispatch(event, true);
+        return reorg;
+      }
+    }
+
+    const oldest = known.length > 0 ? known[known.length - 1].number : checkpoint.blockNumber;
+    throw makeError('REORG_TOO_DEEP',
+      `Reorg at block ${checkpoint.blockNumber} reaches below block ${oldest}, the oldest stored block hash; rebuild the index or raise reorgDepth (${this.options.reorgDepth})`,
+      { checkpoint });
+  }
+
+  /**
+   * Syncs, then keeps following new blocks until stop()
+   * @returns {Promise<Object>} Result of the initial sync
+   */
+  async start() {
+    if (this._running) {
+      throw new Error('Indexer is already running');
+    }
+    // Set before the first sync so a concurrent start() is refused, and cleared if that sync fails
+    this._running = true;
+    let initial;
+    try {
+      initial = await this.sync();
+    } catch (error) {
+      this._running = false;
+      throw error;
+    }
+    // stop() may have been called while the first sync ran
+    if (!this._running) return initial;
+
+    // Polls never overlap: the next one is scheduled after the previous finishes
+    const loop = async () => {
+      this._inFlight = this.sync().catch(error => this._reportError(error));
+      await this._inFlight;
+      if (this._running) {
+        this._timer = setTimeout(loop, this.options.pollInterval);
+      }
+    };
+    this._timer = setTimeout(loop, this.options.pollInterval);
+    return initial;
+  }
+
+  /**
+   * Stops following new blocks and waits for the current poll to finish
+   */
+  async stop() {
+    this._running = false;
+    clearTimeout(this._timer);
+    await this._inFlight;
+    this.emit('stopped');
+  }
+
+  get running() {
+    return this._running;
+  }
+
+  async _getLogs(fromBlock, toBlock) {
+    const sources = [...this.sources.values()];
+    return this.provider.getLogs({
+      address: [...new Set(sources.map(source => source.address))],
+      topics: [[...new Set(sources.flatMap(source => [...source.topics]))]],
+      fromBlock,
+      toBlock
+    });
+  }
+
+  async _commitRange(fromBlock, toBlock, logs, target) {
+    const events = logs
+      .filter(log => !log.removed)
+      .map(log => this._decode(log))
+      .filter(Boolean);
+
+    if (this.options.timestamps) {
+      const times = new Map();
+      for (const blockNumber of new Set(events.map(event => event.blockNumber))) {
+        const block = await this.provider.getBlock(blockNumber);
+        times.set(blockNumber, block ? block.timestamp * 1000 : null);
+      }
+      for (const event of events) event.timestamp = times.get(event.blockNumber);
+    }
+
+    const last = await this.provider.getBlock(toBlock);
+    if (!last) {
+      throw makeError('BLOCK_NOT_FOUND', `Block ${toBlock} is not available from the provider`, { blockNumber: toBlock });
+    }
+
+    // Hashes of blocks with events let a reorg roll back to just before them. The last
+    // reorgDepth blocks before the target are all kept, so a reorg of blocks without
+    // events still finds a common ancestor.
+    const hashes = new Map(events.map(event => [event.blockNumber, event.blockHash]));
+    for (let number = Math.max(fromBlock, target - this.options.reorgDepth); number < toBlock; number++) {
+      if (hashes.has(number)) continue;
+      const block = await this.provider.getBlock(number);
+      if (block) hashes.set(number, block.hash);
+    }
+    const blocks = [...hashes.entries()].map(([number, hash]) => ({ number, hash }));
+
+    await this.store.commit({
+      events,
+      blocks,
+      checkpoint: { blockNumber: toBlock, blockHash: last.hash },
+      keepBlocksFrom: toBlock - this.options.reorgDepth
+    });
+
+    for (const event of events) this._dispatch(event, false);
+    return events;
+  }
+
+  _decode(log) {
+    for (const source of this.sources.values()) {
+      if (source.address !== ethers.getAddress(log.address) || !source.topics.has(log.topics[0])) continue;
+
+      const parsed = source.iface.parseLog({ topics: log.topics, data: log.data });
+      if (!parsed) continue;
+      return {
+        id: `${log.blockNumber}-${log.index}`,
+        source: source.name,
+        event: parsed.name,
+        address: source.address,
+        args: toPlain(parsed.args),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: null
+      };
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Query and subscriptions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Queries indexed events
+   * @param {Object} filter - { source, event, address, fromBlock, toBlock, args, order, limit }
+   * @returns {Promise<Array>} Matching events
+   */
+  async query(filter = {}) {
+    return this.store.query(filter);
+  }
+
+  /**
+   * Calls a listener for every newly indexed event matching a filter, and again with
+   * removed = true if a reorg drops it
+   * @param {Object} filter - Same shape as query()
+   * @param {Function} listener - (event, { removed }) => void
+   * @param {Object} options - { replay } first deliver matching events already in the store
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async subscribe(filter, listener, options = {}) {
+    const subscription = { filter: filter || {}, listener };
+    if (options.replay) {
+      for (const event of await this.store.query(subscription.filter)) {
+        this._deliver(subscription, event, false);
+      }
+    }
+    this._subscriptions.add(subscription);
+    return () => this._subscriptions.delete(subscription);
+  }
+
+  _dispatch(event, removed) {
+    this.emit(removed ? 'removed' : 'event', event);
+    for (const subscription of this._subscriptions) {
+      if (matchesFilter(event, subscription.filter)) this._deliver(subscription, event, removed);
+    }
+  }
+
+  _deliver(subscription, event, removed) {
+    try {
+      subscription.listener(event, { removed });
+    } catch (error) {
+      this._reportError(new Error(`Subscriber failed: ${error.message}`));
+    }
+  }
+
+  _reportError(error) {
+    // An 'error' event without listeners would throw, so fall back to logging
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error('Indexer error:', error);
+    }
+  }
+}
+
+module.exports = {
+  BaseEventIndexer,
+  STAKING_POOL_ABI,
+  SOURCE_TYPES
+};
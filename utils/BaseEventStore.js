@@ -0,0 +1,364 @@
+/**
+ * BaseEventStore - Checkpointed storage for decoded contract events
+ * Stores keep indexed events, the indexer's checkpoint and the hashes of recent
+ * blocks (used to detect reorgs) in memory, in a JSON file or in SQLite. Each
+ * indexed block range is committed atomically, and a reorg rolls every store back
+ * to the last block whose hash still matches the chain.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {Object} IndexedEvent
+ * @property {string} id - `${blockNumber}-${logIndex}`
+ * @property {string} source - Name of the indexer source that produced it
+ * @property {string} event - Event name
+ * @property {string} address - Emitting contract
+ * @property {Object} args - Named event arguments; integers are decimal strings
+ * @property {number} blockNumber - Block number
+ * @property {string} blockHash - Block hash
+ * @property {string} transactionHash - Transaction hash
+ * @property {number} logIndex - Log index within the block
+ * @property {number|null} timestamp - Block time in ms, when the indexer fetches it
+ */
+
+const sameValue = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * Checks an event against a query filter
+ * @param {IndexedEvent} event - Stored event
+ * @param {Object} filter - { source, event, address, fromBlock, toBlock, args }
+ * @returns {boolean} Whether it matches
+ */
+function matchesFilter(event, filter = {}) {
+  if (filter.source && event.source !== filter.source) return false;
+  if (filter.event && event.event !== filter.event) return false;
+  if (filter.address && !sameValue(event.address, filter.address)) return false;
+  if (filter.fromBlock !== undefined && filter.fromBlock !== null && event.blockNumber < filter.fromBlock) return false;
+  if (filter.toBlock !== undefined && filter.toBlock !== null && event.blockNumber > filter.toBlock) return false;
+  if (filter.args) {
+    for (const [key, expected] of Object.entries(filter.args)) {
+      const values = Array.isArray(expected) ? expected : [expected];
+      if (!values.some(value => sameValue(event.args[key], value))) return false;
+    }
+  }
+  return true;
+}
+
+const compareEvents = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+/**
+ * Base class for stores. Subclasses implement _load, _commit, _rollback and _query.
+ */
+class EventStore {
+  /**
+   * @returns {Promise<Object|null>} { blockNumber, blockHash } of the last indexed block
+   */
+  async getCheckpoint() {
+    return (await this._load()).checkpoint;
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Recent [{ number, hash }] kept for reorg detection, ascending
+   */
+  async getBlockHashes() {
+    return (await this._load()).blocks;
+  }
+
+  /**
+   * Atomically stores the events of an indexed range and advances the checkpoint
+   * @param {Object} batch - { events, blocks: [{ number, hash }], checkpoint: { blockNumber, blockHash }, keepBlocksFrom }
+   *   keepBlocksFrom: block hashes below this number are pruned
+   */
+  async commit(batch) {
+    return this._commit({
+      events: batch.events || [],
+      blocks: batch.blocks || [],
+      checkpoint: batch.checkpoint,
+      keepBlocksFrom: batch.keepBlocksFrom || 0
+    });
+  }
+
+  /**
+   * Removes everything after a block and moves the checkpoint back to it
+   * @param {number} blockNumber - Last block that is still canonical
+   * @param {string} blockHash - Its hash
+   * @returns {Promise<Array<IndexedEvent>>} Removed events
+   */
+  async rollback(blockNumber, blockHash) {
+    return this._rollback(blockNumber, blockHash);
+  }
+
+  /**
+   * Queries stored events
+   * @param {Object} filter - { source, event, address, fromBlock, toBlock, args: { name: value | [values] }, order: 'asc' | 'desc', limit }
+   * @returns {Promise<Array<IndexedEvent>>} Matching events
+   */
+  async query(filter = {}) {
+    const events = (await this._query(filter)).filter(event => matchesFilter(event, filter));
+    if (filter.order === 'desc') events.reverse();
+    return filter.limit ? events.slice(0, filter.limit) : events;
+  }
+
+  /**
+   * Releases resources held by the store
+   */
+  async close() {}
+}
+
+class MemoryEventStore extends EventStore {
+  constructor() {
+    super();
+    this.state = { checkpoint: null, blocks: [], events: [] };
+  }
+
+  async _load() {
+    return this.state;
+  }
+
+  async _commit({ events, blocks, checkpoint, keepBlocksFrom }) {
+    this.state = applyCommit(this.state, { events, blocks, checkpoint, keepBlocksFrom });
+  }
+
+  async _rollback(blockNumber, blockHash) {
+    const { state, removed } = applyRollback(this.state, blockNumber, blockHash);
+    this.state = state;
+    return removed;
+  }
+
+  async _query() {
+    return this.state.events;
+  }
+}
+
+// Pure state transitions shared by the memory and JSON stores
+function applyCommit(state, { events, blocks, checkpoint, keepBlocksFrom }) {
+  const known = new Set(state.events.map(event => event.id));
+  const merged = [...state.events, ...events.filter(event => !known.has(event.id))].sort(compareEvents);
+
+  const hashes = new Map(state.blocks.map(block => [block.number, block.hash]));
+  for (const block of blocks) hashes.set(block.number, block.hash);
+  if (checkpoint) hashes.set(checkpoint.blockNumber, checkpoint.blockHash);
+
+  return {
+    checkpoint: checkpoint || state.checkpoint,
+    blocks: [...hashes.entries()]
+      .filter(([number]) => number >= keepBlocksFrom)
+      .map(([number, hash]) => ({ number, hash }))
+      .sort((a, b) => a.number - b.number),
+    events: merged
+  };
+}
+
+function applyRollback(state, blockNumber, blockHash) {
+  return {
+    state: {
+      checkpoint: { blockNumber, blockHash },
+      blocks: state.blocks.filter(block => block.number <= blockNumber),
+      events: state.events.filter(event => event.blockNumber <= blockNumber)
+    },
+    removed: state.events.filter(event => event.blockNumber > blockNumber)
+  };
+}
+
+class JsonEventStore extends EventStore {
+  /**
+   * @param {Object} options - { path } snapshot file, rewritten atomically on every commit
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.path) {
+      throw new Error('JsonEventStore requires a path');
+    }
+    this.path = options.path;
+    this.state = null;
+    // Commits are serialized so snapshots never interleave
+    this._writes = Promise.resolve();
+  }
+
+  async _load() {
+    if (!this.state) {
+      this.state = fs.existsSync(this.path)
+        ? JSON.parse(await fs.promises.readFile(this.path, 'utf8'))
+        : { checkpoint: null, blocks: [], events: [] };
+    }
+    return this.state;
+  }
+
+  _persist(state) {
+    const snapshot = JSON.stringify({ version: 1, updatedAt: new Date().toISOString(), ...state });
+    const write = this._writes.then(async () => {
+      await fs.promises.mkdir(path.dirname(path.resolve(this.path)), { recursive: true });
+      await fs.promises.writeFile(`${this.path}.tmp`, snapshot);
+      await fs.promises.rename(`${this.path}.tmp`, this.path);
+    });
+    this._writes = write.catch(() => {});
+    return write;
+  }
+
+  async _commit(batch) {
+    const state = applyCommit(await this._load(), batch);
+    await this._persist(state);
+    this.state = state;
+  }
+
+  async _rollback(blockNumber, blockHash) {
+    const { state, removed } = applyRollback(await this._load(), blockNumber, blockHash);
+    await this._persist(state);
+    this.state = state;
+    return removed;
+  }
+
+  async _query() {
+    return (await this._load()).events;
+  }
+
+  async close() {
+    await this._writes;
+  }
+}
+
+class SqliteEventStore extends EventStore {
+  /**
+   * @param {Object} options - { path } database file (':memory:' for a throwaway database)
+   */
+  constructor(options = {}) {
+    super();
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SqliteEventStore requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    this.path = options.path || 'events.db';
+    if (this.path !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(this.path)), { recursive: true });
+    }
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS events (
+        id TEXT PRIMARY KEY,
+        source TEXT NOT NULL,
+        event TEXT NOT NULL,
+        address TEXT NOT NULL,
+        args TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        transaction_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        timestamp INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS events_source_event_block ON events (source, event, block_number);
+      CREATE INDEX IF NOT EXISTS events_block ON events (block_number, log_index);
+      CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS checkpoint (id INTEGER PRIMARY KEY CHECK (id = 1), block_number INTEGER NOT NULL, block_hash TEXT NOT NULL);
+    `);
+
+    const insertEvent = this.db.prepare(`INSERT OR IGNORE INTO events
+      (id, source, event, address, args, block_number, block_hash, transaction_hash, log_index, timestamp)
+      VALUES (@id, @source, @event, @address, @args, @blockNumber, @blockHash, @transactionHash, @logIndex, @timestamp)`);
+    const upsertBlock = this.db.prepare('INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)');
+    const setCheckpoint = this.db.prepare('INSERT OR REPLACE INTO checkpoint (id, block_number, block_hash) VALUES (1, ?, ?)');
+
+    this._commitTx = this.db.transaction(({ events, blocks, checkpoint, keepBlocksFrom }) => {
+      for (const event of events) {
+        insertEvent.run({ ...event, args: JSON.stringify(event.args), timestamp: event.timestamp ?? null });
+      }
+      for (const block of blocks) upsertBlock.run(block.number, block.hash);
+      if (checkpoint) {
+        upsertBlock.run(checkpoint.blockNumber, checkpoint.blockHash);
+        setCheckpoint.run(checkpoint.blockNumber, checkpoint.blockHash);
+      }
+      this.db.prepare('DELETE FROM blocks WHERE number < ?').run(keepBlocksFrom);
+    });
+    this._rollbackTx = this.db.transaction((blockNumber, blockHash) => {
+      const removed = this.db.prepare('SELECT * FROM events WHERE block_number > ? ORDER BY block_number, log_index').all(blockNumber);
+      this.db.prepare('DELETE FROM events WHERE block_number > ?').run(blockNumber);
+      this.db.prepare('DELETE FROM blocks WHERE number > ?').run(blockNumber);
+      setCheckpoint.run(blockNumber, blockHash);
+      return removed.map(rowToEvent);
+    });
+  }
+
+  async _load() {
+    const row = this.db.prepare('SELECT block_number, block_hash FROM checkpoint WHERE id = 1').get();
+    return {
+      checkpoint: row ? { blockNumber: row.block_number, blockHash: row.block_hash } : null,
+      blocks: this.db.prepare('SELECT number, hash FROM blocks ORDER BY number').all()
+    };
+  }
+
+  async _commit(batch) {
+    this._commitTx(batch);
+  }
+
+  async _rollback(blockNumber, blockHash) {
+    return this._rollbackTx(blockNumber, blockHash);
+  }
+
+  async _query(filter) {
+    // Indexed columns are filtered in SQL; address and args are matched by the base class
+    const clauses = [];
+    const params = [];
+    if (filter.source) { clauses.push('source = ?'); params.push(filter.source); }
+    if (filter.event) { clauses.push('event = ?'); params.push(filter.event); }
+    if (filter.fromBlock !== undefined && filter.fromBlock !== null) { clauses.push('block_number >= ?'); params.push(filter.fromBlock); }
+    if (filter.toBlock !== undefined && filter.toBlock !== null) { clauses.push('block_number <= ?'); params.push(filter.toBlock); }
+    const where = clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT * FROM events${where} ORDER BY block_number, log_index`).all(...params).map(rowToEvent);
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+function rowToEvent(row) {
+  return {
+    id: row.id,
+    source: row.source,
+    event: row.event,
+    address: row.address,
+    args: JSON.parse(row.args),
+    blockNumber: row.block_number,
+    blockHash: row.block_hash,
+    transactionHash: row.transaction_hash,
+    logIndex: row.log_index,
+    timestamp: row.timestamp
+  };
+}
+
+/**
+ * Builds a store from a config, or passes an existing store through
+ * @param {Object|EventStore} config - EventStore instance, or { type: 'memory' | 'json' | 'sqlite', path }
+ * @returns {EventStore} Store
+ */
+function createEventStore(config = {}) {
+  if (config instanceof EventStore) return config;
+
+  const { type = 'memory', ...options } = config || {};
+  switch (type) {
+    case 'memory':
+      return new MemoryEventStore(options);
+    case 'json':
+      return new JsonEventStore(options);
+    case 'sqlite':
+      return new SqliteEventStore(options);
+    default:
+      throw new Error(`Unknown event store "${type}". Expected memory, json or sqlite`);
+  }
+}
+
+module.exports = {
+  EventStore,
+  MemoryEventStore,
+  JsonEventStore,
+  SqliteEventStore,
+  createEventStore,
+  matchesFilter
+};
@@ -0,0 +1,196 @@
+/**
+ * BaseGasAlerts - Alert rules and delivery sinks for BaseGasMonitor
+ * A rule watches one metric (base fee, priority fee, gas price or the cost of a
+ * reference transaction) and fires when it crosses a threshold. Hysteresis keeps
+ * a noisy value from firing repeatedly, and a cooldown spaces out re-triggers.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// Metrics a rule can watch; fees in gwei, txCost in ETH
+const ALERT_METRICS = ['baseFee', 'priorityFee', 'gasPrice', 'txCost'];
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// A plain ETH transfer is the default reference transaction for txCost rules
+const DEFAULT_REFERENCE_TX = {
+  to: '0x000000000000000000000000000000000000dEaD',
+  data: '0x',
+  value: 0n,
+  gasLimit: 21000n
+};
+
+let nextRuleId = 1;
+
+/**
+ * Validates a rule config and sets up its state
+ * @param {Object} config - { id, name, metric, above | below, hysteresis, clearAt, cooldownMs, severity, transaction }
+ * @returns {Object} Rule
+ */
+function createAlertRule(config) {
+  const {
+    id = `rule-${nextRuleId++}`,
+    name,
+    metric,
+    above,
+    below,
+    hysteresis = 0.1,
+    clearAt,
+    cooldownMs = 5 * 60 * 1000,
+    severity = 'warning',
+    transaction = null
+  } = config || {};
+
+  if (!ALERT_METRICS.includes(metric)) {
+    throw new Error(`Alert rule metric must be one of: ${ALERT_METRICS.join(', ')}`);
+  }
+  if ((above === undefined) === (below === undefined)) {
+    throw new Error(`Alert rule ${id} needs exactly one of "above" or "below"`);
+  }
+  const threshold = above !== undefined ? above : below;
+  if (typeof threshold !== 'number' || !Number.isFinite(threshold)) {
+    throw new Error(`Alert rule ${id} threshold must be a number`);
+  }
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Alert rule severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+  if (transaction && metric !== 'txCost') {
+    throw new Error(`Alert rule ${id} has a transaction but watches ${metric}`);
+  }
+
+  const direction = above !== undefined ? 'above' : 'below';
+  // The value must move back past clearAt before the rule can fire again
+  const clearLevel = clearAt !== undefined
+    ? clearAt
+    : direction === 'above' ? threshold * (1 - hysteresis) : threshold * (1 + hysteresis);
+
+  if (direction === 'above' ? clearLevel > threshold : clearLevel < threshold) {
+    throw new Error(`Alert rule ${id} clearAt must be on the other side of the threshold`);
+  }
+
+  return {
+    id,
+    name: name || `${metric} ${direction} ${threshold}`,
+    metric,
+    direction,
+    threshold,
+    clearAt: clearLevel,
+    cooldownMs,
+    severity,
+    transaction: metric === 'txCost' ? { ...DEFAULT_REFERENCE_TX, ...transaction } : null,
+    state: { active: false, lastFiredAt: null, lastValue: null }
+  };
+}
+
+/**
+ * Advances a rule's state with a new value
+ * @param {Object} rule - Rule from createAlertRule
+ * @param {number} value - Current metric value
+ * @param {number} now - Current time in ms
+ * @returns {string|null} 'triggered', 'cleared' or null when nothing changed
+ */
+function evaluateAlertRule(rule, value, now = Date.now()) {
+  const { state } = rule;
+  state.lastValue = value;
+
+  const breached = rule.direction === 'above' ? value >= rule.threshold : value <= rule.threshold;
+  const recovered = rule.direction === 'above' ? value < rule.clearAt : value > rule.clearAt;
+
+  if (!state.active) {
+    const coolingDown = state.lastFiredAt !== null && now - state.lastFiredAt < rule.cooldownMs;
+    if (breached && !coolingDown) {
+      state.active = true;
+      state.lastFiredAt = now;
+      return 'triggered';
+    }
+    return null;
+  }
+
+  if (recovered) {
+    state.active = false;
+    return 'cleared';
+  }
+  return null;
+}
+
+/**
+ * Wraps a function as a sink
+ * @param {Function} callback - Receives every alert event
+ * @returns {Function} Sink
+ */
+function callbackSink(callback) {
+  if (typeof callback !== 'function') {
+    throw new Error('callbackSink requires a function');
+  }
+  return async (event) => callback(event);
+}
+
+/**
+ * Sink that POSTs every alert event as JSON
+ * @param {string} url - Webhook URL
+ * @param {Object} options - { headers, timeout, transform } transform(event) shapes the body (e.g. for Slack)
+ * @returns {Function} Sink
+ */
+function webhookSink(url, options = {}) {
+  if (!url) {
+    throw new Error('webhookSink requires a url');
+  }
+  const transform = options.transform || (event => event);
+  return async (event) => {
+    await axios.post(url, transform(event), {
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+      timeout: options.timeout || 10000
+    });
+  };
+}
+
+/**
+ * Sink that appends every alert event to a JSON-lines file
+ * @param {string} filePath - Destination file
+ * @returns {Function} Sink
+ */
+function fileSink(filePath) {
+  if (!filePath) {
+    throw new Error('fileSink requires a path');
+  }
+  return async (event) => {
+    await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    await fs.promises.appendFile(filePath, JSON.stringify(event) + '\n');
+  };
+}
+
+/**
+ * Builds a sink from a function or a config
+ * @param {Function|Object} config - Function, or { type: 'callback' | 'webhook' | 'file', callback, url, path, ... }
+ * @returns {Function} Sink
+ */
+function createAlertSink(config) {
+  if (typeof config === 'function') return callbackSink(config);
+
+  const { type, ...options } = config || {};
+  switch (type) {
+    case 'callback':
+      return callbackSink(options.callback);
+    case 'webhook':
+      return webhookSink(options.url, options);
+    case 'file':
+      return fileSink(options.path);
+    default:
+      throw new Error(`Unknown alert sink "${type}". Expected callback, webhook or file`);
+  }
+}
+
+module.exports = {
+  ALERT_METRICS,
+  DEFAULT_REFERENCE_TX,
+  createAlertRule,
+  evaluateAlertRule,
+  createAlertSink,
+  callbackSink,
+  webhookSink,
+  fileSink
+};
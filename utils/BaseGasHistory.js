@@ -0,0 +1,456 @@
+/**
+ * BaseGasHistory - Pluggable storage for gas samples with time-range analytics
+ * Stores keep samples in memory, in a JSON-lines file or in SQLite. All of them
+ * share the same query helpers: percentiles, moving averages, OHLC candles and
+ * CSV/JSON export over arbitrary time ranges.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Metrics written by the toolkit itself
+const GAS_METRICS = {
+  GAS_PRICE: 'gasPrice', // gwei, recorded by BaseGasMonitor
+  BASE_FEE: 'baseFee', // gwei, recorded by BaseGasMonitor
+  PRIORITY_FEE: 'priorityFee', // gwei, recorded by BaseGasMonitor
+  GAS_ESTIMATE: 'gasEstimate' // gas units, recorded by BaseGasOptimizer
+};
+
+const toMillis = (time) => {
+  if (time === undefined || time === null) return null;
+  if (time instanceof Date) return time.getTime();
+  if (typeof time === 'number') return time;
+  const parsed = Date.parse(time);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid time: ${time}`);
+  }
+  return parsed;
+};
+
+/**
+ * Normalizes a sample: { timestamp, metric, value, data }
+ * @param {Object} sample - Raw sample; timestamp defaults to now
+ * @returns {Object} Normalized sample
+ */
+function normalizeSample(sample) {
+  const value = Number(sample.value);
+  if (!sample.metric || typeof sample.metric !== 'string') {
+    throw new Error('Gas history samples need a metric name');
+  }
+  if (!Number.isFinite(value)) {
+    throw new Error(`Gas history sample for ${sample.metric} has a non-numeric value: ${sample.value}`);
+  }
+  return {
+    timestamp: toMillis(sample.timestamp) ?? Date.now(),
+    metric: sample.metric,
+    value,
+    data: sample.data || null
+  };
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} percentile - 0-100
+ * @returns {number|null} Percentile value
+ */
+function percentileOf(sorted, percentile) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Base class for stores. Subclasses implement _append, _query and _delete;
+ * analytics are built on top of query() so every backend supports them.
+ */
+class GasHistoryStore {
+  /**
+   * Records one or more samples
+   * @param {Object|Array<Object>} samples - { metric, value, timestamp, data }
+   * @returns {Promise<number>} Number of samples written
+   */
+  async append(samples) {
+    const list = (Array.isArray(samples) ? samples : [samples]).map(normalizeSample);
+    if (list.length > 0) {
+      await this._append(list);
+    }
+    return list.length;
+  }
+
+  /**
+   * Reads samples in ascending time order
+   * @param {Object} options - { metric, from, to, limit } from/to accept Date, ms or ISO strings
+   * @returns {Promise<Array<Object>>} Samples
+   */
+  async query(options = {}) {
+    return this._query({
+      metric: options.metric || null,
+      from: toMillis(options.from),
+      to: toMillis(options.to),
+      limit: options.limit || null
+    });
+  }
+
+  /**
+   * Deletes samples, by default all of them
+   * @param {Object} options - { metric, before }
+   * @returns {Promise<number>} Number of samples removed
+   */
+  async clear(options = {}) {
+    return this._delete({ metric: options.metric || null, before: toMillis(options.before) });
+  }
+
+  /**
+   * Summary statistics and percentiles for a metric over a time range
+   * @param {Object} options - { metric, from, to, percentiles }
+   * @returns {Promise<Object>} { count, min, max, mean, percentiles: { p50, ... } }
+   */
+  async percentiles(options = {}) {
+    const requested = options.percentiles || [10, 25, 50, 75, 90, 99];
+    const values = (await this.query(options)).map(sample => sample.value).sort((a, b) => a - b);
+
+    const result = {};
+    for (const percentile of requested) {
+      result[`p${percentile}`] = percentileOf(values, percentile);
+    }
+
+    return {
+      metric: options.metric || null,
+      count: values.length,
+      min: values.length ? values[0] : null,
+      max: values.length ? values[values.length - 1] : null,
+      mean: values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null,
+      percentiles: result
+    };
+  }
+
+  /**
+   * Moving average series for a metric
+   * @param {Object} options - { metric, from, to, window (samples) | windowMs, type: 'simple' | 'exponential', alpha }
+   * @returns {Promise<Array<Object>>} [{ timestamp, value, average }]
+   */
+  async movingAverage(options = {}) {
+    const samples = await this.query(options);
+    const type = options.type || 'simple';
+
+    if (type === 'exponential') {
+      const alpha = options.alpha || 2 / ((options.window || 10) + 1);
+      let average = null;
+      return samples.map(({ timestamp, value }) => {
+        average = average === null ? value : alpha * value + (1 - alpha) * average;
+        return { timestamp, value, average };
+      });
+    }
+
+    if (type !== 'simple') {
+      throw new Error(`Unknown moving average type "${type}". Expected simple or exponential`);
+    }
+
+    // Sliding window by sample count or by time
+    const window = options.window || 10;
+    const windowMs = options.windowMs || null;
+    let start = 0;
+    let sum = 0;
+    return samples.map(({ timestamp, value }, i) => {
+      sum += value;
+      while (windowMs ? samples[start].timestamp <= timestamp - windowMs : i - start + 1 > window) {
+        sum -= samples[start].value;
+        start += 1;
+      }
+      return { timestamp, value, average: sum / (i - start + 1) };
+    });
+  }
+
+  /**
+   * Open/high/low/close candles for a metric
+   * @param {Object} options - { metric, from, to, interval } interval in ms (default 1 hour)
+   * @returns {Promise<Array<Object>>} [{ start, end, open, high, low, close, average, count }]
+   */
+  async ohlc(options = {}) {
+    const interval = options.interval || 60 * 60 * 1000;
+    const candles = [];
+    let candle = null;
+
+    for (const { timestamp, value } of await this.query(options)) {
+      const start = Math.floor(timestamp / interval) * interval;
+      if (!candle || candle.start !== start) {
+        candle = { start, end: start + interval, open: value, high: value, low: value, close: value, sum: 0, count: 0 };
+        candles.push(candle);
+      }
+      candle.high = Math.max(candle.high, value);
+      candle.low = Math.min(candle.low, value);
+      candle.close = value;
+      candle.sum += value;
+      candle.count += 1;
+    }
+
+    return candles.map(({ sum, ...rest }) => ({ ...rest, average: sum / rest.count }));
+  }
+
+  /**
+   * Serializes samples in a time range
+   * @param {Object} options - { format: 'csv' | 'json', metric, from, to }
+   * @returns {Promise<string>} Exported data
+   */
+  async export(options = {}) {
+    const format = options.format || 'json';
+    const samples = await this.query(options);
+
+    if (format === 'json') {
+      return JSON.stringify(samples.map(sample => ({
+        ...sample,
+        time: new Date(sample.timestamp).toISOString()
+      })), null, 2);
+    }
+    if (format === 'csv') {
+      const rows = samples.map(({ timestamp, metric, value, data }) => [
+        timestamp, new Date(timestamp).toISOString(), metric, value, data ? JSON.stringify(data) : ''
+      ].map(csvField).join(','));
+      return ['timestamp,time,metric,value,data', ...rows].join('\n') + '\n';
+    }
+    throw new Error(`Unknown export format "${format}". Expected csv or json`);
+  }
+
+  /**
+   * Writes an export to disk
+   * @param {string} filePath - Destination file
+   * @param {Object} options - Same as export(); format defaults from the file extension
+   * @returns {Promise<string>} Path written
+   */
+  async exportToFile(filePath, options = {}) {
+    const format = options.format || (path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json');
+    await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    await fs.promises.writeFile(filePath, await this.export({ ...options, format }));
+    return filePath;
+  }
+
+  /**
+   * Releases resources held by the store
+   */
+  async close() {}
+}
+
+const matches = (sample, { metric, from, to }) =>
+  (!metric || sample.metric === metric) &&
+  (from === null || sample.timestamp >= from) &&
+  (to === null || sample.timestamp <= to);
+
+class MemoryGasHistoryStore extends GasHistoryStore {
+  /**
+   * @param {Object} options - { maxSamples } oldest samples are dropped beyond this
+   */
+  constructor(options = {}) {
+    super();
+    this.maxSamples = options.maxSamples || 100000;
+    this.samples = [];
+  }
+
+  async _append(samples) {
+    const last = this.samples.length ? this.samples[this.samples.length - 1].timestamp : -Infinity;
+    const inOrder = samples.every((sample, i) => sample.timestamp >= (i === 0 ? last : samples[i - 1].timestamp));
+    this.samples.push(...samples);
+    if (!inOrder) {
+      this.samples.sort((a, b) => a.timestamp - b.timestamp);
+    }
+    if (this.samples.length > this.maxSamples) {
+      this.samples.splice(0, this.samples.length - this.maxSamples);
+    }
+  }
+
+  async _query(filter) {
+    const result = this.samples.filter(sample => matches(sample, filter));
+    return filter.limit ? result.slice(-filter.limit) : result;
+  }
+
+  async _delete({ metric, before }) {
+    const kept = this.samples.filter(sample =>
+      !((!metric || sample.metric === metric) && (before === null || sample.timestamp < before))
+    );
+    const removed = this.samples.length - kept.length;
+    this.samples = kept;
+    return removed;
+  }
+}
+
+class JsonlGasHistoryStore extends GasHistoryStore {
+  /**
+   * @param {Object} options - { path } file that receives one JSON sample per line
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.path) {
+      throw new Error('JsonlGasHistoryStore requires a path');
+    }
+    this.path = options.path;
+    // Appends and rewrites are serialized so lines never interleave
+    this._writes = Promise.resolve();
+  }
+
+  _enqueue(task) {
+    const run = this._writes.then(task);
+    this._writes = run.catch(() => {});
+    return run;
+  }
+
+  async _append(samples) {
+    return this._enqueue(async () => {
+      await fs.promises.mkdir(path.dirname(path.resolve(this.path)), { recursive: true });
+      await fs.promises.appendFile(this.path, samples.map(sample => JSON.stringify(sample)).join('\n') + '\n');
+    });
+  }
+
+  async _readAll(onSample) {
+    if (!fs.existsSync(this.path)) return;
+    const lines = readline.createInterface({ input: fs.createReadStream(this.path), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        onSample(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line; skip it
+      }
+    }
+  }
+
+  async _query(filter) {
+    await this._writes;
+    const result = [];
+    await this._readAll(sample => {
+      if (matches(sample, filter)) result.push(sample);
+    });
+    result.sort((a, b) => a.timestamp - b.timestamp);
+    return filter.limit ? result.slice(-filter.limit) : result;
+  }
+
+  async _delete({ metric, before }) {
+    return this._enqueue(async () => {
+      const kept = [];
+      let removed = 0;
+      await this._readAll(sample => {
+        if ((!metric || sample.metric === metric) && (before === null || sample.timestamp < before)) {
+          removed += 1;
+        } else {
+          kept.push(sample);
+        }
+      });
+      if (removed > 0) {
+        const tmp = `${this.path}.tmp`;
+        await fs.promises.writeFile(tmp, kept.map(sample => JSON.stringify(sample) + '\n').join(''));
+        await fs.promises.rename(tmp, this.path);
+      }
+      return removed;
+    });
+  }
+}
+
+class SqliteGasHistoryStore extends GasHistoryStore {
+  /**
+   * @param {Object} options - { path } database file (':memory:' for a throwaway database)
+   */
+  constructor(options = {}) {
+    super();
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SqliteGasHistoryStore requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    this.path = options.path || 'gas-history.db';
+    if (this.path !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(this.path)), { recursive: true });
+    }
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS gas_samples (
+        timestamp INTEGER NOT NULL,
+        metric TEXT NOT NULL,
+        value REAL NOT NULL,
+        data TEXT
+      );
+      CREATE INDEX IF NOT EXISTS gas_samples_metric_time ON gas_samples (metric, timestamp);
+    `);
+    this._insert = this.db.prepare('INSERT INTO gas_samples (timestamp, metric, value, data) VALUES (?, ?, ?, ?)');
+    this._insertMany = this.db.transaction(samples => {
+      for (const { timestamp, metric, value, data } of samples) {
+        this._insert.run(timestamp, metric, value, data ? JSON.stringify(data) : null);
+      }
+    });
+  }
+
+  _where({ metric, from, to, before }) {
+    const clauses = [];
+    const params = [];
+    if (metric) { clauses.push('metric = ?'); params.push(metric); }
+    if (from !== null && from !== undefined) { clauses.push('timestamp >= ?'); params.push(from); }
+    if (to !== null && to !== undefined) { clauses.push('timestamp <= ?'); params.push(to); }
+    if (before !== null && before !== undefined) { clauses.push('timestamp < ?'); params.push(before); }
+    return { sql: clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  async _append(samples) {
+    this._insertMany(samples);
+  }
+
+  async _query(filter) {
+    const { sql, params } = this._where(filter);
+    const rows = filter.limit
+      ? this.db.prepare(`SELECT * FROM (SELECT rowid, * FROM gas_samples${sql} ORDER BY timestamp DESC, rowid DESC LIMIT ?) ORDER BY timestamp, rowid`).all(...params, filter.limit)
+      : this.db.prepare(`SELECT rowid, * FROM gas_samples${sql} ORDER BY timestamp, rowid`).all(...params);
+    return rows.map(({ timestamp, metric, value, data }) => ({
+      timestamp,
+      metric,
+      value,
+      data: data ? JSON.parse(data) : null
+    }));
+  }
+
+  async _delete(filter) {
+    const { sql, params } = this._where(filter);
+    return this.db.prepare(`DELETE FROM gas_samples${sql}`).run(...params).changes;
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Creates a store from a config, or passes an existing store through
+ * @param {Object|GasHistoryStore} config - { type: 'memory' | 'jsonl' | 'sqlite', path, maxSamples }
+ * @returns {GasHistoryStore} Store instance
+ */
+function createGasHistoryStore(config = {}) {
+  if (config instanceof GasHistoryStore) return config;
+
+  const { type = 'memory', ...options } = config;
+  switch (type) {
+    case 'memory':
+      return new MemoryGasHistoryStore(options);
+    case 'jsonl':
+      return new JsonlGasHistoryStore(options);
+    case 'sqlite':
+      return new SqliteGasHistoryStore(options);
+    default:
+      throw new Error(`Unknown gas history store "${type}". Expected memory, jsonl or sqlite`);
+  }
+}
+
+module.exports = {
+  GasHistoryStore,
+  MemoryGasHistoryStore,
+  JsonlGasHistoryStore,
+  SqliteGasHistoryStore,
+  createGasHistoryStore,
+  GAS_METRICS
+};
@@ -1,23 +1,64 @@
 // Base Gas Monitor Utility
 // Advanced gas fee monitoring and optimization for Base blockchain
 
+const { EventEmitter } = require('events');
 const { ethers } = require('ethers');
-const axios = require('axios');
+const { BaseL1FeeOracle } = require('../lib/BaseL1FeeOracle');
+const { PriceOracle, createPriceOracle } = require('../lib/BasePriceOracle');
+const { createGasHistoryStore, GAS_METRICS } = require('./BaseGasHistory');
+const { createAlertRule, evaluateAlertRule, createAlertSink } = require('./BaseGasAlerts');
+const { createNameResolver } = require('../lib/BaseNameResolver');
 
-class BaseGasMonitor {
-  constructor(rpcUrl = 'https://mainnet.base.org') {
+const SEVERITY_ICONS = { info: '🟢', warning: '🟡', critical: '🔴' };
+
+class BaseGasMonitor extends EventEmitter {
+  constructor(rpcUrl = 'https://mainnet.base.org', options = {}) {
+    super();
     this.provider = new ethers.JsonRpcProvider(rpcUrl);
-    this.gasHistory = [];
-    this.alertThresholds = {
-      low: 0.001, // ETH
-      medium: 0.005,
-      high: 0.01
-    };
+    this.l1FeeOracle = new BaseL1FeeOracle(this.provider);
+    // Memory by default; pass { type: 'jsonl' | 'sqlite', path } to keep history across restarts
+    this.history = createGasHistoryStore(options.historyStore);
+    // Chainlink on Base, CoinGecko (cached) as fallback; pass { fixedPrice } for offline runs
+    this.priceOracle = options.priceOracle instanceof PriceOracle
+      ? options.priceOracle
+      : createPriceOracle({ provider: this.provider, ...options.priceOracle });
+    this.currency = options.currency || 'usd';
+    // BaseNameResolver or its options, so estimates accept Basenames as recipients
+    this.names = createNameResolver(this.provider, options.nameResolver);
+    this.alertRules = new Map();
+    this.alertSinks = [];
+    (options.alertRules || []).forEach(rule => this.addAlertRule(rule));
+    (options.alertSinks || []).forEach(sink => this.addAlertSink(sink));
+  }
+
+  // Rules: { metric: 'baseFee' | 'priorityFee' | 'gasPrice' (gwei) | 'txCost' (ETH), above | below, ... }
+  addAlertRule(config) {
+    const rule = createAlertRule(config);
+    if (this.alertRules.has(rule.id)) {
+      throw new Error(`Alert rule ${rule.id} already exists`);
+    }
+    this.alertRules.set(rule.id, rule);
+    return rule;
+  }
+
+  removeAlertRule(id) {
+    return this.alertRules.delete(id);
+  }
+
+  getAlertRules() {
+    return [...this.alertRules.values()];
+  }
+
+  // Sinks: a function, or { type: 'callback' | 'webhook' | 'file', ... }
+  addAlertSink(config) {
+    const sink = createAlertSink(config);
+    this.alertSinks.push(sink);
+    return sink;
   }
 
   async getCurrentGasPrice() {
     try {
-      const gasPrice = await this.provider.getGasPrice();
+      const { gasPrice } = await this.provider.getFeeData();
       const gasPriceGwei = ethers.formatUnits(gasPrice, 'gwei');
       
       return {
@@ -31,23 +72,32 @@ class BaseGasMonitor {
     }
   }
 
-  async estimateTransactionCost(to, data = '0x', value = '0') {
+  async estimateTransactionCost(to, data = '0x', value = '0', options = {}) {
     try {
-      const gasEstimate = await this.provider.estimateGas({
-        to,
+      const tx = {
+        to: to && await this.names.resolveAddress(to),
         data,
         value: ethers.parseEther(value)
-      });
+      };
+      const gasEstimate = await this.provider.estimateGas(tx);
       
-      const gasPrice = await this.provider.getGasPrice();
-      const totalCost = gasEstimate * gasPrice;
+      const { gasPrice } = await this.provider.getFeeData();
+      // On Base the L1 data fee is charged on top of L2 execution gas
+      const cost = await this.l1FeeOracle.estimateCost(tx, { gasLimit: gasEstimate, gasPrice });
+      const fiat = await this.convertToFiat(cost.totalCost, options.currency || this.currency);
       
       return {
         gasLimit: gasEstimate.toString(),
         gasPrice: ethers.formatUnits(gasPrice, 'gwei'),
-        totalCostWei: totalCost.toString(),
-        totalCostEth: ethers.formatEther(totalCost),
-        estimatedUSD: await this.convertToUSD(ethers.formatEther(totalCost))
+        l2CostWei: cost.l2ExecutionCost.toString(),
+        l2CostEth: ethers.formatEther(cost.l2ExecutionCost),
+        l1FeeWei: cost.l1DataFee.toString(),
+        l1FeeEth: ethers.formatEther(cost.l1DataFee),
+        l1GasUsed: cost.l1GasUsed === null ? null : cost.l1GasUsed.toString(),
+        totalCostWei: cost.totalCost.toString(),
+        totalCostEth: ethers.formatEther(cost.totalCost),
+        estimatedFiat: fiat,
+        estimatedUSD: fiat && fiat.currency === 'usd' ? fiat.amount : null
       };
     } catch (error) {
       console.error('Error estimating transaction cost:', error);
@@ -56,84 +106,193 @@ class BaseGasMonitor {
   }
 
   async convertToUSD(ethAmount) {
+    return this.convertToFiat(ethAmount, 'usd');
+  }
+
+  // Returns { amount, price, currency, source, timestamp }, or null when no source can quote
+  async convertToFiat(ethAmount, currency = this.currency) {
     try {
-      const response = await axios.get('https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd');
-      const ethPrice = response.data.ethereum.usd;
-      return (parseFloat(ethAmount) * ethPrice).toFixed(2);
+      return await this.priceOracle.convert(ethAmount, currency);
     } catch (error) {
       console.warn('Could not fetch ETH price:', error.message);
-      return 'N/A';
+      return null;
     }
   }
 
+  async getGasSnapshot() {
+    const [block, feeData, priorityFee] = await Promise.all([
+      this.provider.getBlock('latest'),
+      this.provider.getFeeData(),
+      this.provider.send('eth_maxPriorityFeePerGas', []).then(BigInt).catch(() => null)
+    ]);
+    const toGwei = (value) => (value === null || value === undefined ? null : parseFloat(ethers.formatUnits(value, 'gwei')));
+
+    return {
+      timestamp: new Date().toISOString(),
+      blockNumber: block.number,
+      baseFee: toGwei(block.baseFeePerGas),
+      priorityFee: toGwei(priorityFee ?? feeData.maxPriorityFeePerGas),
+      gasPrice: toGwei(feeData.gasPrice),
+      gasPriceWei: feeData.gasPrice.toString()
+    };
+  }
+
   async monitorGasPrices(intervalMs = 30000) {
     console.log('Starting Base gas price monitoring...');
     
+    let timer = null;
+    let running = true;
+    let inFlight = null;
+
     const monitor = async () => {
+      let snapshot;
       try {
-        const gasData = await this.getCurrentGasPrice();
-        const timestamp = new Date().toISOString();
-        
-        this.gasHistory.push({
-          ...gasData,
-          timestamp
-        });
-        
-        // Keep only last 100 entries
-        if (this.gasHistory.length > 100) {
-          this.gasHistory.shift();
-        }
-        
-        console.log(`[${timestamp}] Gas Price: ${gasData.gwei} Gwei (${gasData.eth} ETH)`);
-        
-        // Check for alerts
-        this.checkGasAlerts(parseFloat(gasData.eth));
+        snapshot = await this.getGasSnapshot();
         
+        await this.history.append([
+          { metric: GAS_METRICS.GAS_PRICE, value: snapshot.gasPrice, timestamp: snapshot.timestamp, data: { wei: snapshot.gasPriceWei } },
+          { metric: GAS_METRICS.BASE_FEE, value: snapshot.baseFee, timestamp: snapshot.timestamp },
+          { metric: GAS_METRICS.PRIORITY_FEE, value: snapshot.priorityFee, timestamp: snapshot.timestamp }
+        ].filter(sample => sample.value !== null));
+      } catch (error) {
+        // Every tick ends in exactly one 'sample' or 'miss', so listeners can count ticks
+        this.emit('miss', error);
+        this.reportError(error);
+        return;
+      }
+      
+      console.log(`[${snapshot.timestamp}] Gas Price: ${snapshot.gasPrice} Gwei (base ${snapshot.baseFee}, priority ${snapshot.priorityFee})`);
+      this.emit('sample', snapshot);
+      
+      // Check for alerts
+      try {
+        await this.checkGasAlerts(snapshot);
       } catch (error) {
-        console.error('Monitoring error:', error);
+        this.reportError(error);
+      }
+    };
+
+    // Ticks never overlap: the next one is scheduled after the previous finishes
+    const loop = async () => {
+      inFlight = monitor();
+      await inFlight;
+      if (running) {
+        timer = setTimeout(loop, intervalMs);
       }
     };
     
     // Initial check
-    await monitor();
+    await loop();
     
-    // Set up interval
-    return setInterval(monitor, intervalMs);
+    return {
+      stop: async () => {
+        running = false;
+        clearTimeout(timer);
+        await inFlight;
+        this.emit('stopped');
+      },
+      get running() {
+        return running;
+      }
+    };
+  }
+
+  async checkGasAlerts(snapshot) {
+    const events = [];
+    const now = Date.parse(snapshot.timestamp) || Date.now();
+
+    for (const rule of this.alertRules.values()) {
+      // A failing rule (e.g. a txCost estimate hitting an RPC error) must not skip the rules after it
+      try {
+        let value = snapshot[rule.metric];
+        if (rule.metric === 'txCost') {
+          const cost = await this.l1FeeOracle.estimateCost(rule.transaction, {
+            gasLimit: rule.transaction.gasLimit,
+            gasPrice: BigInt(snapshot.gasPriceWei)
+          });
+          value = parseFloat(ethers.formatEther(cost.totalCost));
+        }
+        if (value === null || value === undefined) continue;
+
+        const transition = evaluateAlertRule(rule, value, now);
+        if (!transition) continue;
+
+        const event = {
+          type: transition === 'triggered' ? 'alert' : 'alertCleared',
+          rule: { id: rule.id, name: rule.name, metric: rule.metric, severity: rule.severity },
+          direction: rule.direction,
+          threshold: rule.threshold,
+          clearAt: rule.clearAt,
+          value,
+          timestamp: snapshot.timestamp,
+          blockNumber: snapshot.blockNumber
+        };
+        events.push(event);
+        await this.dispatchAlert(event);
+      } catch (error) {
+        this.reportError(new Error(`Alert rule ${rule.name} failed: ${error.message}`));
+      }
+    }
+
+    return events;
   }
 
-  checkGasAlerts(gasPriceEth) {
-    if (gasPriceEth <= this.alertThresholds.low) {
-      console.log('🟢 LOW GAS ALERT: Optimal time for transactions!');
-    } else if (gasPriceEth >= this.alertThresholds.high) {
-      console.log('🔴 HIGH GAS ALERT: Consider waiting for lower fees');
-    } else if (gasPriceEth >= this.alertThresholds.medium) {
-      console.log('🟡 MEDIUM GAS ALERT: Moderate fees detected');
+  async dispatchAlert(event) {
+    this.emit(event.type, event);
+
+    if (this.alertSinks.length === 0 && this.listenerCount(event.type) === 0) {
+      const icon = event.type === 'alert' ? SEVERITY_ICONS[event.rule.severity] : '⚪';
+      const verb = event.type === 'alert' ? 'ALERT' : 'CLEARED';
+      console.log(`${icon} ${verb}: ${event.rule.name} (current ${event.value})`);
     }
+
+    await Promise.all(this.alertSinks.map(async (sink) => {
+      try {
+        await sink(event);
+      } catch (error) {
+        this.reportError(new Error(`Alert sink failed: ${error.message}`));
+      }
+    }));
   }
 
-  getGasHistory() {
-    return this.gasHistory;
+  reportError(error) {
+    // An 'error' event without listeners would throw, so fall back to logging
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error('Monitoring error:', error);
+    }
   }
 
-  getAverageGasPrice(hours = 1) {
-    const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
-    const recentData = this.gasHistory.filter(entry => 
-      new Date(entry.timestamp) > cutoff
-    );
-    
-    if (recentData.length === 0) return null;
+  async getGasHistory(options = {}) {
+    return this.history.query({ ...options, metric: GAS_METRICS.GAS_PRICE });
+  }
+
+  async getAverageGasPrice(hours = 1) {
+    const stats = await this.history.percentiles({
+      metric: GAS_METRICS.GAS_PRICE,
+      from: Date.now() - hours * 60 * 60 * 1000,
+      percentiles: [50]
+    });
     
-    const average = recentData.reduce((sum, entry) => 
-      sum + parseFloat(entry.gwei), 0
-    ) / recentData.length;
+    if (stats.count === 0) return null;
     
     return {
-      averageGwei: average.toFixed(4),
-      sampleSize: recentData.length,
+      averageGwei: stats.mean.toFixed(4),
+      medianGwei: stats.percentiles.p50.toFixed(4),
+      sampleSize: stats.count,
       timeRange: `${hours}h`
     };
   }
 
+  async getGasPricePercentiles(options = {}) {
+    return this.history.percentiles({ ...options, metric: GAS_METRICS.GAS_PRICE });
+  }
+
+  async getGasPriceCandles(intervalMs = 60 * 60 * 1000, options = {}) {
+    return this.history.ohlc({ ...options, metric: GAS_METRICS.GAS_PRICE, interval: intervalMs });
+  }
+
   async optimizeGasPrice(priority = 'standard') {
     const current = await this.getCurrentGasPrice();
     const currentGwei = parseFloat(current.gwei);
@@ -158,6 +317,11 @@ class BaseGasMonitor {
 module.exports = BaseGasMonitor;
 
 // Example usage:
-// const monitor = new BaseGasMonitor();
-// monitor.monitorGasPrices(60000); // Check every minute
+// const monitor = new BaseGasMonitor(undefined, { historyStore: { type: 'sqlite', path: 'data/gas.db' } });
+// monitor.addAlertRule({ metric: 'baseFee', above: 0.05, cooldownMs: 10 * 60 * 1000, severity: 'critical' });
+// monitor.addAlertSink({ type: 'webhook', url: process.env.ALERT_WEBHOOK_URL });
+// const handle = await monitor.monitorGasPrices(60000); // Check every minute
+// await handle.stop();
+// const candles = await monitor.getGasPriceCandles(15 * 60 * 1000, { from: Date.now() - 24 * 3600 * 1000 });
 // const cost = await monitor.estimateTransactionCost('0x...', '0x', '0.1');
+// const tip = await monitor.estimateTransactionCost('alice.base.eth', '0x', '0.01'); // Basenames work too
@@ -6,75 +6,277 @@
  */
 
 const { ethers } = require('ethers');
+const { BaseL1FeeOracle } = require('../lib/BaseL1FeeOracle');
+const { getNetworkConfig, makeError } = require('../lib/BaseNetworkUtils');
+const { BaseMulticall } = require('../lib/BaseMulticall');
+const { createNameResolver, isBasename } = require('../lib/BaseNameResolver');
+const { BaseSimulator, decodeRevertData, extractRevertData, simulationError } = require('../lib/BaseSimulator');
+const { createGasHistoryStore, GAS_METRICS } = require('./BaseGasHistory');
+
+// Fee tiers, matching BaseGasMonitor.optimizeGasPrice priorities.
+// percentile: eth_feeHistory reward percentile used for the priority fee
+// headroom: % of the next base fee budgeted in maxFeePerGas
+const FEE_TIERS = {
+  slow: { percentile: 10, headroom: 110, priorityMultiplier: 100 },
+  standard: { percentile: 50, headroom: 125, priorityMultiplier: 100 },
+  fast: { percentile: 90, headroom: 150, priorityMultiplier: 100 },
+  instant: { percentile: 90, headroom: 200, priorityMultiplier: 150 }
+};
+
+const REWARD_PERCENTILES = [...new Set(Object.values(FEE_TIERS).map(tier => tier.percentile))];
+
+// Congestion index weights: smoothed utilization vs. gas target, and base fee movement
+const CONGESTION_WEIGHTS = { utilization: 0.7, baseFeeTrend: 0.3 };
+// Base fee change over the window that saturates the trend component (+/-20%)
+const BASE_FEE_TREND_SATURATION = 0.2;
+// Ethereum L1 elasticity, used when the chain is not a known network
+const DEFAULT_ELASTICITY = 2;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Picks a fee tier, refusing one that maxGasPrice capped below the next base fee:
+ * a transaction with that maxFeePerGas cannot be included until the base fee drops
+ * @param {Object} fees - Result of getFeeEstimates
+ * @param {string} priority - Tier name
+ * @returns {Object} The tier
+ */
+const requireIncludableTier = (fees, priority) => {
+  const tier = fees.tiers[priority];
+  if (tier.belowBaseFee) {
+    throw makeError('MAX_GAS_PRICE_TOO_LOW',
+      `maxGasPrice caps the ${priority} tier at ${ethers.formatUnits(tier.maxFeePerGas, 'gwei')} gwei, below the next base fee ` +
+      `of ${ethers.formatUnits(fees.baseFee, 'gwei')} gwei; raise maxGasPrice or wait for lower fees`,
+      { priority, maxFeePerGas: tier.maxFeePerGas, baseFee: fees.baseFee });
+  }
+  return tier;
+};
+
+const median = (values) => {
+  if (values.length === 0) return 0n;
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+};
 
 class BaseGasOptimizer {
   constructor(provider, options = {}) {
     this.provider = provider;
     this.options = {
-      maxGasPrice: options.maxGasPrice || ethers.utils.parseUnits('20', 'gwei'),
+      maxGasPrice: options.maxGasPrice || ethers.parseUnits('20', 'gwei'),
       gasBuffer: options.gasBuffer || 1.1, // 10% buffer
       batchSize: options.batchSize || 10,
+      feeHistoryBlocks: options.feeHistoryBlocks || 20,
+      minPriorityFee: options.minPriorityFee || ethers.parseUnits('0.001', 'gwei'),
+      congestionBlocks: options.congestionBlocks || 10,
+      congestionAlpha: options.congestionAlpha || 0.3, // EWMA smoothing factor
+      elasticityMultiplier: options.elasticityMultiplier || null, // gas limit / gas target
       ...options
     };
-    this.gasHistory = [];
+    // Shared with BaseGasMonitor when both are given the same store
+    this.history = createGasHistoryStore(options.historyStore);
+    this.l1FeeOracle = new BaseL1FeeOracle(provider);
+    // options.abis: contract ABIs whose custom errors should be decoded
+    this.simulator = new BaseSimulator(provider, { abis: options.abis });
+    // options.nameResolver: BaseNameResolver or its options; lets `to` / `from` be Basenames
+    this.names = createNameResolver(provider, options.nameResolver);
+  }
+
+  /**
+   * Replaces Basenames in a transaction's `to` and `from` with addresses
+   * @param {Object} transaction - Transaction object
+   * @returns {Promise<Object>} Transaction with addresses (the same object when nothing needed resolving)
+   */
+  async resolveTransaction(transaction) {
+    if (!isBasename(transaction.to) && !isBasename(transaction.from)) return transaction;
+    const [to, from] = await Promise.all(['to', 'from'].map(field => (
+      isBasename(transaction[field]) ? this.names.resolveAddress(transaction[field]) : transaction[field]
+    )));
+    return { ...transaction, to, from };
+  }
+
+  /**
+   * Computes EIP-1559 fee tiers from eth_feeHistory (base fee trend and reward percentiles).
+   * Every tier satisfies maxFeePerGas >= nextBaseFee * headroom + maxPriorityFeePerGas,
+   * unless options.maxGasPrice caps it, in which case the tier is flagged `capped`, and
+   * `belowBaseFee` when the cap is under the next base fee (such a tier cannot be included).
+   * @param {Object} options - { blockCount }
+   * @returns {Promise<Object>} { baseFee, trend, tiers: { slow, standard, fast, instant } }
+   */
+  async getFeeEstimates(options = {}) {
+    const blockCount = options.blockCount || this.options.feeHistoryBlocks;
+    const { baseFees, rewards, oldestBlock } = await this.getFeeHistory(blockCount);
+
+    // The last entry is the base fee of the next (pending) block
+    const nextBaseFee = baseFees[baseFees.length - 1];
+    const trend = this.getBaseFeeTrend(baseFees);
+
+    const tiers = {};
+    for (const [name, tier] of Object.entries(FEE_TIERS)) {
+      const column = REWARD_PERCENTILES.indexOf(tier.percentile);
+      const rewardSamples = rewards.map(blockRewards => blockRewards[column]).filter(value => value > 0n);
+      const minPriorityFee = BigInt(this.options.minPriorityFee);
+      const maxGasPrice = BigInt(this.options.maxGasPrice);
+
+      let maxPriorityFeePerGas = (median(rewardSamples) * BigInt(tier.priorityMultiplier)) / 100n;
+      if (maxPriorityFeePerGas < minPriorityFee) {
+        maxPriorityFeePerGas = minPriorityFee;
+      }
+
+      let maxFeePerGas = (nextBaseFee * BigInt(tier.headroom)) / 100n + maxPriorityFeePerGas;
+      let capped = false;
+      if (maxFeePerGas > maxGasPrice) {
+        capped = true;
+        maxFeePerGas = maxGasPrice;
+        // Keep the tip payable out of the capped fee
+        const room = maxFeePerGas - nextBaseFee;
+        if (room < maxPriorityFeePerGas) {
+          maxPriorityFeePerGas = room > 0n ? room : 0n;
+        }
+      }
+
+      tiers[name] = {
+        maxFeePerGas,
+        maxPriorityFeePerGas,
+        headroom: tier.headroom / 100,
+        capped,
+        belowBaseFee: maxFeePerGas < nextBaseFee
+      };
+    }
+
+    return { baseFee: nextBaseFee, trend, blockCount: rewards.length, oldestBlock, tiers };
+  }
+
+  /**
+   * Fetches eth_feeHistory, falling back to the latest block when the node lacks it
+   * @param {number} blockCount - Number of blocks to sample
+   * @returns {Promise<Object>} { baseFees, rewards, gasUsedRatio, oldestBlock }
+   */
+  async getFeeHistory(blockCount) {
+    try {
+      const history = await this.provider.send('eth_feeHistory', [
+        ethers.toQuantity(blockCount),
+        'latest',
+        REWARD_PERCENTILES
+      ]);
+
+      return {
+        baseFees: history.baseFeePerGas.map(value => BigInt(value)),
+        rewards: (history.reward || []).map(row => row.map(value => BigInt(value))),
+        gasUsedRatio: history.gasUsedRatio || [],
+        oldestBlock: Number(history.oldestBlock)
+      };
+    } catch (error) {
+      console.warn('eth_feeHistory unavailable, falling back to latest block:', error.message);
+      const block = await this.provider.getBlock('latest');
+      const priorityFee = await this.provider.send('eth_maxPriorityFeePerGas', [])
+        .then(value => BigInt(value))
+        .catch(() => BigInt(this.options.minPriorityFee));
+
+      return {
+        baseFees: [block.baseFeePerGas ?? (await this.provider.getFeeData()).gasPrice],
+        rewards: [REWARD_PERCENTILES.map(() => priorityFee)],
+        gasUsedRatio: [],
+        oldestBlock: block.number
+      };
+    }
+  }
+
+  /**
+   * Classifies the base fee trend by comparing the newer half of the window with the older half
+   * @param {Array<bigint>} baseFees - Base fees, oldest first
+   * @returns {string} 'rising', 'falling' or 'stable'
+   */
+  getBaseFeeTrend(baseFees) {
+    if (baseFees.length < 2) return 'stable';
+
+    const half = Math.floor(baseFees.length / 2);
+    const average = (values) => values.reduce((sum, value) => sum + value, 0n) / BigInt(values.length);
+    const older = average(baseFees.slice(0, half));
+    const newer = average(baseFees.slice(half));
+
+    if (older === 0n) return newer === 0n ? 'stable' : 'rising';
+    const changeBps = Number(((newer - older) * 10000n) / older);
+    if (changeBps > 500) return 'rising';
+    if (changeBps < -500) return 'falling';
+    return 'stable';
   }
 
   /**
    * Estimates optimal gas price based on network conditions
-   * @returns {Promise<BigNumber>} Optimal gas price
+   * @returns {Promise<bigint>} Optimal gas price
    */
   async getOptimalGasPrice() {
     try {
-      const gasPrice = await this.provider.getGasPrice();
-      const networkCongestion = await this.getNetworkCongestion();
+      const { gasPrice } = await this.provider.getFeeData();
+      const { index } = await this.getNetworkCongestion();
       
       // Adjust gas price based on network congestion
       let adjustedGasPrice = gasPrice;
-      if (networkCongestion > 0.8) {
-        adjustedGasPrice = gasPrice.mul(120).div(100); // +20% for high congestion
-      } else if (networkCongestion < 0.3) {
-        adjustedGasPrice = gasPrice.mul(90).div(100); // -10% for low congestion
+      if (index > 0.8) {
+        adjustedGasPrice = (gasPrice * 120n) / 100n; // +20% for high congestion
+      } else if (index < 0.3) {
+        adjustedGasPrice = (gasPrice * 90n) / 100n; // -10% for low congestion
       }
       
       // Cap at maximum gas price
-      return adjustedGasPrice.gt(this.options.maxGasPrice) 
-        ? this.options.maxGasPrice 
-        : adjustedGasPrice;
+      const maxGasPrice = BigInt(this.options.maxGasPrice);
+      return adjustedGasPrice > maxGasPrice ? maxGasPrice : adjustedGasPrice;
     } catch (error) {
       console.error('Error getting optimal gas price:', error);
-      return this.provider.getGasPrice();
+      return (await this.provider.getFeeData()).gasPrice;
     }
   }
 
   /**
    * Estimates gas limit with buffer for transaction
    * @param {Object} transaction - Transaction object
-   * @returns {Promise<BigNumber>} Estimated gas limit
+   * @returns {Promise<bigint>} Estimated gas limit
    */
   async estimateGasWithBuffer(transaction) {
+    transaction = await this.resolveTransaction(transaction);
     try {
       const gasEstimate = await this.provider.estimateGas(transaction);
-      const bufferedGas = gasEstimate.mul(Math.floor(this.options.gasBuffer * 100)).div(100);
+      const bufferedGas = (gasEstimate * BigInt(Math.floor(this.options.gasBuffer * 100))) / 100n;
       
-      this.gasHistory.push({
-        timestamp: Date.now(),
-        estimated: gasEstimate.toString(),
-        buffered: bufferedGas.toString()
-      });
+      await this.history.append({
+        metric: GAS_METRICS.GAS_ESTIMATE,
+        value: Number(gasEstimate),
+        data: { buffered: bufferedGas.toString(), to: transaction.to || null }
+      }).catch(error => console.warn('Could not record gas estimate:', error.message));
       
       return bufferedGas;
     } catch (error) {
-      console.error('Error estimating gas:', error);
+      const revert = decodeRevertData(extractRevertData(error), this.simulator.abis);
+      if (revert) {
+        error.revert = revert;
+        error.reason = revert.message;
+        error.message = `Gas estimation failed, transaction would revert: ${revert.message}`;
+      }
+      console.error('Error estimating gas:', error.message);
       throw error;
     }
   }
 
   /**
-   * Batches multiple transactions for gas efficiency
+   * Simulates a transaction at the pending block without sending it
+   * @param {Object} transaction - Transaction object
+   * @param {Object} options - { abis, blockTag, stateDiff } abis add custom errors for this call
+   * @returns {Promise<Object>} Report: { success, returnData, result, revert, error, gasUsed, stateChanges }
+   */
+  async simulate(transaction, options = {}) {
+    return this.simulator.simulate(await this.resolveTransaction(transaction), options);
+  }
+
+  /**
+   * Prepares gas parameters for multiple transactions; the gas price is fetched once
+   * for the whole set. Use BaseTransactionManager to sign and send them, or
+   * BaseMulticall to fold them into a single transaction.
    * @param {Array} transactions - Array of transaction objects
-   * @returns {Promise<Array>} Batched transaction results
+   * @returns {Promise<Array>} Transactions with gasPrice and gasLimit filled in
    */
   async batchTransactions(transactions) {
+    const gasPrice = await this.getOptimalGasPrice();
+
     const batches = [];
     for (let i = 0; i < transactions.length; i += this.options.batchSize) {
       batches.push(transactions.slice(i, i + this.options.batchSize));
@@ -83,7 +285,6 @@ class BaseGasOptimizer {
     const results = [];
     for (const batch of batches) {
       const batchPromises = batch.map(async (tx) => {
-        const gasPrice = await this.getOptimalGasPrice();
         const gasLimit = await this.estimateGasWithBuffer(tx);
         
         return {
@@ -101,56 +302,242 @@ class BaseGasOptimizer {
   }
 
   /**
-   * Calculates network congestion level
-   * @returns {Promise<number>} Congestion level (0-1)
+   * Calculates a congestion index over recent blocks. Block utilization is measured
+   * against the EIP-1559 gas target (limit / elasticity) and smoothed with an EWMA,
+   * then blended with the base fee trend across the window.
+   * @param {Object} options - { blockCount, alpha }
+   * @returns {Promise<Object>} { index (0-1), level, ewmaUtilization, baseFeeChange, ... raw inputs }
    */
-  async getNetworkCongestion() {
+  async getNetworkCongestion(options = {}) {
+    const blockCount = options.blockCount || this.options.congestionBlocks;
+    const alpha = options.alpha || this.options.congestionAlpha;
+
     try {
-      const latestBlock = await this.provider.getBlock('latest');
-      const gasUsedRatio = latestBlock.gasUsed.div(latestBlock.gasLimit);
-      return parseFloat(gasUsedRatio.toString());
+      const elasticity = await this.getElasticityMultiplier();
+      const { baseFees, gasUsedRatio, oldestBlock } = await this.getFeeHistory(blockCount);
+
+      // gasUsedRatio is relative to the gas limit; 1.0 below means exactly at target
+      let ratios = gasUsedRatio;
+      if (ratios.length === 0) {
+        const block = await this.provider.getBlock('latest');
+        ratios = [Number(block.gasUsed) / Number(block.gasLimit)];
+      }
+      const utilization = ratios.map(ratio => ratio * elasticity);
+
+      const ewmaUtilization = utilization.reduce(
+        (ewma, value, i) => (i === 0 ? value : alpha * value + (1 - alpha) * ewma), 0
+      );
+      const averageUtilization = utilization.reduce((sum, value) => sum + value, 0) / utilization.length;
+
+      const firstBaseFee = baseFees[0];
+      const lastBaseFee = baseFees[baseFees.length - 1];
+      const baseFeeChange = firstBaseFee > 0n
+        ? Number(((lastBaseFee - firstBaseFee) * 10000n) / firstBaseFee) / 10000
+        : 0;
+
+      // At target (utilization 1) the utilization component sits at 0.5 and it saturates at
+      // twice the target, i.e. 2 / elasticity of the gas limit (a third of a block on Base).
+      // A flat base fee scores 0.5 on the trend component.
+      const utilizationScore = clamp(ewmaUtilization / 2, 0, 1);
+      const trendScore = clamp(0.5 + baseFeeChange / (2 * BASE_FEE_TREND_SATURATION), 0, 1);
+      const index = clamp(
+        CONGESTION_WEIGHTS.utilization * utilizationScore + CONGESTION_WEIGHTS.baseFeeTrend * trendScore,
+        0,
+        1
+      );
+
+      return {
+        index,
+        level: index > 0.8 ? 'high' : index < 0.3 ? 'low' : 'medium',
+        ewmaUtilization,
+        averageUtilization,
+        baseFeeChange,
+        trend: this.getBaseFeeTrend(baseFees),
+        inputs: {
+          blockCount: utilization.length,
+          oldestBlock,
+          elasticityMultiplier: elasticity,
+          alpha,
+          gasUsedRatio: ratios,
+          utilization,
+          baseFees
+        }
+      };
     } catch (error) {
       console.error('Error calculating network congestion:', error);
-      return 0.5; // Default to medium congestion
+      // Default to medium congestion
+      return { index: 0.5, level: 'medium', error: error.message };
+    }
+  }
+
+  /**
+   * Resolves the chain's EIP-1559 elasticity multiplier (gas limit / gas target)
+   * @returns {Promise<number>} Elasticity multiplier
+   */
+  async getElasticityMultiplier() {
+    if (this.options.elasticityMultiplier) return this.options.elasticityMultiplier;
+
+    if (!this._elasticity) {
+      const { chainId } = await this.provider.getNetwork();
+      try {
+        this._elasticity = getNetworkConfig(chainId).eip1559Elasticity || DEFAULT_ELASTICITY;
+      } catch (error) {
+        this._elasticity = DEFAULT_ELASTICITY;
+      }
     }
+    return this._elasticity;
   }
 
   /**
    * Optimizes contract call parameters
    * @param {Object} contractCall - Contract call parameters
+   * @param {string} priority - Fee tier: 'slow', 'standard', 'fast' or 'instant'
+   * @param {Object} options - { simulate, abis } the call is simulated first unless simulate is false
    * @returns {Promise<Object>} Optimized parameters
+   * @throws {Error} code CALL_EXCEPTION with `revert` and `simulation` when the call would revert
+   * @throws {Error} code MAX_GAS_PRICE_TOO_LOW when maxGasPrice is below the next base fee
    */
-  async optimizeContractCall(contractCall) {
-    const gasPrice = await this.getOptimalGasPrice();
-    const gasLimit = await this.estimateGasWithBuffer(contractCall);
-    
+  async optimizeContractCall(contractCall, priority = 'standard', options = {}) {
+    if (!FEE_TIERS[priority]) {
+      throw new Error(`Unknown priority "${priority}". Expected one of: ${Object.keys(FEE_TIERS).join(', ')}`);
+    }
+    contractCall = await this.resolveTransaction(contractCall);
+
+    if (options.simulate !== false) {
+      const simulation = await this.simulate(contractCall, { abis: options.abis, stateDiff: false });
+      if (!simulation.success) {
+        throw simulationError(simulation);
+      }
+    }
+
+    const [fees, gasLimit] = await Promise.all([
+      this.getFeeEstimates(),
+      this.estimateGasWithBuffer(contractCall)
+    ]);
+    const { maxFeePerGas, maxPriorityFeePerGas } = requireIncludableTier(fees, priority);
+
+    // EIP-1559 transactions must not carry a legacy gasPrice
+    const { gasPrice, ...call } = contractCall;
+
     return {
-      ...contractCall,
-      gasPrice,
+      ...call,
       gasLimit,
       type: 2, // EIP-1559 transaction type
-      maxFeePerGas: gasPrice,
-      maxPriorityFeePerGas: ethers.utils.parseUnits('2', 'gwei')
+      maxFeePerGas,
+      maxPriorityFeePerGas
+    };
+  }
+
+  /**
+   * Estimates what a transaction will cost, split into L2 execution and L1 data fee
+   * @param {Object} transaction - Transaction object
+   * @param {string} priority - Fee tier used for the L2 gas price
+   * @returns {Promise<Object>} { gasLimit, effectiveGasPrice, maxFeePerGas, l2Cost, l1Fee, totalCost, maxCost } in wei
+   * @throws {Error} code MAX_GAS_PRICE_TOO_LOW when maxGasPrice is below the next base fee
+   */
+  async estimateTransactionCost(transaction, priority = 'standard') {
+    if (!FEE_TIERS[priority]) {
+      throw new Error(`Unknown priority "${priority}". Expected one of: ${Object.keys(FEE_TIERS).join(', ')}`);
+    }
+    transaction = await this.resolveTransaction(transaction);
+
+    const [fees, gasLimit] = await Promise.all([
+      this.getFeeEstimates(),
+      this.estimateGasWithBuffer(transaction)
+    ]);
+    const { maxFeePerGas, maxPriorityFeePerGas } = requireIncludableTier(fees, priority);
+
+    // Expected price paid is the next base fee plus tip; maxFeePerGas is only the ceiling
+    const effectiveGasPrice = fees.baseFee + maxPriorityFeePerGas;
+    const l1Fee = await this.l1FeeOracle.getL1Fee({
+      ...transaction,
+      gasLimit,
+      maxFeePerGas,
+      maxPriorityFeePerGas
+    });
+
+    return {
+      gasLimit,
+      effectiveGasPrice,
+      maxFeePerGas,
+      ...GasUtils.calculateTxCostBreakdown(gasLimit, effectiveGasPrice, l1Fee),
+      maxCost: GasUtils.calculateTxCost(gasLimit, maxFeePerGas, l1Fee)
+    };
+  }
+
+  /**
+   * Compares sending calls one by one with batching them through Multicall3.
+   * Inner calls run with Multicall3 as msg.sender, so only batch calls that do not
+   * depend on the caller's identity (or that allow failure).
+   * @param {Array} calls - Call descriptions, see BaseMulticall.encodeCall
+   * @param {Object} options - { from, priority, multicall }
+   * @returns {Promise<Object>} Gas and cost (L2 + L1 data fee) for both approaches, and the savings
+   */
+  async estimateMulticallSavings(calls, options = {}) {
+    const priority = options.priority || 'standard';
+    if (!FEE_TIERS[priority]) {
+      throw new Error(`Unknown priority "${priority}". Expected one of: ${Object.keys(FEE_TIERS).join(', ')}`);
+    }
+
+    const multicall = options.multicall || new BaseMulticall(this.provider);
+    const from = options.from;
+    const encoded = calls.map(call => multicall.encodeCall(call));
+
+    const fees = await this.getFeeEstimates();
+    const gasPrice = fees.baseFee + fees.tiers[priority].maxPriorityFeePerGas;
+
+    const costOf = async (tx) => {
+      const gas = await this.provider.estimateGas({ ...tx, from });
+      const l1Fee = await this.l1FeeOracle.getL1Fee({ ...tx, gasLimit: gas });
+      return { gas, cost: GasUtils.calculateTxCost(gas, gasPrice, l1Fee) };
+    };
+    const sum = (items) => items.reduce(
+      (total, item) => ({ gas: total.gas + item.gas, cost: total.cost + item.cost }),
+      { gas: 0n, cost: 0n }
+    );
+
+    const individual = sum(await Promise.all(encoded.map(call =>
+      costOf({ to: call.target, data: call.callData, value: call.value })
+    )));
+
+    const batchTxs = await multicall.populateWrite(calls);
+    const batched = sum(await Promise.all(batchTxs.map(({ to, data, value }) => costOf({ to, data, value }))));
+
+    const gasSaved = individual.gas - batched.gas;
+    return {
+      calls: calls.length,
+      individualTransactions: calls.length,
+      batchedTransactions: batchTxs.length,
+      gasPrice,
+      individualGas: individual.gas,
+      batchedGas: batched.gas,
+      gasSaved,
+      gasSavedPercent: individual.gas > 0n ? Number((gasSaved * 10000n) / individual.gas) / 100 : 0,
+      individualCost: individual.cost,
+      batchedCost: batched.cost,
+      costSaved: individual.cost - batched.cost
     };
   }
 
   /**
    * Gets gas usage statistics
-   * @returns {Object} Gas usage statistics
+   * @param {Object} options - { from, to } time range, defaults to all recorded estimates
+   * @returns {Promise<Object>} Gas usage statistics
    */
-  getGasStats() {
-    if (this.gasHistory.length === 0) {
+  async getGasStats(options = {}) {
+    const history = await this.history.query({ ...options, metric: GAS_METRICS.GAS_ESTIMATE });
+    if (history.length === 0) {
       return { message: 'No gas history available' };
     }
     
-    const recent = this.gasHistory.slice(-10);
+    const recent = history.slice(-10);
     const avgEstimated = recent.reduce((sum, entry) => 
-      sum + parseInt(entry.estimated), 0) / recent.length;
+      sum + entry.value, 0) / recent.length;
     const avgBuffered = recent.reduce((sum, entry) => 
-      sum + parseInt(entry.buffered), 0) / recent.length;
+      sum + parseInt(entry.data.buffered), 0) / recent.length;
     
     return {
-      totalTransactions: this.gasHistory.length,
+      totalTransactions: history.length,
       recentAvgEstimated: Math.floor(avgEstimated),
       recentAvgBuffered: Math.floor(avgBuffered),
       bufferEfficiency: ((avgBuffered - avgEstimated) / avgEstimated * 100).toFixed(2) + '%'
@@ -158,10 +545,11 @@ class BaseGasOptimizer {
   }
 
   /**
-   * Clears gas history
+   * Clears recorded gas estimates
+   * @returns {Promise<number>} Number of samples removed
    */
-  clearHistory() {
-    this.gasHistory = [];
+  async clearHistory() {
+    return this.history.clear({ metric: GAS_METRICS.GAS_ESTIMATE });
   }
 }
 
@@ -170,28 +558,42 @@ const GasUtils = {
   /**
    * Converts gas price from gwei to wei
    * @param {string|number} gwei - Gas price in gwei
-   * @returns {BigNumber} Gas price in wei
+   * @returns {bigint} Gas price in wei
    */
-  gweiToWei: (gwei) => ethers.utils.parseUnits(gwei.toString(), 'gwei'),
+  gweiToWei: (gwei) => ethers.parseUnits(gwei.toString(), 'gwei'),
   
   /**
    * Converts gas price from wei to gwei
-   * @param {BigNumber} wei - Gas price in wei
+   * @param {bigint} wei - Gas price in wei
    * @returns {string} Gas price in gwei
    */
-  weiToGwei: (wei) => ethers.utils.formatUnits(wei, 'gwei'),
+  weiToGwei: (wei) => ethers.formatUnits(wei, 'gwei'),
   
   /**
    * Calculates transaction cost
-   * @param {BigNumber} gasUsed - Gas used
-   * @param {BigNumber} gasPrice - Gas price
-   * @returns {BigNumber} Transaction cost in wei
+   * @param {bigint} gasUsed - Gas used
+   * @param {bigint} gasPrice - Gas price
+   * @param {bigint} l1Fee - L1 data fee charged on OP Stack chains (defaults to 0)
+   * @returns {bigint} Transaction cost in wei
+   */
+  calculateTxCost: (gasUsed, gasPrice, l1Fee = 0n) => BigInt(gasUsed) * BigInt(gasPrice) + BigInt(l1Fee),
+
+  /**
+   * Calculates transaction cost split into L2 execution and L1 data parts
+   * @param {bigint} gasUsed - Gas used
+   * @param {bigint} gasPrice - Gas price
+   * @param {bigint} l1Fee - L1 data fee (see BaseL1FeeOracle)
+   * @returns {Object} { l2Cost, l1Fee, totalCost } in wei
    */
-  calculateTxCost: (gasUsed, gasPrice) => gasUsed.mul(gasPrice),
+  calculateTxCostBreakdown: (gasUsed, gasPrice, l1Fee = 0n) => {
+    const l2Cost = BigInt(gasUsed) * BigInt(gasPrice);
+    const l1Cost = BigInt(l1Fee);
+    return { l2Cost, l1Fee: l1Cost, totalCost: l2Cost + l1Cost };
+  },
   
   /**
    * Formats gas amount for display
-   * @param {BigNumber} gas - Gas amount
+   * @param {bigint} gas - Gas amount
    * @returns {string} Formatted gas amount
    */
   formatGas: (gas) => gas.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')
@@ -199,5 +601,6 @@ const GasUtils = {
 
 module.exports = {
   BaseGasOptimizer,
-  GasUtils
+  GasUtils,
+  FEE_TIERS
 };
@@ -0,0 +1,587 @@
+/**
+ * BaseMultiSigCoordinator - Off-chain coordination for BaseMultiSigWallet proposals
+ * Builds proposals from an ABI, function and arguments (or from a BaseTokenFactory
+ * config, deployed through the CREATE2 deployer), lists pending transactions with
+ * decoded calldata and the owners that confirmed them, tells each signer what is
+ * left to do and executes once the confirmation threshold is met.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const { ethers } = require('ethers');
+const { COMMON_CONTRACTS, makeError } = require('../lib/BaseNetworkUtils');
+const { BaseSimulator, decodeRevertData, extractRevertData } = require('../lib/BaseSimulator');
+const { createNameResolver } = require('../lib/BaseNameResolver');
+
+const MULTISIG_ABI = [
+  'event Deposit(address indexed sender, uint256 amount)',
+  'event SubmitTransaction(uint256 indexed txIndex, address indexed to, uint256 value)',
+  'event ConfirmTransaction(address indexed owner, uint256 indexed txIndex)',
+  'event ExecuteTransaction(uint256 indexed txIndex)',
+  'function owners(uint256) view returns (address)',
+  'function isOwner(address) view returns (bool)',
+  'function numConfirmationsRequired() view returns (uint256)',
+  'function submitTransaction(address _to, uint256 _value, bytes _data)',
+  'function confirmTransaction(uint256 _txIndex)',
+  'function executeTransaction(uint256 _txIndex)',
+  'function getOwners() view returns (address[])',
+  'function getTransactionCount() view returns (uint256)',
+  'function getTransaction(uint256 _txIndex) view returns (address to, uint256 value, bytes data, bool executed, uint256 numConfirmations)'
+];
+
+// Calls that are decoded without registering an ABI
+const DEFAULT_ABIS = [
+  [
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+    'function mint(address to, uint256 amount)',
+    'function pause()',
+    'function unpause()',
+    'function transferOwnership(address newOwner)'
+  ]
+];
+
+// Default block span per eth_getLogs request
+const DEFAULT_LOG_BLOCK_RANGE = 10000;
+
+// Confirmations this close to the head are read again on every call, as their blocks may still be reorged
+const CONFIRMATION_RESCAN_DEPTH = 64;
+
+const PROPOSAL_STATUS = {
+  PENDING: 'pending', // needs more confirmations
+  READY: 'ready', // threshold met, not executed
+  EXECUTED: 'executed'
+};
+
+class BaseMultiSigCoordinator {
+  /**
+   * @param {string} walletAddress - BaseMultiSigWallet address
+   * @param {Object} runner - ethers v6 signer (an owner) or provider for read-only use
+   * @param {Object} options - { abis, fromBlock, logBlockRange, confirmations, create2Deployer, nameResolver }
+   *   abis: extra ABIs used to build and decode proposals; fromBlock: the wallet's deployment block,
+   *   found with eth_getCode (which needs a node serving historical state) when omitted;
+   *   nameResolver: BaseNameResolver or its options, so targets, arguments and owners can be Basenames
+   */
+  constructor(walletAddress, runner, options = {}) {
+    if (!ethers.isAddress(walletAddress)) {
+      throw makeError('INVALID_ARGUMENT', `Invalid multisig address: ${walletAddress}`);
+    }
+    this.address = ethers.getAddress(walletAddress);
+    this.runner = runner;
+    this.provider = runner.provider || runner;
+    this.contract = new ethers.Contract(this.address, MULTISIG_ABI, runner);
+    this.options = {
+      fromBlock: options.fromBlock !== undefined ? options.fromBlock : null,
+      logBlockRange: options.logBlockRange || DEFAULT_LOG_BLOCK_RANGE,
+      confirmations: options.confirmations || 1,
+      create2Deployer: ethers.getAddress(options.create2Deployer || COMMON_CONTRACTS.Create2Deployer)
+    };
+    this.interfaces = [...DEFAULT_ABIS, ...(options.abis || [])].map(abi => new ethers.Interface(abi));
+    this.simulator = new BaseSimulator(this.provider);
+    this.names = createNameResolver(this.provider, options.nameResolver);
+    // Deployments proposed from this process, by calldata hash, for richer decoding
+    this.knownDeployments = new Map();
+    // ConfirmTransaction logs read so far, extended as new blocks are scanned
+    this._confirmationCache = null;
+    this._confirmationScan = Promise.resolve();
+  }
+
+  /**
+   * Registers ABIs used to decode proposal calldata
+   * @param {...Array} abis - ABIs
+   */
+  addAbi(...abis) {
+    this.interfaces.push(...abis.map(abi => new ethers.Interface(abi)));
+  }
+
+  /**
+   * @param {Object} options - { names } also look up each owner's primary Basename
+   * @returns {Promise<Object>} { address, owners, threshold, transactionCount, balance, ownerNames? }
+   */
+  async getInfo(options = {}) {
+    const [owners, threshold, transactionCount, balance] = await Promise.all([
+      this.contract.getOwners(),
+      this.contract.numConfirmationsRequired(),
+      this.contract.getTransactionCount(),
+      this.provider.getBalance(this.address)
+    ]);
+    const info = {
+      address: this.address,
+      owners: [...owners],
+      threshold: Number(threshold),
+      transactionCount: Number(transactionCount),
+      balance
+    };
+    if (options.names) {
+      // A failed lookup only loses the label, not the wallet info
+      const names = await Promise.all(info.owners.map(owner => this.names.lookupAddress(owner).catch(() => null)));
+      info.ownerNames = Object.fromEntries(info.owners.map((owner, index) => [owner, names[index]]));
+    }
+    return info;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Building and submitting proposals
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Builds a proposal from an ABI, function and arguments, or from raw calldata.
+   * The target and address arguments may be Basenames; they are resolved now, so the
+   * proposal does not change if a name is later pointed elsewhere.
+   * @param {Object} call - { to, abi, method, args, value } or { to, data, value }; value in wei
+   * @returns {Promise<Object>} Proposal { to, value, data, decoded }
+   */
+  async buildProposal(call) {
+    if (!call || !call.to) {
+      throw makeError('INVALID_ARGUMENT', 'A proposal needs a target address', { call });
+    }
+    const to = await this.names.resolveAddress(call.to);
+
+    let data = call.data || '0x';
+    if (call.method) {
+      if (!call.abi) {
+        throw makeError('INVALID_ARGUMENT', `Proposal calling ${call.method} needs an abi`, { call });
+      }
+      const iface = new ethers.Interface(call.abi);
+      const fragment = iface.getFunction(call.method, call.args || []);
+      if (!fragment) {
+        throw makeError('INVALID_ARGUMENT', `ABI has no function ${call.method}`, { call });
+      }
+      data = iface.encodeFunctionData(fragment, await this.names.resolveArgs(fragment, call.args || []));
+      // Remember the ABI so the pending list can decode this call later
+      if (!this.interfaces.some(known => known.getFunction(data.slice(0, 10)))) {
+        this.interfaces.push(iface);
+      }
+    }
+
+    const proposal = { to, value: BigInt(call.value || 0), data };
+    return { ...proposal, decoded: this.decodeCall(proposal) };
+  }
+
+  /**
+   * Builds a proposal that deploys a BaseTokenFactory config through the CREATE2 deployer,
+   * so the multisig is the account paying for and triggering the deployment
+   * @param {Object} factory - BaseTokenFactory instance
+   * @param {Object} config - Token/NFT config; owner defaults to the multisig, address fields may be Basenames
+   * @param {Object} options - { salt, network }
+   * @returns {Promise<Object>} Proposal { to, value, data, decoded, deployment: { address, salt, contractName, ... } }
+   */
+  async buildDeploymentProposal(factory, config, options = {}) {
+    const salt = options.salt !== undefined ? options.salt : ethers.hexlify(ethers.randomBytes(32));
+    const resolved = await factory.resolveConfigAddresses(config, this.names);
+    const ownedConfig = { ...resolved, owner: resolved.owner || this.address };
+    if (ethers.getAddress(factory.options.create2Deployer) !== this.options.create2Deployer) {
+      throw makeError('INVALID_ARGUMENT', `Factory uses CREATE2 deployer ${factory.options.create2Deployer}, coordinator expects ${this.options.create2Deployer}`);
+    }
+
+    await factory.ensureCreate2Deployer(this.provider);
+    const deployment = factory.prepareDeployment(ownedConfig, salt, options.network);
+    if ((await this.provider.getCode(deployment.address)) !== '0x') {
+      throw makeError('ALREADY_DEPLOYED', `A contract is already deployed at ${deployment.address} for this config and salt`, { address: deployment.address });
+    }
+
+    const { to, value, data, ...info } = deployment;
+    this.knownDeployments.set(ethers.keccak256(data), { ...info, name: ownedConfig.name });
+    return { to, value, data, decoded: this.decodeCall({ to, value, data }), deployment: info };
+  }
+
+  /**
+   * Submits a proposal to the multisig
+   * @param {Object} proposal - From buildProposal / buildDeploymentProposal, or { to, value, data }
+   * @param {Object} options - { simulate } simulate (default true) checks the call would succeed from the wallet
+   * @returns {Promise<Object>} { txIndex, hash, blockNumber, simulation }
+   */
+  async submit(proposal, options = {}) {
+    const { to, value = 0n, data = '0x' } = proposal;
+    let simulation = null;
+    if (options.simulate !== false) {
+      simulation = await this.simulateCall({ to, value, data });
+      if (!simulation.success && simulation.revert) {
+        throw makeError('CALL_EXCEPTION', `Proposal would revert when executed: ${simulation.revert.message}`, { simulation });
+      }
+    }
+
+    const receipt = await this._send('submitTransaction', [to, value, data]);
+    const event = this._findEvent(receipt, 'SubmitTransaction');
+    return { txIndex: Number(event.args.txIndex), hash: receipt.hash, blockNumber: receipt.blockNumber, simulation };
+  }
+
+  /**
+   * Simulates a call as if the multisig executed it now
+   * @param {Object} call - { to, value, data }
+   * @returns {Promise<Object>} BaseSimulator report
+   */
+  async simulateCall(call) {
+    return this.simulator.simulate(
+      { from: this.address, to: call.to, value: call.value, data: call.data },
+      { abis: this.interfaces, stateDiff: false }
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // Confirming and executing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Confirms a transaction as the connected owner
+   * @param {number} txIndex - Multisig transaction index
+   * @returns {Promise<Object>} { txIndex, hash, blockNumber }
+   */
+  async confirm(txIndex) {
+    const owner = await this._signerAddress();
+    const transaction = await this.getTransaction(txIndex);
+    if (transaction.executed) {
+      throw makeError('ALREADY_EXECUTED', `Transaction ${txIndex} was already executed`);
+    }
+    if (transaction.confirmedBy.includes(owner)) {
+      throw makeError('ALREADY_CONFIRMED', `${owner} already confirmed transaction ${txIndex}`);
+    }
+    const receipt = await this._send('confirmTransaction', [txIndex]);
+    return { txIndex, hash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Executes a transaction whose threshold is met
+   * @param {number} txIndex - Multisig transaction index
+   * @returns {Promise<Object>} { txIndex, hash, blockNumber, deployedAddress }
+   */
+  async execute(txIndex) {
+    return this._execute(await this.getTransaction(txIndex));
+  }
+
+  async _execute(transaction) {
+    const txIndex = transaction.index;
+    if (transaction.executed) {
+      throw makeError('ALREADY_EXECUTED', `Transaction ${txIndex} was already executed`);
+    }
+    if (transaction.status !== PROPOSAL_STATUS.READY) {
+      throw makeError('THRESHOLD_NOT_MET', `Transaction ${txIndex} has ${transaction.numConfirmations} of ${transaction.threshold} confirmations`, {
+        missing: transaction.threshold - transaction.numConfirmations
+      });
+    }
+
+    try {
+      const receipt = await this._send('executeTransaction', [txIndex]);
+      const deployment = transaction.decoded && transaction.decoded.type === 'deployment' ? transaction.decoded : null;
+      return {
+        txIndex,
+        hash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        deployedAddress: deployment ? deployment.address : null
+      };
+    } catch (error) {
+      // The wallet only says "Transaction failed"; replay the inner call to explain why
+      let simulation = null;
+      try {
+        simulation = await this.simulateCall(transaction);
+      } catch (simulationError) {
+        // The replay is best effort; the send error is what the caller needs
+      }
+      if (simulation && simulation.revert) {
+        error.revert = simulation.revert;
+        error.message = `${error.shortMessage || error.message} (inner call: ${simulation.revert.message})`;
+      } else {
+        const revert = decodeRevertData(extractRevertData(error), this.interfaces);
+        if (revert) error.revert = revert;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Confirms if the connected owner has not yet, then executes when the threshold is met
+   * @param {number} txIndex - Multisig transaction index
+   * @returns {Promise<Object>} { txIndex, confirmed, executed, confirmation, execution, missing }
+   */
+  async confirmAndExecute(txIndex) {
+    const owner = await this._signerAddress();
+    let transaction = await this.getTransaction(txIndex);
+    let confirmation = null;
+
+    if (!transaction.executed && !transaction.confirmedBy.includes(owner)) {
+      confirmation = await this.confirm(txIndex);
+      transaction = await this.getTransaction(txIndex, { blockTag: confirmation.blockNumber });
+    }
+
+    // Reuse the state read at the confirmation block rather than a possibly cached 'latest' read
+    const execution = transaction.status === PROPOSAL_STATUS.READY ? await this._execute(transaction) : null;
+    return {
+      txIndex,
+      confirmed: Boolean(confirmation),
+      executed: Boolean(execution),
+      confirmation,
+      execution,
+      missing: execution || transaction.executed ? 0 : transaction.threshold - transaction.numConfirmations
+    };
+  }
+
+  /**
+   * Polls until a transaction reaches the threshold, then executes it
+   * @param {number} txIndex - Multisig transaction index
+   * @param {Object} options - { pollInterval, timeout } in ms
+   * @returns {Promise<Object>} Result of execute, or { txIndex, executedBy: 'other' } if someone else executed it
+   */
+  async executeWhenReady(txIndex, options = {}) {
+    const pollInterval = options.pollInterval || 15000;
+    const deadline = options.timeout ? Date.now() + options.timeout : Infinity;
+
+    for (;;) {
+      const transaction = await this.getTransaction(txIndex);
+      if (transaction.executed) return { txIndex, executedBy: 'other' };
+      if (transaction.status === PROPOSAL_STATUS.READY) return this._execute(transaction);
+      if (Date.now() + pollInterval > deadline) {
+        throw makeError('TIMEOUT', `Transaction ${txIndex} still has ${transaction.numConfirmations} of ${transaction.threshold} confirmations`);
+      }
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reading proposals
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Reads one transaction with decoded calldata and its confirmers
+   * @param {number} txIndex - Multisig transaction index
+   * @param {Object} options - { blockTag }
+   * @returns {Promise<Object>} { index, to, value, data, executed, numConfirmations, threshold, confirmedBy, status, decoded }
+   */
+  async getTransaction(txIndex, options = {}) {
+    const overrides = options.blockTag !== undefined ? { blockTag: options.blockTag } : {};
+    const count = Number(await this.contract.getTransactionCount(overrides));
+    if (!Number.isInteger(txIndex) || txIndex < 0 || txIndex >= count) {
+      throw makeError('INDEX_OUT_OF_BOUNDS', `Transaction ${txIndex} does not exist (${count} submitted)`, { txIndex, count });
+    }
+
+    const [raw, threshold, confirmations] = await Promise.all([
+      this.contract.getTransaction(txIndex, overrides),
+      this.contract.numConfirmationsRequired(overrides),
+      this.getConfirmations({ txIndex, toBlock: options.blockTag })
+    ]);
+    return this._toTransaction(txIndex, raw, Number(threshold), confirmations.get(txIndex) || []);
+  }
+
+  /**
+   * Lists transactions that have not been executed
+   * @returns {Promise<Array<Object>>} Transactions (see getTransaction), oldest first
+   */
+  async getPendingTransactions() {
+    const blockTag = await this.provider.getBlockNumber();
+    const [count, threshold, confirmations] = await Promise.all([
+      this.contract.getTransactionCount({ blockTag }),
+      this.contract.numConfirmationsRequired({ blockTag }),
+      this.getConfirmations({ toBlock: blockTag })
+    ]);
+
+    const transactions = await Promise.all(Array.from({ length: Number(count) }, async (_, txIndex) =>
+      this._toTransaction(txIndex, await this.contract.getTransaction(txIndex, { blockTag }), Number(threshold), confirmations.get(txIndex) || [])
+    ));
+    return transactions.filter(transaction => !transaction.executed);
+  }
+
+  /**
+   * Summarizes what an owner still has to do
+   * @param {string} owner - Owner address or Basename (defaults to the connected signer)
+   * @returns {Promise<Object>} { owner, isOwner, toConfirm, toExecute, waitingOnOthers } lists of transactions
+   */
+  async getSignerTasks(owner = null) {
+    const address = owner ? await this.names.resolveAddress(owner) : await this._signerAddress();
+    const [isOwner, pending] = await Promise.all([this.contract.isOwner(address), this.getPendingTransactions()]);
+
+    const tasks = { owner: address, isOwner, toConfirm: [], toExecute: [], waitingOnOthers: [] };
+    if (!isOwner) return tasks;
+
+    for (const transaction of pending) {
+      if (transaction.status === PROPOSAL_STATUS.READY) {
+        tasks.toExecute.push(transaction);
+      } else if (!transaction.confirmedBy.includes(address)) {
+        tasks.toConfirm.push(transaction);
+      } else {
+        tasks.waitingOnOthers.push({ ...transaction, missing: transaction.threshold - transaction.numConfirmations });
+      }
+    }
+    return tasks;
+  }
+
+  /**
+   * Collects confirmers per transaction from ConfirmTransaction events. Without `fromBlock` the
+   * wallet's history is read once and cached; later calls only fetch blocks after the cached range.
+   * @param {Object} options - { txIndex, fromBlock, toBlock }
+   * @returns {Promise<Map<number, Array<string>>>} txIndex => owners in confirmation order
+   */
+  async getConfirmations(options = {}) {
+    const toBlock = options.toBlock !== undefined && options.toBlock !== 'latest'
+      ? options.toBlock
+      : await this._latestBlock();
+    const logs = options.fromBlock !== undefined
+      ? await this._queryConfirmations(options.fromBlock, toBlock)
+      : await this._cachedConfirmations(toBlock);
+
+    const confirmations = new Map();
+    for (const { txIndex, owner, blockNumber } of logs) {
+      if (blockNumber > toBlock || (options.txIndex !== undefined && txIndex !== options.txIndex)) continue;
+      if (!confirmations.has(txIndex)) confirmations.set(txIndex, []);
+      confirmations.get(txIndex).push(owner);
+    }
+    return confirmations;
+  }
+
+  /**
+   * Block the wallet was deployed at: options.fromBlock, or the first block where it has code
+   * @returns {Promise<number>} Block number
+   */
+  async getStartBlock() {
+    if (this.options.fromBlock !== null) return this.options.fromBlock;
+    if (!this._deploymentBlock) {
+      this._deploymentBlock = this._findDeploymentBlock().catch((error) => {
+        this._deploymentBlock = null;
+        throw error;
+      });
+    }
+    return this._deploymentBlock;
+  }
+
+  async _findDeploymentBlock() {
+    let low = 0;
+    let high = await this._latestBlock();
+    if ((await this.provider.getCode(this.address, high)) === '0x') {
+      throw makeError('NOT_DEPLOYED', `No contract at ${this.address}`);
+    }
+    try {
+      while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if ((await this.provider.getCode(this.address, middle)) === '0x') {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+    } catch (error) {
+      throw makeError('UNKNOWN_DEPLOYMENT_BLOCK',
+        `Could not find the deployment block of ${this.address} (${error.shortMessage || error.message}); pass options.fromBlock`);
+    }
+    return low;
+  }
+
+  // Raw request: ethers briefly caches getBlockNumber, so it can lag behind a transaction just mined
+  async _latestBlock() {
+    return Number(await this.provider.send('eth_blockNumber', []));
+  }
+
+  async _cachedConfirmations(toBlock) {
+    // Serialized so concurrent reads do not scan (and store) the same range twice
+    const scan = this._confirmationScan.then(async () => {
+      if (!this._confirmationCache) {
+        this._confirmationCache = { scannedTo: (await this.getStartBlock()) - 1, logs: [] };
+      }
+      const cache = this._confirmationCache;
+      const stableTo = toBlock - CONFIRMATION_RESCAN_DEPTH;
+      if (stableTo > cache.scannedTo) {
+        cache.logs.push(...await this._queryConfirmations(cache.scannedTo + 1, stableTo));
+        cache.scannedTo = stableTo;
+      }
+      const recent = toBlock > cache.scannedTo ? await this._queryConfirmations(cache.scannedTo + 1, toBlock) : [];
+      return [...cache.logs, ...recent];
+    });
+    this._confirmationScan = scan.catch(() => {});
+    return scan;
+  }
+
+  async _queryConfirmations(fromBlock, toBlock) {
+    const filter = this.contract.filters.ConfirmTransaction();
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += this.options.logBlockRange) {
+      const end = Math.min(start + this.options.logBlockRange - 1, toBlock);
+      for (const log of await this.contract.queryFilter(filter, start, end)) {
+        logs.push({ txIndex: Number(log.args.txIndex), owner: log.args.owner, blockNumber: log.blockNumber });
+      }
+    }
+    return logs;
+  }
+
+  /**
+   * Decodes a proposal's calldata with the registered ABIs
+   * @param {Object} call - { to, value, data }
+   * @returns {Object|null} { type: 'call', method, signature, args } | { type: 'deployment', address, salt, ... } | { type: 'transfer', value } | null
+   */
+  decodeCall({ to, value = 0n, data = '0x' }) {
+    if (!data || data === '0x') {
+      return { type: 'transfer', value: BigInt(value) };
+    }
+
+    if (ethers.getAddress(to) === this.options.create2Deployer && ethers.dataLength(data) > 32) {
+      const salt = ethers.dataSlice(data, 0, 32);
+      const initCode = ethers.dataSlice(data, 32);
+      const initCodeHash = ethers.keccak256(initCode);
+      return {
+        type: 'deployment',
+        address: ethers.getCreate2Address(this.options.create2Deployer, salt, initCodeHash),
+        salt,
+        initCodeHash,
+        ...this.knownDeployments.get(ethers.keccak256(data))
+      };
+    }
+
+    for (const iface of this.interfaces) {
+      const parsed = iface.parseTransaction({ data, value });
+      if (parsed) {
+        return { type: 'call', method: parsed.name, signature: parsed.signature, args: parsed.args.toArray() };
+      }
+    }
+    return null;
+  }
+
+  _toTransaction(txIndex, raw, threshold, confirmedBy) {
+    const numConfirmations = Number(raw.numConfirmations);
+    const transaction = {
+      index: txIndex,
+      to: raw.to,
+      value: raw.value,
+      data: raw.data,
+      executed: raw.executed,
+      numConfirmations,
+      threshold,
+      confirmedBy,
+      status: raw.executed
+        ? PROPOSAL_STATUS.EXECUTED
+        : numConfirmations >= threshold ? PROPOSAL_STATUS.READY : PROPOSAL_STATUS.PENDING
+    };
+    transaction.decoded = this.decodeCall(transaction);
+    return transaction;
+  }
+
+  async _signerAddress() {
+    if (typeof this.runner.getAddress !== 'function') {
+      throw new Error('BaseMultiSigCoordinator needs a signer for this operation');
+    }
+    return ethers.getAddress(await this.runner.getAddress());
+  }
+
+  async _send(method, args) {
+    if (typeof this.runner.sendTransaction !== 'function') {
+      throw new Error(`BaseMultiSigCoordinator.${method} requires a signer`);
+    }
+    const tx = await this.contract[method](...args);
+    const receipt = await tx.wait(this.options.confirmations);
+    if (!receipt || receipt.status !== 1) {
+      throw makeError('CALL_EXCEPTION', `${method} transaction ${tx.hash} failed`, { hash: tx.hash });
+    }
+    return receipt;
+  }
+
+  _findEvent(receipt, eventName) {
+    for (const log of receipt.logs) {
+      if (log.address !== this.address) continue;
+      const parsed = this.contract.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) return parsed;
+    }
+    throw makeError('EVENT_NOT_FOUND', `${eventName} not emitted by ${this.address} in ${receipt.hash}`);
+  }
+}
+
+module.exports = {
+  BaseMultiSigCoordinator,
+  MULTISIG_ABI,
+  PROPOSAL_STATUS
+};
@@ -0,0 +1,444 @@
+/**
+ * BaseTransactionManager - Signs and sends queued transactions on Base
+ * Tracks nonces locally, bounds the number of in-flight transactions and
+ * supports speeding up or cancelling stuck transactions by replacement.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const { EventEmitter } = require('events');
+const { BaseGasOptimizer, FEE_TIERS } = require('./BaseGasOptimizer');
+const { makeError } = require('../lib/BaseNetworkUtils');
+
+// Lifecycle states reported for every managed transaction. A speed-up carries the
+// same payload, so when it lands the record ends MINED with `hash` set to the
+// replacement; REPLACED means the payload never ran (cancelled or replaced externally)
+const TX_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  MINED: 'mined',
+  REPLACED: 'replaced',
+  FAILED: 'failed'
+};
+
+const TERMINAL_STATUSES = [TX_STATUS.MINED, TX_STATUS.REPLACED, TX_STATUS.FAILED];
+
+// Nodes reject replacements that do not raise both fees by at least 10%
+const MIN_BUMP_PERCENT = 10;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isNonceError = (error) =>
+  error.code === 'NONCE_EXPIRED' || /nonce (too low|has already been used)/i.test(error.message || '');
+
+class BaseTransactionManager extends EventEmitter {
+  /**
+   * @param {Object} signer - ethers v6 signer connected to a provider
+   * @param {Object} options - { optimizer, priority, concurrency, confirmations, pollInterval, stuckTimeout, bumpPercent, autoSpeedUp, maxSpeedUps }
+   */
+  constructor(signer, options = {}) {
+    super();
+    if (!signer || !signer.provider) {
+      throw new Error('BaseTransactionManager requires a signer connected to a provider');
+    }
+
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.optimizer = options.optimizer || new BaseGasOptimizer(this.provider);
+    this.options = {
+      priority: options.priority || 'standard',
+      concurrency: options.concurrency || 4,
+      confirmations: options.confirmations || 1,
+      pollInterval: options.pollInterval || 2000,
+      stuckTimeout: options.stuckTimeout || 60000, // ms without a receipt before a tx counts as stuck
+      bumpPercent: Math.max(options.bumpPercent || 15, MIN_BUMP_PERCENT),
+      autoSpeedUp: options.autoSpeedUp || false,
+      maxSpeedUps: options.maxSpeedUps || 3
+    };
+
+    if (!FEE_TIERS[this.options.priority]) {
+      throw new Error(`Unknown priority "${this.options.priority}". Expected one of: ${Object.keys(FEE_TIERS).join(', ')}`);
+    }
+
+    this.transactions = new Map();
+    this.queue = [];
+    this._nextId = 1;
+    this._address = null;
+    this._nextNonce = null;
+    // Sends are serialized so nonces are handed out in queue order
+    this._sendLock = Promise.resolve();
+    this._waiters = new Map();
+  }
+
+  /**
+   * Adds a transaction to the queue without sending it
+   * @param {Object} tx - Transaction request { to, data, value, gasLimit, maxFeePerGas, maxPriorityFeePerGas }; `to` may be a Basename
+   * @param {Object} options - { priority }
+   * @returns {Object} Transaction record (status 'queued')
+   */
+  enqueue(tx, options = {}) {
+    const priority = options.priority || this.options.priority;
+    if (!FEE_TIERS[priority]) {
+      throw new Error(`Unknown priority "${priority}". Expected one of: ${Object.keys(FEE_TIERS).join(', ')}`);
+    }
+
+    // Nonce, fee type and legacy gasPrice are managed here
+    const { nonce, gasPrice, type, ...request } = tx;
+
+    const record = {
+      id: this._nextId++,
+      status: TX_STATUS.QUEUED,
+      request,
+      priority,
+      from: null,
+      nonce: null,
+      hash: null,
+      hashes: [],
+      cancelHash: null,
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: null,
+      gasLimit: null,
+      speedUps: 0,
+      stuck: false,
+      receipt: null,
+      reason: null,
+      error: null,
+      queuedAt: Date.now(),
+      sentAt: null,
+      finalizedAt: null,
+      history: []
+    };
+
+    this.transactions.set(record.id, record);
+    this.queue.push(record);
+    this._setStatus(record, TX_STATUS.QUEUED);
+    return record;
+  }
+
+  /**
+   * Sends every queued transaction and waits for each to reach a final state
+   * @returns {Promise<Array>} Transaction records (mined, replaced or failed)
+   */
+  async flush() {
+    const records = this.queue.splice(0);
+    if (records.length === 0) return [];
+
+    // Fee estimates are fetched once for the whole batch
+    const fees = await this.optimizer.getFeeEstimates();
+
+    let next = 0;
+    const worker = async () => {
+      while (next < records.length) {
+        const record = records[next++];
+        await this._process(record, fees);
+      }
+    };
+
+    const workers = Math.min(this.options.concurrency, records.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+    return records;
+  }
+
+  /**
+   * Queues and sends a single transaction
+   * @param {Object} tx - Transaction request
+   * @param {Object} options - { priority }
+   * @returns {Promise<Object>} Transaction record once mined, replaced or failed
+   */
+  async send(tx, options = {}) {
+    const record = this.enqueue(tx, options);
+    const done = this.waitFor(record.id);
+    await this.flush();
+    return done;
+  }
+
+  /**
+   * Queues and sends several transactions with bounded concurrency
+   * @param {Array} txs - Transaction requests
+   * @param {Object} options - { priority }
+   * @returns {Promise<Array>} Transaction records in input order
+   */
+  async sendBatch(txs, options = {}) {
+    txs.forEach(tx => this.enqueue(tx, options));
+    return this.flush();
+  }
+
+  /**
+   * Resolves once a transaction reaches a final state
+   * @param {number} id - Transaction record id
+   * @returns {Promise<Object>} Transaction record
+   */
+  waitFor(id) {
+    const record = this.getTransaction(id);
+    if (TERMINAL_STATUSES.includes(record.status)) {
+      return Promise.resolve(record);
+    }
+    return new Promise(resolve => {
+      const waiters = this._waiters.get(id) || [];
+      waiters.push(resolve);
+      this._waiters.set(id, waiters);
+    });
+  }
+
+  /**
+   * Gets a transaction record by id
+   * @param {number|Object} id - Record id or the record itself
+   * @returns {Object} Transaction record
+   */
+  getTransaction(id) {
+    const record = typeof id === 'object' ? id : this.transactions.get(id);
+    if (!record || this.transactions.get(record.id) !== record) {
+      throw new Error(`Unknown transaction: ${typeof id === 'object' ? id && id.id : id}`);
+    }
+    return record;
+  }
+
+  /**
+   * Lists managed transactions, optionally filtered by status
+   * @param {string} status - One of TX_STATUS
+   * @returns {Array} Transaction records
+   */
+  getTransactions(status = null) {
+    const records = [...this.transactions.values()];
+    return status ? records.filter(record => record.status === status) : records;
+  }
+
+  /**
+   * Lists sent transactions that have waited longer than stuckTimeout
+   * @returns {Array} Stuck transaction records
+   */
+  getStuckTransactions() {
+    return this.getTransactions(TX_STATUS.SENT).filter(record => this._isStuck(record));
+  }
+
+  /**
+   * Re-sends a pending transaction with the same nonce and higher fees
+   * @param {number|Object} id - Record id or record
+   * @param {Object} options - { bumpPercent }
+   * @returns {Promise<Object>} Transaction record carrying the new hash; it ends 'mined' whichever of its hashes is mined
+   */
+  async speedUp(id, options = {}) {
+    const record = this._requirePending(id);
+    const fees = await this._replacementFees(record, options.bumpPercent);
+
+    const response = await this.signer.sendTransaction({
+      ...record.request,
+      from: record.from,
+      nonce: record.nonce,
+      gasLimit: record.gasLimit,
+      type: 2,
+      ...fees
+    });
+
+    record.speedUps += 1;
+    record.stuck = false;
+    record.sentAt = Date.now();
+    Object.assign(record, fees, { hash: response.hash });
+    record.hashes.push(response.hash);
+    record.history.push({ status: record.status, action: 'speedUp', hash: response.hash, at: Date.now() });
+    this.emit('speedUp', record);
+    return record;
+  }
+
+  /**
+   * Cancels a pending transaction by replacing it with a 0-value send to self
+   * @param {number|Object} id - Record id or record
+   * @param {Object} options - { bumpPercent }
+   * @returns {Promise<Object>} Transaction record; it ends 'replaced' if the cancellation is mined
+   */
+  async cancel(id, options = {}) {
+    const record = this._requirePending(id);
+    const fees = await this._replacementFees(record, options.bumpPercent);
+
+    const response = await this.signer.sendTransaction({
+      from: record.from,
+      to: record.from,
+      value: 0n,
+      data: '0x',
+      nonce: record.nonce,
+      gasLimit: 21000n,
+      type: 2,
+      ...fees
+    });
+
+    record.stuck = false;
+    record.cancelHash = response.hash;
+    Object.assign(record, fees);
+    record.hashes.push(response.hash);
+    record.history.push({ status: record.status, action: 'cancel', hash: response.hash, at: Date.now() });
+    this.emit('cancel', record);
+    return record;
+  }
+
+  /**
+   * Drops the locally tracked nonce so the next send re-reads it from the node
+   */
+  resetNonce() {
+    this._nextNonce = null;
+  }
+
+  async _process(record, fees) {
+    await this._sendRecord(record, fees);
+    if (record.status === TX_STATUS.SENT) {
+      await this._track(record);
+    }
+  }
+
+  _sendRecord(record, fees) {
+    const send = this._sendLock.then(() => this._broadcast(record, fees));
+    this._sendLock = send.catch(() => {});
+    return send;
+  }
+
+  async _broadcast(record, fees, retried = false) {
+    try {
+      if (!this._address) {
+        this._address = await this.signer.getAddress();
+      }
+      // Basenames are resolved once, so replacements go to the same address
+      record.request = await this.optimizer.resolveTransaction(record.request);
+      if (this._nextNonce === null) {
+        // Raw request: ethers caches identical getTransactionCount calls for a short time
+        this._nextNonce = Number(await this.provider.send('eth_getTransactionCount', [this._address, 'pending']));
+      }
+
+      const tier = fees.tiers[record.priority];
+      record.from = this._address;
+      record.nonce = this._nextNonce;
+      record.maxFeePerGas = BigInt(record.request.maxFeePerGas || tier.maxFeePerGas);
+      record.maxPriorityFeePerGas = BigInt(record.request.maxPriorityFeePerGas || tier.maxPriorityFeePerGas);
+      // A caller-capped maxFeePerGas can sit below the tier's tip
+      if (record.maxPriorityFeePerGas > record.maxFeePerGas) {
+        record.maxPriorityFeePerGas = record.maxFeePerGas;
+      }
+      record.gasLimit = record.request.gasLimit
+        ? BigInt(record.request.gasLimit)
+        : await this.optimizer.estimateGasWithBuffer({ ...record.request, from: this._address });
+
+      const response = await this.signer.sendTransaction({
+        ...record.request,
+        from: record.from,
+        nonce: record.nonce,
+        gasLimit: record.gasLimit,
+        type: 2,
+        maxFeePerGas: record.maxFeePerGas,
+        maxPriorityFeePerGas: record.maxPriorityFeePerGas
+      });
+
+      this._nextNonce += 1;
+      record.hash = response.hash;
+      record.hashes.push(response.hash);
+      record.sentAt = Date.now();
+      this._setStatus(record, TX_STATUS.SENT);
+    } catch (error) {
+      // Another sender used our nonce; resync once and try again
+      this._nextNonce = null;
+      if (!retried && isNonceError(error)) {
+        return this._broadcast(record, fees, true);
+      }
+      record.error = error.message;
+      record.reason = 'send_failed';
+      this._setStatus(record, TX_STATUS.FAILED);
+    }
+  }
+
+  async _track(record) {
+    while (record.status === TX_STATUS.SENT) {
+      const receipt = await this._findReceipt(record);
+
+      if (receipt) {
+        const final = this.options.confirmations > 1
+          ? await this.provider.waitForTransaction(receipt.hash, this.options.confirmations)
+          : receipt;
+        record.receipt = final;
+        record.hash = final.hash;
+
+        if (record.cancelHash && final.hash === record.cancelHash) {
+          record.reason = 'cancelled';
+          this._setStatus(record, TX_STATUS.REPLACED);
+        } else if (final.status === 0) {
+          record.reason = 'reverted';
+          this._setStatus(record, TX_STATUS.FAILED);
+        } else {
+          this._setStatus(record, TX_STATUS.MINED);
+        }
+        return;
+      }
+
+      // The nonce was consumed by a transaction we did not send
+      const minedNonce = await this.provider.getTransactionCount(record.from, 'latest');
+      if (minedNonce > record.nonce && !(await this._findReceipt(record))) {
+        record.reason = 'replaced_externally';
+        this._setStatus(record, TX_STATUS.REPLACED);
+        return;
+      }
+
+      if (!record.stuck && this._isStuck(record)) {
+        record.stuck = true;
+        this.emit('stuck', record);
+        if (this.options.autoSpeedUp && record.speedUps < this.options.maxSpeedUps && !record.cancelHash) {
+          try {
+            await this.speedUp(record);
+          } catch (error) {
+            // Not 'error': an unhandled 'error' event would abort every tracked transaction
+            this.emit('speedUpFailed', record, error);
+          }
+        }
+      }
+
+      await sleep(this.options.pollInterval);
+    }
+  }
+
+  async _findReceipt(record) {
+    for (const hash of [...record.hashes].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  async _replacementFees(record, bumpPercent = this.options.bumpPercent) {
+    const bump = BigInt(Math.ceil(Math.max(bumpPercent, MIN_BUMP_PERCENT) * 100));
+    const bumped = (value) => (value * (10000n + bump) + 9999n) / 10000n;
+
+    // Use the current market fees when they have moved past the bumped ones
+    const { tiers } = await this.optimizer.getFeeEstimates();
+    const current = tiers[record.priority];
+    const maxPriorityFeePerGas = [bumped(record.maxPriorityFeePerGas), current.maxPriorityFeePerGas]
+      .reduce((a, b) => (a > b ? a : b));
+    const maxFeePerGas = [bumped(record.maxFeePerGas), current.maxFeePerGas, maxPriorityFeePerGas]
+      .reduce((a, b) => (a > b ? a : b));
+
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  _requirePending(id) {
+    const record = this.getTransaction(id);
+    if (record.status !== TX_STATUS.SENT) {
+      throw makeError('INVALID_STATE', `Transaction ${record.id} is ${record.status}; only sent transactions can be replaced`, { record });
+    }
+    return record;
+  }
+
+  _isStuck(record) {
+    return record.sentAt !== null && Date.now() - record.sentAt > this.options.stuckTimeout;
+  }
+
+  _setStatus(record, status) {
+    record.status = status;
+    record.history.push({ status, hash: record.hash, at: Date.now() });
+    if (TERMINAL_STATUSES.includes(status)) {
+      record.finalizedAt = Date.now();
+      (this._waiters.get(record.id) || []).forEach(resolve => resolve(record));
+      this._waiters.delete(record.id);
+    }
+    this.emit('status', record);
+    this.emit(status, record);
+  }
+}
+
+module.exports = {
+  BaseTransactionManager,
+  TX_STATUS
+};
@@ -0,0 +1,441 @@
+/**
+ * BaseTransactionScheduler - Sends non-urgent transactions when gas is cheap
+ * Jobs wait for BaseGasMonitor samples to fall below their fee target, and the
+ * allowed fee ramps up as the deadline approaches. Jobs are persisted to a JSON
+ * file so a restarted process picks up where the previous one stopped.
+ * @author Base Dev Toolkit Contributors
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { BaseTransactionManager } = require('./BaseTransactionManager');
+const { BaseNetworkUtils, makeError } = require('../lib/BaseNetworkUtils');
+
+const JOB_STATUS = {
+  WAITING: 'waiting',
+  SENDING: 'sending',
+  SENT: 'sent',
+  MINED: 'mined',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+const FINAL_STATUSES = [JOB_STATUS.MINED, JOB_STATUS.FAILED, JOB_STATUS.EXPIRED];
+
+// Transaction fields stored as decimal strings in the queue file
+const BIGINT_FIELDS = ['value', 'gasLimit', 'maxFeePerGas', 'maxPriorityFeePerGas'];
+
+const serializeTx = (tx) => Object.fromEntries(Object.entries(tx)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value]));
+
+const deserializeTx = (tx) => Object.fromEntries(Object.entries(tx)
+  .map(([key, value]) => [key, BIGINT_FIELDS.includes(key) ? BigInt(value) : value]));
+
+/**
+ * Parses a fee: numbers and strings are gwei, bigints are wei
+ * @param {number|string|bigint} fee - Fee per gas
+ * @returns {bigint} Fee in wei
+ */
+const parseFee = (fee) => (typeof fee === 'bigint' ? fee : ethers.parseUnits(String(fee), 'gwei'));
+
+const toMillis = (time) => (time instanceof Date ? time.getTime() : typeof time === 'number' ? time : Date.parse(time));
+
+class BaseTransactionScheduler extends EventEmitter {
+  /**
+   * @param {Object} options - { monitor, manager | signer, queuePath, pollInterval, escalationWindowMs, maxEscalation, onDeadline, priority }
+   *   escalationWindowMs: time before the deadline during which the allowed fee ramps up
+   *   maxEscalation: allowed fee multiplier reached at the deadline (default 3x)
+   *   onDeadline: 'send' sends at market fees once the deadline passes, 'fail' expires the job
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.monitor) {
+      throw new Error('BaseTransactionScheduler requires a BaseGasMonitor');
+    }
+    if (!options.manager && !options.signer) {
+      throw new Error('BaseTransactionScheduler requires a BaseTransactionManager or a signer');
+    }
+
+    this.monitor = options.monitor;
+    this.manager = options.manager || new BaseTransactionManager(options.signer);
+    this.provider = this.manager.provider;
+    this.options = {
+      queuePath: options.queuePath || 'data/scheduled-transactions.json',
+      pollInterval: options.pollInterval || 30000,
+      escalationWindowMs: options.escalationWindowMs || 60 * 60 * 1000,
+      maxEscalation: options.maxEscalation || 3,
+      onDeadline: options.onDeadline || 'send',
+      priority: options.priority || 'standard'
+    };
+
+    if (!['send', 'fail'].includes(this.options.onDeadline)) {
+      throw new Error('onDeadline must be "send" or "fail"');
+    }
+
+    this.jobs = new Map();
+    this._waiters = new Map();
+    this._monitorHandle = null;
+    this._onSample = (snapshot) => this.evaluate(snapshot).catch(error => this._reportError(error));
+    this._writes = Promise.resolve();
+    this._loaded = false;
+    // Jobs read from the queue file, kept until start() picks up the ones in flight
+    this._restored = [];
+    this._resumed = new Set();
+  }
+
+  /**
+   * Loads the persisted queue, resumes sent jobs and starts watching gas samples
+   * @param {Object} options - { startMonitor } false when the monitor is already running elsewhere
+   * @returns {Promise<Array>} Jobs restored from disk
+   */
+  async start(options = {}) {
+    const restored = await this._load();
+    this.monitor.on('sample', this._onSample);
+
+    // schedule() may have loaded the queue already; every restored job is picked up once
+    for (const job of restored) {
+      if (this._resumed.has(job.id)) continue;
+      if (job.status === JOB_STATUS.SENT && job.hash) {
+        this._resumed.add(job.id);
+        this._resume(job);
+      } else if (job.status === JOB_STATUS.SENDING) {
+        this._resumed.add(job.id);
+        // The process stopped between queueing and broadcasting; the transaction may or may
+        // not be on chain, so it is not sent again automatically
+        await this._finish(job, JOB_STATUS.FAILED, {
+          error: 'Interrupted while sending; check the sender\'s nonce before rescheduling'
+        });
+      }
+    }
+
+    if (options.startMonitor !== false) {
+      this._monitorHandle = await this.monitor.monitorGasPrices(this.options.pollInterval);
+    }
+    return restored;
+  }
+
+  /**
+   * Stops watching samples (and the monitor loop if start() launched it)
+   */
+  async stop() {
+    this.monitor.off('sample', this._onSample);
+    if (this._monitorHandle) {
+      await this._monitorHandle.stop();
+      this._monitorHandle = null;
+    }
+    await this._writes;
+  }
+
+  /**
+   * Schedules a transaction and resolves with its receipt once mined
+   * @param {Object} tx - Transaction request { to, data, value, gasLimit }
+   * @param {Object} options - { maxFee (gwei, or wei as bigint), deadline (Date, ms or ISO), priority, id }
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async scheduleWhenBelow(tx, options = {}) {
+    const job = await this.schedule(tx, options);
+    return this.waitFor(job.id);
+  }
+
+  /**
+   * Adds a job to the persisted queue without waiting for it
+   * @param {Object} tx - Transaction request
+   * @param {Object} options - Same as scheduleWhenBelow
+   * @returns {Promise<Object>} Job
+   */
+  async schedule(tx, options = {}) {
+    if (options.maxFee === undefined || options.maxFee === null) {
+      throw new Error('scheduleWhenBelow requires a maxFee');
+    }
+    const deadline = toMillis(options.deadline);
+    if (!Number.isFinite(deadline)) {
+      throw new Error('scheduleWhenBelow requires a deadline (Date, timestamp or ISO string)');
+    }
+    if (deadline <= Date.now()) {
+      throw makeError('DEADLINE_EXCEEDED', `Deadline ${new Date(deadline).toISOString()} is already in the past`);
+    }
+
+    await this._load();
+    const id = options.id || `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    if (this.jobs.has(id)) {
+      throw new Error(`Scheduled job ${id} already exists`);
+    }
+
+    // Nonce and fees are chosen when the job is sent
+    const { nonce, gasPrice, maxFeePerGas, maxPriorityFeePerGas, type, ...request } = tx;
+    const job = {
+      id,
+      status: JOB_STATUS.WAITING,
+      tx: serializeTx(request),
+      maxFee: parseFee(options.maxFee).toString(),
+      deadline,
+      priority: options.priority || this.options.priority,
+      createdAt: Date.now(),
+      sentAt: null,
+      sentFee: null,
+      hash: null,
+      hashes: [],
+      cancelHash: null,
+      nonce: null,
+      receipt: null,
+      error: null
+    };
+
+    this.jobs.set(id, job);
+    await this._persist();
+    this.emit('scheduled', job);
+    return job;
+  }
+
+  /**
+   * Resolves with the receipt of a job, rejects if it fails or expires
+   * @param {string} id - Job id
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  waitFor(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return Promise.reject(new Error(`Unknown scheduled job: ${id}`));
+    }
+    if (FINAL_STATUSES.includes(job.status)) {
+      return job.status === JOB_STATUS.MINED ? Promise.resolve(job.receipt) : Promise.reject(this._jobError(job));
+    }
+    return new Promise((resolve, reject) => {
+      const waiters = this._waiters.get(id) || [];
+      waiters.push({ resolve, reject });
+      this._waiters.set(id, waiters);
+    });
+  }
+
+  /**
+   * Removes a job that has not been sent yet
+   * @param {string} id - Job id
+   * @returns {Promise<boolean>} True when the job was cancelled
+   */
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== JOB_STATUS.WAITING) return false;
+    await this._finish(job, JOB_STATUS.FAILED, { error: 'Cancelled before sending' });
+    return true;
+  }
+
+  /**
+   * Lists jobs, optionally filtered by status
+   * @param {string} status - One of JOB_STATUS
+   * @returns {Array} Jobs
+   */
+  getJobs(status = null) {
+    const jobs = [...this.jobs.values()];
+    return status ? jobs.filter(job => job.status === status) : jobs;
+  }
+
+  /**
+   * Fee a job may pay right now: its target until the escalation window opens,
+   * then rising linearly to maxEscalation x target at the deadline
+   * @param {Object} job - Job
+   * @param {number} now - Current time in ms
+   * @returns {bigint} Allowed fee per gas in wei
+   */
+  getAllowedFee(job, now = Date.now()) {
+    const maxFee = BigInt(job.maxFee);
+    const windowStart = job.deadline - this.options.escalationWindowMs;
+    if (now <= windowStart) return maxFee;
+
+    const progress = Math.min((now - windowStart) / this.options.escalationWindowMs, 1);
+    const multiplierBps = BigInt(Math.round((1 + (this.options.maxEscalation - 1) * progress) * 10000));
+    return (maxFee * multiplierBps) / 10000n;
+  }
+
+  /**
+   * Checks every waiting job against a monitor sample and sends those whose condition holds
+   * @param {Object} snapshot - BaseGasMonitor sample { baseFee, priorityFee } in gwei
+   * @returns {Promise<Array>} Jobs sent or expired by this sample
+   */
+  async evaluate(snapshot) {
+    const now = Date.now();
+    // Samples are floating point gwei; round to whole wei before parsing
+    const fee = parseFee(((snapshot.baseFee || 0) + (snapshot.priorityFee || 0)).toFixed(9));
+    const changed = [];
+
+    for (const job of this.getJobs(JOB_STATUS.WAITING)) {
+      const pastDeadline = now >= job.deadline;
+
+      if (pastDeadline && this.options.onDeadline === 'fail') {
+        await this._finish(job, JOB_STATUS.EXPIRED, { error: `Fee stayed above target until the deadline (last ${ethers.formatUnits(fee, 'gwei')} gwei)` });
+        changed.push(job);
+        continue;
+      }
+
+      const allowed = this.getAllowedFee(job, now);
+      if (pastDeadline || fee <= allowed) {
+        // Past the deadline the job goes out at market fees; otherwise the allowed fee is the ceiling
+        this._send(job, pastDeadline ? null : allowed);
+        changed.push(job);
+      }
+    }
+
+    return changed;
+  }
+
+  _send(job, feeCap) {
+    job.status = JOB_STATUS.SENDING;
+    job.sentFee = feeCap === null ? null : feeCap.toString();
+    this._persist();
+
+    const tx = deserializeTx(job.tx);
+    if (feeCap !== null) {
+      tx.maxFeePerGas = feeCap;
+    }
+    const record = this.manager.enqueue(tx, { priority: job.priority });
+
+    const onSent = (sent) => {
+      if (sent !== record) return;
+      this.manager.off('sent', onSent);
+      job.status = JOB_STATUS.SENT;
+      job.hash = record.hash;
+      job.hashes = [...record.hashes];
+      job.nonce = record.nonce;
+      job.sentAt = Date.now();
+      this._persist();
+      this.emit('sent', job);
+    };
+    // Speed-ups and cancellations reuse the nonce under a new hash; a restart must know all of them
+    const onReplaced = (replaced) => {
+      if (replaced !== record) return;
+      job.hash = record.hash;
+      job.hashes = [...record.hashes];
+      job.cancelHash = record.cancelHash || null;
+      this._persist();
+    };
+    this.manager.on('sent', onSent);
+    this.manager.on('speedUp', onReplaced);
+    this.manager.on('cancel', onReplaced);
+
+    this.manager.waitFor(record.id).then(async (final) => {
+      this.manager.off('sent', onSent);
+      this.manager.off('speedUp', onReplaced);
+      this.manager.off('cancel', onReplaced);
+      if (final.status === 'mined') {
+        await this._finish(job, JOB_STATUS.MINED, { hash: final.hash, receipt: final.receipt });
+      } else {
+        await this._finish(job, JOB_STATUS.FAILED, { hash: final.hash, error: final.error || final.reason });
+      }
+    }).catch(error => this._reportError(error));
+
+    this.manager.flush().catch(error => this._reportError(error));
+  }
+
+  _resume(job) {
+    // Only the provider is used, the network name does not matter here
+    const network = new BaseNetworkUtils('local', { provider: this.provider });
+    // Queue files written before replacement hashes were recorded only carry the last hash
+    const hashes = job.hashes && job.hashes.length > 0 ? job.hashes : [job.hash];
+
+    const settle = async () => {
+      // A speed-up may have been mined before the restart, in which case the last hash never will be
+      const mined = await this._findMinedReceipt(hashes);
+      if (mined) return this._finishFromReceipt(job, mined);
+
+      try {
+        const receipt = await network.waitForTransaction(job.hash, {
+          timeout: Math.max(job.deadline - Date.now(), 0) + this.options.escalationWindowMs
+        });
+        return this._finish(job, JOB_STATUS.MINED, { receipt });
+      } catch (error) {
+        // A mined speed-up (ours, or a repricing by another tool) completes the job
+        const ownReplacement = error.code === 'TRANSACTION_REPLACED' && error.receipt
+          && (hashes.includes(error.replacement.hash) || error.reason === 'repriced');
+        const receipt = ownReplacement ? error.receipt : await this._findMinedReceipt(hashes);
+        if (receipt) return this._finishFromReceipt(job, receipt);
+        return this._finish(job, JOB_STATUS.FAILED, { error: error.message });
+      }
+    };
+
+    settle().catch(error => this._reportError(error));
+  }
+
+  async _findMinedReceipt(hashes) {
+    for (const hash of [...hashes].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  _finishFromReceipt(job, receipt) {
+    if (job.cancelHash === receipt.hash || receipt.status === 0) {
+      return this._finish(job, JOB_STATUS.FAILED, {
+        hash: receipt.hash,
+        receipt,
+        error: receipt.status === 0 ? `Transaction ${receipt.hash} reverted` : 'Cancelled after sending'
+      });
+    }
+    return this._finish(job, JOB_STATUS.MINED, { hash: receipt.hash, receipt });
+  }
+
+  async _finish(job, status, fields = {}) {
+    Object.assign(job, fields, { status });
+    await this._persist();
+    this.emit(status, job);
+
+    const waiters = this._waiters.get(job.id) || [];
+    this._waiters.delete(job.id);
+    waiters.forEach(({ resolve, reject }) => (status === JOB_STATUS.MINED ? resolve(job.receipt) : reject(this._jobError(job))));
+  }
+
+  _jobError(job) {
+    const code = job.status === JOB_STATUS.EXPIRED ? 'DEADLINE_EXCEEDED' : 'TRANSACTION_FAILED';
+    return makeError(code, `Scheduled job ${job.id} ${job.status}: ${job.error || 'unknown error'}`, { job });
+  }
+
+  async _load() {
+    if (this._loaded) return this._restored;
+    this._loaded = true;
+    if (!fs.existsSync(this.options.queuePath)) return this._restored;
+
+    const saved = JSON.parse(await fs.promises.readFile(this.options.queuePath, 'utf8'));
+    for (const job of saved.jobs || []) {
+      if (!this.jobs.has(job.id)) {
+        this.jobs.set(job.id, job);
+        this._restored.push(job);
+      }
+    }
+    return this._restored;
+  }
+
+  _persist() {
+    // Receipts are kept in memory only; the file records the hash instead
+    const snapshot = JSON.stringify({
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      jobs: this.getJobs().map(({ receipt, ...job }) => job)
+    }, null, 2);
+
+    const write = this._writes.then(async () => {
+      const file = this.options.queuePath;
+      await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, snapshot);
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    this._writes = write.catch(error => this._reportError(error));
+    return this._writes;
+  }
+
+  _reportError(error) {
+    // An 'error' event without listeners would throw, so fall back to logging
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error('Scheduler error:', error);
+    }
+  }
+}
+
+module.exports = {
+  BaseTransactionScheduler,
+  JOB_STATUS
+};